@@ -0,0 +1,65 @@
+/**
+ * @module BatchResults
+ * Renders the per-file result table for batch mode in the preview panel.
+ */
+
+import { formatFileSize } from '../utils/fileHelpers.js';
+
+const STATUS_LABELS = {
+    pending: 'Pending',
+    done: 'Done',
+    skipped: 'Skipped',
+    error: 'Failed',
+};
+
+/**
+ * Renders the batch table with one row per entry.
+ * Entries without a result yet are shown as pending.
+ *
+ * @param {Array<{ path: string, file: File, isSupported: boolean }>} entries - The batch entries.
+ * @param {Array<object|undefined>} [results] - Results by entry index (see batchProcessor.BatchResult).
+ */
+export function renderBatchResults(entries, results = []) {
+    const previewEl = document.getElementById('preview-content');
+
+    const rows = entries.map((entry, i) => {
+        const result = results[i];
+        const status = result ? result.status : (entry.isSupported ? 'pending' : 'skipped');
+        const detail = result && result.error ? result.error : (entry.isSupported ? '' : 'Unsupported type, copied unchanged');
+
+        return `
+        <tr class="batch-row batch-${status}">
+          <td class="batch-path">${escapeHtml(entry.path)}</td>
+          <td>${formatFileSize(entry.file.size)}</td>
+          <td class="batch-number">${result ? result.matches : '–'}</td>
+          <td class="batch-number">${result ? result.replacements : '–'}</td>
+          <td><span class="batch-status">${STATUS_LABELS[status]}</span>${detail ? `<div class="batch-detail">${escapeHtml(detail)}</div>` : ''}</td>
+        </tr>`;
+    });
+
+    previewEl.innerHTML = `
+    <table class="batch-table">
+      <thead>
+        <tr>
+          <th>File</th>
+          <th>Size</th>
+          <th class="batch-number">Matches</th>
+          <th class="batch-number">Replacements</th>
+          <th>Status</th>
+        </tr>
+      </thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in the table.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
@@ -0,0 +1,185 @@
+/**
+ * @module DiffView
+ * Renders the before/after comparison, inline or side by side, with a
+ * changed-only filter and next/previous change navigation.
+ */
+
+/** @type {number} - Index of the change currently focused */
+let currentChange = -1;
+
+/** @type {'preview'|'diff'} - The visible view */
+let activeView = 'preview';
+
+/**
+ * Initializes the view tabs and the diff toolbar.
+ *
+ * @param {object} callbacks
+ * @param {function('preview'|'diff'): void} callbacks.onViewChange - Called when the user switches views.
+ * @param {function(): void} callbacks.onSettingsChange - Called when the layout or filter changes.
+ */
+export function initDiffView({ onViewChange, onSettingsChange }) {
+    document.querySelectorAll('.view-tab').forEach((tab) => {
+        tab.addEventListener('click', () => {
+            setActiveView(tab.dataset.view);
+            onViewChange(activeView);
+        });
+    });
+
+    document.getElementById('diff-layout').addEventListener('change', onSettingsChange);
+    document.getElementById('diff-changed-only').addEventListener('change', onSettingsChange);
+    document.getElementById('diff-prev').addEventListener('click', () => goToChange(-1));
+    document.getElementById('diff-next').addEventListener('click', () => goToChange(1));
+}
+
+/**
+ * Returns the visible view.
+ *
+ * @returns {'preview'|'diff'} The active view.
+ */
+export function getActiveView() {
+    return activeView;
+}
+
+/**
+ * Shows or hides the view tabs. Hiding them switches back to the preview.
+ *
+ * @param {boolean} isVisible - Whether the tabs should be shown.
+ */
+export function setViewTabsVisible(isVisible) {
+    document.getElementById('view-tabs').hidden = !isVisible;
+    if (!isVisible) {
+        setActiveView('preview');
+    }
+}
+
+/**
+ * Switches between the preview and the diff panel.
+ *
+ * @param {'preview'|'diff'} view - The view to show.
+ */
+function setActiveView(view) {
+    activeView = view;
+
+    document.querySelectorAll('.view-tab').forEach((tab) => {
+        const isActive = tab.dataset.view === view;
+        tab.classList.toggle('active', isActive);
+        tab.setAttribute('aria-selected', String(isActive));
+    });
+
+    document.getElementById('preview-content').hidden = view !== 'preview';
+    document.getElementById('diff-content').hidden = view !== 'diff';
+    document.getElementById('diff-toolbar').hidden = view !== 'diff';
+}
+
+/**
+ * Renders diff rows into the diff panel.
+ *
+ * @param {Array<import('../core/diff.js').DiffRow>} rows - The diff rows.
+ * @param {function(string): string} [groupLabel] - Returns a heading for a row group.
+ */
+export function renderDiff(rows, groupLabel = (group) => group) {
+    const diffEl = document.getElementById('diff-content');
+    const layout = document.getElementById('diff-layout').value;
+    const isChangedOnly = document.getElementById('diff-changed-only').checked;
+    const changeCount = rows.filter((row) => row.type !== 'equal').length;
+
+    let html = '';
+    let lastGroup = null;
+
+    for (const row of rows) {
+        if (isChangedOnly && row.type === 'equal') {
+            continue;
+        }
+
+        if (row.group !== lastGroup && row.group) {
+            html += `<h4 class="review-part">${escapeHtml(groupLabel(row.group))}</h4>`;
+        }
+        lastGroup = row.group;
+
+        const changeClass = row.type === 'equal' ? '' : ` diff-change diff-${row.type}`;
+
+        if (layout === 'side-by-side') {
+            html += `
+            <div class="diff-row diff-split${changeClass}">
+              <div class="diff-cell">${renderSegments(row.segments, 'before')}</div>
+              <div class="diff-cell">${renderSegments(row.segments, 'after')}</div>
+            </div>`;
+        } else {
+            html += `<div class="diff-row${changeClass}">${renderSegments(row.segments, 'inline')}</div>`;
+        }
+    }
+
+    if (!html) {
+        html = `<div class="preview-empty"><i class="icon-check"></i><p>${changeCount === 0 ? 'No changes yet' : 'Nothing to show'}</p></div>`;
+    }
+
+    diffEl.innerHTML = html;
+    diffEl.classList.toggle('is-split', layout === 'side-by-side');
+    currentChange = -1;
+    updateChangeCounter(changeCount);
+}
+
+/**
+ * Renders the segments of one row for one side of the comparison.
+ *
+ * @param {Array<import('../core/diff.js').DiffSegment>} segments - Row segments.
+ * @param {'before'|'after'|'inline'} side - Which text to render.
+ * @returns {string} HTML string.
+ */
+function renderSegments(segments, side) {
+    const html = segments.map((segment) => {
+        const text = escapeHtml(segment.text).replace(/\n/g, '<br>');
+        if (segment.type === 'equal') {
+            return text;
+        }
+        if (segment.type === 'delete') {
+            return side === 'after' ? '' : `<del class="diff-del">${text}</del>`;
+        }
+        return side === 'before' ? '' : `<ins class="diff-ins">${text}</ins>`;
+    }).join('');
+
+    return html || '&nbsp;';
+}
+
+/**
+ * Moves the focus to the next or previous change and scrolls it into view.
+ *
+ * @param {number} direction - 1 for next, -1 for previous.
+ */
+function goToChange(direction) {
+    const changes = document.querySelectorAll('#diff-content .diff-change');
+    if (changes.length === 0) {
+        return;
+    }
+
+    changes[currentChange]?.classList.remove('diff-current');
+    currentChange = (currentChange + direction + changes.length) % changes.length;
+
+    const changeEl = changes[currentChange];
+    changeEl.classList.add('diff-current');
+    changeEl.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    updateChangeCounter(changes.length);
+}
+
+/**
+ * Updates the "change x of y" label and navigation buttons.
+ *
+ * @param {number} total - Number of changes.
+ */
+function updateChangeCounter(total) {
+    const position = currentChange >= 0 ? `${currentChange + 1} of ${total}` : `${total}`;
+    document.getElementById('diff-counter').textContent = `${position} change${total !== 1 ? 's' : ''}`;
+    document.getElementById('diff-prev').disabled = total === 0;
+    document.getElementById('diff-next').disabled = total === 0;
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in the diff.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
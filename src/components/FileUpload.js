@@ -3,19 +3,49 @@
  * Manages the drag-and-drop upload zone and file input.
  */
 
-import { isSupported, isWithinSizeLimit, MAX_FILE_SIZE_MB } from '../utils/fileHelpers.js';
+import { isSupported, isArchive, isWithinSizeLimit, MAX_FILE_SIZE_MB } from '../utils/fileHelpers.js';
+import { ENCODINGS } from '../core/textEncoding.js';
+
+/** Value of the "Save as" choice that writes UTF-8 with a byte order mark. */
+const UTF8_BOM_VALUE = 'utf-8-bom';
+
+/** Descriptions of the line ending styles. */
+const LINE_ENDING_LABELS = {
+    lf: 'LF (Unix, macOS)',
+    crlf: 'CRLF (Windows)',
+    cr: 'CR (classic Mac)',
+    mixed: 'Mixed',
+    none: 'None',
+};
 
 /**
  * Initializes the file upload component.
  * Sets up drag-and-drop listeners and file input change handler.
+ * A single document opens in the editor; several files or a .zip archive
+ * start a batch.
  *
  * @param {object} callbacks
  * @param {function(File): void} callbacks.onFileSelected - Called when a valid file is selected.
+ * @param {function(File[]): void} callbacks.onBatchSelected - Called when several files or a .zip are selected.
  * @param {function(string): void} callbacks.onError - Called with an error message.
+ * @param {function(string|null): void} callbacks.onEncodingChange - Called with the encoding chosen for reading a text file, or null for the detected one.
  */
-export function initFileUpload({ onFileSelected, onError }) {
+export function initFileUpload({ onFileSelected, onBatchSelected, onError, onEncodingChange }) {
+    const callbacks = { onFileSelected, onBatchSelected, onError };
     const uploadZone = document.getElementById('upload-zone');
     const fileInput = document.getElementById('file-input');
+    const encodingSelect = document.getElementById('file-encoding');
+    const saveEncodingSelect = document.getElementById('save-encoding');
+
+    saveEncodingSelect.append(new Option('Same encoding', ''));
+    for (const { id, label } of ENCODINGS) {
+        encodingSelect.append(new Option(label, id));
+        saveEncodingSelect.append(new Option(label, id));
+        if (id === 'utf-8') {
+            saveEncodingSelect.append(new Option('UTF-8 with BOM', UTF8_BOM_VALUE));
+        }
+    }
+    encodingSelect.addEventListener('change', () => onEncodingChange(encodingSelect.value || null));
 
     uploadZone.addEventListener('click', () => fileInput.click());
 
@@ -27,10 +57,7 @@ export function initFileUpload({ onFileSelected, onError }) {
     });
 
     fileInput.addEventListener('change', () => {
-        const file = fileInput.files[0];
-        if (file) {
-            handleFile(file, onFileSelected, onError);
-        }
+        handleFiles([...fileInput.files], callbacks);
     });
 
     // Drag-and-drop
@@ -46,13 +73,41 @@ export function initFileUpload({ onFileSelected, onError }) {
     uploadZone.addEventListener('drop', (event) => {
         event.preventDefault();
         uploadZone.classList.remove('drag-over');
-        const file = event.dataTransfer.files[0];
-        if (file) {
-            handleFile(file, onFileSelected, onError);
-        }
+        handleFiles([...event.dataTransfer.files], callbacks);
     });
 }
 
+/**
+ * Routes the selected files to single-file or batch handling.
+ *
+ * @param {File[]} files - The selected files.
+ * @param {object} callbacks - See initFileUpload.
+ */
+function handleFiles(files, { onFileSelected, onBatchSelected, onError }) {
+    if (files.length === 0) {
+        return;
+    }
+
+    if (files.length === 1 && !isArchive(files[0])) {
+        handleFile(files[0], onFileSelected, onError);
+        return;
+    }
+
+    const oversized = files.find((file) => !isWithinSizeLimit(file));
+    if (oversized) {
+        onError(`${oversized.name} is too large. Maximum size is ${MAX_FILE_SIZE_MB} MB.`);
+        return;
+    }
+
+    const accepted = files.filter((file) => isSupported(file) || isArchive(file));
+    if (accepted.length === 0) {
+        onError('Unsupported file type. Please upload .docx, .odt, .xlsx, .pptx, .txt, .md, .html, .csv, .json, .xml or .zip files.');
+        return;
+    }
+
+    onBatchSelected(accepted);
+}
+
 /**
  * Validates and processes the selected file.
  *
@@ -62,7 +117,7 @@ export function initFileUpload({ onFileSelected, onError }) {
  */
 function handleFile(file, onFileSelected, onError) {
     if (!isSupported(file)) {
-        onError('Unsupported file type. Please upload a .docx or .txt file.');
+        onError('Unsupported file type. Please upload a .docx, .odt, .xlsx, .pptx, .txt, .md, .html, .csv, .json or .xml file.');
         return;
     }
 
@@ -89,6 +144,64 @@ export function showFileInfo(fileName) {
     fileNameEl.textContent = fileName;
 }
 
+/**
+ * Shows the encoding and line endings of an open text file, or hides them
+ * for other documents. The "Save as" choices are reset to keep both.
+ *
+ * @param {{ encoding: string, lineEnding: string, detectedEncoding: string }|null} textFile - The text file's format.
+ */
+export function showTextFileInfo(textFile) {
+    document.getElementById('text-file-info').hidden = !textFile;
+    if (!textFile) {
+        return;
+    }
+
+    const encodingSelect = document.getElementById('file-encoding');
+    const detected = ENCODINGS.find((entry) => entry.id === textFile.detectedEncoding);
+    encodingSelect.querySelector('option[value=""]')?.remove();
+    encodingSelect.prepend(new Option(`Detected: ${detected ? detected.label : textFile.detectedEncoding}`, ''));
+    encodingSelect.value = textFile.encoding === textFile.detectedEncoding ? '' : textFile.encoding;
+
+    document.getElementById('file-line-endings').textContent = LINE_ENDING_LABELS[textFile.lineEnding];
+    document.getElementById('save-encoding').value = '';
+    document.getElementById('save-line-endings').value = '';
+}
+
+/**
+ * Allows or prevents rereading the text file in another encoding, which
+ * is only safe before it has been changed.
+ *
+ * @param {boolean} isEnabled - Whether the encoding can be changed.
+ */
+export function setEncodingEnabled(isEnabled) {
+    document.getElementById('file-encoding').disabled = !isEnabled;
+}
+
+/**
+ * Reads the "Save as" choices for a text file download.
+ *
+ * @returns {Partial<import('../core/textEncoding.js').TextFileFormat>} The format changes; empty to keep the file's own.
+ */
+export function getTextConversion() {
+    const encoding = document.getElementById('save-encoding').value;
+    const lineEnding = document.getElementById('save-line-endings').value;
+    const conversion = {};
+
+    if (encoding === UTF8_BOM_VALUE) {
+        conversion.encoding = 'utf-8';
+        conversion.hasBom = true;
+    } else if (encoding) {
+        // UTF-16 is written with a byte order mark so other programs can tell its byte order
+        conversion.encoding = encoding;
+        conversion.hasBom = encoding.startsWith('utf-16');
+    }
+    if (lineEnding) {
+        conversion.lineEnding = lineEnding;
+    }
+
+    return conversion;
+}
+
 /**
  * Resets the upload zone to its initial empty state.
  */
@@ -100,4 +213,5 @@ export function resetFileUpload() {
     uploadZone.classList.remove('has-file');
     fileInfo.hidden = true;
     fileInput.value = '';
+    showTextFileInfo(null);
 }
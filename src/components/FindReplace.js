@@ -22,28 +22,82 @@ export function hideFindReplaceSection() {
 /**
  * Reads the current option toggle states.
  *
- * @returns {{ isCaseSensitive: boolean, isWholeWord: boolean, isRegex: boolean }}
+ * @returns {{ isCaseSensitive: boolean, isWholeWord: boolean, isRegex: boolean, isPreserveCase: boolean, isBodyOnly: boolean }}
  */
 export function getOptions() {
     return {
         isCaseSensitive: document.getElementById('opt-case-sensitive').checked,
         isWholeWord: document.getElementById('opt-whole-word').checked,
         isRegex: document.getElementById('opt-regex').checked,
+        isPreserveCase: document.getElementById('opt-preserve-case').checked,
+        isBodyOnly: document.getElementById('opt-body-only').checked,
     };
 }
 
+/**
+ * Sets the option toggles, e.g. when a saved rule set is applied.
+ * Options missing from the object are left unchanged.
+ *
+ * @param {object} options - Option values keyed like getOptions().
+ */
+export function setOptions(options) {
+    const ids = {
+        isCaseSensitive: 'opt-case-sensitive',
+        isWholeWord: 'opt-whole-word',
+        isRegex: 'opt-regex',
+        isPreserveCase: 'opt-preserve-case',
+        isBodyOnly: 'opt-body-only',
+    };
+
+    for (const [key, id] of Object.entries(ids)) {
+        if (typeof options[key] === 'boolean') {
+            document.getElementById(id).checked = options[key];
+        }
+    }
+}
+
+/**
+ * Shows or hides the options that only apply to documents with several text
+ * parts (.docx, .odt).
+ *
+ * @param {boolean} isVisible - Whether the options should be shown.
+ */
+export function setPackageOptionsVisible(isVisible) {
+    document.getElementById('opt-body-only-label').hidden = !isVisible;
+}
+
 /**
  * Enables or disables action buttons.
  *
  * @param {object} states
  * @param {boolean} states.canReplace - Enable the Replace All button.
+ * @param {boolean} [states.canReview] - Enable the Review button (defaults to canReplace).
  * @param {boolean} states.canUndo - Enable the Undo button.
+ * @param {boolean} [states.canRedo] - Enable the Redo button.
  * @param {boolean} states.canDownload - Enable the Download button.
+ * @param {boolean} [states.canDryRun] - Enable the Dry Run button (defaults to canReview).
+ * @param {boolean} [states.canReport] - Enable the Report button.
  */
-export function setButtonStates({ canReplace = false, canUndo = false, canDownload = false }) {
+export function setButtonStates({
+    canReplace = false, canReview = canReplace, canUndo = false, canRedo = false, canDownload = false,
+    canDryRun = canReview, canReport = false,
+}) {
     document.getElementById('btn-replace-all').disabled = !canReplace;
+    document.getElementById('btn-review').disabled = !canReview;
     document.getElementById('btn-undo').disabled = !canUndo;
+    document.getElementById('btn-redo').disabled = !canRedo;
     document.getElementById('btn-download').disabled = !canDownload;
+    document.getElementById('btn-dry-run').disabled = !canDryRun;
+    document.getElementById('btn-report').disabled = !canReport;
+}
+
+/**
+ * Returns the chosen audit report format.
+ *
+ * @returns {'html'|'csv'|'json'} The format.
+ */
+export function getReportFormat() {
+    return document.getElementById('report-format').value;
 }
 
 /**
@@ -51,16 +105,24 @@ export function setButtonStates({ canReplace = false, canUndo = false, canDownlo
  *
  * @param {object} callbacks
  * @param {function(): void} callbacks.onReplaceAll
+ * @param {function(): void} callbacks.onReview
  * @param {function(): void} callbacks.onUndo
+ * @param {function(): void} callbacks.onRedo
  * @param {function(): void} callbacks.onDownload
+ * @param {function(): void} callbacks.onDryRun - Called to list the replacements without applying them.
+ * @param {function(): void} callbacks.onReport - Called to download the audit report.
  * @param {function(): void} callbacks.onOptionsChange - Called when any option toggle changes.
  */
-export function initFindReplace({ onReplaceAll, onUndo, onDownload, onOptionsChange }) {
+export function initFindReplace({ onReplaceAll, onReview, onUndo, onRedo, onDownload, onDryRun, onReport, onOptionsChange }) {
     document.getElementById('btn-replace-all').addEventListener('click', onReplaceAll);
+    document.getElementById('btn-review').addEventListener('click', onReview);
     document.getElementById('btn-undo').addEventListener('click', onUndo);
+    document.getElementById('btn-redo').addEventListener('click', onRedo);
     document.getElementById('btn-download').addEventListener('click', onDownload);
+    document.getElementById('btn-dry-run').addEventListener('click', onDryRun);
+    document.getElementById('btn-report').addEventListener('click', onReport);
 
-    const optionInputs = ['opt-case-sensitive', 'opt-whole-word', 'opt-regex'];
+    const optionInputs = ['opt-case-sensitive', 'opt-whole-word', 'opt-regex', 'opt-preserve-case', 'opt-body-only'];
     optionInputs.forEach((id) => {
         document.getElementById(id).addEventListener('change', onOptionsChange);
     });
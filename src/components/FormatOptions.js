@@ -0,0 +1,172 @@
+/**
+ * @module FormatOptions
+ * Manages the options that choose which parts of a structured text file
+ * (HTML, XML, CSV, JSON), workbook (.xlsx), presentation (.pptx), .docx or
+ * .txt file are matched and replaced, whether .docx link targets are
+ * included and .docx replacements are tracked changes, and the run
+ * formatting .docx matches must have and replacements get.
+ */
+
+import { FORMAT_PROPERTIES, HIGHLIGHT_COLORS } from '../core/docxFormatting.js';
+
+/** Row labels of the formatting grid. */
+const FORMAT_LABELS = {
+    bold: 'Bold',
+    italic: 'Italic',
+    underline: 'Underline',
+    color: 'Color',
+    highlight: 'Highlight',
+    style: 'Character style',
+};
+
+/**
+ * Splits a comma-separated list into trimmed, non-empty entries.
+ *
+ * @param {string} value - The list.
+ * @returns {string[]} The entries.
+ */
+function splitList(value) {
+    return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Reads the current format options.
+ *
+ * @returns {{ attributeNames: string[], csvColumns: string[], isCsvHeader: boolean, jsonKeyPaths: string[],
+ *   xlsxSheets: string[], xlsxColumns: string[], isXlsxInlineStrings: boolean, isXlsxFormulas: boolean, isXlsxNumbers: boolean,
+ *   isPptxLayouts: boolean, isLinkTargets: boolean, isTrackChanges: boolean, trackAuthor: string, trackDate: string,
+ *   scopeStyles: string[], scopeTables: string, scopeFrom: string, scopeTo: string, scopePrefix: string,
+ *   findFormat: Object<string, string>, replaceFormat: Object<string, string> }}
+ */
+export function getFormatOptions() {
+    const isAttributes = document.getElementById('opt-attributes').checked;
+    const trackDate = document.getElementById('opt-track-date').value;
+
+    return {
+        attributeNames: isAttributes ? splitList(document.getElementById('opt-attribute-names').value) : [],
+        csvColumns: splitList(document.getElementById('opt-csv-columns').value),
+        isCsvHeader: document.getElementById('opt-csv-header').checked,
+        jsonKeyPaths: splitList(document.getElementById('opt-json-paths').value),
+        xlsxSheets: splitList(document.getElementById('opt-xlsx-sheets').value),
+        xlsxColumns: splitList(document.getElementById('opt-xlsx-columns').value),
+        isXlsxInlineStrings: document.getElementById('opt-xlsx-inline').checked,
+        isXlsxFormulas: document.getElementById('opt-xlsx-formulas').checked,
+        isXlsxNumbers: document.getElementById('opt-xlsx-numbers').checked,
+        isPptxLayouts: document.getElementById('opt-pptx-layouts').checked,
+        isLinkTargets: document.getElementById('opt-link-targets').checked,
+        isTrackChanges: document.getElementById('opt-track-changes').checked,
+        trackAuthor: document.getElementById('opt-track-author').value.trim(),
+        // The local date and time entered, as the UTC timestamp revisions carry
+        trackDate: trackDate ? new Date(trackDate).toISOString().replace(/\.\d{3}Z$/, 'Z') : '',
+        scopeStyles: splitList(document.getElementById('opt-scope-styles').value),
+        scopeTables: document.getElementById('opt-scope-tables').value,
+        scopeFrom: document.getElementById('opt-scope-from').value.trim(),
+        scopeTo: document.getElementById('opt-scope-to').value.trim(),
+        scopePrefix: document.getElementById('opt-scope-prefix').value,
+        findFormat: readFormatSpec('find'),
+        replaceFormat: readFormatSpec('replace'),
+    };
+}
+
+/**
+ * Reads one column of the formatting grid.
+ *
+ * @param {'find'|'replace'} side - The filter on matches, or the change to replacements.
+ * @returns {Object<string, string>} Value per property; '' where none is set (see docxFormatting.js).
+ */
+function readFormatSpec(side) {
+    return Object.fromEntries(FORMAT_PROPERTIES.map((property) => (
+        [property, document.getElementById(`fmt-${side}-${property}`).value.trim()]
+    )));
+}
+
+/**
+ * Builds the formatting grid: per property, the formatting matches must
+ * have and the formatting replacements get.
+ */
+function renderFormatGrid() {
+    const select = (id, label, options) => `
+      <select id="${id}" aria-label="${label}">
+        ${options.map(([value, text]) => `<option value="${value}">${text}</option>`).join('')}
+      </select>`;
+    const colors = HIGHLIGHT_COLORS.map((color) => [color, color.replace(/[A-Z]/g, (letter) => ` ${letter.toLowerCase()}`)]);
+
+    const cells = (property) => {
+        const label = FORMAT_LABELS[property];
+        if (property === 'color' || property === 'style') {
+            const example = property === 'color' ? 'hex' : 'id';
+            return `
+              <input type="text" id="fmt-find-${property}" placeholder="Any (${example} or none)" aria-label="${label} of matches" />
+              <input type="text" id="fmt-replace-${property}" placeholder="Keep (${example} or none)" aria-label="${label} of replacements" />`;
+        }
+        if (property === 'highlight') {
+            return select(`fmt-find-${property}`, `${label} of matches`, [['', 'Any'], ['none', 'None'], ...colors])
+                + select(`fmt-replace-${property}`, `${label} of replacements`, [['', 'Keep'], ['none', 'Remove'], ...colors]);
+        }
+        return select(`fmt-find-${property}`, `${label} of matches`, [['', 'Any'], ['on', 'Yes'], ['off', 'No']])
+            + select(`fmt-replace-${property}`, `${label} of replacements`, [['', 'Keep'], ['on', 'Add'], ['off', 'Remove']]);
+    };
+
+    document.getElementById('format-grid').innerHTML = `
+      <span></span>
+      <span class="format-grid-heading">Match only</span>
+      <span class="format-grid-heading">Set on replacement</span>
+      ${FORMAT_PROPERTIES.map((property) => `<span>${FORMAT_LABELS[property]}</span>${cells(property)}`).join('')}`;
+}
+
+/**
+ * Shows the format options that apply to a file type and hides the rest.
+ * In batch mode every group is shown.
+ *
+ * @param {string|null} fileType - The file type, 'batch', or null to hide all.
+ */
+export function setFormatOptionsVisible(fileType) {
+    const groups = document.querySelectorAll('#format-options [data-file-types]');
+    let visibleCount = 0;
+
+    groups.forEach((group) => {
+        const isVisible = fileType === 'batch' || group.dataset.fileTypes.split(' ').includes(fileType);
+        group.hidden = !isVisible;
+        visibleCount += isVisible ? 1 : 0;
+    });
+
+    document.getElementById('format-options').hidden = visibleCount === 0;
+}
+
+/**
+ * Initializes the format option inputs.
+ *
+ * @param {object} callbacks
+ * @param {function(): void} callbacks.onChange - Called when any format option changes.
+ */
+export function initFormatOptions({ onChange }) {
+    renderFormatGrid();
+
+    const attributeToggle = document.getElementById('opt-attributes');
+    const attributeNames = document.getElementById('opt-attribute-names');
+
+    attributeToggle.addEventListener('change', () => {
+        attributeNames.disabled = !attributeToggle.checked;
+        onChange();
+    });
+    attributeNames.disabled = !attributeToggle.checked;
+
+    const trackToggle = document.getElementById('opt-track-changes');
+    const trackInputs = [document.getElementById('opt-track-author'), document.getElementById('opt-track-date')];
+    const updateTrackInputs = () => trackInputs.forEach((input) => {
+        input.disabled = !trackToggle.checked;
+    });
+    trackToggle.addEventListener('change', updateTrackInputs);
+    updateTrackInputs();
+
+    ['opt-csv-header', 'opt-xlsx-inline', 'opt-xlsx-formulas', 'opt-xlsx-numbers', 'opt-pptx-layouts', 'opt-link-targets',
+        'opt-scope-tables'].forEach((id) => {
+        document.getElementById(id).addEventListener('change', onChange);
+    });
+    document.querySelectorAll('#format-grid select').forEach((select) => select.addEventListener('change', onChange));
+    document.querySelectorAll('#format-grid input').forEach((input) => input.addEventListener('input', onChange));
+    ['opt-attribute-names', 'opt-csv-columns', 'opt-json-paths', 'opt-xlsx-sheets', 'opt-xlsx-columns',
+        'opt-scope-styles', 'opt-scope-from', 'opt-scope-to', 'opt-scope-prefix'].forEach((id) => {
+        document.getElementById(id).addEventListener('input', onChange);
+    });
+}
@@ -0,0 +1,66 @@
+/**
+ * @module HistoryPanel
+ * Lists the undo/redo history and lets the user jump to any step.
+ */
+
+/** @type {function(number): void} - Called with the step to jump to */
+let jumpHandler = () => {};
+
+/**
+ * Initializes the history list.
+ *
+ * @param {object} callbacks
+ * @param {function(number): void} callbacks.onJump - Called with the number of steps to keep applied.
+ */
+export function initHistoryPanel({ onJump }) {
+    jumpHandler = onJump;
+
+    document.getElementById('history-list').addEventListener('click', (event) => {
+        const item = event.target.closest('[data-position]');
+        if (item) {
+            jumpHandler(Number(item.dataset.position));
+        }
+    });
+}
+
+/**
+ * Renders the history. Steps after `position` have been undone and are
+ * shown dimmed until they are redone or replaced by a new change.
+ *
+ * @param {Array<{ label: string, count: number }>} entries - History entries, oldest first.
+ * @param {number} position - Number of entries currently applied.
+ */
+export function renderHistory(entries, position) {
+    const panel = document.getElementById('history-panel');
+    const listEl = document.getElementById('history-list');
+
+    panel.hidden = entries.length === 0;
+
+    const items = [{ label: 'Original document', count: null }, ...entries];
+
+    listEl.innerHTML = items.map((entry, index) => {
+        const stateClass = index === position ? ' is-current' : index > position ? ' is-undone' : '';
+        const count = entry.count === null
+            ? ''
+            : `<span class="history-count">${entry.count} replacement${entry.count !== 1 ? 's' : ''}</span>`;
+
+        return `
+        <li>
+          <button type="button" class="history-item${stateClass}" data-position="${index}">
+            <span class="history-label">${escapeHtml(entry.label)}</span>
+            ${count}
+          </button>
+        </li>`;
+    }).join('');
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in history labels.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
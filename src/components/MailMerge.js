@@ -0,0 +1,178 @@
+/**
+ * @module MailMerge
+ * Template mode for an open .docx: reads a CSV, TSV or JSON data file,
+ * shows a dialog to map the template's placeholders to its columns and to
+ * set the output file names, and reports the rows with unresolved
+ * placeholders before the documents are generated.
+ */
+
+import { parseMergeData, suggestMapping, findPlaceholders, findUnresolved, checkMergeRows, createFileNames } from '../core/mailMerge.js';
+import { getFileExtension } from '../utils/fileHelpers.js';
+
+/** Number of preview rows rendered in the dialog. */
+const PREVIEW_LIMIT = 200;
+
+/** @type {string[]} - Placeholders of the template */
+let templatePlaceholders = [];
+
+/** @type {import('../core/mailMerge.js').MergeData} - The loaded data file */
+let mergeData = { columns: [], rows: [] };
+
+/**
+ * Initializes the mail merge button and dialog.
+ *
+ * @param {object} callbacks
+ * @param {function(): Promise<string[]>} callbacks.onReadTemplate - Resolves to the placeholders of the open template.
+ * @param {function(object): void} callbacks.onGenerate - Called with the merge job (see mailMerge.generateMergeZip).
+ * @param {function(string, ('success'|'error'|'warning')=): void} callbacks.onMessage - Shows a status message.
+ */
+export function initMailMerge({ onReadTemplate, onGenerate, onMessage }) {
+    const fileInput = document.getElementById('merge-input');
+    const dialog = document.getElementById('merge-dialog');
+    const patternInput = document.getElementById('merge-pattern');
+
+    document.getElementById('merge-btn').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) {
+            return;
+        }
+
+        try {
+            mergeData = parseMergeData(await file.text(), getFileExtension(file));
+            if (mergeData.rows.length === 0) {
+                onMessage('The data file has no rows.', 'error');
+                return;
+            }
+            templatePlaceholders = await onReadTemplate();
+            if (templatePlaceholders.length === 0) {
+                onMessage('The template has no {{placeholders}}.', 'warning');
+            }
+
+            document.getElementById('merge-file-name').textContent = file.name;
+            patternInput.value = templatePlaceholders.length > 0 ? `{{${templatePlaceholders[0]}}}.docx` : 'document.docx';
+            renderMappingSelects(suggestMapping(getPlaceholders(), mergeData.columns));
+            renderMergePreview();
+            dialog.showModal();
+        } catch (error) {
+            console.error('Error reading merge data:', error);
+            onMessage(error.message ? `Could not read the data file: ${error.message}` : 'Could not read the data file.', 'error');
+        }
+    });
+
+    patternInput.addEventListener('input', () => {
+        // The pattern may name placeholders the template does not have
+        renderMappingSelects({ ...suggestMapping(getPlaceholders(), mergeData.columns), ...readMapping() });
+        renderMergePreview();
+    });
+    document.getElementById('merge-mapping').addEventListener('change', renderMergePreview);
+    document.getElementById('merge-include-incomplete').addEventListener('change', renderMergePreview);
+
+    document.getElementById('merge-cancel').addEventListener('click', () => dialog.close());
+
+    document.getElementById('merge-generate').addEventListener('click', () => {
+        dialog.close();
+        onGenerate({
+            rows: mergeData.rows,
+            placeholders: getPlaceholders(),
+            mapping: readMapping(),
+            fileNamePattern: patternInput.value,
+            isIncomplete: document.getElementById('merge-include-incomplete').checked,
+        });
+    });
+}
+
+/**
+ * Shows the mail merge button while a .docx is open.
+ *
+ * @param {boolean} isAvailable - Whether the open document can serve as a template.
+ */
+export function setMailMergeAvailable(isAvailable) {
+    document.getElementById('merge-btn').hidden = !isAvailable;
+}
+
+/**
+ * Returns the placeholders of the template and of the file name pattern.
+ *
+ * @returns {string[]} Placeholder names.
+ */
+function getPlaceholders() {
+    return [...new Set([...templatePlaceholders, ...findPlaceholders([document.getElementById('merge-pattern').value])])];
+}
+
+/**
+ * Renders one column select per placeholder.
+ *
+ * @param {Object<string, string>} mapping - Column per placeholder to preselect.
+ */
+function renderMappingSelects(mapping) {
+    const optionsHtml = mergeData.columns
+        .map((column) => `<option value="${escapeHtml(column)}">${escapeHtml(column)}</option>`)
+        .join('');
+
+    document.getElementById('merge-mapping').innerHTML = getPlaceholders().map((placeholder) => `
+      <label>{{${escapeHtml(placeholder)}}}
+        <select data-placeholder="${escapeHtml(placeholder)}">
+          <option value="">Not mapped</option>${optionsHtml}
+        </select>
+      </label>`).join('');
+
+    document.querySelectorAll('#merge-mapping select').forEach((select) => {
+        select.value = mergeData.columns.includes(mapping[select.dataset.placeholder]) ? mapping[select.dataset.placeholder] : '';
+    });
+}
+
+/**
+ * Reads the current mapping from the dialog.
+ *
+ * @returns {Object<string, string>} Column per placeholder; '' where none is chosen.
+ */
+function readMapping() {
+    return Object.fromEntries([...document.querySelectorAll('#merge-mapping select')]
+        .map((select) => [select.dataset.placeholder, select.value]));
+}
+
+/**
+ * Renders the row table with each row's file name and unresolved
+ * placeholders, and sums up what generating will produce.
+ */
+function renderMergePreview() {
+    const placeholders = getPlaceholders();
+    const mapping = readMapping();
+    const fileNames = createFileNames(mergeData.rows, document.getElementById('merge-pattern').value, mapping);
+    const issueCount = checkMergeRows(mergeData.rows, placeholders, mapping).length;
+    const isIncomplete = document.getElementById('merge-include-incomplete').checked;
+    const documentCount = isIncomplete ? mergeData.rows.length : mergeData.rows.length - issueCount;
+
+    document.getElementById('merge-preview-body').innerHTML = mergeData.rows.slice(0, PREVIEW_LIMIT).map((row, i) => {
+        const unresolved = findUnresolved(row, placeholders, mapping);
+        return `
+        <tr class="${unresolved.length > 0 ? 'mapping-issue' : ''}">
+          <td class="batch-number">${row.number}</td>
+          <td>${escapeHtml(fileNames[i])}</td>
+          <td>${escapeHtml(unresolved.map((placeholder) => `{{${placeholder}}}`).join(', '))}</td>
+        </tr>`;
+    }).join('');
+
+    document.getElementById('merge-summary').textContent =
+        `${documentCount} document${documentCount !== 1 ? 's' : ''} to generate` +
+        (issueCount > 0
+            ? `, ${issueCount} row${issueCount !== 1 ? 's' : ''} with unresolved placeholders${isIncomplete ? '' : ' skipped'}`
+            : '') +
+        (mergeData.rows.length > PREVIEW_LIMIT ? ` (showing first ${PREVIEW_LIMIT} rows)` : '');
+
+    document.getElementById('merge-generate').disabled = documentCount === 0;
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in the dialog.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
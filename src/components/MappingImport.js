@@ -0,0 +1,189 @@
+/**
+ * @module MappingImport
+ * Imports replacement pairs from CSV, TSV or .xlsx mapping tables.
+ * Shows a dialog to map columns and preview the resulting pairs.
+ */
+
+import { parseDelimited, readXlsxFirstSheet, buildPairsFromTable, FLAG_COLUMNS } from '../core/tableParser.js';
+import { getFileExtension } from '../utils/fileHelpers.js';
+
+/** Number of preview rows rendered in the dialog. */
+const PREVIEW_LIMIT = 200;
+
+const FLAG_LABELS = {
+    isCaseSensitive: 'Case sensitive',
+    isWholeWord: 'Whole word',
+    isRegex: 'Regex',
+    isPreserveCase: 'Preserve case',
+};
+
+const ISSUE_LABELS = {
+    empty: 'Empty find value',
+    duplicate: 'Duplicate find value',
+};
+
+/** @type {string[][]} - Rows of the loaded table */
+let tableRows = [];
+
+/**
+ * Initializes the table import button and dialog.
+ *
+ * @param {object} callbacks
+ * @param {function(Array<{ find: string, replace: string, options: object }>, boolean): void} callbacks.onImport -
+ *   Called with the pairs and whether to append them (true) or replace the list (false).
+ * @param {function(string, ('success'|'error'|'warning')=): void} callbacks.onMessage - Shows a status message.
+ */
+export function initMappingImport({ onImport, onMessage }) {
+    const fileInput = document.getElementById('mapping-import-input');
+    const dialog = document.getElementById('mapping-dialog');
+
+    document.getElementById('mapping-import-btn').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) {
+            return;
+        }
+
+        try {
+            tableRows = await readTable(file);
+            if (tableRows.length === 0) {
+                onMessage('The table is empty.', 'error');
+                return;
+            }
+            document.getElementById('mapping-file-name').textContent = file.name;
+            populateColumnSelects();
+            renderMappingPreview();
+            dialog.showModal();
+        } catch (error) {
+            console.error('Error reading table:', error);
+            onMessage('Could not read the table. Please check the file.', 'error');
+        }
+    });
+
+    dialog.querySelectorAll('select, input[type="checkbox"]').forEach((input) => {
+        input.addEventListener('change', renderMappingPreview);
+    });
+
+    document.getElementById('mapping-cancel').addEventListener('click', () => dialog.close());
+
+    const submit = (append) => {
+        const { pairs } = buildPairsFromTable(tableRows, readMapping());
+        if (pairs.length === 0) {
+            onMessage('No valid pairs to import.', 'error');
+            return;
+        }
+        dialog.close();
+        onImport(pairs, append);
+        onMessage(`Imported ${pairs.length} pair${pairs.length > 1 ? 's' : ''}.`, 'success');
+    };
+
+    document.getElementById('mapping-replace').addEventListener('click', () => submit(false));
+    document.getElementById('mapping-append').addEventListener('click', () => submit(true));
+}
+
+/**
+ * Reads a mapping table file into rows of cells.
+ *
+ * @param {File} file - A .csv, .tsv or .xlsx file.
+ * @returns {Promise<string[][]>} Table rows.
+ */
+async function readTable(file) {
+    const extension = getFileExtension(file);
+
+    if (extension === '.xlsx') {
+        return readXlsxFirstSheet(await file.arrayBuffer());
+    }
+
+    const text = await file.text();
+    return extension === '.tsv' ? parseDelimited(text, '\t') : parseDelimited(text);
+}
+
+/**
+ * Fills the column selects from the first row and picks sensible defaults.
+ */
+function populateColumnSelects() {
+    const columnCount = Math.max(...tableRows.map((row) => row.length));
+    const firstRow = tableRows[0];
+
+    const optionsHtml = Array.from({ length: columnCount }, (_, i) => {
+        const sample = firstRow[i] ? `: ${firstRow[i].slice(0, 30)}` : '';
+        return `<option value="${i}">Column ${i + 1}${escapeHtml(sample)}</option>`;
+    }).join('');
+
+    document.getElementById('mapping-find').innerHTML = optionsHtml;
+    document.getElementById('mapping-replace-col').innerHTML = optionsHtml;
+    document.getElementById('mapping-find').value = '0';
+    document.getElementById('mapping-replace-col').value = columnCount > 1 ? '1' : '0';
+
+    for (const key of FLAG_COLUMNS) {
+        const select = document.getElementById(`mapping-flag-${key}`);
+        select.innerHTML = `<option value="">Not mapped</option>${optionsHtml}`;
+        select.value = '';
+    }
+}
+
+/**
+ * Reads the current column mapping from the dialog.
+ *
+ * @returns {{ find: number, replace: number, hasHeader: boolean, flags: Object<string, number|null> }}
+ */
+function readMapping() {
+    const flags = {};
+    for (const key of FLAG_COLUMNS) {
+        const value = document.getElementById(`mapping-flag-${key}`).value;
+        flags[key] = value === '' ? null : Number(value);
+    }
+
+    return {
+        find: Number(document.getElementById('mapping-find').value),
+        replace: Number(document.getElementById('mapping-replace-col').value),
+        hasHeader: document.getElementById('mapping-has-header').checked,
+        flags,
+    };
+}
+
+/**
+ * Renders the preview table with issues flagged.
+ */
+function renderMappingPreview() {
+    const { rows, pairs } = buildPairsFromTable(tableRows, readMapping());
+    const issueCount = rows.length - pairs.length;
+
+    const bodyHtml = rows.slice(0, PREVIEW_LIMIT).map((row) => {
+        const flags = Object.entries(row.options)
+            .filter(([, value]) => value)
+            .map(([key]) => FLAG_LABELS[key])
+            .join(', ');
+
+        return `
+        <tr class="${row.issue ? 'mapping-issue' : ''}">
+          <td class="batch-number">${row.rowNumber}</td>
+          <td>${escapeHtml(row.find)}</td>
+          <td>${escapeHtml(row.replace)}</td>
+          <td>${escapeHtml(flags)}</td>
+          <td>${row.issue ? ISSUE_LABELS[row.issue] : ''}</td>
+        </tr>`;
+    }).join('');
+
+    document.getElementById('mapping-preview-body').innerHTML = bodyHtml;
+    document.getElementById('mapping-summary').textContent =
+        `${pairs.length} pair${pairs.length !== 1 ? 's' : ''} ready` +
+        (issueCount > 0 ? `, ${issueCount} row${issueCount !== 1 ? 's' : ''} skipped` : '') +
+        (rows.length > PREVIEW_LIMIT ? ` (showing first ${PREVIEW_LIMIT} rows)` : '');
+
+    document.getElementById('mapping-replace').disabled = pairs.length === 0;
+    document.getElementById('mapping-append').disabled = pairs.length === 0;
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in the preview.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
@@ -1,30 +1,60 @@
 /**
  * @module MatchInfo
- * Displays the match count badge in the preview header.
+ * Displays the match count badge in the preview header and, with several
+ * pairs, a per-pair breakdown below it.
  */
 
+import { PAIR_COLOR_COUNT } from '../core/highlighter.js';
+
 /**
  * Updates the match count display.
  *
- * @param {number} count - Number of matches found.
+ * @param {Array<{ find: string }>} pairs - The pairs that were searched.
+ * @param {number[]} counts - Matches per pair.
+ * @param {number[]} [overlaps] - Matches per pair that overlap another pair's match.
  */
-export function updateMatchCount(count) {
+export function updateMatchInfo(pairs, counts, overlaps = []) {
     const badge = document.getElementById('match-info');
     const countEl = document.getElementById('match-count');
+    const breakdownEl = document.getElementById('match-breakdown');
+    const total = counts.reduce((sum, count) => sum + count, 0);
+
+    badge.hidden = total === 0;
+    countEl.textContent = total;
 
-    if (count > 0) {
-        badge.hidden = false;
-        countEl.textContent = count;
-    } else {
-        badge.hidden = true;
-        countEl.textContent = '0';
+    if (total === 0 || pairs.length < 2) {
+        breakdownEl.hidden = true;
+        breakdownEl.innerHTML = '';
+        return;
     }
+
+    breakdownEl.innerHTML = pairs.map((pair, i) => {
+        const overlapNote = overlaps[i] > 0 ? ` <span class="match-breakdown-overlap">(${overlaps[i]} overlapping)</span>` : '';
+        return `
+        <li>
+          <span class="pair-swatch match-pair-${i % PAIR_COLOR_COUNT}"></span>
+          <span class="match-breakdown-find">${escapeHtml(pair.find)}</span>
+          <strong>${counts[i]}</strong>${overlapNote}
+        </li>`;
+    }).join('');
+    breakdownEl.hidden = false;
 }
 
 /**
- * Hides the match info badge.
+ * Hides the match info badge and breakdown.
  */
 export function hideMatchInfo() {
-    const badge = document.getElementById('match-info');
-    badge.hidden = true;
+    document.getElementById('match-info').hidden = true;
+    document.getElementById('match-breakdown').hidden = true;
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in the breakdown.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
 }
@@ -0,0 +1,137 @@
+/**
+ * @module PresetPanel
+ * Save, apply, delete, import and export named rule sets.
+ */
+
+import { createRuleSet, parseRuleSet, serializeRuleSet } from '../core/ruleSets.js';
+import { listPresets, getPreset, savePreset, deletePreset } from '../utils/presetStorage.js';
+import { downloadFile } from '../utils/download.js';
+
+/**
+ * Initializes the rule set controls.
+ *
+ * @param {object} callbacks
+ * @param {function(): { pairs: Array<object>, options: object }} callbacks.getCurrentRules - Returns the pairs and options in the editor.
+ * @param {function(import('../core/ruleSets.js').RuleSet): void} callbacks.onApply - Called with a rule set to load into the editor.
+ * @param {function(string, ('success'|'error'|'warning')=): void} callbacks.onMessage - Shows a status message.
+ */
+export function initPresetPanel({ getCurrentRules, onApply, onMessage }) {
+    const select = document.getElementById('preset-select');
+    const nameInput = document.getElementById('preset-name');
+    const importInput = document.getElementById('preset-import-input');
+
+    refreshPresetOptions();
+
+    select.addEventListener('change', () => {
+        nameInput.value = select.value;
+        updatePresetButtons();
+    });
+
+    nameInput.addEventListener('input', updatePresetButtons);
+
+    document.getElementById('preset-apply').addEventListener('click', () => {
+        const preset = getPreset(select.value);
+        if (preset) {
+            onApply(preset);
+            onMessage(`Applied rule set "${preset.name}".`, 'success');
+        }
+    });
+
+    document.getElementById('preset-save').addEventListener('click', () => {
+        try {
+            const { pairs, options } = getCurrentRules();
+            const ruleSet = createRuleSet(nameInput.value, pairs, options);
+            savePreset(ruleSet);
+            refreshPresetOptions(ruleSet.name);
+            onMessage(`Saved rule set "${ruleSet.name}".`, 'success');
+        } catch (error) {
+            onMessage(error.message, 'error');
+        }
+    });
+
+    document.getElementById('preset-delete').addEventListener('click', () => {
+        const name = select.value;
+        if (name) {
+            deletePreset(name);
+            refreshPresetOptions();
+            onMessage(`Deleted rule set "${name}".`, 'success');
+        }
+    });
+
+    document.getElementById('preset-export').addEventListener('click', () => {
+        try {
+            const { pairs, options } = getCurrentRules();
+            const ruleSet = createRuleSet(nameInput.value || 'Untitled rules', pairs, options);
+            const blob = new Blob([serializeRuleSet(ruleSet)], { type: 'application/json' });
+            downloadFile(blob, `${toFileName(ruleSet.name)}.replacit.json`);
+        } catch (error) {
+            onMessage(error.message, 'error');
+        }
+    });
+
+    document.getElementById('preset-import').addEventListener('click', () => importInput.click());
+
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) {
+            return;
+        }
+
+        try {
+            // Validate fully before anything touches the list
+            const ruleSet = parseRuleSet(await file.text());
+            savePreset(ruleSet);
+            refreshPresetOptions(ruleSet.name);
+            onApply(ruleSet);
+            onMessage(`Imported rule set "${ruleSet.name}".`, 'success');
+        } catch (error) {
+            onMessage(`Import failed: ${error.message}`, 'error');
+        }
+    });
+}
+
+/**
+ * Rebuilds the preset picker from storage.
+ *
+ * @param {string} [selectedName] - Name to select after rebuilding.
+ */
+function refreshPresetOptions(selectedName = '') {
+    const select = document.getElementById('preset-select');
+    const presets = listPresets();
+
+    select.innerHTML = '<option value="">Choose a saved rule set…</option>';
+
+    for (const preset of presets) {
+        const option = document.createElement('option');
+        option.value = preset.name;
+        option.textContent = `${preset.name} (${preset.pairs.length})`;
+        select.appendChild(option);
+    }
+
+    select.value = presets.some((preset) => preset.name === selectedName) ? selectedName : '';
+    document.getElementById('preset-name').value = select.value;
+    updatePresetButtons();
+}
+
+/**
+ * Enables the preset buttons that apply to the current selection.
+ */
+function updatePresetButtons() {
+    const hasSelection = Boolean(document.getElementById('preset-select').value);
+    const hasName = Boolean(document.getElementById('preset-name').value.trim());
+
+    document.getElementById('preset-apply').disabled = !hasSelection;
+    document.getElementById('preset-delete').disabled = !hasSelection;
+    document.getElementById('preset-save').disabled = !hasName;
+}
+
+/**
+ * Turns a rule set name into a safe file name.
+ *
+ * @param {string} name - The rule set name.
+ * @returns {string} File name without extension.
+ */
+function toFileName(name) {
+    return name.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'rules';
+}
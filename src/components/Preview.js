@@ -3,59 +3,94 @@
  * Renders document content in the preview panel with match highlights.
  */
 
-import { findMatches } from '../core/replacer.js';
-
 /**
- * Renders raw text content into the preview panel, highlighting matches.
+ * Renders preview HTML (built by core/highlighter.js) into the preview panel.
+ * An empty string shows the empty state.
  *
- * @param {string} text - The document's plain text content.
- * @param {string} pattern - The search pattern to highlight.
- * @param {object} options - Replace options (isCaseSensitive, isWholeWord, isRegex).
- * @returns {number} The number of matches found.
+ * @param {string} html - The preview HTML, with matches already highlighted.
  */
-export function renderTextPreview(text, pattern, options = {}) {
-    const previewEl = document.getElementById('preview-content');
-
-    if (!text) {
+export function renderPreview(html) {
+    if (!html) {
         renderEmptyState();
-        return 0;
+        return;
     }
 
-    if (!pattern || !pattern.trim()) {
-        previewEl.innerHTML = escapeHtml(text).replace(/\n/g, '<br>');
-        return 0;
-    }
-
-    const { count, positions } = findMatches(text, pattern, options);
-    previewEl.innerHTML = buildHighlightedHtml(text, positions);
-    return count;
+    document.getElementById('preview-content').innerHTML = html;
 }
 
+/** Headings shown above non-body document parts in the review view. */
+const PART_LABELS = {
+    header: 'Header',
+    footer: 'Footer',
+    footnotes: 'Footnotes',
+    endnotes: 'Endnotes',
+    comments: 'Comments',
+    notes: 'Speaker notes',
+    layout: 'Slide layout',
+    master: 'Slide master',
+    properties: 'Document properties',
+    links: 'Link targets',
+};
+
 /**
- * Renders HTML content (for .docx preview) with text-level match highlights.
+ * Renders the review view: every block with the pair's matches marked by
+ * decision, and the current match emphasized and scrolled into view.
  *
- * @param {string} html - The HTML string from Mammoth.
- * @param {string} pattern - The search pattern.
- * @param {object} options - Replace options.
- * @returns {number} The number of matches found in the text content.
+ * @param {Array<{ key: string, kind?: string, path?: string, text: string }>} blocks - Document blocks.
+ * @param {Array<{ id: string, blockKey: string, start: number, end: number, replacement: string }>} matches - Matches under review.
+ * @param {Map<string, 'accepted'|'skipped'>} decisions - Decisions by match id.
+ * @param {string|null} currentId - Id of the match to emphasize.
  */
-export function renderHtmlPreview(html, pattern, options = {}) {
+export function renderReviewPreview(blocks, matches, decisions, currentId) {
     const previewEl = document.getElementById('preview-content');
+    const matchesByBlock = new Map();
 
-    if (!html) {
-        renderEmptyState();
-        return 0;
+    for (const match of matches) {
+        if (!matchesByBlock.has(match.blockKey)) {
+            matchesByBlock.set(match.blockKey, []);
+        }
+        matchesByBlock.get(match.blockKey).push(match);
     }
 
-    if (!pattern || !pattern.trim()) {
-        previewEl.innerHTML = html;
-        return 0;
+    let html = '';
+    let lastPart = null;
+
+    for (const block of blocks) {
+        const part = `${block.path}#${block.kind}`;
+        if (part !== lastPart && block.kind && block.kind !== 'body') {
+            html += `<h4 class="review-part">${PART_LABELS[block.kind] || escapeHtml(block.path)}</h4>`;
+        }
+        lastPart = part;
+
+        const blockMatches = matchesByBlock.get(block.key) || [];
+        let blockHtml = '';
+        let lastIndex = 0;
+
+        for (const match of blockMatches) {
+            const classes = ['match-highlight', 'review-match'];
+            const decision = decisions.get(match.id);
+            if (decision) {
+                classes.push(`is-${decision}`);
+            }
+            if (match.id === currentId) {
+                classes.push('match-current');
+            }
+
+            blockHtml += escapeHtml(block.text.slice(lastIndex, match.start)).replace(/\n/g, '<br>');
+            blockHtml += `<mark class="${classes.join(' ')}" data-match-id="${escapeHtml(match.id)}" title="→ ${escapeHtml(match.replacement)}">${escapeHtml(block.text.slice(match.start, match.end))}</mark>`;
+            lastIndex = match.end;
+        }
+
+        blockHtml += escapeHtml(block.text.slice(lastIndex)).replace(/\n/g, '<br>');
+        html += `<p class="review-block">${blockHtml || '&nbsp;'}</p>`;
     }
 
-    // Apply highlighting to the text nodes within the HTML
-    const highlighted = highlightInHtml(html, pattern, options);
-    previewEl.innerHTML = highlighted.html;
-    return highlighted.count;
+    previewEl.innerHTML = html;
+
+    const currentEl = currentId ? previewEl.querySelector(`[data-match-id="${CSS.escape(currentId)}"]`) : null;
+    if (currentEl) {
+        currentEl.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
 }
 
 /**
@@ -71,96 +106,6 @@ export function renderEmptyState() {
   `;
 }
 
-/**
- * Builds an HTML string with <mark> tags around matched positions.
- *
- * @param {string} text - The original text.
- * @param {Array<{ start: number, end: number }>} positions - Match positions.
- * @returns {string} HTML string with highlights.
- */
-function buildHighlightedHtml(text, positions) {
-    if (positions.length === 0) {
-        return escapeHtml(text).replace(/\n/g, '<br>');
-    }
-
-    let result = '';
-    let lastIndex = 0;
-
-    for (const pos of positions) {
-        // Text before match
-        result += escapeHtml(text.slice(lastIndex, pos.start)).replace(/\n/g, '<br>');
-        // Highlighted match
-        result += `<mark class="match-highlight">${escapeHtml(text.slice(pos.start, pos.end))}</mark>`;
-        lastIndex = pos.end;
-    }
-
-    // Remaining text after last match
-    result += escapeHtml(text.slice(lastIndex)).replace(/\n/g, '<br>');
-    return result;
-}
-
-/**
- * Highlights matches within an HTML string by operating on text content only.
- * Uses a temporary DOM element to parse HTML and process text nodes.
- *
- * @param {string} html - The source HTML.
- * @param {string} pattern - The search pattern.
- * @param {object} options - Replace options.
- * @returns {{ html: string, count: number }} Highlighted HTML and match count.
- */
-function highlightInHtml(html, pattern, options) {
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
-
-    let totalCount = 0;
-    const walker = document.createTreeWalker(tempDiv, NodeFilter.SHOW_TEXT);
-    const textNodes = [];
-
-    while (walker.nextNode()) {
-        textNodes.push(walker.currentNode);
-    }
-
-    for (const node of textNodes) {
-        const { count, positions } = findMatches(node.textContent, pattern, options);
-        if (count > 0) {
-            totalCount += count;
-            const fragment = createHighlightFragment(node.textContent, positions);
-            node.parentNode.replaceChild(fragment, node);
-        }
-    }
-
-    return { html: tempDiv.innerHTML, count: totalCount };
-}
-
-/**
- * Creates a DocumentFragment with highlighted spans for the given positions.
- *
- * @param {string} text - The original text node content.
- * @param {Array<{ start: number, end: number }>} positions - Match positions.
- * @returns {DocumentFragment} Fragment with highlighted marks.
- */
-function createHighlightFragment(text, positions) {
-    const fragment = document.createDocumentFragment();
-    let lastIndex = 0;
-
-    for (const pos of positions) {
-        if (pos.start > lastIndex) {
-            fragment.appendChild(document.createTextNode(text.slice(lastIndex, pos.start)));
-        }
-        const mark = document.createElement('mark');
-        mark.className = 'match-highlight';
-        mark.textContent = text.slice(pos.start, pos.end);
-        fragment.appendChild(mark);
-        lastIndex = pos.end;
-    }
-
-    if (lastIndex < text.length) {
-        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
-    }
-
-    return fragment;
-}
-
 /**
  * Escapes HTML special characters to prevent XSS in preview.
  *
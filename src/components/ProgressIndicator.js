@@ -0,0 +1,30 @@
+/**
+ * @module ProgressIndicator
+ * Shows the stage and progress of long-running document operations.
+ */
+
+/**
+ * Shows the progress bar with a stage label.
+ *
+ * @param {string} label - What is happening, e.g. 'Generating preview'.
+ * @param {number|null} [value] - Fraction done (0–1), or null when unknown.
+ */
+export function showProgress(label, value = null) {
+    const bar = document.getElementById('progress-bar');
+
+    document.getElementById('progress-label').textContent = label;
+    if (typeof value === 'number') {
+        bar.value = Math.round(value * 100);
+    } else {
+        bar.removeAttribute('value');
+    }
+
+    document.getElementById('progress-indicator').hidden = false;
+}
+
+/**
+ * Hides the progress bar.
+ */
+export function hideProgress() {
+    document.getElementById('progress-indicator').hidden = true;
+}
@@ -0,0 +1,83 @@
+/**
+ * @module RedactionPanel
+ * Lists the personal data detectors with a masking style each, and turns
+ * the chosen ones into redaction pairs that run after the user's pairs.
+ */
+
+import { DETECTORS, MASK_STYLES, DEFAULT_REDACTION_TOKEN, createRedactionPairs } from '../core/redaction.js';
+import { PAIR_COLOR_COUNT } from '../core/highlighter.js';
+
+/**
+ * Initializes the redaction panel: one row per detector with a toggle and
+ * a mask choice, plus the text of the fixed-token mask.
+ *
+ * @param {object} callbacks
+ * @param {function(): void} callbacks.onChange - Called when a detector, mask or the token changes.
+ */
+export function initRedactionPanel({ onChange }) {
+    const container = document.getElementById('redaction-detectors');
+    const tokenInput = document.getElementById('redaction-token');
+
+    container.innerHTML = DETECTORS.map((detector) => `
+      <div class="redaction-detector" data-detector="${detector.id}">
+        <label class="toggle-label">
+          <input type="checkbox" class="redaction-toggle" />
+          <span>${detector.label}</span>
+        </label>
+        <span class="pair-swatch" hidden></span>
+        <span class="pair-match-count" hidden></span>
+        <select class="redaction-mask" aria-label="Mask for ${detector.label}">
+          ${MASK_STYLES.map((style) => `<option value="${style.id}">${style.label}</option>`).join('')}
+        </select>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.redaction-toggle, .redaction-mask').forEach((input) => {
+        input.addEventListener('change', onChange);
+    });
+
+    tokenInput.placeholder = DEFAULT_REDACTION_TOKEN;
+    tokenInput.addEventListener('input', onChange);
+}
+
+/**
+ * Returns the pairs of the chosen detectors, in the order they are applied.
+ *
+ * @returns {Array<{ find: string, replace: string, options: object }>} The redaction pairs (see createRedactionPairs).
+ */
+export function getRedactionPairs() {
+    const selections = [...document.querySelectorAll('.redaction-detector')]
+        .filter((row) => row.querySelector('.redaction-toggle').checked)
+        .map((row) => ({ detector: row.dataset.detector, mask: row.querySelector('.redaction-mask').value }));
+
+    return createRedactionPairs(selections, document.getElementById('redaction-token').value || DEFAULT_REDACTION_TOKEN);
+}
+
+/**
+ * Shows the match count of each chosen detector, with the highlight color
+ * of its pair. Counts are given in getRedactionPairs() order.
+ *
+ * @param {number[]} counts - Matches per redaction pair.
+ * @param {number} [firstPairIndex] - Index of the first redaction pair among all searched pairs.
+ */
+export function setRedactionMatchCounts(counts, firstPairIndex = 0) {
+    let index = 0;
+
+    document.querySelectorAll('.redaction-detector').forEach((row) => {
+        const swatchEl = row.querySelector('.pair-swatch');
+        const countEl = row.querySelector('.pair-match-count');
+        const isSearched = row.querySelector('.redaction-toggle').checked && index < counts.length;
+
+        swatchEl.hidden = !isSearched;
+        countEl.hidden = !isSearched;
+
+        if (!isSearched) {
+            return;
+        }
+
+        const count = counts[index];
+        swatchEl.className = `pair-swatch match-pair-${(firstPairIndex + index) % PAIR_COLOR_COUNT}`;
+        countEl.textContent = `${count} match${count !== 1 ? 'es' : ''}`;
+        index++;
+    });
+}
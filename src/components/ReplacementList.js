@@ -3,8 +3,21 @@
  * Manages multiple find/replace input pairs.
  */
 
+import { PAIR_COLOR_COUNT } from '../core/highlighter.js';
+
 let pairCount = 0;
 
+/** Per-pair match options, in display order. */
+const PAIR_OPTIONS = [
+    { key: 'isCaseSensitive', label: 'Aa', title: 'Case sensitive' },
+    { key: 'isWholeWord', label: 'ab|', title: 'Whole word only' },
+    { key: 'isRegex', label: '.*', title: 'Regex mode' },
+    { key: 'isPreserveCase', label: 'Aa→', title: 'Preserve case' },
+];
+
+/** @type {function(): object} - Returns the global option defaults */
+let getDefaultOptions = () => ({});
+
 /**
  * Creates the HTML for a single replacement pair.
  *
@@ -15,11 +28,22 @@ function createPairHtml(index) {
     return `
     <div class="replacement-pair" data-pair-index="${index}">
       <div class="pair-header">
-        <span>Pair #${index + 1}</span>
+        <span class="pair-title">
+          <span class="pair-swatch" hidden></span>
+          Pair #${index + 1}
+          <span class="pair-match-count" hidden></span>
+        </span>
         ${index > 0 ? `<button type="button" class="btn-icon remove-pair-btn" data-pair-index="${index}" aria-label="Remove pair"><i class="icon-x"></i></button>` : ''}
       </div>
       <input type="text" class="find-input" data-pair-index="${index}" placeholder="Find..." aria-label="Find text" />
       <input type="text" class="replace-input" data-pair-index="${index}" placeholder="Replace with..." aria-label="Replace with text" />
+      <div class="pair-options">
+        ${PAIR_OPTIONS.map((opt) => `
+        <label class="pair-option" title="${opt.title}">
+          <input type="checkbox" class="pair-option-input" data-option="${opt.key}" />
+          <span>${opt.label}</span>
+        </label>`).join('')}
+      </div>
     </div>
   `;
 }
@@ -29,8 +53,11 @@ function createPairHtml(index) {
  *
  * @param {object} callbacks
  * @param {function(): void} callbacks.onInputChange - Called when any find/replace input changes.
+ * @param {function(): object} callbacks.getDefaultOptions - Returns the global options used as pair defaults.
  */
-export function initReplacementList({ onInputChange }) {
+export function initReplacementList({ onInputChange, getDefaultOptions: getDefaults }) {
+    getDefaultOptions = getDefaults;
+
     const container = document.getElementById('replacement-list');
     const addBtn = document.getElementById('add-pair-btn');
 
@@ -47,6 +74,7 @@ export function initReplacementList({ onInputChange }) {
  *
  * @param {HTMLElement} container - The replacement list container.
  * @param {function(): void} onInputChange - Input change callback.
+ * @returns {HTMLElement} The new pair element.
  */
 function addPair(container, onInputChange) {
     const index = pairCount++;
@@ -56,10 +84,20 @@ function addPair(container, onInputChange) {
     container.appendChild(pairEl);
 
     // Listen for input changes
-    pairEl.querySelectorAll('input').forEach((input) => {
+    pairEl.querySelectorAll('input[type="text"]').forEach((input) => {
         input.addEventListener('input', onInputChange);
     });
 
+    // Option toggles start from the global defaults until the user changes them
+    const defaults = getDefaultOptions();
+    pairEl.querySelectorAll('.pair-option-input').forEach((input) => {
+        input.checked = Boolean(defaults[input.dataset.option]);
+        input.addEventListener('change', () => {
+            input.dataset.overridden = 'true';
+            onInputChange();
+        });
+    });
+
     // Listen for remove
     const removeBtn = pairEl.querySelector('.remove-pair-btn');
     if (removeBtn) {
@@ -68,12 +106,15 @@ function addPair(container, onInputChange) {
             onInputChange();
         });
     }
+
+    return pairEl;
 }
 
 /**
  * Reads all find/replace pairs currently in the DOM.
  *
- * @returns {Array<{ find: string, replace: string }>} List of pairs with non-empty find values.
+ * @returns {Array<{ find: string, replace: string, options: { isCaseSensitive: boolean, isWholeWord: boolean, isRegex: boolean, isPreserveCase: boolean } }>}
+ *   List of pairs with non-empty find values.
  */
 export function getPairs() {
     const pairs = [];
@@ -84,13 +125,72 @@ export function getPairs() {
         const replaceVal = el.querySelector('.replace-input').value;
 
         if (findVal.trim()) {
-            pairs.push({ find: findVal, replace: replaceVal });
+            pairs.push({ find: findVal, replace: replaceVal, options: readPairOptions(el) });
         }
     });
 
     return pairs;
 }
 
+/**
+ * Shows the match count of each pair next to its title, with the pair's
+ * highlight color. Counts are given in getPairs() order; pairs without a
+ * find value show nothing.
+ *
+ * @param {number[]} counts - Matches per pair.
+ * @param {number[]} [overlaps] - Matches per pair that overlap another pair's match.
+ */
+export function setPairMatchCounts(counts, overlaps = []) {
+    let pairIndex = 0;
+
+    document.querySelectorAll('.replacement-pair').forEach((el) => {
+        const swatchEl = el.querySelector('.pair-swatch');
+        const countEl = el.querySelector('.pair-match-count');
+        const isSearched = el.querySelector('.find-input').value.trim() && pairIndex < counts.length;
+
+        swatchEl.hidden = !isSearched;
+        countEl.hidden = !isSearched;
+
+        if (!isSearched) {
+            return;
+        }
+
+        const count = counts[pairIndex];
+        const overlapCount = overlaps[pairIndex] || 0;
+        swatchEl.className = `pair-swatch match-pair-${pairIndex % PAIR_COLOR_COUNT}`;
+        countEl.textContent = `${count} match${count !== 1 ? 'es' : ''}`;
+        countEl.title = overlapCount > 0 ? `${overlapCount} overlap with other pairs` : '';
+        countEl.classList.toggle('has-overlap', overlapCount > 0);
+        pairIndex++;
+    });
+}
+
+/**
+ * Reads the option toggles of a single pair element.
+ *
+ * @param {HTMLElement} pairEl - The .replacement-pair element.
+ * @returns {{ isCaseSensitive: boolean, isWholeWord: boolean, isRegex: boolean, isPreserveCase: boolean }}
+ */
+function readPairOptions(pairEl) {
+    const options = {};
+    pairEl.querySelectorAll('.pair-option-input').forEach((input) => {
+        options[input.dataset.option] = input.checked;
+    });
+    return options;
+}
+
+/**
+ * Applies changed global defaults to every pair toggle the user has not
+ * set explicitly.
+ *
+ * @param {object} defaults - The global options.
+ */
+export function syncPairDefaults(defaults) {
+    document.querySelectorAll('.pair-option-input:not([data-overridden])').forEach((input) => {
+        input.checked = Boolean(defaults[input.dataset.option]);
+    });
+}
+
 /**
  * Resets the replacement list to a single empty pair.
  *
@@ -102,3 +202,33 @@ export function resetReplacementList(onInputChange) {
     pairCount = 0;
     addPair(container, onInputChange);
 }
+
+/**
+ * Replaces the list with the given pairs (e.g. from a saved rule set).
+ * Options set on a pair are kept as explicit overrides; the rest follow the
+ * global defaults.
+ *
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Pairs to show.
+ * @param {function(): void} onInputChange - Input change callback.
+ */
+export function setPairs(pairs, onInputChange) {
+    const container = document.getElementById('replacement-list');
+    container.innerHTML = '';
+    pairCount = 0;
+
+    for (const pair of pairs.length > 0 ? pairs : [{ find: '', replace: '' }]) {
+        const pairEl = addPair(container, onInputChange);
+        pairEl.querySelector('.find-input').value = pair.find;
+        pairEl.querySelector('.replace-input').value = pair.replace;
+
+        pairEl.querySelectorAll('.pair-option-input').forEach((input) => {
+            const value = pair.options ? pair.options[input.dataset.option] : undefined;
+            if (typeof value === 'boolean') {
+                input.checked = value;
+                input.dataset.overridden = 'true';
+            }
+        });
+    }
+
+    onInputChange();
+}
@@ -0,0 +1,230 @@
+/**
+ * @module ReviewPanel
+ * Step-by-step review of matches: Find Next, Replace, Skip and Replace Remaining.
+ * Pairs are reviewed one at a time; when a pair is done, its accepted matches
+ * are applied before the next pair is searched.
+ */
+
+import { renderReviewPreview } from './Preview.js';
+
+/**
+ * @typedef {object} ReviewCallbacks
+ * @property {function(object): Promise<{ blocks: Array<{ key: string, text: string }>, matches: Array<object> }>} getMatches -
+ *   Returns the current document blocks and the matches of a pair in them (see findReviewMatches).
+ * @property {function(object, string[]): Promise<number>} applyPair -
+ *   Applies a pair to the accepted matches (given by id) only; resolves to the number of replacements.
+ * @property {function(number): void} onFinish - Called with the total number of replacements when the review ends.
+ */
+
+/** @type {object|null} - Active review session */
+let session = null;
+
+/**
+ * Initializes the review controls.
+ */
+export function initReviewPanel() {
+    document.getElementById('review-next').addEventListener('click', () => moveToNext(false));
+    document.getElementById('review-replace').addEventListener('click', () => decide('accepted'));
+    document.getElementById('review-skip').addEventListener('click', () => decide('skipped'));
+    document.getElementById('review-replace-remaining').addEventListener('click', replaceRemaining);
+    document.getElementById('review-finish').addEventListener('click', finishReview);
+}
+
+/**
+ * Returns whether a review is in progress.
+ *
+ * @returns {boolean} True while reviewing.
+ */
+export function isReviewActive() {
+    return session !== null;
+}
+
+/**
+ * Starts reviewing the given pairs.
+ *
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Pairs to review, in order.
+ * @param {ReviewCallbacks} callbacks - Document access callbacks.
+ */
+export async function startReview(pairs, callbacks) {
+    session = {
+        pairs,
+        callbacks,
+        pairIndex: -1,
+        blocks: [],
+        matches: [],
+        decisions: new Map(),
+        currentIndex: 0,
+        totalCount: 0,
+        isBusy: false,
+    };
+
+    document.getElementById('review-bar').hidden = false;
+    document.getElementById('actions-row').hidden = true;
+
+    await loadNextPair();
+}
+
+/**
+ * Advances to the next pair that has matches, or ends the review.
+ */
+async function loadNextPair() {
+    while (session.pairIndex < session.pairs.length - 1) {
+        session.pairIndex++;
+        const { blocks, matches } = await session.callbacks.getMatches(session.pairs[session.pairIndex]);
+        session.blocks = blocks;
+        session.matches = matches;
+        session.decisions = new Map();
+        session.currentIndex = 0;
+
+        if (session.matches.length > 0) {
+            render();
+            return;
+        }
+    }
+
+    endReview();
+}
+
+/**
+ * Records a decision for the current match and moves on.
+ *
+ * @param {'accepted'|'skipped'} decision - The decision.
+ */
+async function decide(decision) {
+    if (!session || session.isBusy) {
+        return;
+    }
+
+    session.decisions.set(session.matches[session.currentIndex].id, decision);
+    await moveToNext(true);
+}
+
+/**
+ * Moves to the next match. With `undecidedOnly`, decided matches are passed
+ * over and the pair is completed once every match has a decision.
+ *
+ * @param {boolean} undecidedOnly - Only stop at matches without a decision.
+ */
+async function moveToNext(undecidedOnly) {
+    if (!session || session.isBusy) {
+        return;
+    }
+
+    const count = session.matches.length;
+
+    for (let step = 1; step <= count; step++) {
+        const index = (session.currentIndex + step) % count;
+        if (!undecidedOnly || !session.decisions.has(session.matches[index].id)) {
+            session.currentIndex = index;
+            render();
+            return;
+        }
+    }
+
+    if (undecidedOnly) {
+        await completePair();
+    }
+}
+
+/**
+ * Accepts every match of the current pair that has no decision yet.
+ */
+async function replaceRemaining() {
+    if (!session || session.isBusy) {
+        return;
+    }
+
+    for (const match of session.matches) {
+        if (!session.decisions.has(match.id)) {
+            session.decisions.set(match.id, 'accepted');
+        }
+    }
+
+    await completePair();
+}
+
+/**
+ * Applies the accepted matches of the current pair and continues with the next.
+ */
+async function completePair() {
+    session.isBusy = true;
+    setButtonsDisabled(true);
+
+    const acceptedIds = [...session.decisions].filter(([, decision]) => decision === 'accepted').map(([id]) => id);
+
+    if (acceptedIds.length > 0) {
+        const pair = session.pairs[session.pairIndex];
+        session.totalCount += await session.callbacks.applyPair(pair, acceptedIds);
+    }
+
+    session.isBusy = false;
+    setButtonsDisabled(false);
+    await loadNextPair();
+}
+
+/**
+ * Ends the review, applying the decisions made so far for the current pair.
+ * Matches without a decision are left unchanged.
+ */
+async function finishReview() {
+    if (!session || session.isBusy) {
+        return;
+    }
+
+    session.pairIndex = session.pairs.length - 1;
+    await completePair();
+}
+
+/**
+ * Hides the review controls and reports the result.
+ */
+function endReview() {
+    const { callbacks, totalCount } = session;
+    cancelReview();
+    callbacks.onFinish(totalCount);
+}
+
+/**
+ * Abandons the review without applying pending decisions (e.g. when the
+ * file is removed). Pairs completed earlier stay applied.
+ */
+export function cancelReview() {
+    session = null;
+    document.getElementById('review-bar').hidden = true;
+    document.getElementById('actions-row').hidden = false;
+}
+
+/**
+ * Renders the preview and the status line for the current match.
+ */
+function render() {
+    const match = session.matches[session.currentIndex];
+    const pair = session.pairs[session.pairIndex];
+    const decidedCount = session.decisions.size;
+
+    renderReviewPreview(session.blocks, session.matches, session.decisions, match.id);
+
+    document.getElementById('review-status').textContent =
+        `Pair ${session.pairIndex + 1} of ${session.pairs.length} · ` +
+        `match ${session.currentIndex + 1} of ${session.matches.length} · ${decidedCount} decided`;
+
+    const currentEl = document.getElementById('review-current');
+    currentEl.textContent = '';
+    const fromEl = document.createElement('del');
+    fromEl.textContent = match.match;
+    const toEl = document.createElement('ins');
+    toEl.textContent = match.replacement;
+    currentEl.append(fromEl, ' → ', toEl);
+    currentEl.title = `Find: ${pair.find}`;
+}
+
+/**
+ * Enables or disables the review buttons while decisions are applied.
+ *
+ * @param {boolean} isDisabled - Whether the buttons should be disabled.
+ */
+function setButtonsDisabled(isDisabled) {
+    document.querySelectorAll('#review-bar button').forEach((button) => {
+        button.disabled = isDisabled;
+    });
+}
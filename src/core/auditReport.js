@@ -0,0 +1,328 @@
+/**
+ * @module auditReport
+ * Audit reports of a replacement run: every replacement with its pair,
+ * original and new text, location and context, the totals per pair, and the
+ * SHA-256 hashes of the document before and after. Reports are exported as
+ * JSON, CSV or a standalone HTML page.
+ * No DOM access.
+ */
+
+import { buildRegex, collectReplacements, spliceSegments, keepWithinRanges } from './replacer.js';
+
+/** Characters of surrounding text kept on each side of a match. */
+const CONTEXT_LENGTH = 40;
+
+/** MIME types of the report formats, which are also their file extensions. */
+const REPORT_TYPES = {
+    json: 'application/json',
+    csv: 'text/csv',
+    html: 'text/html',
+};
+
+/**
+ * @typedef {object} AuditBlock
+ * @property {string} key - The block key.
+ * @property {string} kind - The block kind ('body', 'header', 'attribute', …).
+ * @property {string} [path] - The document part, sheet, or element or key path the block belongs to.
+ * @property {string} text - The block text.
+ * @property {string} [label] - Location of the block, e.g. 'Paragraph 3' or 'Cell B2'.
+ * @property {number} [firstLine] - Line the block starts on, for text files; locations are then given as lines.
+ * @property {Array<{ start: number, end: number }>|null} [ranges] - Parts of the text that can match; absent for all of it.
+ */
+
+/**
+ * @typedef {object} AuditEntry
+ * @property {number} pair - Number of the pair (1-based).
+ * @property {string} part - The document part, sheet, or element or key path.
+ * @property {string} kind - The block kind.
+ * @property {string} location - Paragraph, cell or line of the match.
+ * @property {string} original - The matched text.
+ * @property {string} replacement - The new text.
+ * @property {string} contextBefore - Text just before the match.
+ * @property {string} contextAfter - Text just after the match.
+ */
+
+/**
+ * @typedef {object} AuditReport
+ * @property {string} fileName - Name of the document.
+ * @property {string} fileType - Type of the document.
+ * @property {'replace'|'dry-run'} mode - Whether the replacements were applied or only found.
+ * @property {string} createdAt - When the report was made (ISO 8601).
+ * @property {Array<{ number: number, find: string, replace: string, options: object, count: number }>} pairs - Pairs and their totals.
+ * @property {number} total - Total replacements.
+ * @property {{ original: string|null, before: string|null, after: string|null }} hashes - SHA-256 of the uploaded
+ *   file and of the document before and after the run; after is null for a dry run.
+ * @property {AuditEntry[]} entries - The replacements, pair by pair in document order.
+ */
+
+/**
+ * Lists the replacements the pairs make in the blocks. Pairs are applied in
+ * order, each to the text the previous ones left, the way Replace All does,
+ * so every entry shows the text and location its pair found.
+ * isBodyOnly (per pair or in the defaults) limits a pair to body blocks, and
+ * a block with ranges only matches within them.
+ *
+ * @param {AuditBlock[]} blocks - Document blocks.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} defaults - Options used where a pair sets none.
+ * @returns {AuditEntry[]} The replacements.
+ */
+export function collectAuditEntries(blocks, pairs, defaults) {
+    const texts = blocks.map((block) => block.text);
+    const ranges = blocks.map((block) => block.ranges || null);
+    const entries = [];
+
+    pairs.forEach((pair, pairIndex) => {
+        const options = { ...defaults, ...pair.options };
+        const regex = buildRegex(pair.find, options);
+        if (!regex) {
+            return;
+        }
+
+        blocks.forEach((block, blockIndex) => {
+            if (options.isBodyOnly && block.kind !== 'body') {
+                return;
+            }
+
+            const text = texts[blockIndex];
+            const replacements = keepWithinRanges(collectReplacements(text, regex, pair.replace, options), ranges[blockIndex]);
+            for (const { start, end, match, replacement } of replacements) {
+                entries.push({
+                    pair: pairIndex + 1,
+                    part: block.path || '',
+                    kind: block.kind,
+                    location: block.firstLine !== undefined
+                        ? `Line ${block.firstLine + countLineBreaks(text.slice(0, start))}`
+                        : block.label || '',
+                    original: match,
+                    replacement,
+                    contextBefore: toContext(text.slice(Math.max(0, start - CONTEXT_LENGTH), start)),
+                    contextAfter: toContext(text.slice(end, end + CONTEXT_LENGTH)),
+                });
+            }
+
+            if (replacements.length > 0) {
+                texts[blockIndex] = spliceSegments([text], replacements)[0];
+                ranges[blockIndex] = ranges[blockIndex] && shiftRanges(ranges[blockIndex], replacements);
+            }
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Builds a report from the entries of a run.
+ *
+ * @param {object} run
+ * @param {string} run.fileName - Name of the document.
+ * @param {string} run.fileType - Type of the document.
+ * @param {'replace'|'dry-run'} run.mode - Whether the replacements were applied.
+ * @param {Array<{ find: string, replace: string, options?: object }>} run.pairs - Replacement pairs.
+ * @param {object} run.defaults - Options used where a pair sets none.
+ * @param {AuditEntry[]} run.entries - The replacements (see collectAuditEntries).
+ * @param {{ original: string|null, before: string|null, after: string|null }} run.hashes - Document hashes.
+ * @returns {AuditReport} The report.
+ */
+export function createAuditReport({ fileName, fileType, mode, pairs, defaults, entries, hashes }) {
+    return {
+        fileName,
+        fileType,
+        mode,
+        createdAt: new Date().toISOString(),
+        pairs: pairs.map((pair, i) => ({
+            number: i + 1,
+            find: pair.find,
+            replace: pair.replace,
+            options: { ...defaults, ...pair.options },
+            count: entries.filter((entry) => entry.pair === i + 1).length,
+        })),
+        total: entries.length,
+        hashes,
+        entries,
+    };
+}
+
+/**
+ * Computes the SHA-256 hash of a file.
+ *
+ * @param {Blob} blob - The file content.
+ * @returns {Promise<string>} The hash as lowercase hex.
+ */
+export async function hashFile(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Exports a report as a downloadable Blob.
+ *
+ * @param {AuditReport} report - The report.
+ * @param {'json'|'csv'|'html'} format - The report format.
+ * @returns {Blob} The report file.
+ */
+export function exportAuditReport(report, format) {
+    const type = REPORT_TYPES[format] || REPORT_TYPES.json;
+    const content = format === 'csv' ? toCsv(report) : format === 'html' ? toHtml(report) : JSON.stringify(report, null, 2);
+    return new Blob([content], { type: `${type};charset=utf-8` });
+}
+
+/**
+ * Writes a report as CSV: a summary, the totals per pair and the
+ * replacements, each a table of its own separated by an empty line.
+ *
+ * @param {AuditReport} report - The report.
+ * @returns {string} The CSV text.
+ */
+function toCsv(report) {
+    const tables = [
+        [
+            ['Field', 'Value'],
+            ...getSummaryRows(report),
+        ],
+        [
+            ['Pair', 'Find', 'Replace', 'Replacements'],
+            ...report.pairs.map((pair) => [pair.number, pair.find, pair.replace, pair.count]),
+        ],
+        [
+            ['Pair', 'Part', 'Kind', 'Location', 'Original', 'New', 'Context before', 'Context after'],
+            ...report.entries.map((entry) => [
+                entry.pair, entry.part, entry.kind, entry.location,
+                entry.original, entry.replacement, entry.contextBefore, entry.contextAfter,
+            ]),
+        ],
+    ];
+
+    return tables
+        .map((rows) => rows.map((row) => row.map(toCsvField).join(',')).join('\r\n'))
+        .join('\r\n\r\n') + '\r\n';
+}
+
+/**
+ * Quotes a CSV field when it holds a comma, quote or line break.
+ *
+ * @param {string|number} value - The field value.
+ * @returns {string} The CSV field.
+ */
+function toCsvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes a report as a standalone HTML page.
+ *
+ * @param {AuditReport} report - The report.
+ * @returns {string} The HTML document.
+ */
+function toHtml(report) {
+    const row = (cells, tag = 'td') => `<tr>${cells.map((cell) => `<${tag}>${cell}</${tag}>`).join('')}</tr>`;
+
+    const summary = getSummaryRows(report)
+        .map(([field, value]) => row([escapeHtml(field), `<code>${escapeHtml(value)}</code>`]))
+        .join('');
+    const pairs = report.pairs
+        .map((pair) => row([pair.number, `<code>${escapeHtml(pair.find)}</code>`, `<code>${escapeHtml(pair.replace)}</code>`, pair.count]))
+        .join('');
+    const entries = report.entries
+        .map((entry) => row([
+            entry.pair,
+            escapeHtml([entry.part, entry.kind !== 'body' ? entry.kind : ''].filter(Boolean).join(' · ')),
+            escapeHtml(entry.location),
+            `${escapeHtml(entry.contextBefore)}<del>${escapeHtml(entry.original)}</del>`
+                + `<ins>${escapeHtml(entry.replacement)}</ins>${escapeHtml(entry.contextAfter)}`,
+        ]))
+        .join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Replacement report: ${escapeHtml(report.fileName)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+th, td { border: 1px solid #d1d5db; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f3f4f6; }
+del { background: #fee2e2; }
+ins { background: #dcfce7; text-decoration: none; }
+</style>
+</head>
+<body>
+<h1>Replacement report</h1>
+<table>${summary}</table>
+<h2>Pairs</h2>
+<table>${row(['Pair', 'Find', 'Replace', 'Replacements'], 'th')}${pairs}</table>
+<h2>Replacements</h2>
+<table>${row(['Pair', 'Part', 'Location', 'Change'], 'th')}${entries}</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Lists the summary fields of a report.
+ *
+ * @param {AuditReport} report - The report.
+ * @returns {Array<[string, string]>} Field names and values.
+ */
+function getSummaryRows(report) {
+    return [
+        ['File', report.fileName],
+        ['Type', report.fileType],
+        ['Mode', report.mode === 'dry-run' ? 'Dry run (nothing applied)' : 'Replace All'],
+        ['Created', report.createdAt],
+        ['Replacements', String(report.total)],
+        ['SHA-256 of uploaded file', report.hashes.original || ''],
+        ['SHA-256 before', report.hashes.before || ''],
+        ['SHA-256 after', report.hashes.after || ''],
+    ];
+}
+
+/**
+ * Moves ranges of a text to where they are after replacements within them.
+ * A replacement takes the place of its match, so it stays in the range.
+ *
+ * @param {Array<{ start: number, end: number }>} ranges - Ranges of the text.
+ * @param {Array<{ start: number, end: number, replacement: string }>} replacements - Replacements, in order.
+ * @returns {Array<{ start: number, end: number }>} The ranges in the new text.
+ */
+function shiftRanges(ranges, replacements) {
+    // Text inserted right at a range's start (an empty match) falls inside it
+    const shift = (position, isEnd) => replacements
+        .filter((item) => item.end < position || (item.end === position && (isEnd || item.end > item.start)))
+        .reduce((total, item) => total + item.replacement.length - (item.end - item.start), position);
+
+    return ranges.map((range) => ({ start: shift(range.start, false), end: shift(range.end, true) }));
+}
+
+/**
+ * Counts the line breaks in a text.
+ *
+ * @param {string} text - The text.
+ * @returns {number} Number of line breaks (CRLF counts once).
+ */
+function countLineBreaks(text) {
+    return (text.match(/\r\n|\r|\n/g) || []).length;
+}
+
+/**
+ * Collapses the whitespace of surrounding text so it fits on one line.
+ *
+ * @param {string} text - The text.
+ * @returns {string} The context.
+ */
+function toContext(text) {
+    return text.replace(/\s+/g, ' ');
+}
+
+/**
+ * Escapes HTML special characters.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
@@ -0,0 +1,179 @@
+/**
+ * @module batchProcessor
+ * Runs one rule set over many documents.
+ * Expands uploaded files and .zip archives into entries, processes each entry
+ * independently, and bundles the results into a single ZIP.
+ */
+
+import JSZip from 'jszip';
+import { loadTxt, exportTxt } from './txtProcessor.js';
+import { applyPairs, findMatches } from './replacer.js';
+import { countPairsInStructuredText, applyPairsToStructuredText } from './structuredText.js';
+import { withLineScope } from './scope.js';
+import { getPackageFormat, getTextFormat } from './formats.js';
+import { getFileType, isSupported, isArchive } from '../utils/fileHelpers.js';
+
+/**
+ * @typedef {object} BatchEntry
+ * @property {string} path - Path inside the output ZIP, including folders.
+ * @property {File} file - The file content.
+ * @property {boolean} isSupported - Whether the entry will be processed or passed through unchanged.
+ */
+
+/**
+ * @typedef {object} BatchResult
+ * @property {string} path - Path inside the output ZIP.
+ * @property {'done'|'skipped'|'error'} status - Processing outcome.
+ * @property {number} matches - Total matches found before replacing.
+ * @property {number} replacements - Total replacements made.
+ * @property {string|null} error - Error message for failed entries.
+ * @property {Blob|null} blob - The processed (or unchanged) file content.
+ */
+
+/**
+ * Expands the uploaded files into batch entries.
+ * Plain files keep their relative path (if the browser provides one);
+ * .zip archives are unpacked with their folder structure intact.
+ *
+ * @param {File[]} files - The uploaded files.
+ * @returns {Promise<BatchEntry[]>} Entries sorted by path.
+ */
+export async function expandBatchInput(files) {
+    const entries = [];
+
+    for (const file of files) {
+        if (isArchive(file)) {
+            entries.push(...await expandZip(file));
+        } else {
+            const path = file.webkitRelativePath || file.name;
+            entries.push({ path, file, isSupported: isSupported(file) });
+        }
+    }
+
+    return entries.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Unpacks a .zip archive into batch entries, skipping folder records.
+ *
+ * @param {File} zipFile - The uploaded archive.
+ * @returns {Promise<BatchEntry[]>} One entry per file in the archive.
+ */
+async function expandZip(zipFile) {
+    const zip = await JSZip.loadAsync(await zipFile.arrayBuffer());
+    const entries = [];
+
+    for (const zipEntry of Object.values(zip.files)) {
+        if (zipEntry.dir) {
+            continue;
+        }
+
+        const name = zipEntry.name.split('/').pop();
+        const file = new File([await zipEntry.async('blob')], name);
+        entries.push({ path: zipEntry.name, file, isSupported: isSupported(file) });
+    }
+
+    return entries;
+}
+
+/**
+ * Applies the replacement pairs to a single batch entry.
+ * Never throws: failures are reported in the result so the batch can continue.
+ *
+ * @param {BatchEntry} entry - The entry to process.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own.
+ * @returns {Promise<BatchResult>} The processing result.
+ */
+export async function processBatchEntry(entry, pairs, defaults = {}) {
+    const result = { path: entry.path, status: 'skipped', matches: 0, replacements: 0, error: null, blob: entry.file };
+    // Each file numbers the pseudonyms of its redacted values from 1
+    const options = { ...defaults, pseudonyms: new Map() };
+
+    if (!entry.isSupported) {
+        return result;
+    }
+
+    try {
+        const format = getPackageFormat(getFileType(entry.file));
+        const textFormat = getTextFormat(getFileType(entry.file));
+
+        if (format) {
+            const zip = await format.load(entry.file);
+            const matchCounts = await format.countPairs(zip, pairs, defaults);
+            const { counts } = await format.applyPairs(zip, pairs, options);
+            result.matches = sum(matchCounts);
+            result.replacements = sum(counts);
+            result.blob = await format.exportPackage(zip);
+        } else if (textFormat) {
+            const { text, format: fileFormat } = await loadTxt(entry.file);
+            const matchCounts = countPairsInStructuredText(text, textFormat, pairs, defaults);
+            const { text: replaced, counts } = applyPairsToStructuredText(text, textFormat, pairs, options);
+            result.matches = sum(matchCounts);
+            result.replacements = sum(counts);
+            result.blob = exportTxt(replaced, fileFormat);
+        } else {
+            const { text, format: fileFormat } = await loadTxt(entry.file);
+            const matchCounts = pairs.map((pair) => findMatches(text, pair.find, withLineScope({ ...defaults, ...pair.options })).count);
+            const { text: replaced, counts } = applyPairs(text, pairs, withLineScope(options));
+            result.matches = sum(matchCounts);
+            result.replacements = sum(counts);
+            result.blob = exportTxt(replaced, fileFormat);
+        }
+        result.status = 'done';
+    } catch (error) {
+        result.status = 'error';
+        result.error = error.message || 'Processing failed.';
+        result.blob = entry.file;
+    }
+
+    return result;
+}
+
+/**
+ * Processes every entry in turn, reporting progress after each one.
+ *
+ * @param {BatchEntry[]} entries - The entries to process.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own.
+ * @param {function(BatchResult, number): void} [onProgress] - Called with each result and its index.
+ * @returns {Promise<BatchResult[]>} One result per entry.
+ */
+export async function processBatch(entries, pairs, defaults = {}, onProgress = () => {}) {
+    const results = [];
+
+    for (let i = 0; i < entries.length; i++) {
+        const result = await processBatchEntry(entries[i], pairs, defaults);
+        results.push(result);
+        onProgress(result, i);
+    }
+
+    return results;
+}
+
+/**
+ * Bundles batch results into one ZIP, keeping the original paths and names.
+ * Unsupported and failed entries are included unchanged.
+ *
+ * @param {BatchResult[]} results - The batch results.
+ * @returns {Promise<Blob>} The ZIP Blob.
+ */
+export async function exportBatchZip(results) {
+    const zip = new JSZip();
+
+    for (const result of results) {
+        zip.file(result.path, result.blob);
+    }
+
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+}
+
+/**
+ * Sums a list of numbers.
+ *
+ * @param {number[]} values - The numbers to add.
+ * @returns {number} The total.
+ */
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
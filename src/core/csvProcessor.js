@@ -0,0 +1,176 @@
+/**
+ * @module csvProcessor
+ * Structure-aware processing of .csv files: each cell is matched on its own,
+ * optionally only in chosen columns, and quoting is kept valid.
+ * Pure functions — no DOM, no side effects.
+ */
+
+import { createTextBlock } from './structuredText.js';
+import { detectDelimiter } from './tableParser.js';
+
+/**
+ * @typedef {object} CsvCell
+ * @property {number} start - Offset of the raw cell (including quotes) in the source.
+ * @property {number} end - Offset just past the raw cell.
+ * @property {string} text - The unquoted cell value.
+ * @property {boolean} isQuoted - Whether the cell was quoted in the source.
+ */
+
+/**
+ * Splits a CSV file into one block per non-empty cell in scope. The header
+ * row, when there is one, names the columns and is never replaced.
+ *
+ * @param {string} source - The CSV source.
+ * @param {object} [options]
+ * @param {string[]} [options.csvColumns] - Column names or 1-based numbers to match in; empty for all.
+ * @param {boolean} [options.isCsvHeader=true] - Whether the first row is a header.
+ * @returns {import('./structuredText.js').TextBlock[]} The blocks.
+ */
+export function getCsvBlocks(source, { csvColumns = [], isCsvHeader = true } = {}) {
+    const delimiter = detectDelimiter(source);
+    const rows = parseCsv(source, delimiter);
+    const header = isCsvHeader && rows.length > 0 ? rows[0].map((cell) => cell.text.trim()) : [];
+    const columns = resolveColumns(header, csvColumns);
+    const blocks = [];
+
+    rows.forEach((row, rowIndex) => {
+        if (isCsvHeader && rowIndex === 0) {
+            return;
+        }
+        row.forEach((cell, column) => {
+            if ((columns && !columns.has(column)) || !cell.text.trim()) {
+                return;
+            }
+            const segment = { start: cell.start, end: cell.end, text: cell.text, isQuoted: cell.isQuoted, delimiter };
+            blocks.push(createTextBlock(`csv#${rowIndex}:${column}`, 'body', [segment], header[column] || `Column ${column + 1}`));
+        });
+    });
+
+    return blocks;
+}
+
+/**
+ * Encodes a new cell value, quoting it when it was quoted before or when
+ * it now contains the delimiter, a quote or a line break.
+ *
+ * @param {string} text - The new value.
+ * @param {{ isQuoted: boolean, delimiter: string }} segment - The cell being replaced.
+ * @returns {string} CSV source for the cell.
+ */
+export function encodeCsvText(text, segment) {
+    const needsQuotes = text.includes(segment.delimiter) || /["\r\n]/.test(text);
+    if (!segment.isQuoted && !needsQuotes) {
+        return text;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Renders a CSV file as a table. The header row and cells outside the
+ * chosen columns are shown but excluded from highlighting.
+ *
+ * @param {string} source - The CSV source.
+ * @param {object} [options] - See getCsvBlocks.
+ * @returns {string} Preview HTML.
+ */
+export function renderCsvPreview(source, { csvColumns = [], isCsvHeader = true } = {}) {
+    const rows = parseCsv(source, detectDelimiter(source));
+    const header = isCsvHeader && rows.length > 0 ? rows[0].map((cell) => cell.text.trim()) : [];
+    const columns = resolveColumns(header, csvColumns);
+
+    const html = rows.map((row, rowIndex) => {
+        const isHeader = isCsvHeader && rowIndex === 0;
+        const cells = row.map((cell, column) => {
+            const tag = isHeader ? 'th' : 'td';
+            const skip = isHeader || (columns && !columns.has(column)) ? ' data-no-match' : '';
+            return `<${tag}${skip}>${escapeHtml(cell.text)}</${tag}>`;
+        });
+        return `<tr>${cells.join('')}</tr>`;
+    });
+
+    return `<table class="preview-table">${html.join('')}</table>`;
+}
+
+/**
+ * Parses CSV as described in RFC 4180, keeping the source range of each cell.
+ *
+ * @param {string} source - The CSV source.
+ * @param {string} delimiter - The cell delimiter.
+ * @returns {CsvCell[][]} The rows.
+ */
+function parseCsv(source, delimiter) {
+    const rows = [];
+    let row = [];
+    let i = source.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    while (i <= source.length) {
+        const start = i;
+        let text = '';
+        let isQuoted = false;
+
+        if (source[i] === '"') {
+            isQuoted = true;
+            i++;
+            while (i < source.length && !(source[i] === '"' && source[i + 1] !== '"')) {
+                text += source[i];
+                i += source[i] === '"' ? 2 : 1;
+            }
+            i++;
+        }
+        while (i < source.length && source[i] !== delimiter && source[i] !== '\n' && source[i] !== '\r') {
+            text += source[i];
+            i++;
+        }
+
+        row.push({ start, end: Math.min(i, source.length), text, isQuoted });
+
+        if (source[i] === delimiter) {
+            i++;
+            continue;
+        }
+
+        rows.push(row);
+        row = [];
+        i += source[i] === '\r' && source[i + 1] === '\n' ? 2 : 1;
+        if (i >= source.length) {
+            break;
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Resolves the chosen columns to indices.
+ *
+ * @param {string[]} header - Header cell values, or an empty array.
+ * @param {string[]} csvColumns - Column names (case-insensitive) or 1-based numbers.
+ * @returns {Set<number>|null} Column indices, or null for all columns.
+ */
+function resolveColumns(header, csvColumns) {
+    if (csvColumns.length === 0) {
+        return null;
+    }
+
+    const names = header.map((name) => name.toLowerCase());
+    const columns = new Set();
+    for (const column of csvColumns) {
+        if (/^\d+$/.test(column)) {
+            columns.add(Number(column) - 1);
+        } else if (names.includes(column.toLowerCase())) {
+            columns.add(names.indexOf(column.toLowerCase()));
+        }
+    }
+    return columns;
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in preview.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
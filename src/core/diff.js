@@ -0,0 +1,271 @@
+/**
+ * @module diff
+ * Paragraph- and word-level comparison of a document before and after replacement.
+ * Pure functions — no DOM, no side effects.
+ */
+
+/** Above this many cells, the LCS table is skipped and blocks are paired by position. */
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * @typedef {object} DiffSegment
+ * @property {'equal'|'delete'|'insert'} type - Segment kind.
+ * @property {string} text - Segment text.
+ */
+
+/**
+ * @typedef {object} DiffRow
+ * @property {'equal'|'changed'|'added'|'removed'} type - Row kind.
+ * @property {string} group - Group label (e.g. the .docx part path), or '' for plain text.
+ * @property {string|null} before - Text before replacement.
+ * @property {string|null} after - Text after replacement.
+ * @property {DiffSegment[]} segments - Word-level segments (deletions and insertions interleaved).
+ */
+
+/**
+ * Compares two documents given as blocks (paragraphs or lines).
+ * Blocks are compared within their group, so .docx parts never mix.
+ *
+ * @param {Array<{ group?: string, text: string }>} beforeBlocks - Blocks of the original document.
+ * @param {Array<{ group?: string, text: string }>} afterBlocks - Blocks of the modified document.
+ * @returns {DiffRow[]} One row per aligned block pair.
+ */
+export function diffBlocks(beforeBlocks, afterBlocks) {
+    const groups = [];
+    const byGroup = new Map();
+
+    const add = (block, side) => {
+        const group = block.group || '';
+        if (!byGroup.has(group)) {
+            byGroup.set(group, { before: [], after: [] });
+            groups.push(group);
+        }
+        byGroup.get(group)[side].push(block.text);
+    };
+
+    beforeBlocks.forEach((block) => add(block, 'before'));
+    afterBlocks.forEach((block) => add(block, 'after'));
+
+    return groups.flatMap((group) => {
+        const { before, after } = byGroup.get(group);
+        return alignTexts(before, after).map(([beforeText, afterText]) => createRow(group, beforeText, afterText));
+    });
+}
+
+/**
+ * Splits plain text into line blocks for diffing.
+ *
+ * @param {string} text - The document text.
+ * @returns {Array<{ group: string, text: string }>} One block per line.
+ */
+export function textToBlocks(text) {
+    return text.split(/\r?\n/).map((line) => ({ group: '', text: line }));
+}
+
+/**
+ * Computes a word-level diff between two strings.
+ *
+ * @param {string} before - The original text.
+ * @param {string} after - The modified text.
+ * @returns {DiffSegment[]} Segments covering both texts.
+ */
+export function diffWords(before, after) {
+    const a = tokenize(before);
+    const b = tokenize(after);
+    const ops = diffSequences(a, b);
+
+    if (!ops) {
+        return mergeSegments([
+            { type: 'delete', text: before },
+            { type: 'insert', text: after },
+        ]);
+    }
+
+    return mergeSegments(ops.map(([type, i, j]) => ({ type, text: type === 'insert' ? b[j] : a[i] })));
+}
+
+/**
+ * Builds a diff row for an aligned pair of blocks.
+ *
+ * @param {string} group - Group label.
+ * @param {string|null} before - Original text, or null if the block was added.
+ * @param {string|null} after - Modified text, or null if the block was removed.
+ * @returns {DiffRow} The row.
+ */
+function createRow(group, before, after) {
+    if (before === null) {
+        return { type: 'added', group, before, after, segments: [{ type: 'insert', text: after }] };
+    }
+    if (after === null) {
+        return { type: 'removed', group, before, after, segments: [{ type: 'delete', text: before }] };
+    }
+    if (before === after) {
+        return { type: 'equal', group, before, after, segments: [{ type: 'equal', text: before }] };
+    }
+    return { type: 'changed', group, before, after, segments: diffWords(before, after) };
+}
+
+/**
+ * Aligns two lists of block texts. An LCS alignment pairs unchanged blocks
+ * and matches the changed ones up in order. Lists too large to compare are
+ * paired by position, which is exact for .docx where replacements never add
+ * or remove paragraphs.
+ *
+ * @param {string[]} before - Original blocks.
+ * @param {string[]} after - Modified blocks.
+ * @returns {Array<[string|null, string|null]>} Aligned pairs.
+ */
+function alignTexts(before, after) {
+    const ops = diffSequences(before, after);
+    if (!ops) {
+        const length = Math.max(before.length, after.length);
+        return Array.from({ length }, (_, i) => [before[i] ?? null, after[i] ?? null]);
+    }
+
+    // Pair up deletions and insertions that sit between the same equal blocks
+    const pairs = [];
+    let deleted = [];
+    let inserted = [];
+
+    const flush = () => {
+        const length = Math.max(deleted.length, inserted.length);
+        for (let i = 0; i < length; i++) {
+            pairs.push([deleted[i] ?? null, inserted[i] ?? null]);
+        }
+        deleted = [];
+        inserted = [];
+    };
+
+    for (const [type, i, j] of ops) {
+        if (type === 'equal') {
+            flush();
+            pairs.push([before[i], after[j]]);
+        } else if (type === 'delete') {
+            deleted.push(before[i]);
+        } else {
+            inserted.push(after[j]);
+        }
+    }
+
+    flush();
+    return pairs;
+}
+
+/**
+ * Computes an edit script between two sequences with a longest common
+ * subsequence table. Common prefixes and suffixes are trimmed first.
+ *
+ * @param {string[]} a - Original sequence.
+ * @param {string[]} b - Modified sequence.
+ * @returns {Array<['equal'|'delete'|'insert', number, number]>|null} Operations with indexes
+ *   into a and b, or null if the sequences are too large to compare.
+ */
+function diffSequences(a, b) {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix
+        && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const n = a.length - prefix - suffix;
+    const m = b.length - prefix - suffix;
+
+    if ((n + 1) * (m + 1) > MAX_LCS_CELLS) {
+        return null;
+    }
+
+    // lengths[i][j] = LCS length of a[prefix+i..] and b[prefix+j..]
+    const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i][j] = a[prefix + i] === b[prefix + j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    for (let k = 0; k < prefix; k++) {
+        ops.push(['equal', k, k]);
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && a[prefix + i] === b[prefix + j]) {
+            ops.push(['equal', prefix + i, prefix + j]);
+            i++;
+            j++;
+        } else if (j < m && (i === n || lengths[i][j + 1] >= lengths[i + 1][j])) {
+            ops.push(['insert', prefix + i, prefix + j]);
+            j++;
+        } else {
+            ops.push(['delete', prefix + i, prefix + j]);
+            i++;
+        }
+    }
+
+    for (let k = 0; k < suffix; k++) {
+        ops.push(['equal', a.length - suffix + k, b.length - suffix + k]);
+    }
+
+    return ops;
+}
+
+/**
+ * Splits text into words, whitespace runs and single punctuation marks.
+ *
+ * @param {string} text - The text to split.
+ * @returns {string[]} Tokens that join back to the original text.
+ */
+function tokenize(text) {
+    return text.match(/[\p{L}\p{N}_]+|\s+|[^\p{L}\p{N}_\s]/gu) || [];
+}
+
+/**
+ * Joins adjacent segments of the same type, dropping empty ones.
+ * Within a change, all deletions are placed before the insertions.
+ *
+ * @param {DiffSegment[]} segments - Raw segments.
+ * @returns {DiffSegment[]} Merged segments.
+ */
+function mergeSegments(segments) {
+    const merged = [];
+    let pendingDelete = '';
+    let pendingInsert = '';
+
+    const flush = () => {
+        if (pendingDelete) {
+            merged.push({ type: 'delete', text: pendingDelete });
+        }
+        if (pendingInsert) {
+            merged.push({ type: 'insert', text: pendingInsert });
+        }
+        pendingDelete = '';
+        pendingInsert = '';
+    };
+
+    for (const segment of segments) {
+        if (segment.type === 'delete') {
+            pendingDelete += segment.text;
+        } else if (segment.type === 'insert') {
+            pendingInsert += segment.text;
+        } else if (segment.text) {
+            flush();
+            const last = merged[merged.length - 1];
+            if (last && last.type === 'equal') {
+                last.text += segment.text;
+            } else {
+                merged.push({ type: 'equal', text: segment.text });
+            }
+        }
+    }
+
+    flush();
+    return merged;
+}
@@ -0,0 +1,699 @@
+/**
+ * @module documentSession
+ * The open document and everything derived from it: the working copy, the
+ * preview HTML, the text used for matching and the undo history.
+ * A session lives inside the document worker, so parsing, searching and
+ * rewriting a large file never blocks the page. No DOM access.
+ */
+
+import { loadTxt, exportTxt } from './txtProcessor.js';
+import { applyPairs, findMatches, keepWithinRanges } from './replacer.js';
+import { highlightText, highlightHtml } from './highlighter.js';
+import { TEXT_BLOCK_KEY, createMatchId, findReviewMatches, applyReviewedPairToText } from './review.js';
+import { diffBlocks, textToBlocks } from './diff.js';
+import { createDelta, applyDelta, captureParts, diffParts, applyPartDeltas, describePairs } from './history.js';
+import { applyPairsToStructuredText, applyReviewedPairToStructuredText } from './structuredText.js';
+import { getPackageFormat, getTextFormat } from './formats.js';
+import { collectAuditEntries, createAuditReport, exportAuditReport, hashFile } from './auditReport.js';
+import { withLineScope } from './scope.js';
+import { unescapeXml } from './xmlUtils.js';
+import { getFileType } from '../utils/fileHelpers.js';
+
+/** Match count placeholder of a preview section: start tag, paths of its parts, end tag. */
+const SECTION_COUNT_PATTERN = /(<span class="preview-count" data-count-paths="([^"]*)">)(<\/span>)/g;
+
+/**
+ * @typedef {object} DocumentSession
+ * @property {string|null} fileType - Type of the open document: a package type such as 'docx', 'txt', or a structured text type such as 'md'.
+ * @property {string} fileName - Name of the open document.
+ * @property {string|null} originalHash - SHA-256 of the file as uploaded.
+ * @property {string} originalText - Original text content (for text files).
+ * @property {import('./textEncoding.js').TextFileFormat|null} textFormat - Encoding, byte order mark and line endings of a text file.
+ * @property {string|null} detectedEncoding - Encoding that detection found for a text file.
+ * @property {string} currentText - Current working text (for text files, or the body paragraphs of a package).
+ * @property {Array<{ key: string, path: string, kind: string, text: string, isOutOfScope?: boolean }>} blocks - Paragraphs of every text part of a package,
+ *   or the blocks of a structured text file, as matched and replaced; paragraphs the scope options leave out are marked isOutOfScope,
+ *   and with a find format a paragraph's ranges list the text that can match.
+ * @property {string|null} blocksSource - Text and format options the blocks of a structured text file were built for.
+ * @property {object} packageOptions - Format options the blocks and preview of a package were built for (see PackageFormat.optionKeys).
+ * @property {JSZip|null} originalZip - Original ZIP (for .docx and .odt).
+ * @property {JSZip|null} currentZip - Current working ZIP (for .docx and .odt).
+ * @property {string} previewHtml - HTML preview (for packages and structured text files).
+ * @property {Array<import('./history.js').HistoryEntry>} history - Applied steps, oldest first.
+ * @property {number} historyPosition - Number of history entries currently applied.
+ * @property {{ text: string, parts: Map<string, string>|null }|null} pendingSnapshot - State before an open review.
+ * @property {string|null} diffSource - Document text the cached diff was computed for.
+ * @property {Array<import('./diff.js').DiffRow>} diffRows - Cached diff rows.
+ * @property {import('./auditReport.js').AuditReport|null} auditReport - Report of the last Replace All or dry run.
+ * @property {Map<string, string>} pseudonyms - Pseudonyms given to redacted values, so each keeps its own across runs.
+ */
+
+/**
+ * @typedef {object} HistorySummary
+ * @property {Array<{ label: string, count: number }>} entries - Steps, oldest first.
+ * @property {number} position - Number of steps currently applied.
+ */
+
+/**
+ * Creates an empty session.
+ *
+ * @returns {DocumentSession} The session.
+ */
+export function createSession() {
+    return {
+        fileType: null,
+        fileName: '',
+        originalHash: null,
+        originalText: '',
+        textFormat: null,
+        detectedEncoding: null,
+        currentText: '',
+        blocks: [],
+        blocksSource: null,
+        packageOptions: {},
+        originalZip: null,
+        currentZip: null,
+        previewHtml: '',
+        history: [],
+        historyPosition: 0,
+        pendingSnapshot: null,
+        diffSource: null,
+        diffRows: [],
+        auditReport: null,
+        pseudonyms: new Map(),
+    };
+}
+
+/**
+ * Loads a file into the session, replacing any open document.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {File} file - A package, .txt or structured text file.
+ * @param {object} [options]
+ * @param {string|null} [options.encoding] - Encoding of a text file, overriding detection.
+ * @param {function(string, number): void} [onProgress] - Called with a stage label and a fraction done.
+ * @returns {Promise<{ fileType: string, parts: Array<{ group: string, kind: string }>, textFile: object|null }>}
+ *   The document type, the diff group and kind of its non-body parts, and for text files
+ *   their format (see TextFileFormat) plus the detected encoding.
+ */
+export async function openDocument(session, file, { encoding = null } = {}, onProgress = () => {}) {
+    Object.assign(session, createSession());
+    const fileType = getFileType(file);
+    const format = getPackageFormat(fileType);
+    session.fileType = format || getTextFormat(fileType) ? fileType : 'txt';
+    session.fileName = file.name;
+    session.originalHash = await hashFile(file);
+
+    onProgress('Reading file', 0);
+
+    if (!format) {
+        const { text, format: textFormat, detectedEncoding } = await loadTxt(file, encoding);
+        session.originalText = text;
+        session.currentText = text;
+        session.textFormat = textFormat;
+        session.detectedEncoding = detectedEncoding;
+        if (getTextFormat(fileType)) {
+            // Parse once so a malformed file is reported on opening
+            refreshTextFormat(session, {});
+        }
+    } else {
+        session.originalZip = await format.load(file);
+        // Load a second copy as the working document
+        session.currentZip = await format.load(file);
+        onProgress('Generating preview', 0.5);
+        await refreshPackage(session);
+        session.originalText = session.currentText;
+    }
+
+    const parts = new Map();
+    for (const block of session.blocks) {
+        if (block.kind !== 'body') {
+            parts.set(getDiffGroup(block), block.kind);
+        }
+    }
+
+    return {
+        fileType: session.fileType,
+        parts: [...parts].map(([group, kind]) => ({ group, kind })),
+        textFile: session.textFormat ? { ...session.textFormat, detectedEncoding: session.detectedEncoding } : null,
+    };
+}
+
+/**
+ * Closes the open document.
+ *
+ * @param {DocumentSession} session - The session.
+ */
+export function closeDocument(session) {
+    Object.assign(session, createSession());
+}
+
+/**
+ * Builds the preview with the matches of every pair highlighted.
+ * For packages and structured text files, counts come from the block model
+ * that replacement uses, so they include headers, footers, notes, comments
+ * and chosen attributes and agree with the number of replacements Replace
+ * All makes.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {Array<{ find: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} defaults - Options used where a pair sets none.
+ * @returns {Promise<import('./highlighter.js').HighlightResult>} Preview HTML and match counts per pair.
+ */
+export async function searchDocument(session, pairs, defaults) {
+    if (session.fileType === 'txt') {
+        return highlightText(session.currentText, pairs, withLineScope(defaults));
+    }
+
+    if (getTextFormat(session.fileType)) {
+        refreshTextFormat(session, defaults);
+        const result = highlightHtml(session.previewHtml, pairs, defaults);
+        result.counts = pairs.map((pair) => countBlockMatches(session.blocks, pair.find, { ...defaults, ...pair.options, isBodyOnly: false }));
+        return result;
+    }
+
+    await usePackageOptions(session, defaults);
+    if (!session.previewHtml) {
+        return { html: '', counts: pairs.map(() => 0), overlaps: pairs.map(() => 0) };
+    }
+
+    const result = highlightHtml(session.previewHtml, pairs, defaults);
+    result.counts = pairs.map((pair) => countBlockMatches(session.blocks, pair.find, { ...defaults, ...pair.options }));
+    result.html = fillSectionCounts(result.html, session.blocks, pairs, defaults);
+    return result;
+}
+
+/**
+ * Applies all pairs to the document and records the change as one history step.
+ * The replacements are listed in an audit report (see exportReport).
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} defaults - Options used where a pair sets none.
+ * @param {function(string, number): void} [onProgress] - Called with a stage label and a fraction done.
+ * @returns {Promise<{ count: number, history: HistorySummary }>} Total replacements and the new history.
+ */
+export async function replaceInDocument(session, pairs, defaults, onProgress = () => {}) {
+    const snapshot = await captureSnapshot(session);
+    const options = getReplaceOptions(session, defaults);
+    const entries = collectAuditEntries(await getAuditBlocks(session, defaults), getAuditPairs(session, pairs), options);
+    const before = await hashDocument(session);
+    let counts;
+
+    if (session.fileType === 'txt') {
+        const result = applyPairs(session.currentText, pairs, options);
+        session.currentText = result.text;
+        counts = result.counts;
+    } else if (getTextFormat(session.fileType)) {
+        const result = applyPairsToStructuredText(session.currentText, getTextFormat(session.fileType), pairs, options);
+        session.currentText = result.text;
+        counts = result.counts;
+    } else {
+        const format = getPackageFormat(session.fileType);
+        session.packageOptions = pickPackageOptions(session, defaults);
+        const result = await format.applyPairs(session.currentZip, pairs, options, (done, total) => {
+            onProgress('Replacing', (done / total) * 0.8);
+        });
+        counts = result.counts;
+        onProgress('Updating preview', 0.8);
+        await refreshPackage(session);
+    }
+
+    const count = counts.reduce((total, value) => total + value, 0);
+    await recordHistory(session, snapshot, describePairs('Replace All', pairs), count);
+    session.auditReport = createAuditReport({
+        fileName: session.fileName,
+        fileType: session.fileType,
+        mode: 'replace',
+        pairs,
+        defaults,
+        entries,
+        hashes: { original: session.originalHash, before, after: await hashDocument(session) },
+    });
+    return { count, history: getHistorySummary(session) };
+}
+
+/**
+ * Lists the replacements all pairs would make in an audit report, without
+ * changing the document.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} defaults - Options used where a pair sets none.
+ * @returns {Promise<{ count: number }>} Total replacements that Replace All would make.
+ */
+export async function dryRunDocument(session, pairs, defaults) {
+    const entries = collectAuditEntries(await getAuditBlocks(session, defaults), getAuditPairs(session, pairs), getReplaceOptions(session, defaults));
+    session.auditReport = createAuditReport({
+        fileName: session.fileName,
+        fileType: session.fileType,
+        mode: 'dry-run',
+        pairs,
+        defaults,
+        entries,
+        hashes: { original: session.originalHash, before: await hashDocument(session), after: null },
+    });
+    return { count: entries.length };
+}
+
+/**
+ * Exports the audit report of the last Replace All or dry run.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {'json'|'csv'|'html'} format - The report format.
+ * @returns {Blob} The report file.
+ */
+export function exportReport(session, format) {
+    if (!session.auditReport) {
+        throw new Error('There is no report yet. Run Replace All or a dry run first.');
+    }
+    return exportAuditReport(session.auditReport, format);
+}
+
+/**
+ * Returns the blocks (paragraphs, structured text blocks or whole text) of the current document.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {object} options - Global options (isBodyOnly selects the body of a package) and format options.
+ * @returns {Promise<Array<{ key: string, kind: string, text: string }>>} Document blocks, without those out of scope.
+ */
+export async function getDocumentBlocks(session, options) {
+    if (session.fileType === 'txt') {
+        return [{ key: TEXT_BLOCK_KEY, kind: 'body', text: session.currentText }];
+    }
+    if (getTextFormat(session.fileType)) {
+        refreshTextFormat(session, options);
+        return session.blocks.map(({ key, kind, path, text }) => ({ key, kind, path, text }));
+    }
+    await usePackageOptions(session, options);
+    return session.blocks.filter((block) => !block.isOutOfScope && (!options.isBodyOnly || block.kind === 'body'));
+}
+
+/**
+ * Lists the matches of one pair for review, with the blocks they are in.
+ * The replacements are worked out here, where the pseudonyms of redacted
+ * values are kept, so the review shows exactly what applying the pair writes.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {{ find: string, replace: string, options?: object }} pair - The pair to review.
+ * @param {object} defaults - Options used where the pair sets none.
+ * @returns {Promise<{ blocks: Array<{ key: string, kind: string, text: string }>, matches: Array<object> }>}
+ *   The blocks and the matches (see findReviewMatches).
+ */
+export async function findDocumentReviewMatches(session, pair, defaults) {
+    const blocks = await getDocumentBlocks(session, defaults);
+    return { blocks, matches: findReviewMatches(blocks, pair, getReplaceOptions(session, defaults)) };
+}
+
+/**
+ * Remembers the current state so the changes made during a review can be
+ * recorded as a single history step.
+ *
+ * @param {DocumentSession} session - The session.
+ */
+export async function beginChange(session) {
+    session.pendingSnapshot = await captureSnapshot(session);
+}
+
+/**
+ * Applies a reviewed pair to the accepted matches of the current document.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {{ find: string, replace: string, options?: object }} pair - The reviewed pair.
+ * @param {object} defaults - Options used where the pair sets none.
+ * @param {string[]} acceptedIds - Ids of the accepted matches (see createMatchId).
+ * @returns {Promise<number>} Number of replacements made.
+ */
+export async function applyReviewedPair(session, pair, defaults, acceptedIds) {
+    const options = getReplaceOptions(session, defaults);
+    const accepted = new Set(acceptedIds);
+    const isAccepted = (blockKey, start) => accepted.has(createMatchId(blockKey, start));
+
+    if (session.fileType === 'txt') {
+        const result = applyReviewedPairToText(session.currentText, pair, options, isAccepted);
+        session.currentText = result.text;
+        return result.count;
+    }
+
+    if (getTextFormat(session.fileType)) {
+        const result = applyReviewedPairToStructuredText(session.currentText, getTextFormat(session.fileType), pair, options, isAccepted);
+        session.currentText = result.text;
+        return result.count;
+    }
+
+    const format = getPackageFormat(session.fileType);
+    session.packageOptions = pickPackageOptions(session, defaults);
+    const { count } = await format.applyReviewedPair(session.currentZip, pair, options, isAccepted);
+    await refreshPackage(session);
+    return count;
+}
+
+/**
+ * Records the changes made since beginChange as one history step.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {string} label - Description of the step.
+ * @param {number} count - Number of replacements made.
+ * @returns {Promise<HistorySummary>} The new history.
+ */
+export async function commitChange(session, label, count) {
+    if (session.pendingSnapshot) {
+        await recordHistory(session, session.pendingSnapshot, label, count);
+        session.pendingSnapshot = null;
+    }
+    return getHistorySummary(session);
+}
+
+/**
+ * Undoes or redoes steps until `position` steps are applied.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {number} position - Target number of applied steps (0 = original document).
+ * @returns {Promise<HistorySummary>} The new history.
+ */
+export async function moveHistory(session, position) {
+    const target = Math.max(0, Math.min(position, session.history.length));
+
+    while (session.historyPosition > target) {
+        await applyHistoryEntry(session, session.history[session.historyPosition - 1], 'undo');
+        session.historyPosition--;
+    }
+
+    while (session.historyPosition < target) {
+        await applyHistoryEntry(session, session.history[session.historyPosition], 'redo');
+        session.historyPosition++;
+    }
+
+    if (getPackageFormat(session.fileType)) {
+        await refreshPackage(session);
+    }
+
+    return getHistorySummary(session);
+}
+
+/**
+ * Compares the original document with the current one.
+ * Text files are compared line by line, packages paragraph by paragraph
+ * within each part; the main document body is grouped without a label.
+ * The result is cached until the document text changes.
+ *
+ * @param {DocumentSession} session - The session.
+ * @returns {Promise<Array<import('./diff.js').DiffRow>>} Diff rows.
+ */
+export async function diffDocument(session) {
+    const source = [session.currentText, ...session.blocks.map((block) => block.text)].join('\n');
+    if (source === session.diffSource) {
+        return session.diffRows;
+    }
+
+    if (!getPackageFormat(session.fileType)) {
+        session.diffRows = diffBlocks(textToBlocks(session.originalText), textToBlocks(session.currentText));
+    } else {
+        const toDiffBlocks = (blocks) => blocks.map((block) => ({ group: getDiffGroup(block), text: block.text }));
+
+        const before = await getPackageFormat(session.fileType).getBlocks(session.originalZip, session.packageOptions);
+        session.diffRows = diffBlocks(toDiffBlocks(before), toDiffBlocks(session.blocks));
+    }
+
+    session.diffSource = source;
+    return session.diffRows;
+}
+
+/**
+ * Exports the current document. A text file is written in the encoding,
+ * byte order mark and line endings it was read in, except where the
+ * conversion sets others.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {Partial<import('./textEncoding.js').TextFileFormat>} [conversion] - Format changes for a text file.
+ * @returns {Promise<Blob>} The document content.
+ */
+export async function exportDocument(session, conversion = {}) {
+    if (!getPackageFormat(session.fileType)) {
+        return exportTxt(session.currentText, { ...session.textFormat, ...conversion });
+    }
+    return getPackageFormat(session.fileType).exportPackage(session.currentZip);
+}
+
+/**
+ * Returns the labels and counts of the history steps.
+ *
+ * @param {DocumentSession} session - The session.
+ * @returns {HistorySummary} The history.
+ */
+export function getHistorySummary(session) {
+    return {
+        entries: session.history.map(({ label, count }) => ({ label, count })),
+        position: session.historyPosition,
+    };
+}
+
+/**
+ * Regenerates the package preview and the paragraph blocks used for matching.
+ *
+ * @param {DocumentSession} session - The session.
+ */
+async function refreshPackage(session) {
+    const format = getPackageFormat(session.fileType);
+    session.previewHtml = await format.generatePreview(session.currentZip, session.packageOptions);
+
+    session.blocks = await format.getBlocks(session.currentZip, session.packageOptions);
+    session.currentText = session.blocks
+        .filter((block) => block.kind === 'body')
+        .map((block) => block.text)
+        .join('\n');
+}
+
+/**
+ * Rebuilds the blocks and preview of a structured text file when its text
+ * or the format options (which travel with the defaults) have changed.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {object} options - Global and format options.
+ */
+function refreshTextFormat(session, options) {
+    const source = JSON.stringify([session.currentText, options]);
+    if (source === session.blocksSource) {
+        return;
+    }
+
+    const format = getTextFormat(session.fileType);
+    session.blocks = format.getBlocks(session.currentText, options);
+    session.previewHtml = format.generatePreview(session.currentText, options);
+    session.blocksSource = source;
+}
+
+/**
+ * Adds the session's pseudonyms to the options of a replacement, so
+ * redacted values keep their pseudonyms across parts, pairs and runs, and
+ * for a plain text file the lines the scope options select.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {object} defaults - Options used where a pair sets none.
+ * @returns {object} The options with the pseudonyms.
+ */
+function getReplaceOptions(session, defaults) {
+    const options = { ...defaults, pseudonyms: session.pseudonyms };
+    return session.fileType === 'txt' ? withLineScope(options) : options;
+}
+
+/**
+ * Returns the blocks of the current document for an audit report, with the
+ * location of each: paragraph or cell numbers for packages, and the line
+ * each block starts on for text files.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {object} options - Global and format options.
+ * @returns {Promise<Array<import('./auditReport.js').AuditBlock>>} The blocks.
+ */
+async function getAuditBlocks(session, options) {
+    if (session.fileType === 'txt') {
+        return [{ key: TEXT_BLOCK_KEY, kind: 'body', text: session.currentText, firstLine: 1 }];
+    }
+
+    if (getTextFormat(session.fileType)) {
+        refreshTextFormat(session, options);
+        return session.blocks.map(({ key, kind, path, text, segments }) => ({
+            key, kind, path, text,
+            firstLine: session.currentText.slice(0, segments[0]?.start || 0).split(/\r\n|\r|\n/).length,
+        }));
+    }
+
+    await usePackageOptions(session, options);
+    return session.blocks.filter((block) => !block.isOutOfScope).map((block) => {
+        const id = block.key.slice(block.key.lastIndexOf('#') + 1);
+        if (session.fileType === 'xlsx') {
+            return { ...block, label: `Cell ${id}` };
+        }
+        return { ...block, label: `${block.kind === 'links' ? 'Link' : 'Paragraph'} ${Number(id) + 1}` };
+    });
+}
+
+/**
+ * Returns the pairs as an audit report matches them: "Body only" applies to
+ * packages, so it is turned off for text files.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @returns {Array<{ find: string, replace: string, options?: object }>} The pairs to match.
+ */
+function getAuditPairs(session, pairs) {
+    if (getPackageFormat(session.fileType)) {
+        return pairs;
+    }
+    return pairs.map((pair) => ({ ...pair, options: { ...pair.options, isBodyOnly: false } }));
+}
+
+/**
+ * Computes the SHA-256 hash of the current document as it would be
+ * downloaded without conversion.
+ *
+ * @param {DocumentSession} session - The session.
+ * @returns {Promise<string|null>} The hash, or null if a replacement left characters its encoding cannot hold.
+ */
+async function hashDocument(session) {
+    try {
+        return await hashFile(await exportDocument(session));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Picks the format options that shape a package's blocks and preview.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {object} options - Global and format options.
+ * @returns {object} The package options.
+ */
+function pickPackageOptions(session, options) {
+    const keys = getPackageFormat(session.fileType).optionKeys;
+    return Object.fromEntries(keys.filter((key) => key in options).map((key) => [key, options[key]]));
+}
+
+/**
+ * Rebuilds the package preview and blocks if the format options changed.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {object} options - Global and format options.
+ */
+async function usePackageOptions(session, options) {
+    const packageOptions = pickPackageOptions(session, options);
+    if (JSON.stringify(packageOptions) !== JSON.stringify(session.packageOptions)) {
+        session.packageOptions = packageOptions;
+        await refreshPackage(session);
+    }
+}
+
+/**
+ * Returns the diff group of a package block: '' for the body, otherwise the
+ * part path and kind (an .odt keeps notes and comments in content.xml).
+ *
+ * @param {{ path: string, kind: string }} block - The block.
+ * @returns {string} The group.
+ */
+function getDiffGroup(block) {
+    return block.kind === 'body' ? '' : `${block.path}#${block.kind}`;
+}
+
+/**
+ * Counts the matches of a pattern paragraph by paragraph, the way
+ * replacement finds them. isBodyOnly limits the count to the document body;
+ * blocks out of scope are not counted, and blocks with ranges only count
+ * matches within them.
+ *
+ * @param {Array<{ kind: string, text: string, ranges?: Array<{ start: number, end: number }>|null }>} blocks - Paragraph blocks.
+ * @param {string} pattern - The search pattern.
+ * @param {object} options - Replace options.
+ * @returns {number} Number of matches.
+ */
+function countBlockMatches(blocks, pattern, options) {
+    if (!pattern) {
+        return 0;
+    }
+
+    return blocks
+        .filter((block) => !block.isOutOfScope && (!options.isBodyOnly || block.kind === 'body'))
+        .reduce((total, block) => total + keepWithinRanges(findMatches(block.text, pattern, options).positions, block.ranges).length, 0);
+}
+
+/**
+ * Fills the match count placeholders of a package preview (one per slide of
+ * a .pptx) with the matches of every pair in the parts each one lists.
+ *
+ * @param {string} html - The preview HTML.
+ * @param {Array<{ path: string, kind: string, text: string }>} blocks - Paragraph blocks.
+ * @param {Array<{ find: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} defaults - Options used where a pair sets none.
+ * @returns {string} The preview HTML with counts.
+ */
+function fillSectionCounts(html, blocks, pairs, defaults) {
+    if (!pairs.some((pair) => pair.find)) {
+        return html;
+    }
+
+    return html.replace(SECTION_COUNT_PATTERN, (placeholder, open, paths, close) => {
+        const partPaths = unescapeXml(paths).split(' ');
+        const sectionBlocks = blocks.filter((block) => partPaths.includes(block.path));
+        const count = pairs.reduce((total, pair) => total + countBlockMatches(sectionBlocks, pair.find, { ...defaults, ...pair.options }), 0);
+        return `${open}${count} match${count !== 1 ? 'es' : ''}${close}`;
+    });
+}
+
+/**
+ * Captures what is needed to compute a history delta after a change.
+ *
+ * @param {DocumentSession} session - The session.
+ * @returns {Promise<{ text: string, parts: Map<string, string>|null }>} The snapshot.
+ */
+async function captureSnapshot(session) {
+    return {
+        text: session.currentText,
+        parts: getPackageFormat(session.fileType) ? await captureParts(session.currentZip) : null,
+    };
+}
+
+/**
+ * Records the change since `snapshot` as a new history step.
+ * Steps that were undone are discarded; a change that left the document
+ * untouched is not recorded.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {{ text: string, parts: Map<string, string>|null }} snapshot - State before the change.
+ * @param {string} label - Description of the step.
+ * @param {number} count - Number of replacements made.
+ */
+async function recordHistory(session, snapshot, label, count) {
+    const entry = { label, count, textDelta: null, partDeltas: [] };
+
+    if (snapshot.parts) {
+        entry.partDeltas = await diffParts(session.currentZip, snapshot.parts);
+        if (entry.partDeltas.length === 0) {
+            return;
+        }
+    } else {
+        if (snapshot.text === session.currentText) {
+            return;
+        }
+        entry.textDelta = createDelta(snapshot.text, session.currentText);
+    }
+
+    session.history = session.history.slice(0, session.historyPosition);
+    session.history.push(entry);
+    session.historyPosition = session.history.length;
+}
+
+/**
+ * Applies one history entry to the current document.
+ *
+ * @param {DocumentSession} session - The session.
+ * @param {import('./history.js').HistoryEntry} entry - The entry.
+ * @param {'undo'|'redo'} direction - Which way to apply it.
+ */
+async function applyHistoryEntry(session, entry, direction) {
+    if (entry.textDelta) {
+        session.currentText = applyDelta(session.currentText, entry.textDelta, direction);
+    } else {
+        await applyPartDeltas(session.currentZip, entry.partDeltas, direction);
+    }
+}
@@ -0,0 +1,233 @@
+/**
+ * @module docxFormatting
+ * Run formatting of WordprocessingML text: reading the properties of a run
+ * (<w:rPr>), checking them against a find filter, and changing them for
+ * replacement text. Only formatting set on the run itself is read, not
+ * formatting a paragraph or character style passes on.
+ * Pure functions — no DOM, no side effects.
+ */
+
+import { escapeXml, getXmlAttribute } from './xmlUtils.js';
+
+/** The formatting properties a filter or change can name. */
+export const FORMAT_PROPERTIES = ['bold', 'italic', 'underline', 'color', 'highlight', 'style'];
+
+/** The highlight colors Word offers. */
+export const HIGHLIGHT_COLORS = [
+    'yellow', 'green', 'cyan', 'magenta', 'blue', 'red', 'darkBlue', 'darkCyan',
+    'darkGreen', 'darkMagenta', 'darkRed', 'darkYellow', 'darkGray', 'lightGray', 'black',
+];
+
+/** Value that matches or sets the absence of a color, highlight or style. */
+const NONE_VALUE = 'none';
+
+/** Element names of the properties, in the order the schema gives <w:rPr> children. */
+const PROPERTY_ELEMENTS = {
+    style: 'w:rStyle',
+    bold: 'w:b',
+    italic: 'w:i',
+    color: 'w:color',
+    highlight: 'w:highlight',
+    underline: 'w:u',
+};
+
+/**
+ * Order of the <w:rPr> children; Word rejects run properties out of this
+ * order. Elements not listed (such as <w:rPrChange>) keep their place at the end.
+ */
+const RUN_PROPERTY_ORDER = [
+    'w:rStyle', 'w:rFonts', 'w:b', 'w:bCs', 'w:i', 'w:iCs', 'w:caps', 'w:smallCaps', 'w:strike', 'w:dstrike',
+    'w:outline', 'w:shadow', 'w:emboss', 'w:imprint', 'w:noProof', 'w:snapToGrid', 'w:vanish', 'w:webHidden',
+    'w:color', 'w:spacing', 'w:w', 'w:kern', 'w:position', 'w:sz', 'w:szCs', 'w:highlight', 'w:u', 'w:effect',
+    'w:bdr', 'w:shd', 'w:fitText', 'w:vertAlign', 'w:rtl', 'w:cs', 'w:em', 'w:lang', 'w:eastAsianLayout',
+    'w:specVanish', 'w:oMath',
+];
+
+/** Matches one child element of <w:rPr>: its name in group 1 or 2. */
+const PROPERTY_CHILD_PATTERN = /<([\w:]+)\b[^>]*?\/>|<([\w:]+)\b[^>]*>[\s\S]*?<\/\2>/g;
+
+/** Values of an on/off property that turn it off. */
+const OFF_VALUES = ['0', 'false', 'off'];
+
+/**
+ * @typedef {object} RunFormat
+ * @property {boolean} bold - Whether the run is bold.
+ * @property {boolean} italic - Whether the run is italic.
+ * @property {boolean} underline - Whether the run is underlined.
+ * @property {string} color - Text color as uppercase hex, or '' for automatic.
+ * @property {string} highlight - Highlight color name, or ''.
+ * @property {string} style - Character style id, or ''.
+ */
+
+/**
+ * A find filter or a replacement change. Bold, italic and underline take
+ * 'on' or 'off'; color a hex value, highlight a color name and style a
+ * character style id or name, each also 'none'. An empty value leaves the
+ * property out of the filter, or unchanged.
+ *
+ * @typedef {Object<string, string>} FormatSpec
+ */
+
+/**
+ * Tells whether a format spec names any property.
+ *
+ * @param {FormatSpec|undefined} spec - The filter or change.
+ * @returns {boolean} True if some property is set.
+ */
+export function hasFormat(spec) {
+    return Boolean(spec) && FORMAT_PROPERTIES.some((property) => spec[property]);
+}
+
+/**
+ * Reads the formatting of a run from its properties element.
+ *
+ * @param {string} properties - The <w:rPr> element, or '' for none.
+ * @returns {RunFormat} The formatting.
+ */
+export function readRunFormat(properties) {
+    const children = readChildren(properties);
+    const find = (property) => children.find((child) => child.name === PROPERTY_ELEMENTS[property]);
+    const value = (property) => {
+        const child = find(property);
+        return child ? getXmlAttribute(child.xml, 'w:val') || '' : '';
+    };
+    const isOn = (property) => Boolean(find(property)) && !OFF_VALUES.includes(value(property).toLowerCase());
+    const color = value('color').toUpperCase();
+
+    return {
+        bold: isOn('bold'),
+        italic: isOn('italic'),
+        underline: Boolean(find('underline')) && value('underline') !== NONE_VALUE,
+        color: color === 'AUTO' ? '' : color,
+        highlight: value('highlight') === NONE_VALUE ? '' : value('highlight'),
+        style: value('style'),
+    };
+}
+
+/**
+ * Tells whether run formatting passes a find filter.
+ *
+ * @param {RunFormat} format - The run formatting.
+ * @param {FormatSpec} filter - The filter.
+ * @returns {boolean} True if every property the filter sets matches.
+ */
+export function matchesFormat(format, filter) {
+    return FORMAT_PROPERTIES.every((property) => {
+        const wanted = filter[property];
+        if (!wanted) {
+            return true;
+        }
+        if (typeof format[property] === 'boolean') {
+            return format[property] === (wanted === 'on');
+        }
+        if (wanted.toLowerCase() === NONE_VALUE) {
+            return !format[property];
+        }
+        return normalizeValue(property, format[property]) === normalizeValue(property, wanted);
+    });
+}
+
+/**
+ * Changes run properties as a replacement change asks, keeping every other
+ * property and the schema order of the elements.
+ *
+ * @param {string} properties - The <w:rPr> element, or '' for none.
+ * @param {FormatSpec} change - The change.
+ * @returns {string} The new <w:rPr> element, or '' if no properties are left.
+ */
+export function applyRunFormat(properties, change) {
+    let children = readChildren(properties);
+
+    for (const property of FORMAT_PROPERTIES) {
+        const value = change[property];
+        if (!value) {
+            continue;
+        }
+
+        const name = PROPERTY_ELEMENTS[property];
+        children = children.filter((child) => child.name !== name);
+        const xml = toPropertyElement(property, value);
+        if (xml) {
+            children.push({ name, xml });
+        }
+    }
+
+    const rank = (name) => {
+        const index = RUN_PROPERTY_ORDER.indexOf(name);
+        return index === -1 ? RUN_PROPERTY_ORDER.length : index;
+    };
+    children.sort((a, b) => rank(a.name) - rank(b.name));
+
+    if (children.length === 0) {
+        return '';
+    }
+    const attrs = (properties.match(/^\s*<w:rPr\b([^>]*?)\/?>/) || [])[1] || '';
+    return `<w:rPr${attrs}>${children.map((child) => child.xml).join('')}</w:rPr>`;
+}
+
+/**
+ * Lists the child elements of a run properties element.
+ *
+ * @param {string} properties - The <w:rPr> element, or ''.
+ * @returns {Array<{ name: string, xml: string }>} The children in order.
+ */
+function readChildren(properties) {
+    const inner = (properties.match(/^\s*<w:rPr\b[^>]*>([\s\S]*)<\/w:rPr>/) || [])[1] || '';
+    return [...inner.matchAll(PROPERTY_CHILD_PATTERN)].map((match) => ({ name: match[1] || match[2], xml: match[0] }));
+}
+
+/**
+ * Writes the element that sets a property, or nothing to remove it.
+ *
+ * @param {string} property - The property (see FORMAT_PROPERTIES).
+ * @param {string} value - Its new value.
+ * @returns {string} The element XML, or '' to leave the property out.
+ */
+function toPropertyElement(property, value) {
+    const name = PROPERTY_ELEMENTS[property];
+
+    if (property === 'bold' || property === 'italic') {
+        // An explicit off also overrides what a style passes on
+        return value === 'on' ? `<${name}/>` : `<${name} w:val="0"/>`;
+    }
+    if (property === 'underline') {
+        return `<${name} w:val="${value === 'on' ? 'single' : NONE_VALUE}"/>`;
+    }
+    if (value.toLowerCase() === NONE_VALUE) {
+        return '';
+    }
+    return `<${name} w:val="${escapeXml(normalizeValue(property, value, true))}"/>`;
+}
+
+/**
+ * Brings a color, highlight or style value to the form it is compared or
+ * written in: hex colors without '#' in uppercase, style names without spaces.
+ *
+ * @param {string} property - The property.
+ * @param {string} value - The value.
+ * @param {boolean} [isForWriting=false] - Keep the letter case of highlight and style values.
+ * @returns {string} The normalized value.
+ */
+function normalizeValue(property, value, isForWriting = false) {
+    if (property === 'color') {
+        return value.replace(/^#/, '').toUpperCase();
+    }
+    const trimmed = property === 'style' ? value.replace(/\s+/g, '') : value.trim();
+    return isForWriting ? matchHighlightCase(property, trimmed) : trimmed.toLowerCase();
+}
+
+/**
+ * Gives a highlight color the letter case of Word's name for it, which the
+ * schema requires (e.g. 'darkblue' becomes 'darkBlue').
+ *
+ * @param {string} property - The property.
+ * @param {string} value - The value.
+ * @returns {string} The value.
+ */
+function matchHighlightCase(property, value) {
+    if (property !== 'highlight') {
+        return value;
+    }
+    return HIGHLIGHT_COLORS.find((color) => color.toLowerCase() === value.toLowerCase()) || value;
+}
+
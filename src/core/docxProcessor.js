@@ -6,9 +6,97 @@
 
 import JSZip from 'jszip';
 import mammoth from 'mammoth';
-import { buildRegex } from './replacer.js';
+import { buildRegex, collectReplacements, spliceSegments, keepWithinRanges } from './replacer.js';
+import { escapeXml, unescapeXml, getXmlAttribute, resolvePartPath } from './xmlUtils.js';
+import { DEFAULT_PARAGRAPH_STYLE, hasParagraphScope, selectParagraphs } from './scope.js';
+import { hasFormat, readRunFormat, matchesFormat, applyRunFormat } from './docxFormatting.js';
 
 const DOCUMENT_XML_PATH = 'word/document.xml';
+const CONTENT_TYPES_PATH = '[Content_Types].xml';
+const DOCUMENT_RELS_PATH = 'word/_rels/document.xml.rels';
+const PACKAGE_RELS_PATH = '_rels/.rels';
+
+const WORDML_CONTENT_TYPE_PREFIX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.';
+
+/**
+ * Maps the content type suffix of each text-bearing part to its kind.
+ * The main document can be a plain, macro-enabled or template package.
+ */
+const TEXT_PART_KINDS = {
+    'document.main+xml': 'body',
+    'template.main+xml': 'body',
+    'header+xml': 'header',
+    'footer+xml': 'footer',
+    'footnotes+xml': 'footnotes',
+    'endnotes+xml': 'endnotes',
+    'comments+xml': 'comments',
+};
+
+/** Matches one <w:p> paragraph block. */
+const PARAGRAPH_PATTERN = /<w:p[ >][\s\S]*?<\/w:p>/g;
+
+/** Matches the paragraph style reference in a paragraph's properties: style id in group 1. */
+const PARAGRAPH_STYLE_PATTERN = /<w:pStyle\b[^>]*\bw:val="([^"]*)"/;
+
+/** Matches the start and end tags of a table (not its property elements). */
+const TABLE_TAG_PATTERN = /<w:tbl\b[^>]*>|<\/w:tbl>/g;
+
+/** Matches a bookmark start or end marker: 'Start' or 'End' in group 1. */
+const BOOKMARK_PATTERN = /<w:bookmark(Start|End)\b[^>]*>/g;
+
+/**
+ * Matches the run content that makes up paragraph text: <w:t> text (attributes
+ * in group 1, content in group 2), tabs, and line or page breaks. Tab stops in
+ * paragraph properties carry attributes and are not matched.
+ */
+const RUN_CONTENT_PATTERN = /<w:t(\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)(?:\s[^>]*)?\/>/g;
+
+/** Matches one <w:r> run: attributes in group 1, content in group 2. */
+const RUN_PATTERN = /<w:r(\s[^>]*)?>([\s\S]*?)<\/w:r>/g;
+
+/** Matches the run properties at the start of a run's content. */
+const RUN_PROPERTIES_PATTERN = /^\s*(?:<w:rPr\b[^>]*\/>|<w:rPr\b[^>]*>[\s\S]*?<\/w:rPr>)/;
+
+/**
+ * Matches a tracked revision that wraps runs (not the revision marks inside
+ * run properties, which are empty elements): its name in group 1.
+ */
+const REVISION_PATTERN = /<w:(ins|del|moveFrom|moveTo)\b(?:[^>]*[^/>])?>[\s\S]*?<\/w:\1>/g;
+
+/** Revisions whose text is no longer part of the document. */
+const REMOVED_REVISIONS = ['del', 'moveFrom'];
+
+/** Relationship types (last path segment) that point at text-bearing parts. */
+const TEXT_RELATIONSHIP_TYPES = ['header', 'footer', 'footnotes', 'endnotes', 'comments'];
+
+/** Package relationship types (last path segment) of the document properties parts. */
+const PROPERTY_RELATIONSHIP_TYPES = ['core-properties', 'extended-properties', 'custom-properties'];
+
+/**
+ * Matches one free-text document property: element name in group 1,
+ * attributes in group 2, escaped text in group 3. Dates, counts and
+ * revision numbers are not matched. vt:lpwstr holds custom property values,
+ * vt:lpstr the titles of parts.
+ */
+const PROPERTY_PATTERN = /<(dc:title|dc:subject|dc:creator|dc:description|cp:keywords|cp:category|cp:contentStatus|cp:lastModifiedBy|Company|Manager|HyperlinkBase|vt:lpstr|vt:lpwstr)(\s[^>]*)?>([^<]*)<\/\1>/g;
+
+/** Matches one relationship of a relationships part. */
+const RELATIONSHIP_PATTERN = /<Relationship\b[^>]*>/g;
+
+/**
+ * Matches the instruction of a complex field: the content between its
+ * begin mark and its separate (or end) mark in group 1.
+ */
+const FIELD_PATTERN = /<w:fldChar\b[^>]*\bw:fldCharType="begin"[^>]*>([\s\S]*?)<w:fldChar\b[^>]*\bw:fldCharType="(?:separate|end)"/g;
+
+/** Matches one piece of field instruction text: attributes in group 1, content in group 2. */
+const INSTRUCTION_TEXT_PATTERN = /<w:instrText(\s[^>]*)?>([^<]*)<\/w:instrText>/g;
+
+/**
+ * Matches the target of a HYPERLINK field instruction: quoted in group 1,
+ * bare in group 2. Links to a bookmark (\l) name no target and are not matched.
+ */
+const HYPERLINK_FIELD_PATTERN = /^\s*HYPERLINK\s+(?:"([^"]*)"|([^\s"\\]+))/;
 
 /**
  * Loads a .docx File into a JSZip instance.
@@ -36,24 +124,117 @@ export async function getDocumentXml(zip) {
 }
 
 /**
- * Extracts all text content from the document XML for preview/matching.
- * Concatenates text within <w:t> tags.
+ * Lists every text-bearing part of the package: the main document, headers,
+ * footers, footnotes, endnotes, comments and the document properties
+ * (title, author, company, custom properties).
+ * Parts are discovered through [Content_Types].xml overrides and the
+ * relationships of the main document and the package, so non-standard part
+ * names are found too.
+ * With isLinkTargets, the link targets of each part with paragraphs follow
+ * as a part of kind 'links' (see getLinkTargets), named after the part's
+ * relationships part.
  *
- * @param {string} xml - The document XML string.
- * @returns {string} Plain text content of the document.
+ * @param {JSZip} zip - The loaded .docx ZIP archive.
+ * @param {object} [options]
+ * @param {boolean} [options.isBodyOnly=false] - Only return the main document part.
+ * @param {boolean} [options.isLinkTargets=false] - Also return the link targets.
+ * @returns {Promise<Array<{ path: string, kind: string, source?: string }>>} Parts in document order, body
+ *   first; link target parts name the part they belong to as their source.
  */
-export function extractTextFromXml(xml) {
-    const textMatches = xml.match(/<w:t[^>]*>([^<]*)<\/w:t>/g);
-    if (!textMatches) {
-        return '';
+export async function getTextParts(zip, { isBodyOnly = false, isLinkTargets = false } = {}) {
+    if (isBodyOnly) {
+        return [{ path: DOCUMENT_XML_PATH, kind: 'body' }];
     }
 
-    return textMatches
-        .map((tag) => {
-            const content = tag.replace(/<w:t[^>]*>/, '').replace(/<\/w:t>/, '');
-            return content;
-        })
-        .join('');
+    const parts = new Map([[DOCUMENT_XML_PATH, 'body']]);
+
+    const contentTypesFile = zip.file(CONTENT_TYPES_PATH);
+    if (contentTypesFile) {
+        const contentTypesXml = await contentTypesFile.async('string');
+        const overrideRegex = /<Override\b[^>]*>/g;
+        let match;
+
+        while ((match = overrideRegex.exec(contentTypesXml)) !== null) {
+            const partName = getXmlAttribute(match[0], 'PartName');
+            const contentType = getXmlAttribute(match[0], 'ContentType') || '';
+            const suffix = contentType.replace(WORDML_CONTENT_TYPE_PREFIX, '');
+            const kind = TEXT_PART_KINDS[suffix];
+
+            if (partName && kind && kind !== 'body') {
+                parts.set(partName.replace(/^\//, ''), kind);
+            }
+        }
+    }
+
+    const relsFile = zip.file(DOCUMENT_RELS_PATH);
+    if (relsFile) {
+        const relsXml = await relsFile.async('string');
+        const relationshipRegex = /<Relationship\b[^>]*>/g;
+        let match;
+
+        while ((match = relationshipRegex.exec(relsXml)) !== null) {
+            const type = (getXmlAttribute(match[0], 'Type') || '').split('/').pop();
+            const target = getXmlAttribute(match[0], 'Target');
+            const isExternal = getXmlAttribute(match[0], 'TargetMode') === 'External';
+
+            if (target && !isExternal && TEXT_RELATIONSHIP_TYPES.includes(type)) {
+                const path = resolvePartPath('word', target);
+                if (!parts.has(path)) {
+                    parts.set(path, type);
+                }
+            }
+        }
+    }
+
+    const packageRelsFile = zip.file(PACKAGE_RELS_PATH);
+    if (packageRelsFile) {
+        const relsXml = await packageRelsFile.async('string');
+
+        for (const [tag] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+            const type = (getXmlAttribute(tag, 'Type') || '').split('/').pop();
+            const target = getXmlAttribute(tag, 'Target');
+
+            if (target && PROPERTY_RELATIONSHIP_TYPES.includes(type)) {
+                parts.set(resolvePartPath('', target), 'properties');
+            }
+        }
+    }
+
+    const textParts = [...parts]
+        .filter(([path]) => zip.file(path))
+        .map(([path, kind]) => ({ path, kind }));
+
+    if (!isLinkTargets) {
+        return textParts;
+    }
+
+    // A part may hold HYPERLINK fields without having relationships of its own
+    const linkParts = textParts
+        .filter((part) => part.kind !== 'properties')
+        .map((part) => ({ path: getRelationshipsPath(part.path), kind: 'links', source: part.path }));
+    return [...textParts, ...linkParts];
+}
+
+/**
+ * Returns the path of the relationships part of a part.
+ *
+ * @param {string} path - The part path, e.g. 'word/header1.xml'.
+ * @returns {string} Its relationships part, e.g. 'word/_rels/header1.xml.rels'.
+ */
+function getRelationshipsPath(path) {
+    const slash = path.lastIndexOf('/');
+    return `${path.slice(0, slash + 1)}_rels/${path.slice(slash + 1)}.rels`;
+}
+
+/**
+ * Extracts the text of a part for preview/matching: one line per paragraph,
+ * with tabs as '\t' and line breaks as '\n' (see getParagraphTexts).
+ *
+ * @param {string} xml - The part XML string.
+ * @returns {string} Plain text content of the part.
+ */
+export function extractTextFromXml(xml) {
+    return getParagraphTexts(xml).join('\n');
 }
 
 /**
@@ -61,94 +242,935 @@ export function extractTextFromXml(xml) {
  * Operates on <w:t> text nodes, handling cases where a match may span
  * multiple <w:t> elements within the same <w:r> (run) or across runs.
  *
- * Strategy: collect all <w:t> contents, perform replacement on the
- * concatenated text, then redistribute back into the XML tags.
+ * Strategy: run the regex on the concatenated text of each paragraph, then
+ * splice each replacement into the run where its match starts. Text outside
+ * the matches stays in its original run, so its formatting is kept.
  *
  * @param {string} xml - The document XML.
  * @param {string} pattern - The search pattern.
  * @param {string} replacement - The replacement text.
- * @param {object} options - Replace options (isCaseSensitive, isWholeWord, isRegex).
+ * @param {object} options - Replace options (isCaseSensitive, isWholeWord, isRegex, isPreserveCase).
  * @returns {string} Modified XML with replacements applied.
  */
 export function replaceInXml(xml, pattern, replacement, options = {}) {
+    return replaceInXmlCounting(xml, pattern, replacement, options).xml;
+}
+
+/**
+ * Same as replaceInXml, but also reports the number of replacements made.
+ *
+ * @param {string} xml - The document XML.
+ * @param {string} pattern - The search pattern.
+ * @param {string} replacement - The replacement text.
+ * @param {object} options - Replace options (isCaseSensitive, isWholeWord, isRegex, isPreserveCase),
+ *   plus isTrackChanges, trackAuthor and trackDate to write the replacements as tracked changes.
+ * @returns {{ xml: string, count: number }} Modified XML and replacement count.
+ */
+function replaceInXmlCounting(xml, pattern, replacement, options = {}, shouldReplace = null) {
     const regex = buildRegex(pattern, options);
     if (!regex) {
-        return xml;
+        return { xml, count: 0 };
     }
 
+    let count = 0;
+    let paragraphIndex = 0;
+    const revision = options.isTrackChanges ? createRevision(xml, options) : null;
+
     // Strategy: find all <w:p> paragraph blocks, process each independently
-    return xml.replace(/<w:p[ >][\s\S]*?<\/w:p>/g, (paragraph) => {
-        return replaceInParagraph(paragraph, regex, replacement);
+    const result = xml.replace(PARAGRAPH_PATTERN, (paragraph) => {
+        const index = paragraphIndex++;
+        const filter = shouldReplace ? (match) => shouldReplace(index, match) : null;
+        const replaced = replaceInParagraph(paragraph, regex, replacement, filter, options, revision);
+        count += replaced.count;
+        return replaced.xml;
     });
+
+    return { xml: result, count };
 }
 
 /**
- * Replaces matches within a single OOXML paragraph (<w:p>).
- * Collects text from all <w:t> nodes, applies regex, redistributes text.
+ * Extracts the text of each <w:p> paragraph, in the same order and with the
+ * same text that paragraph-level replacement sees. This is the single text
+ * model for .docx: highlighting, counting and replacement all use it.
+ *
+ * @param {string} xml - The part XML.
+ * @returns {string[]} Text per paragraph.
+ */
+export function getParagraphTexts(xml) {
+    return (xml.match(PARAGRAPH_PATTERN) || []).map((paragraph) => (
+        readRunContent(paragraph).map((segment) => segment.text).join('')
+    ));
+}
+
+/**
+ * Extracts the text of each free-text property of a document properties
+ * part, which take the place of paragraphs there.
+ *
+ * @param {string} xml - The properties part XML.
+ * @returns {string[]} Text per property.
+ */
+function getPropertyTexts(xml) {
+    return [...xml.matchAll(PROPERTY_PATTERN)].map((match) => unescapeXml(match[3]));
+}
+
+/**
+ * Extracts the text blocks of a part: its paragraphs, or the properties of
+ * a document properties part.
+ *
+ * @param {string} xml - The part XML.
+ * @param {string} kind - The part kind (see getTextParts).
+ * @returns {string[]} Text per block.
+ */
+function getPartTexts(xml, kind) {
+    return kind === 'properties' ? getPropertyTexts(xml) : getParagraphTexts(xml);
+}
+
+/**
+ * Replaces the matches of one pattern in a part, paragraph by paragraph or,
+ * in a document properties part, property by property. Properties are
+ * plain text, so they are never written as tracked changes. Paragraphs
+ * outside the scope options (see getPartScope) are left alone.
+ *
+ * @param {string} xml - The part XML.
+ * @param {string} kind - The part kind (see getTextParts).
+ * @param {string} pattern - The search pattern.
+ * @param {string} replacement - The replacement text.
+ * @param {object} options - Replace options (see replaceInXmlCounting), plus the scope options.
+ * @param {function(number, { start: number }): boolean} [shouldReplace] - Optional filter called with the block index and match.
+ * @returns {{ xml: string, count: number }} Modified XML and replacement count.
+ */
+function replaceInPart(xml, kind, pattern, replacement, options, shouldReplace = null) {
+    const scope = getPartScope(xml, kind, options);
+    const filter = scope
+        ? (index, match) => scope[index] && (!shouldReplace || shouldReplace(index, match))
+        : shouldReplace;
+
+    if (kind !== 'properties') {
+        return replaceInXmlCounting(xml, pattern, replacement, options, filter);
+    }
+
+    const regex = buildRegex(pattern, options);
+    if (!regex || hasFormat(options.findFormat)) {
+        return { xml, count: 0 };
+    }
+
+    let count = 0;
+    let propertyIndex = 0;
+
+    const result = xml.replace(PROPERTY_PATTERN, (element, name, attrs = '', content) => {
+        const index = propertyIndex++;
+        const text = unescapeXml(content);
+        const replacements = collectReplacements(text, regex, replacement, options)
+            .filter((match) => !filter || filter(index, match));
+
+        if (replacements.length === 0) {
+            return element;
+        }
+        count += replacements.length;
+        return `<${name}${attrs}>${escapeXml(spliceSegments([text], replacements)[0])}</${name}>`;
+    });
+
+    return { xml: result, count };
+}
+
+/**
+ * Works out which blocks of a part the scope options keep: paragraphs by
+ * style, table location and range (see selectParagraphs). Document
+ * properties are not paragraphs, so a scope leaves them all out.
+ *
+ * @param {string} xml - The part XML.
+ * @param {string} kind - The part kind (see getTextParts).
+ * @param {object} options - Scope options (see hasParagraphScope).
+ * @returns {boolean[]|null} Per block, whether it is in scope; null if the options set no scope.
+ */
+function getPartScope(xml, kind, options) {
+    if (!hasParagraphScope(options)) {
+        return null;
+    }
+    if (kind === 'properties') {
+        return getPropertyTexts(xml).map(() => false);
+    }
+    return selectParagraphs(readParagraphInfo(xml), options, kind === 'body');
+}
+
+/**
+ * Reads the style, table location and bookmarks of each paragraph of a
+ * part. A bookmark marker between paragraphs belongs to the paragraph after
+ * it when it starts a bookmark, and to the one before when it ends one.
+ *
+ * @param {string} xml - The part XML.
+ * @returns {Array<import('./scope.js').ParagraphInfo>} One entry per paragraph, in PARAGRAPH_PATTERN order.
+ */
+function readParagraphInfo(xml) {
+    const tables = [];
+    let depth = 0;
+    for (const match of xml.matchAll(TABLE_TAG_PATTERN)) {
+        if (match[0][1] !== '/') {
+            if (depth++ === 0) {
+                tables.push({ start: match.index, end: xml.length });
+            }
+        } else if (depth > 0 && --depth === 0) {
+            tables[tables.length - 1].end = match.index;
+        }
+    }
+
+    const paragraphs = [...xml.matchAll(PARAGRAPH_PATTERN)].map((match) => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        style: (match[0].match(PARAGRAPH_STYLE_PATTERN) || [])[1] || DEFAULT_PARAGRAPH_STYLE,
+        isInTable: tables.some((table) => match.index > table.start && match.index < table.end),
+        bookmarkStarts: [],
+        bookmarkEnds: [],
+    }));
+
+    // Bookmark ends only carry the id of their start
+    const bookmarkNames = new Map();
+    for (const match of xml.matchAll(BOOKMARK_PATTERN)) {
+        const id = getXmlAttribute(match[0], 'w:id');
+
+        if (match[1] === 'Start') {
+            const name = getXmlAttribute(match[0], 'w:name') || '';
+            bookmarkNames.set(id, name);
+            paragraphs.find((paragraph) => paragraph.end > match.index)?.bookmarkStarts.push(name);
+        } else if (bookmarkNames.has(id)) {
+            const before = paragraphs.filter((paragraph) => paragraph.start < match.index);
+            before[before.length - 1]?.bookmarkEnds.push(bookmarkNames.get(id));
+        }
+    }
+
+    return paragraphs.map(({ style, isInTable, bookmarkStarts, bookmarkEnds }) => ({ style, isInTable, bookmarkStarts, bookmarkEnds }));
+}
+
+/**
+ * Lists the text-carrying run content of a paragraph in document order.
+ * Tabs become '\t' and breaks '\n', so matches cannot run across them
+ * unless the pattern asks for it. Content of tracked deletions is left out.
  *
  * @param {string} paragraphXml - The paragraph XML string.
- * @param {RegExp} regex - Compiled search regex.
- * @param {string} replacement - Replacement text.
- * @returns {string} Modified paragraph XML.
+ * @returns {Array<{ attrs: string, text: string, isText: boolean, start: number, end: number }>}
+ *   Segments with their offsets in the paragraph XML.
  */
-function replaceInParagraph(paragraphXml, regex, replacement) {
-    const textTagRegex = /<w:t([^>]*)>([^<]*)<\/w:t>/g;
+function readRunContent(paragraphXml) {
+    const removed = findRevisions(paragraphXml).filter((revision) => REMOVED_REVISIONS.includes(revision.name));
     const segments = [];
-    let match;
 
-    // Collect all text segments with their positions
-    while ((match = textTagRegex.exec(paragraphXml)) !== null) {
+    for (const match of paragraphXml.matchAll(RUN_CONTENT_PATTERN)) {
+        const [tag, attrs = '', content] = match;
+        const isText = content !== undefined;
+
+        if (removed.some((revision) => match.index >= revision.start && match.index < revision.end)) {
+            continue;
+        }
+
         segments.push({
-            fullMatch: match[0],
-            attrs: match[1],
-            text: match[2],
+            attrs,
+            text: isText ? unescapeXml(content) : (tag.startsWith('<w:tab') ? '\t' : '\n'),
+            isText,
             start: match.index,
-            end: match.index + match[0].length,
+            end: match.index + tag.length,
+        });
+    }
+
+    return segments;
+}
+
+/**
+ * Finds the tracked revisions that wrap runs in a paragraph.
+ *
+ * @param {string} paragraphXml - The paragraph XML string.
+ * @returns {Array<{ name: string, start: number, end: number }>} Revision name (e.g. 'del') and offsets.
+ */
+function findRevisions(paragraphXml) {
+    return [...paragraphXml.matchAll(REVISION_PATTERN)].map((match) => ({
+        name: match[1],
+        start: match.index,
+        end: match.index + match[0].length,
+    }));
+}
+
+/**
+ * Finds the parts of a paragraph's text whose runs have the formatting a
+ * find filter asks for.
+ *
+ * @param {string} paragraphXml - The paragraph XML string.
+ * @param {Array<{ text: string, start: number, end: number }>} segments - See readRunContent.
+ * @param {import('./docxFormatting.js').FormatSpec} filter - The find filter.
+ * @returns {Array<{ start: number, end: number }>} Ranges of the paragraph text, in order.
+ */
+function findFormattedRanges(paragraphXml, segments, filter) {
+    const runs = [...paragraphXml.matchAll(RUN_PATTERN)].map((run) => ({
+        start: run.index,
+        end: run.index + run[0].length,
+        isMatching: matchesFormat(readRunFormat((run[2].match(RUN_PROPERTIES_PATTERN) || [''])[0]), filter),
+    }));
+    const ranges = [];
+    let offset = 0;
+
+    for (const segment of segments) {
+        const end = offset + segment.text.length;
+        const run = runs.find((candidate) => segment.start >= candidate.start && segment.end <= candidate.end);
+
+        if (run?.isMatching) {
+            const last = ranges[ranges.length - 1];
+            if (last && last.end === offset) {
+                last.end = end;
+            } else {
+                ranges.push({ start: offset, end });
+            }
+        }
+        offset = end;
+    }
+
+    return ranges;
+}
+
+/**
+ * Finds the text of each block of a part that a find format filter lets
+ * matches through (see findFormattedRanges). Document properties carry no
+ * run formatting, so a filter lets nothing through there.
+ *
+ * @param {string} xml - The part XML.
+ * @param {string} kind - The part kind (see getTextParts).
+ * @param {import('./docxFormatting.js').FormatSpec} [filter] - The find filter.
+ * @returns {Array<Array<{ start: number, end: number }>>|null} Ranges per block; null if there is no filter.
+ */
+function getPartRanges(xml, kind, filter) {
+    if (!hasFormat(filter)) {
+        return null;
+    }
+    if (kind === 'properties') {
+        return getPropertyTexts(xml).map(() => []);
+    }
+    return (xml.match(PARAGRAPH_PATTERN) || []).map((paragraph) => findFormattedRanges(paragraph, readRunContent(paragraph), filter));
+}
+
+/**
+ * Reads the blocks of a part as matching sees them: their texts, which of
+ * them the scope options keep (see getPartScope) and the ranges a find
+ * format lets matches through (see getPartRanges). Link targets are not
+ * paragraphs and carry no run formatting, so a scope or a find format
+ * leaves them all out, as it does document properties.
+ *
+ * @param {JSZip} zip - The loaded .docx ZIP archive.
+ * @param {{ path: string, kind: string, source?: string }} part - The part (see getTextParts).
+ * @param {object} options - Scope options and findFormat.
+ * @returns {Promise<{ texts: string[], scope: boolean[]|null, ranges: Array<Array<{ start: number, end: number }>>|null }>}
+ *   The blocks.
+ */
+async function readPartBlocks(zip, part, options) {
+    if (part.kind === 'links') {
+        const texts = getLinkTargets(...await readLinkPart(zip, part)).map((target) => target.text);
+        return {
+            texts,
+            scope: hasParagraphScope(options) ? texts.map(() => false) : null,
+            ranges: hasFormat(options.findFormat) ? texts.map(() => []) : null,
+        };
+    }
+
+    const xml = await zip.file(part.path).async('string');
+    return {
+        texts: getPartTexts(xml, part.kind),
+        scope: getPartScope(xml, part.kind, options),
+        ranges: getPartRanges(xml, part.kind, options.findFormat),
+    };
+}
+
+/**
+ * @typedef {object} LinkTarget
+ * @property {string} text - The target, e.g. 'https://example.com/page'.
+ * @property {string} type - Relationship type (e.g. 'hyperlink'), or 'field' for a HYPERLINK field.
+ * @property {number} start - Offset of the relationship element in the relationships part; unused for fields.
+ * @property {number} end - End offset of the relationship element.
+ * @property {Array<{ attrs: string, text: string, start: number, end: number }>} [segments] - For a field,
+ *   the pieces of instruction text with their offsets in the part.
+ * @property {number} [offset] - For a field, where the target starts in its joined instruction text.
+ */
+
+/**
+ * Reads the two parts the link targets of a part live in.
+ *
+ * @param {JSZip} zip - The loaded .docx ZIP archive.
+ * @param {{ path: string, source: string }} part - A link target part (see getTextParts).
+ * @returns {Promise<[string, string]>} The relationships XML ('' if the part has none) and the source part XML.
+ */
+async function readLinkPart(zip, part) {
+    const relsFile = zip.file(part.path);
+    return [relsFile ? await relsFile.async('string') : '', await zip.file(part.source).async('string')];
+}
+
+/**
+ * Lists the link targets of a part: the targets of its external
+ * relationships (hyperlinks, but also linked images or an attached
+ * template) in the order of its relationships part, then the targets of the
+ * HYPERLINK fields in its text. A field instruction may be split across
+ * several runs; the pieces are read as one text, as paragraph runs are.
+ *
+ * @param {string} relsXml - The relationships part XML, or ''.
+ * @param {string} sourceXml - The XML of the part the relationships belong to.
+ * @returns {LinkTarget[]} The targets.
+ */
+function getLinkTargets(relsXml, sourceXml) {
+    const targets = [];
+
+    for (const match of relsXml.matchAll(RELATIONSHIP_PATTERN)) {
+        const target = getXmlAttribute(match[0], 'Target');
+        if (target !== null && getXmlAttribute(match[0], 'TargetMode') === 'External') {
+            targets.push({
+                text: unescapeXml(target),
+                type: (getXmlAttribute(match[0], 'Type') || '').split('/').pop(),
+                start: match.index,
+                end: match.index + match[0].length,
+            });
+        }
+    }
+
+    const pieces = [...sourceXml.matchAll(INSTRUCTION_TEXT_PATTERN)].map((match) => ({
+        attrs: match[1] || '',
+        text: unescapeXml(match[2]),
+        start: match.index,
+        end: match.index + match[0].length,
+    }));
+
+    for (const field of sourceXml.matchAll(FIELD_PATTERN)) {
+        const end = field.index + field[0].length;
+        const segments = pieces.filter((piece) => piece.start > field.index && piece.end < end);
+        const instruction = HYPERLINK_FIELD_PATTERN.exec(segments.map((segment) => segment.text).join(''));
+
+        if (instruction) {
+            const text = instruction[1] ?? instruction[2];
+            // A quoted target ends before the closing quote
+            const offset = instruction[0].length - text.length - (instruction[1] !== undefined ? 1 : 0);
+            targets.push({ text, type: 'field', start: 0, end: 0, segments, offset });
+        }
+    }
+
+    return targets;
+}
+
+/**
+ * Replaces the matches of one pattern in the link targets of a part.
+ * Relationship targets are rewritten in place; in a field, each replacement
+ * goes into the piece of instruction text where its match starts.
+ *
+ * @param {string} relsXml - The relationships part XML, or ''.
+ * @param {string} sourceXml - The XML of the part the relationships belong to.
+ * @param {string} pattern - The search pattern.
+ * @param {string} replacement - The replacement text.
+ * @param {object} options - Replace options.
+ * @param {function(number, { start: number }): boolean} [shouldReplace] - Optional filter called with the target index and match.
+ * @returns {{ relsXml: string, sourceXml: string, count: number }} Modified XML and replacement count.
+ */
+function replaceInLinks(relsXml, sourceXml, pattern, replacement, options, shouldReplace = null) {
+    const regex = buildRegex(pattern, options);
+    if (!regex || hasParagraphScope(options) || hasFormat(options.findFormat)) {
+        return { relsXml, sourceXml, count: 0 };
+    }
+
+    const relsEdits = [];
+    const sourceEdits = [];
+    let count = 0;
+
+    getLinkTargets(relsXml, sourceXml).forEach((target, index) => {
+        const replacements = collectReplacements(target.text, regex, replacement, options)
+            .filter((match) => !shouldReplace || shouldReplace(index, match));
+
+        if (replacements.length === 0) {
+            return;
+        }
+        count += replacements.length;
+
+        if (!target.segments) {
+            const tag = relsXml.slice(target.start, target.end);
+            const newTarget = escapeXml(spliceSegments([target.text], replacements)[0]);
+            relsEdits.push({ start: target.start, end: target.end, xml: tag.replace(/(\sTarget=")[^"]*"/, `$1${newTarget}"`) });
+            return;
+        }
+
+        const shifted = replacements.map((item) => ({ ...item, start: item.start + target.offset, end: item.end + target.offset }));
+        const newTexts = spliceSegments(target.segments.map((segment) => segment.text), shifted);
+        target.segments.forEach((segment, i) => {
+            if (newTexts[i] !== segment.text) {
+                sourceEdits.push({ ...segment, xml: `<w:instrText${withPreservedSpace(segment.attrs)}>${escapeXml(newTexts[i])}</w:instrText>` });
+            }
         });
+    });
+
+    return { relsXml: applyEdits(relsXml, relsEdits), sourceXml: applyEdits(sourceXml, sourceEdits), count };
+}
+
+/**
+ * Replaces pieces of an XML string.
+ *
+ * @param {string} xml - The XML.
+ * @param {Array<{ start: number, end: number, xml: string }>} edits - Non-overlapping edits, in any order.
+ * @returns {string} The edited XML.
+ */
+function applyEdits(xml, edits) {
+    // From the end, so earlier offsets stay valid
+    return [...edits]
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, edit) => result.slice(0, edit.start) + edit.xml + result.slice(edit.end), xml);
+}
+
+/**
+ * Applies pairs to the link targets of a part and writes back the parts
+ * that changed.
+ *
+ * @param {JSZip} zip - The loaded .docx ZIP archive.
+ * @param {{ path: string, source: string }} part - A link target part (see getTextParts).
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} defaults - Options used where a pair does not set its own.
+ * @param {function(number, { start: number }): boolean} [shouldReplace] - Optional filter called with the target index and match.
+ * @returns {Promise<number[]>} Replacement count per pair.
+ */
+async function replaceInLinkPart(zip, part, pairs, defaults, shouldReplace = null) {
+    const [relsXml, sourceXml] = await readLinkPart(zip, part);
+    let modified = { relsXml, sourceXml };
+
+    const counts = pairs.map((pair) => {
+        modified = replaceInLinks(modified.relsXml, modified.sourceXml, pair.find, pair.replace, { ...defaults, ...pair.options }, shouldReplace);
+        return modified.count;
+    });
+
+    if (modified.relsXml !== relsXml) {
+        zip.file(part.path, modified.relsXml);
+    }
+    if (modified.sourceXml !== sourceXml) {
+        zip.file(part.source, modified.sourceXml);
     }
+    return counts;
+}
+
+/**
+ * Replaces matches within a single OOXML paragraph (<w:p>).
+ * Collects the paragraph text (see readRunContent), applies the regex to it,
+ * and writes back only the <w:t>, tab and break elements whose text changed.
+ * With a find format, only matches within text of that formatting are
+ * replaced; with a replace format, replacements go into runs of their own
+ * (see rewriteReplacedRuns).
+ *
+ * @param {string} paragraphXml - The paragraph XML string.
+ * @param {RegExp} regex - Compiled search regex.
+ * @param {string} replacement - Replacement text.
+ * @param {function(object): boolean} [shouldReplace] - Optional filter deciding which matches to replace.
+ * @param {object} [options] - Replace options (isPreserveCase, findFormat, replaceFormat).
+ * @param {Revision|null} [revision] - Write the replacements as tracked changes by this author.
+ * @returns {{ xml: string, count: number }} Modified paragraph XML and replacement count.
+ */
+function replaceInParagraph(paragraphXml, regex, replacement, shouldReplace = null, options = {}, revision = null) {
+    const segments = readRunContent(paragraphXml);
 
     if (segments.length === 0) {
-        return paragraphXml;
+        return { xml: paragraphXml, count: 0 };
     }
 
-    // Concatenate all text
     const fullText = segments.map((s) => s.text).join('');
-    const replacedText = fullText.replace(regex, replacement);
+    const ranges = hasFormat(options.findFormat) ? findFormattedRanges(paragraphXml, segments, options.findFormat) : null;
+    const allReplacements = keepWithinRanges(collectReplacements(fullText, regex, replacement, options), ranges);
+    const replacements = shouldReplace ? allReplacements.filter(shouldReplace) : allReplacements;
+
+    // If nothing matched, return as-is
+    if (replacements.length === 0) {
+        return { xml: paragraphXml, count: 0 };
+    }
 
-    // If nothing changed, return as-is
-    if (fullText === replacedText) {
-        return paragraphXml;
+    const newTexts = spliceSegments(segments.map((s) => s.text), replacements);
+    if (revision || hasFormat(options.replaceFormat)) {
+        const xml = rewriteReplacedRuns(paragraphXml, segments, newTexts, replacements, { revision, format: options.replaceFormat });
+        return { xml, count: replacements.length };
     }
 
-    // Put all replaced text into the first <w:t> and empty the rest
-    // Ensure xml:space="preserve" to keep whitespace
     let result = paragraphXml;
 
+    // Rewrite changed segments from the end so earlier offsets stay valid
     for (let i = segments.length - 1; i >= 0; i--) {
         const segment = segments[i];
-        const newText = i === 0 ? replacedText : '';
-        const attrs = newText.length > 0 ? ' xml:space="preserve"' : segment.attrs;
-        const newTag = `<w:t${attrs}>${newText}</w:t>`;
-        result = result.slice(0, segment.start) + newTag + result.slice(segment.end);
+        const newText = newTexts[i];
+
+        if (newText === segment.text) {
+            continue;
+        }
+
+        // An emptied <w:t> stays in place; an emptied tab or break is removed
+        const newContent = newText.length === 0 && segment.isText
+            ? `<w:t${segment.attrs}></w:t>`
+            : toRunContent(newText, segment.attrs);
+        result = result.slice(0, segment.start) + newContent + result.slice(segment.end);
     }
 
-    return result;
+    return { xml: result, count: replacements.length };
+}
+
+/**
+ * @typedef {object} Revision
+ * @property {string} author - Author of the tracked changes.
+ * @property {string} date - Their date, as an ISO 8601 timestamp.
+ * @property {number} nextId - Next free revision id in the part.
+ */
+
+/**
+ * Starts a set of tracked changes for one part. Revision ids continue
+ * after the highest id the part already uses, so they stay unique.
+ *
+ * @param {string} xml - The part XML.
+ * @param {object} options
+ * @param {string} [options.trackAuthor] - Author name; 'Replacit' if empty.
+ * @param {string} [options.trackDate] - ISO 8601 date; the current time if empty.
+ * @returns {Revision} The revision.
+ */
+function createRevision(xml, { trackAuthor = '', trackDate = '' }) {
+    const ids = [...xml.matchAll(/\sw:id="(\d+)"/g)].map((match) => Number(match[1]));
+    return {
+        author: trackAuthor.trim() || 'Replacit',
+        date: trackDate || new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        nextId: Math.max(0, ...ids) + 1,
+    };
+}
+
+/**
+ * Writes the replacements of a paragraph into runs of their own. Each run
+ * that holds matched text is split: kept text stays in a plain run, and the
+ * replacement follows in a new run where its match starts. Every piece keeps
+ * the run's attributes and properties, except that a format changes the
+ * properties of the replacement runs.
+ * As tracked changes, matched text moves into a <w:del> run as <w:delText>
+ * and each replacement run is wrapped in <w:ins>; otherwise matched text is
+ * dropped. Runs inside an earlier insertion are then edited in place, as
+ * rejecting that insertion removes them anyway.
+ *
+ * @param {string} paragraphXml - The paragraph XML string.
+ * @param {Array<{ attrs: string, text: string, isText: boolean, start: number, end: number }>} segments - See readRunContent.
+ * @param {string[]} newTexts - New text per segment (see spliceSegments).
+ * @param {Array<{ start: number, end: number, replacement: string }>} replacements - The replacements.
+ * @param {object} how
+ * @param {Revision|null} [how.revision] - Author, date and next id of tracked changes; null to replace outright.
+ * @param {import('./docxFormatting.js').FormatSpec} [how.format] - Formatting changes for the replacement runs.
+ * @returns {string} Modified paragraph XML.
+ */
+function rewriteReplacedRuns(paragraphXml, segments, newTexts, replacements, { revision = null, format = null }) {
+    const inserted = revision
+        ? findRevisions(paragraphXml).filter((found) => !REMOVED_REVISIONS.includes(found.name))
+        : [];
+    const offsets = [];
+    let offset = 0;
+    for (const segment of segments) {
+        offsets.push(offset);
+        offset += segment.text.length;
+    }
+
+    // The segment each replacement goes into, as spliceSegments places it
+    const insertAt = replacements.map(({ start }) => {
+        const index = segments.findIndex((segment, i) => start >= offsets[i] && start < offsets[i] + segment.text.length);
+        return index === -1 ? segments.length - 1 : index;
+    });
+    const isDeleted = (position) => replacements.some(({ start, end }) => position >= start && position < end);
+
+    const edits = [];
+    for (const run of paragraphXml.matchAll(RUN_PATTERN)) {
+        const runStart = run.index;
+        const runEnd = run.index + run[0].length;
+        const indexes = segments.map((segment, i) => i).filter((i) => segments[i].start >= runStart && segments[i].end <= runEnd);
+        const isChanged = indexes.some((i) => newTexts[i] !== segments[i].text || insertAt.includes(i));
+
+        if (!isChanged) {
+            continue;
+        }
+
+        if (inserted.some((found) => runStart >= found.start && runStart < found.end)) {
+            for (const i of indexes) {
+                if (newTexts[i] !== segments[i].text) {
+                    edits.push({ start: segments[i].start, end: segments[i].end, xml: toRunContent(newTexts[i], segments[i].attrs) });
+                }
+            }
+            continue;
+        }
+
+        const [, runAttrs = '', content] = run;
+        const contentStart = runStart + run[0].indexOf('>') + 1;
+        const properties = (content.match(RUN_PROPERTIES_PATTERN) || [''])[0];
+        const pieces = [];
+        let cursor = contentStart + properties.length;
+
+        const add = (state, xml) => {
+            if (state === 'del' && !revision) {
+                return;
+            }
+            const last = pieces[pieces.length - 1];
+            if (last && last.state === state && state !== 'ins') {
+                last.xml += xml;
+            } else {
+                pieces.push({ state, xml });
+            }
+        };
+
+        for (const i of indexes) {
+            const segment = segments[i];
+            const length = segment.text.length;
+            const segmentEnd = offsets[i] + length;
+            // A replacement follows the deleted part of its match within this segment
+            const insertions = replacements
+                .map((replacement, r) => ({ replacement, position: Math.max(replacement.start, Math.min(replacement.end, segmentEnd)) - offsets[i], r }))
+                .filter(({ r }) => insertAt[r] === i);
+
+            const cuts = new Set([0, length, ...insertions.map(({ position }) => position)]);
+            for (let position = 1; position < length; position++) {
+                if (isDeleted(offsets[i] + position) !== isDeleted(offsets[i] + position - 1)) {
+                    cuts.add(position);
+                }
+            }
+
+            add('keep', paragraphXml.slice(cursor, segment.start));
+            cursor = segment.end;
+
+            const sortedCuts = [...cuts].sort((a, b) => a - b);
+            sortedCuts.forEach((position, k) => {
+                const from = sortedCuts[k - 1];
+                if (k > 0 && position > from) {
+                    const isRemoved = isDeleted(offsets[i] + from);
+                    const xml = segment.isText
+                        ? toTextElement(segment.text.slice(from, position), segment.attrs, isRemoved)
+                        : paragraphXml.slice(segment.start, segment.end);
+                    add(isRemoved ? 'del' : 'keep', xml);
+                }
+                insertions
+                    .filter((insertion) => insertion.position === position)
+                    .forEach(({ replacement }) => add('ins', toRunContent(replacement.replacement, '')));
+            });
+        }
+        add('keep', paragraphXml.slice(cursor, runEnd - '</w:r>'.length));
+
+        const insertedProperties = hasFormat(format) ? applyRunFormat(properties, format) : properties;
+        const runXml = (state, xml) => `<w:r${runAttrs}>${state === 'ins' ? insertedProperties : properties}${xml}</w:r>`;
+        const revisionAttrs = () => `w:id="${revision.nextId++}" w:author="${escapeXml(revision.author)}" w:date="${revision.date}"`;
+        const xml = pieces.filter((piece) => piece.xml).map((piece) => {
+            if (piece.state === 'keep' || !revision) {
+                return runXml(piece.state, piece.xml);
+            }
+            return `<w:${piece.state} ${revisionAttrs()}>${runXml(piece.state, piece.xml)}</w:${piece.state}>`;
+        }).join('');
+
+        edits.push({ start: runStart, end: runEnd, xml });
+    }
+
+    // Apply from the end so earlier offsets stay valid
+    return edits
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, edit) => result.slice(0, edit.start) + edit.xml + result.slice(edit.end), paragraphXml);
+}
+
+/**
+ * Converts text back into run content: '\t' becomes <w:tab/>, '\n' becomes
+ * <w:br/> and everything else goes into <w:t> elements.
+ *
+ * @param {string} text - The text.
+ * @param {string} attrs - Attributes of the <w:t> the text replaces (may be empty).
+ * @returns {string} Run content XML.
+ */
+function toRunContent(text, attrs) {
+    return text.split(/([\t\n])/).map((piece) => {
+        if (piece === '\t') {
+            return '<w:tab/>';
+        }
+        if (piece === '\n') {
+            return '<w:br/>';
+        }
+        // Ensure xml:space="preserve" to keep whitespace
+        return piece ? `<w:t${withPreservedSpace(attrs)}>${escapeXml(piece)}</w:t>` : '';
+    }).join('');
+}
+
+/**
+ * Writes text as a <w:t> element, or as <w:delText> for deleted text.
+ *
+ * @param {string} text - The text.
+ * @param {string} attrs - Attributes of the original <w:t> (may be empty).
+ * @param {boolean} isDeleted - Whether the text is part of a deletion.
+ * @returns {string} The element XML.
+ */
+function toTextElement(text, attrs, isDeleted) {
+    return isDeleted
+        ? `<w:delText xml:space="preserve">${escapeXml(text)}</w:delText>`
+        : `<w:t${withPreservedSpace(attrs)}>${escapeXml(text)}</w:t>`;
+}
+
+/**
+ * Adds xml:space="preserve" to a <w:t> attribute string if missing.
+ *
+ * @param {string} attrs - The existing attribute string (may be empty).
+ * @returns {string} Attribute string that preserves whitespace.
+ */
+function withPreservedSpace(attrs) {
+    return /xml:space=/.test(attrs) ? attrs : `${attrs} xml:space="preserve"`;
 }
 
 /**
  * Applies text replacement to the .docx ZIP and returns a modified copy.
+ * Every text-bearing part is processed unless `options.isBodyOnly` is set.
  *
  * @param {JSZip} zip - The loaded .docx ZIP archive.
  * @param {string} pattern - The search pattern.
  * @param {string} replacement - The replacement text.
- * @param {object} options - Replace options.
+ * @param {object} options - Replace options (see buildRegex, plus isBodyOnly).
  * @returns {Promise<JSZip>} Modified ZIP with replacements applied.
  */
 export async function replaceInDocx(zip, pattern, replacement, options = {}) {
-    const xml = await getDocumentXml(zip);
-    const modifiedXml = replaceInXml(xml, pattern, replacement, options);
-    zip.file(DOCUMENT_XML_PATH, modifiedXml);
-    return zip;
+    return replacePairsInDocx(zip, [{ find: pattern, replace: replacement }], options);
+}
+
+/**
+ * Applies a list of replacement pairs to the .docx ZIP, each with its own
+ * match options. Each text-bearing part is read and written only once.
+ *
+ * @param {JSZip} zip - The loaded .docx ZIP archive.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own, plus isBodyOnly, isLinkTargets and the scope options.
+ * @returns {Promise<JSZip>} Modified ZIP with replacements applied.
+ */
+export async function replacePairsInDocx(zip, pairs, defaults = {}) {
+    const { zip: result } = await applyPairsToDocx(zip, pairs, defaults);
+    return result;
+}
+
+/**
+ * Applies a list of replacement pairs to the .docx ZIP and reports how many
+ * replacements each pair made across all processed parts.
+ *
+ * @param {JSZip} zip - The loaded .docx ZIP archive.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own, plus isBodyOnly, isLinkTargets and the scope options.
+ * @param {function(number, number): void} [onProgress] - Called with the number of parts done and the total.
+ * @returns {Promise<{ zip: JSZip, counts: number[] }>} Modified ZIP and replacement count per pair.
+ */
+export async function applyPairsToDocx(zip, pairs, defaults = {}, onProgress = () => {}) {
+    // Fail early on packages without a main document
+    await getDocumentXml(zip);
+
+    const parts = await getTextParts(zip, defaults);
+    const counts = pairs.map(() => 0);
+
+    for (const [index, part] of parts.entries()) {
+        const { path, kind } = part;
+        if (kind === 'links') {
+            (await replaceInLinkPart(zip, part, pairs, defaults)).forEach((count, i) => {
+                counts[i] += count;
+            });
+            onProgress(index + 1, parts.length);
+            continue;
+        }
+
+        const xml = await zip.file(path).async('string');
+        let modifiedXml = xml;
+
+        pairs.forEach((pair, i) => {
+            const replaced = replaceInPart(modifiedXml, kind, pair.find, pair.replace, { ...defaults, ...pair.options });
+            modifiedXml = replaced.xml;
+            counts[i] += replaced.count;
+        });
+
+        if (modifiedXml !== xml) {
+            zip.file(path, modifiedXml);
+        }
+        onProgress(index + 1, parts.length);
+    }
+
+    return { zip, counts };
+}
+
+/**
+ * Counts the matches of each pair across the .docx text parts, using the
+ * same paragraph-level matching as the replacement itself.
+ *
+ * @param {JSZip} zip - The loaded .docx ZIP archive.
+ * @param {Array<{ find: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own, plus isBodyOnly, isLinkTargets and the scope options.
+ * @returns {Promise<number[]>} Match count per pair.
+ */
+export async function countPairsInDocx(zip, pairs, defaults = {}) {
+    const parts = await getTextParts(zip, defaults);
+    const counts = pairs.map(() => 0);
+
+    for (const part of parts) {
+        const { texts, scope, ranges } = await readPartBlocks(zip, part, defaults);
+
+        pairs.forEach((pair, i) => {
+            const regex = buildRegex(pair.find, { ...defaults, ...pair.options });
+            if (regex) {
+                counts[i] += texts.reduce((total, text, index) => (scope && !scope[index]
+                    ? total
+                    : total + keepWithinRanges(collectReplacements(text, regex, ''), ranges?.[index]).length), 0);
+            }
+        });
+    }
+
+    return counts;
+}
+
+/**
+ * Lists the paragraphs (and document properties and link targets) of every processed part as review blocks.
+ * Block keys combine the part path and paragraph index, so match identities
+ * stay the same between the review view and the XML replacement. Blocks the
+ * scope options leave out are listed too, marked isOutOfScope. With a find
+ * format, each block lists the ranges of its text that have the formatting.
+ *
+ * @param {JSZip} zip - The loaded .docx ZIP archive.
+ * @param {object} [options] - See getTextParts, plus the scope options and findFormat.
+ * @returns {Promise<Array<{ key: string, path: string, kind: string, text: string, isOutOfScope: boolean,
+ *   ranges: Array<{ start: number, end: number }>|null }>>} One block per paragraph, property or link target.
+ */
+export async function getParagraphBlocks(zip, options = {}) {
+    const parts = await getTextParts(zip, options);
+    const blocks = [];
+
+    for (const part of parts) {
+        const { path, kind } = part;
+        const { texts, scope, ranges } = await readPartBlocks(zip, part, options);
+        texts.forEach((text, index) => {
+            blocks.push({
+                key: `${path}#${index}`,
+                path,
+                kind,
+                text,
+                isOutOfScope: Boolean(scope && !scope[index]),
+                ranges: ranges ? ranges[index] : null,
+            });
+        });
+    }
+
+    return blocks;
+}
+
+/**
+ * Applies one pair to the .docx ZIP, replacing only the accepted matches.
+ *
+ * @param {JSZip} zip - The loaded .docx ZIP archive.
+ * @param {{ find: string, replace: string, options?: object }} pair - The reviewed pair.
+ * @param {object} defaults - Options used where the pair does not set its own, plus isBodyOnly, isLinkTargets and the scope options.
+ * @param {function(string, number): boolean} isAccepted - Called with a block key and match start.
+ * @returns {Promise<{ zip: JSZip, count: number }>} Modified ZIP and number of replacements.
+ */
+export async function applyReviewedPairToDocx(zip, pair, defaults, isAccepted) {
+    const parts = await getTextParts(zip, defaults);
+    const options = { ...defaults, ...pair.options };
+    let count = 0;
+
+    for (const part of parts) {
+        const { path, kind } = part;
+        const shouldReplace = (blockIndex, match) => isAccepted(`${path}#${blockIndex}`, match.start);
+        if (kind === 'links') {
+            count += (await replaceInLinkPart(zip, part, [pair], defaults, shouldReplace))[0];
+            continue;
+        }
+
+        const xml = await zip.file(path).async('string');
+        const replaced = replaceInPart(xml, kind, pair.find, pair.replace, options, shouldReplace);
+
+        if (replaced.xml !== xml) {
+            zip.file(path, replaced.xml);
+        }
+        count += replaced.count;
+    }
+
+    return { zip, count };
 }
 
 /**
@@ -162,6 +1184,39 @@ export async function generateHtmlPreview(arrayBuffer) {
     return result.value;
 }
 
+/**
+ * Lists the link targets for the preview, so they can be checked before
+ * export: one entry per target, labeled with the part it belongs to and
+ * its kind, under a heading that shows their match count.
+ *
+ * @param {JSZip} zip - The loaded .docx ZIP archive.
+ * @param {object} [options] - See getTextParts; nothing is listed unless isLinkTargets is set.
+ * @returns {Promise<string>} HTML of the list, or '' without isLinkTargets.
+ */
+export async function generateLinkTargetsPreview(zip, options = {}) {
+    if (!options.isLinkTargets) {
+        return '';
+    }
+
+    const parts = (await getTextParts(zip, options)).filter((part) => part.kind === 'links');
+    let items = '';
+
+    for (const part of parts) {
+        const fileName = part.source.split('/').pop();
+        for (const target of getLinkTargets(...await readLinkPart(zip, part))) {
+            const type = target.type === 'field' ? 'HYPERLINK field' : target.type;
+            items += `<li><span class="preview-link-source" data-no-match>${escapeXml(`${fileName} · ${type}`)}</span>`
+                + ` <span class="preview-link-target">${escapeXml(target.text)}</span></li>`;
+        }
+    }
+
+    const paths = escapeXml(parts.map((part) => part.path).join(' '));
+    return '<section class="preview-links">'
+        + `<h3 data-no-match>Link targets <span class="preview-count" data-count-paths="${paths}"></span></h3>`
+        + (items ? `<ul>${items}</ul>` : '<p data-no-match>No external links.</p>')
+        + '</section>';
+}
+
 /**
  * Exports the modified ZIP archive as a downloadable Blob.
  *
@@ -0,0 +1,108 @@
+/**
+ * @module formats
+ * The ZIP-based document formats and the structured text formats, with the
+ * processor functions each one uses, so the document session and batch mode
+ * can treat them alike.
+ */
+
+import { loadDocx, countPairsInDocx, applyPairsToDocx, getParagraphBlocks, applyReviewedPairToDocx, generateHtmlPreview, generateLinkTargetsPreview, exportDocx } from './docxProcessor.js';
+import { loadOdt, countPairsInOdt, applyPairsToOdt, getOdtParagraphBlocks, applyReviewedPairToOdt, generateOdtPreview, exportOdt } from './odtProcessor.js';
+import { loadXlsx, countPairsInXlsx, applyPairsToXlsx, getXlsxCellBlocks, applyReviewedPairToXlsx, generateXlsxPreview, exportXlsx } from './xlsxProcessor.js';
+import { loadPptx, countPairsInPptx, applyPairsToPptx, getPptxParagraphBlocks, applyReviewedPairToPptx, generatePptxPreview, exportPptx } from './pptxProcessor.js';
+import { getMarkdownBlocks, encodeMarkdownText, renderMarkdownPreview } from './markdownProcessor.js';
+import { getHtmlBlocks, encodeHtmlText, renderHtmlPreview } from './htmlProcessor.js';
+import { getCsvBlocks, encodeCsvText, renderCsvPreview } from './csvProcessor.js';
+import { getJsonBlocks, encodeJsonText, renderJsonPreview } from './jsonProcessor.js';
+import { getXmlBlocks, encodeXmlText, renderXmlPreview } from './xmlProcessor.js';
+
+/**
+ * @typedef {object} PackageFormat
+ * @property {function(File): Promise<JSZip>} load - Reads the file into a ZIP.
+ * @property {function(JSZip, Array<object>, object): Promise<number[]>} countPairs - Match count per pair.
+ * @property {function(JSZip, Array<object>, object, function(number, number): void=): Promise<{ zip: JSZip, counts: number[] }>} applyPairs - Replaces every pair.
+ * @property {function(JSZip, object=): Promise<Array<{ key: string, path: string, kind: string, text: string }>>} getBlocks - One block per paragraph (or cell).
+ * @property {function(JSZip, object, object, function(string, number): boolean): Promise<{ zip: JSZip, count: number }>} applyReviewedPair - Replaces accepted matches.
+ * @property {function(JSZip, object=): Promise<string>} generatePreview - HTML preview of the body.
+ * @property {function(JSZip): Promise<Blob>} exportPackage - The file to download.
+ * @property {string[]} optionKeys - Format options that change the blocks and the preview.
+ */
+
+/** @type {Object<string, PackageFormat>} Package formats by file type. */
+export const PACKAGE_FORMATS = {
+    docx: {
+        load: loadDocx,
+        countPairs: countPairsInDocx,
+        applyPairs: applyPairsToDocx,
+        getBlocks: getParagraphBlocks,
+        applyReviewedPair: applyReviewedPairToDocx,
+        generatePreview: async (zip, options) => (
+            await generateHtmlPreview(await (await exportDocx(zip)).arrayBuffer()) + await generateLinkTargetsPreview(zip, options)
+        ),
+        exportPackage: exportDocx,
+        optionKeys: ['scopeStyles', 'scopeTables', 'scopeFrom', 'scopeTo', 'findFormat', 'isLinkTargets'],
+    },
+    odt: {
+        load: loadOdt,
+        countPairs: countPairsInOdt,
+        applyPairs: applyPairsToOdt,
+        getBlocks: getOdtParagraphBlocks,
+        applyReviewedPair: applyReviewedPairToOdt,
+        generatePreview: generateOdtPreview,
+        exportPackage: exportOdt,
+        optionKeys: [],
+    },
+    xlsx: {
+        load: loadXlsx,
+        countPairs: countPairsInXlsx,
+        applyPairs: applyPairsToXlsx,
+        getBlocks: getXlsxCellBlocks,
+        applyReviewedPair: applyReviewedPairToXlsx,
+        generatePreview: generateXlsxPreview,
+        exportPackage: exportXlsx,
+        optionKeys: ['xlsxSheets', 'xlsxColumns', 'isXlsxInlineStrings', 'isXlsxFormulas', 'isXlsxNumbers'],
+    },
+    pptx: {
+        load: loadPptx,
+        countPairs: countPairsInPptx,
+        applyPairs: applyPairsToPptx,
+        getBlocks: getPptxParagraphBlocks,
+        applyReviewedPair: applyReviewedPairToPptx,
+        generatePreview: generatePptxPreview,
+        exportPackage: exportPptx,
+        optionKeys: ['isBodyOnly', 'isPptxLayouts'],
+    },
+};
+
+/**
+ * Returns the package format of a file type, if it is ZIP-based.
+ *
+ * @param {string} fileType - The file type, e.g. 'docx'.
+ * @returns {PackageFormat|null} The format, or null for plain text.
+ */
+export function getPackageFormat(fileType) {
+    return PACKAGE_FORMATS[fileType] || null;
+}
+
+const MARKDOWN_FORMAT = { getBlocks: getMarkdownBlocks, encode: encodeMarkdownText, generatePreview: renderMarkdownPreview };
+const HTML_FORMAT = { getBlocks: getHtmlBlocks, encode: encodeHtmlText, generatePreview: renderHtmlPreview };
+
+/** @type {Object<string, import('./structuredText.js').TextFormat>} Structured text formats by file type. */
+export const TEXT_FORMATS = {
+    md: MARKDOWN_FORMAT,
+    markdown: MARKDOWN_FORMAT,
+    html: HTML_FORMAT,
+    htm: HTML_FORMAT,
+    csv: { getBlocks: getCsvBlocks, encode: encodeCsvText, generatePreview: renderCsvPreview },
+    json: { getBlocks: getJsonBlocks, encode: encodeJsonText, generatePreview: renderJsonPreview },
+    xml: { getBlocks: getXmlBlocks, encode: encodeXmlText, generatePreview: renderXmlPreview },
+};
+
+/**
+ * Returns the structured text format of a file type, if it has one.
+ *
+ * @param {string} fileType - The file type, e.g. 'md'.
+ * @returns {import('./structuredText.js').TextFormat|null} The format, or null for plain text and packages.
+ */
+export function getTextFormat(fileType) {
+    return TEXT_FORMATS[fileType] || null;
+}
@@ -0,0 +1,316 @@
+/**
+ * @module highlighter
+ * Builds preview HTML with <mark> tags around matches.
+ * Works on strings only, so it can run inside a Web Worker.
+ * Pure functions — no DOM, no side effects.
+ */
+
+import { findMatches } from './replacer.js';
+import { unescapeXml } from './xmlUtils.js';
+
+/** Splits an HTML string into tags and the text between them. */
+const TAG_PATTERN = /(<[^>]*>)/;
+
+/** Tags that start or end a block of text; matches never cross them. */
+const BLOCK_TAG_PATTERN = /^<\/?(?:p|h[1-6]|li|ul|ol|dl|dt|dd|table|thead|tbody|tr|td|th|div|blockquote|pre|section|article|body)\b/i;
+
+/** Line break tag, which counts as '\n' in the text of its block. */
+const BREAK_TAG_PATTERN = /^<br\b/i;
+
+/**
+ * Elements whose text is shown but never matched: code, and any element
+ * marked with a data-no-match attribute (e.g. key paths in a preview table).
+ */
+const SKIP_TAG_PATTERN = /^<(pre|code|script|style)\b|^<([a-z][\w-]*)\b[^>]*\sdata-no-match\b/i;
+
+/** Number of distinct pair colors; pairs beyond this reuse them in turn. */
+export const PAIR_COLOR_COUNT = 8;
+
+/**
+ * @typedef {object} HighlightResult
+ * @property {string} html - The highlighted HTML.
+ * @property {number[]} counts - Matches per pair.
+ * @property {number[]} overlaps - Matches per pair that overlap a match of another pair.
+ */
+
+/**
+ * Renders plain text as HTML, highlighting the matches of every pair.
+ *
+ * @param {string} text - The document's plain text content.
+ * @param {Array<{ find: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own.
+ * @returns {HighlightResult} Highlighted HTML and match counts.
+ */
+export function highlightText(text, pairs, defaults = {}) {
+    const result = createResult(pairs);
+    result.html = highlightSegment(text, pairs, defaults, result);
+    return result;
+}
+
+/**
+ * Highlights the matches of every pair within an HTML string (e.g. Mammoth
+ * output). Text is matched per block (paragraph, heading, list item, cell),
+ * with <br> read as a line break, so a match may run across inline elements
+ * such as <strong> or <a>; its highlight is then split into one <mark> per
+ * text node. Text inside code and data-no-match elements is not matched.
+ *
+ * @param {string} html - The source HTML.
+ * @param {Array<{ find: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own.
+ * @returns {HighlightResult} Highlighted HTML and match counts.
+ */
+export function highlightHtml(html, pairs, defaults = {}) {
+    const result = createResult(pairs);
+
+    if (pairs.length === 0) {
+        result.html = html;
+        return result;
+    }
+
+    const tokens = html.split(TAG_PATTERN);
+    const skipped = [];
+    let block = [];
+
+    tokens.forEach((token, index) => {
+        if (!token) {
+            return;
+        }
+
+        if (!token.startsWith('<')) {
+            if (skipped.length === 0) {
+                block.push({ index, text: unescapeXml(token) });
+            }
+            return;
+        }
+
+        updateSkipped(skipped, token);
+        if (BREAK_TAG_PATTERN.test(token)) {
+            if (skipped.length === 0) {
+                block.push({ index: -1, text: '\n' });
+            }
+        } else if (BLOCK_TAG_PATTERN.test(token)) {
+            highlightBlock(tokens, block, pairs, defaults, result);
+            block = [];
+        }
+    });
+    highlightBlock(tokens, block, pairs, defaults, result);
+
+    result.html = tokens.join('');
+    return result;
+}
+
+/**
+ * Tracks entry into and exit from elements whose text is not matched.
+ *
+ * @param {string[]} skipped - Names of the open skipped elements, updated in place.
+ * @param {string} tag - The tag.
+ */
+function updateSkipped(skipped, tag) {
+    const name = (tag.match(/^<\/?([a-z][\w-]*)/i) || [])[1]?.toLowerCase();
+    const top = skipped[skipped.length - 1];
+
+    if (!name || tag.endsWith('/>')) {
+        return;
+    }
+    if (tag[1] === '/') {
+        if (name === top) {
+            skipped.pop();
+        }
+    } else if (top ? name === top : SKIP_TAG_PATTERN.test(tag)) {
+        skipped.push(name);
+    }
+}
+
+/**
+ * Highlights the matches within one block of HTML text and writes the
+ * highlighted text pieces back into the token list. Pieces without a match
+ * keep their original markup.
+ *
+ * @param {string[]} tokens - Tags and text pieces of the HTML, updated in place.
+ * @param {Array<{ index: number, text: string }>} pieces - Text pieces of the block; index -1 marks a line break.
+ * @param {Array<{ find: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} defaults - Options used where a pair does not set its own.
+ * @param {HighlightResult} result - Counters to update.
+ */
+function highlightBlock(tokens, pieces, pairs, defaults, result) {
+    const matches = collectMatches(pieces.map((piece) => piece.text).join(''), pairs, defaults, result);
+
+    if (matches.length === 0) {
+        return;
+    }
+
+    let offset = 0;
+    for (const { index, text } of pieces) {
+        const end = offset + text.length;
+        const clipped = matches
+            .filter((match) => match.start < end && match.end > offset)
+            .map((match) => ({
+                start: Math.max(match.start, offset) - offset,
+                end: Math.min(match.end, end) - offset,
+                pairIndex: match.pairIndex,
+            }));
+
+        if (index >= 0 && clipped.length > 0) {
+            tokens[index] = buildHighlightedHtml(text, clipped, pairs);
+        }
+        offset = end;
+    }
+}
+
+/**
+ * Creates an empty result with one counter per pair.
+ *
+ * @param {Array<object>} pairs - Replacement pairs.
+ * @returns {HighlightResult} The result.
+ */
+function createResult(pairs) {
+    return { html: '', counts: pairs.map(() => 0), overlaps: pairs.map(() => 0) };
+}
+
+/**
+ * Highlights one run of text and adds its matches to the result counters.
+ * Where matches of several pairs overlap, the text is split at every match
+ * boundary; each piece is colored for the first pair covering it and marked
+ * as an overlap listing all of them.
+ *
+ * @param {string} text - The text.
+ * @param {Array<{ find: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} defaults - Options used where a pair does not set its own.
+ * @param {HighlightResult} result - Counters to update.
+ * @returns {string} HTML string with highlights.
+ */
+function highlightSegment(text, pairs, defaults, result) {
+    const matches = collectMatches(text, pairs, defaults, result);
+
+    if (matches.length === 0) {
+        return textToHtml(text);
+    }
+    return buildHighlightedHtml(text, matches, pairs);
+}
+
+/**
+ * Finds the non-empty matches of every pair in a text and adds them to the
+ * result's match and overlap counters.
+ *
+ * @param {string} text - The text.
+ * @param {Array<{ find: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} defaults - Options used where a pair does not set its own.
+ * @param {HighlightResult} result - Counters to update.
+ * @returns {Array<{ start: number, end: number, pairIndex: number }>} Non-empty matches.
+ */
+function collectMatches(text, pairs, defaults, result) {
+    const matches = [];
+
+    pairs.forEach((pair, pairIndex) => {
+        const { count, positions } = findMatches(text, pair.find, { ...defaults, ...pair.options });
+        result.counts[pairIndex] += count;
+        for (const { start, end } of positions) {
+            if (end > start) {
+                matches.push({ start, end, pairIndex });
+            }
+        }
+    });
+
+    countOverlaps(matches, result.overlaps);
+    return matches;
+}
+
+/**
+ * Counts, per pair, the matches that overlap a match of a different pair.
+ *
+ * @param {Array<{ start: number, end: number, pairIndex: number }>} matches - Non-empty matches.
+ * @param {number[]} overlaps - Counters to update.
+ */
+function countOverlaps(matches, overlaps) {
+    const sorted = [...matches].sort((a, b) => a.start - b.start || a.end - b.end);
+    const overlapping = new Set();
+    const open = [];
+
+    for (const match of sorted) {
+        // Drop matches that end before this one starts
+        for (let i = open.length - 1; i >= 0; i--) {
+            if (open[i].end <= match.start) {
+                open.splice(i, 1);
+            }
+        }
+
+        for (const other of open) {
+            if (other.pairIndex !== match.pairIndex) {
+                overlapping.add(other);
+                overlapping.add(match);
+            }
+        }
+        open.push(match);
+    }
+
+    for (const match of overlapping) {
+        overlaps[match.pairIndex]++;
+    }
+}
+
+/**
+ * Builds an HTML string with <mark> tags around matched ranges.
+ * The text is cut at every match boundary so overlapping ranges never nest.
+ *
+ * @param {string} text - The original text.
+ * @param {Array<{ start: number, end: number, pairIndex: number }>} matches - Non-empty matches.
+ * @param {Array<{ find: string }>} pairs - Replacement pairs, for the tooltips.
+ * @returns {string} HTML string with highlights.
+ */
+function buildHighlightedHtml(text, matches, pairs) {
+    const boundaries = [...new Set([0, text.length, ...matches.flatMap((m) => [m.start, m.end])])].sort((a, b) => a - b);
+    const byStart = [...matches].sort((a, b) => a.start - b.start);
+
+    let result = '';
+    let next = 0;
+    let active = [];
+
+    for (let i = 0; i < boundaries.length - 1; i++) {
+        const from = boundaries[i];
+        const to = boundaries[i + 1];
+
+        active = active.filter((match) => match.end > from);
+        while (next < byStart.length && byStart[next].start <= from) {
+            active.push(byStart[next++]);
+        }
+
+        const piece = text.slice(from, to);
+        if (active.length === 0) {
+            result += textToHtml(piece);
+            continue;
+        }
+
+        const pairIndexes = [...new Set(active.map((match) => match.pairIndex))].sort((a, b) => a - b);
+        const classes = ['match-highlight', 'match-pair', `match-pair-${pairIndexes[0] % PAIR_COLOR_COUNT}`];
+        const finds = pairIndexes.map((index) => `"${pairs[index].find}"`).join(', ');
+        if (pairIndexes.length > 1) {
+            classes.push('match-overlap');
+        }
+
+        const title = pairIndexes.length > 1 ? `Overlap: ${finds}` : `Find: ${finds}`;
+        result += `<mark class="${classes.join(' ')}" title="${escapeHtml(title)}">${escapeHtml(piece)}</mark>`;
+    }
+
+    return result;
+}
+
+/**
+ * Escapes text and turns line breaks into <br> tags.
+ *
+ * @param {string} text - Raw text.
+ * @returns {string} HTML string.
+ */
+function textToHtml(text) {
+    return escapeHtml(text).replace(/\n/g, '<br>');
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in preview.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
@@ -0,0 +1,175 @@
+/**
+ * @module history
+ * Compact deltas for multi-level undo/redo.
+ * Text is split into chunks (lines, or XML tags for package parts) and only
+ * the chunks that changed are stored, so memory grows with the size of each
+ * change rather than the size of the document.
+ */
+
+/** Splits plain text after each line break. */
+const LINE_BOUNDARY = /(?<=\n)/;
+
+/** Splits XML after each tag. */
+const TAG_BOUNDARY = /(?<=>)/;
+
+/** Package parts that can change during replacement. */
+const TRACKED_PART_PATTERN = /\.(xml|rels)$/i;
+
+/**
+ * @typedef {object} Delta
+ * @property {'chunks'|'splice'} type - Chunk replacements, or one spliced range when the chunk count changed.
+ * @property {Array<{ index: number, before: string, after: string }>} [changes] - Changed chunks.
+ * @property {'line'|'tag'} [boundary] - How the text was chunked.
+ * @property {number} [start] - Start offset of the spliced range.
+ * @property {string} [before] - Spliced range before the change.
+ * @property {string} [after] - Spliced range after the change.
+ */
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} label - Description of the step (pairs applied).
+ * @property {number} count - Number of replacements made.
+ * @property {Delta|null} textDelta - Delta for plain text documents.
+ * @property {Array<{ path: string, delta: Delta }>} partDeltas - Deltas per changed package part.
+ */
+
+/**
+ * Creates a delta that turns `before` into `after`.
+ *
+ * @param {string} before - Text before the change.
+ * @param {string} after - Text after the change.
+ * @param {'line'|'tag'} [boundary='line'] - How to chunk the text.
+ * @returns {Delta} The delta.
+ */
+export function createDelta(before, after, boundary = 'line') {
+    const separator = boundary === 'tag' ? TAG_BOUNDARY : LINE_BOUNDARY;
+    const beforeChunks = before.split(separator);
+    const afterChunks = after.split(separator);
+
+    if (beforeChunks.length === afterChunks.length) {
+        const changes = [];
+        beforeChunks.forEach((chunk, index) => {
+            if (chunk !== afterChunks[index]) {
+                changes.push({ index, before: chunk, after: afterChunks[index] });
+            }
+        });
+        return { type: 'chunks', boundary, changes };
+    }
+
+    // Chunk count changed: store the range between the common prefix and suffix
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+        start++;
+    }
+
+    let end = 0;
+    while (end < before.length - start && end < after.length - start
+        && before[before.length - 1 - end] === after[after.length - 1 - end]) {
+        end++;
+    }
+
+    return {
+        type: 'splice',
+        start,
+        before: before.slice(start, before.length - end),
+        after: after.slice(start, after.length - end),
+    };
+}
+
+/**
+ * Applies a delta forwards (redo) or backwards (undo).
+ *
+ * @param {string} text - The current text.
+ * @param {Delta} delta - The delta.
+ * @param {'undo'|'redo'} direction - Which way to apply it.
+ * @returns {string} The resulting text.
+ */
+export function applyDelta(text, delta, direction) {
+    const isUndo = direction === 'undo';
+
+    if (delta.type === 'splice') {
+        const removed = isUndo ? delta.after : delta.before;
+        const inserted = isUndo ? delta.before : delta.after;
+        return text.slice(0, delta.start) + inserted + text.slice(delta.start + removed.length);
+    }
+
+    const chunks = text.split(delta.boundary === 'tag' ? TAG_BOUNDARY : LINE_BOUNDARY);
+    for (const change of delta.changes) {
+        chunks[change.index] = isUndo ? change.before : change.after;
+    }
+    return chunks.join('');
+}
+
+/**
+ * Reads every XML part of a package so changes can be diffed afterwards.
+ *
+ * @param {JSZip} zip - The package.
+ * @returns {Promise<Map<string, string>>} Part content by path.
+ */
+export async function captureParts(zip) {
+    const snapshot = new Map();
+
+    for (const entry of Object.values(zip.files)) {
+        if (!entry.dir && TRACKED_PART_PATTERN.test(entry.name)) {
+            snapshot.set(entry.name, await entry.async('string'));
+        }
+    }
+
+    return snapshot;
+}
+
+/**
+ * Compares the package with an earlier snapshot and returns deltas for the
+ * parts that changed.
+ *
+ * @param {JSZip} zip - The package after the change.
+ * @param {Map<string, string>} snapshot - Result of captureParts before the change.
+ * @returns {Promise<Array<{ path: string, delta: Delta }>>} Deltas per changed part.
+ */
+export async function diffParts(zip, snapshot) {
+    const deltas = [];
+
+    for (const [path, before] of snapshot) {
+        const file = zip.file(path);
+        const after = file ? await file.async('string') : before;
+        if (after !== before) {
+            deltas.push({ path, delta: createDelta(before, after, 'tag') });
+        }
+    }
+
+    return deltas;
+}
+
+/**
+ * Applies part deltas to a package in place.
+ *
+ * @param {JSZip} zip - The package.
+ * @param {Array<{ path: string, delta: Delta }>} partDeltas - Deltas per part.
+ * @param {'undo'|'redo'} direction - Which way to apply them.
+ * @returns {Promise<JSZip>} The same package.
+ */
+export async function applyPartDeltas(zip, partDeltas, direction) {
+    for (const { path, delta } of partDeltas) {
+        const xml = await zip.file(path).async('string');
+        zip.file(path, applyDelta(xml, delta, direction));
+    }
+    return zip;
+}
+
+/**
+ * Builds a short label for a step from the pairs it applied.
+ *
+ * @param {string} action - The action name, e.g. 'Replace All'.
+ * @param {Array<{ find: string, replace: string }>} pairs - The pairs applied.
+ * @returns {string} The label, e.g. 'Replace All: "Acme" → "Globex" +2 more'.
+ */
+export function describePairs(action, pairs) {
+    if (pairs.length === 0) {
+        return action;
+    }
+
+    const shorten = (str) => (str.length > 24 ? `${str.slice(0, 23)}…` : str);
+    const first = `"${shorten(pairs[0].find)}" → "${shorten(pairs[0].replace)}"`;
+    const more = pairs.length > 1 ? ` +${pairs.length - 1} more` : '';
+    return `${action}: ${first}${more}`;
+}
@@ -0,0 +1,244 @@
+/**
+ * @module htmlProcessor
+ * Structure-aware processing of .html files: only text nodes, and
+ * optionally chosen attribute values, are matched and replaced. Tags,
+ * attribute names, scripts, styles and code are never touched.
+ * Pure functions — no DOM, no side effects.
+ */
+
+import { tokenizeMarkup, readAttributes, unescapeXml } from './xmlUtils.js';
+import { createTextBlock } from './structuredText.js';
+
+/** Elements that start a new block of text; matches never cross them. */
+const BLOCK_ELEMENTS = [
+    'address', 'article', 'aside', 'blockquote', 'body', 'button', 'caption', 'dd', 'details', 'dialog', 'div', 'dl',
+    'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header',
+    'hr', 'html', 'label', 'legend', 'li', 'main', 'nav', 'ol', 'option', 'p', 'pre', 'section', 'select', 'summary',
+    'table', 'tbody', 'td', 'textarea', 'tfoot', 'th', 'thead', 'title', 'tr', 'ul',
+];
+
+/** Elements whose content is code or not shown, and is never matched. */
+const SKIPPED_ELEMENTS = ['code', 'pre', 'script', 'style', 'template'];
+
+/** Block elements the preview keeps; other block elements become <div>. */
+const PREVIEW_BLOCK_TAGS = ['blockquote', 'dd', 'dl', 'dt', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'ol', 'p', 'pre', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul'];
+
+/** Inline elements the preview keeps, without their attributes. */
+const PREVIEW_INLINE_TAGS = ['a', 'abbr', 'b', 'cite', 'code', 'em', 'i', 'mark', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'u'];
+
+/** Named character references decoded besides the XML ones. */
+const HTML_ENTITIES = {
+    nbsp: '\u00a0', copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', euro: '€', middot: '·', bull: '•',
+};
+
+/**
+ * Splits an HTML document into blocks of text nodes. Text is grouped per
+ * block element, with whitespace collapsed and <br> read as '\n'; chosen
+ * attribute values follow as blocks of kind 'attribute'.
+ *
+ * @param {string} source - The HTML source.
+ * @param {object} [options]
+ * @param {string[]} [options.attributeNames] - Attributes whose values are matched too, e.g. ['alt', 'title'].
+ * @returns {import('./structuredText.js').TextBlock[]} The blocks.
+ */
+export function getHtmlBlocks(source, { attributeNames = [] } = {}) {
+    const names = attributeNames.map((name) => name.toLowerCase());
+    const blocks = [];
+    const attributeBlocks = [];
+    const skipped = [];
+    let segments = [];
+
+    const flush = () => {
+        if (segments.some((segment) => segment.text.trim())) {
+            blocks.push(createTextBlock(`html#${blocks.length}`, 'body', segments));
+        }
+        segments = [];
+    };
+
+    for (const token of tokenizeMarkup(source, { isHtml: true })) {
+        if (token.type === 'text') {
+            if (skipped.length === 0) {
+                segments.push({ start: token.start, end: token.end, text: collapseWhitespace(decodeHtml(source.slice(token.start, token.end))) });
+            }
+            continue;
+        }
+        if (token.type !== 'tag') {
+            continue;
+        }
+
+        if (BLOCK_ELEMENTS.includes(token.name)) {
+            flush();
+        }
+
+        if (updateSkipped(skipped, token) || skipped.length > 0 || token.isClosing) {
+            continue;
+        }
+
+        if (token.name === 'br') {
+            segments.push({ start: token.start, end: token.end, text: '\n' });
+        }
+
+        for (const attribute of readAttributes(source, token)) {
+            if (names.includes(attribute.name.toLowerCase()) && attribute.value.trim()) {
+                const segment = {
+                    start: attribute.valueStart,
+                    end: attribute.valueEnd,
+                    text: decodeHtml(attribute.value),
+                    quote: attribute.quote,
+                };
+                attributeBlocks.push(createTextBlock(`attribute#${attributeBlocks.length}`, 'attribute', [segment], `${token.name} ${attribute.name}`));
+            }
+        }
+    }
+    flush();
+
+    return [...blocks, ...attributeBlocks];
+}
+
+/**
+ * Encodes new text for a text node or attribute value.
+ *
+ * @param {string} text - The new text.
+ * @param {{ quote?: string }} segment - The segment being replaced.
+ * @returns {string} HTML source for the segment.
+ */
+export function encodeHtmlText(text, segment) {
+    const escaped = text.replace(/&/g, '&amp;').replace(/\u00a0/g, '&nbsp;');
+
+    if (segment.quote !== undefined) {
+        const quote = segment.quote || '"';
+        const value = quote === '"' ? escaped.replace(/"/g, '&quot;') : escaped.replace(/'/g, '&#39;');
+        return segment.quote ? value : `${quote}${value}${quote}`;
+    }
+
+    return escaped.replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>');
+}
+
+/**
+ * Renders a safe preview of an HTML document: its text with the basic
+ * block and inline structure, but no attributes, scripts or styles.
+ * Code is shown but excluded from highlighting; matched attribute values
+ * are listed after the document.
+ *
+ * @param {string} source - The HTML source.
+ * @param {object} [options] - See getHtmlBlocks.
+ * @returns {string} Preview HTML.
+ */
+export function renderHtmlPreview(source, options = {}) {
+    const skipped = [];
+    let html = '';
+
+    for (const token of tokenizeMarkup(source, { isHtml: true })) {
+        if (token.type === 'text') {
+            const text = decodeHtml(source.slice(token.start, token.end));
+            if (skipped.length === 0) {
+                html += escapeHtml(collapseWhitespace(text));
+            } else if (['pre', 'code'].includes(skipped[0])) {
+                html += escapeHtml(text);
+            }
+            continue;
+        }
+        if (token.type !== 'tag') {
+            continue;
+        }
+
+        const isShown = skipped.length === 0 || ['pre', 'code'].includes(skipped[0]);
+        updateSkipped(skipped, token);
+        if (isShown) {
+            html += toPreviewTag(token);
+        }
+    }
+
+    const attributes = getHtmlBlocks(source, options).filter((block) => block.kind === 'attribute');
+    if (attributes.length > 0) {
+        html += '<section class="preview-attributes"><h4 data-no-match>Attributes</h4>';
+        html += attributes.map((block) => (
+            `<div class="preview-attribute" data-name="${escapeHtml(block.path)}">${escapeHtml(block.text)}</div>`
+        )).join('');
+        html += '</section>';
+    }
+
+    return html;
+}
+
+/**
+ * Tracks entry into and exit from skipped elements.
+ *
+ * @param {string[]} skipped - Names of the open skipped elements, updated in place.
+ * @param {import('./xmlUtils.js').MarkupToken} tag - The tag token.
+ * @returns {boolean} True if the tag opened or closed a skipped element.
+ */
+function updateSkipped(skipped, tag) {
+    const top = skipped[skipped.length - 1];
+
+    if (tag.isClosing) {
+        if (tag.name === top) {
+            skipped.pop();
+            return true;
+        }
+        return false;
+    }
+
+    if (!tag.isEmpty && (top ? tag.name === top : SKIPPED_ELEMENTS.includes(tag.name))) {
+        skipped.push(tag.name);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Returns the preview markup for a tag: a bare copy of known elements,
+ * <div> for other block elements and nothing for the rest.
+ *
+ * @param {import('./xmlUtils.js').MarkupToken} tag - The tag token.
+ * @returns {string} Preview HTML.
+ */
+function toPreviewTag(tag) {
+    if (tag.name === 'br' || tag.name === 'hr') {
+        return tag.isClosing ? '' : `<${tag.name}>`;
+    }
+
+    let name = null;
+    if (PREVIEW_BLOCK_TAGS.includes(tag.name) || PREVIEW_INLINE_TAGS.includes(tag.name)) {
+        name = tag.name;
+    } else if (BLOCK_ELEMENTS.includes(tag.name)) {
+        name = 'div';
+    }
+
+    if (!name || (tag.isEmpty && !tag.isClosing)) {
+        return '';
+    }
+    return tag.isClosing ? `</${name}>` : `<${name}>`;
+}
+
+/**
+ * Decodes XML entities plus the common named HTML character references.
+ *
+ * @param {string} str - Escaped HTML text.
+ * @returns {string} Decoded text.
+ */
+function decodeHtml(str) {
+    return unescapeXml(str.replace(/&([a-z]+);/g, (entity, name) => HTML_ENTITIES[name] ?? entity));
+}
+
+/**
+ * Collapses runs of HTML whitespace into one space, as browsers render them.
+ *
+ * @param {string} text - The text.
+ * @returns {string} Collapsed text.
+ */
+function collapseWhitespace(text) {
+    return text.replace(/[ \t\n\r\f]+/g, ' ');
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in preview.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
@@ -0,0 +1,189 @@
+/**
+ * @module jsonProcessor
+ * Structure-aware processing of .json files: only string values are matched
+ * and replaced, optionally limited to chosen key paths. Keys, numbers and
+ * the file's layout are never touched.
+ * Pure functions — no DOM, no side effects.
+ */
+
+import { createTextBlock } from './structuredText.js';
+
+/**
+ * @typedef {object} JsonString
+ * @property {number} start - Offset of the string literal (including quotes) in the source.
+ * @property {number} end - Offset just past the literal.
+ * @property {string} text - The decoded string.
+ * @property {string[]} path - Keys and array indices leading to the value.
+ */
+
+/**
+ * Splits a JSON file into one block per string value in scope.
+ *
+ * @param {string} source - The JSON source.
+ * @param {object} [options]
+ * @param {string[]} [options.jsonKeyPaths] - Key path patterns such as 'items.*.title' or '**.description'; empty for all.
+ * @returns {import('./structuredText.js').TextBlock[]} The blocks.
+ * @throws {Error} If the source is not valid JSON.
+ */
+export function getJsonBlocks(source, { jsonKeyPaths = [] } = {}) {
+    const patterns = jsonKeyPaths.map((pattern) => pattern.split('.'));
+    const blocks = [];
+
+    collectJsonStrings(source).forEach((value, index) => {
+        if (patterns.length > 0 && !patterns.some((pattern) => matchesKeyPath(pattern, value.path))) {
+            return;
+        }
+        const segment = { start: value.start, end: value.end, text: value.text };
+        blocks.push(createTextBlock(`json#${index}`, 'body', [segment], formatPath(value.path)));
+    });
+
+    return blocks;
+}
+
+/**
+ * Encodes a new string value as a JSON string literal.
+ *
+ * @param {string} text - The new value.
+ * @returns {string} JSON source for the value.
+ */
+export function encodeJsonText(text) {
+    return JSON.stringify(text);
+}
+
+/**
+ * Renders the string values of a JSON file as a table of key paths and
+ * values. Values outside the chosen key paths are shown but not highlighted.
+ *
+ * @param {string} source - The JSON source.
+ * @param {object} [options] - See getJsonBlocks.
+ * @returns {string} Preview HTML.
+ */
+export function renderJsonPreview(source, options = {}) {
+    const scoped = new Set(getJsonBlocks(source, options).map((block) => block.key));
+
+    const rows = collectJsonStrings(source).map((value, index) => {
+        const skip = scoped.has(`json#${index}`) ? '' : ' data-no-match';
+        return `<tr><td class="preview-path" data-no-match>${escapeHtml(formatPath(value.path))}</td>`
+            + `<td${skip}>${escapeHtml(value.text)}</td></tr>`;
+    });
+
+    return `<table class="preview-table">${rows.join('')}</table>`;
+}
+
+/**
+ * Lists the string values of a JSON document, in source order.
+ *
+ * @param {string} source - The JSON source.
+ * @returns {JsonString[]} The string values.
+ * @throws {Error} If the source is not valid JSON.
+ */
+function collectJsonStrings(source) {
+    const text = source.replace(/^\uFEFF/, '');
+    try {
+        JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+
+    const values = [];
+    let i = source.length - text.length;
+
+    const skipWhitespace = () => {
+        while (i < source.length && /\s/.test(source[i])) {
+            i++;
+        }
+    };
+
+    const readString = () => {
+        const start = i;
+        i++;
+        while (source[i] !== '"') {
+            i += source[i] === '\\' ? 2 : 1;
+        }
+        i++;
+        return { start, end: i, text: JSON.parse(source.slice(start, i)) };
+    };
+
+    const readValue = (path) => {
+        skipWhitespace();
+        const char = source[i];
+
+        if (char === '"') {
+            values.push({ ...readString(), path });
+        } else if (char === '{' || char === '[') {
+            const isObject = char === '{';
+            let index = 0;
+            i++;
+            skipWhitespace();
+            while (source[i] !== (isObject ? '}' : ']')) {
+                let key = String(index++);
+                if (isObject) {
+                    key = readString().text;
+                    skipWhitespace();
+                    i++; // ':'
+                }
+                readValue([...path, key]);
+                skipWhitespace();
+                if (source[i] === ',') {
+                    i++;
+                    skipWhitespace();
+                }
+            }
+            i++;
+        } else {
+            while (i < source.length && !/[\s,\]}]/.test(source[i])) {
+                i++;
+            }
+        }
+    };
+
+    readValue([]);
+    return values;
+}
+
+/**
+ * Tests a key path against a pattern. '*' matches one key and '**' any
+ * number of keys; a pattern that matches the start of the path includes
+ * everything below it.
+ *
+ * @param {string[]} pattern - Pattern segments.
+ * @param {string[]} path - Key path.
+ * @returns {boolean} True if the path is in scope.
+ */
+function matchesKeyPath(pattern, path) {
+    if (pattern.length === 0) {
+        return true;
+    }
+
+    const [head, ...rest] = pattern;
+    if (head === '**') {
+        return path.some((_, index) => matchesKeyPath(rest, path.slice(index))) || matchesKeyPath(rest, []);
+    }
+    return path.length > 0 && (head === '*' || head === path[0]) && matchesKeyPath(rest, path.slice(1));
+}
+
+/**
+ * Formats a key path for display, e.g. 'items[0].title'.
+ *
+ * @param {string[]} path - Key path.
+ * @returns {string} The formatted path.
+ */
+function formatPath(path) {
+    return path.reduce((result, key) => {
+        if (/^\d+$/.test(key)) {
+            return `${result}[${key}]`;
+        }
+        return result ? `${result}.${key}` : key;
+    }, '') || '(root)';
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in preview.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
@@ -0,0 +1,267 @@
+/**
+ * @module mailMerge
+ * Template mode: fills the {{placeholders}} of a .docx template from the
+ * rows of a CSV, TSV or JSON data file, one document per row, and bundles
+ * the documents into one ZIP. Each placeholder becomes a replacement pair,
+ * so a placeholder split across runs is filled like any other match and
+ * keeps the formatting of the run it starts in.
+ */
+
+import JSZip from 'jszip';
+import { loadDocx, getParagraphBlocks, applyPairsToDocx, exportDocx } from './docxProcessor.js';
+import { parseDelimited } from './tableParser.js';
+import { escapeRegexChars } from './replacer.js';
+
+/** Matches a placeholder: its name, without the surrounding spaces, in group 1. */
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/** Characters file systems do not allow in file names. */
+const INVALID_FILE_NAME_PATTERN = /[\\/:*?"<>|\u0000-\u001f]/g;
+
+const DOCX_EXTENSION = '.docx';
+
+/**
+ * @typedef {object} MergeRow
+ * @property {number} number - Row number as shown to the user: the line in a CSV or TSV file, the item (1-based) in JSON.
+ * @property {Object<string, string>} values - Value per column.
+ */
+
+/**
+ * @typedef {object} MergeData
+ * @property {string[]} columns - Column names, in order.
+ * @property {MergeRow[]} rows - The data rows.
+ */
+
+/**
+ * @typedef {object} MergeIssue
+ * @property {number} number - Row number (see MergeRow).
+ * @property {string[]} placeholders - Placeholders the row leaves unresolved.
+ */
+
+/**
+ * Lists the placeholders in some texts, each once, in order of appearance.
+ *
+ * @param {string[]} texts - The texts, e.g. the paragraphs of a template.
+ * @returns {string[]} Placeholder names.
+ */
+export function findPlaceholders(texts) {
+    const names = new Set();
+    for (const text of texts) {
+        for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+            names.add(match[1]);
+        }
+    }
+    return [...names];
+}
+
+/**
+ * Lists the placeholders of a .docx template, in its body, headers,
+ * footers, notes, comments and document properties.
+ *
+ * @param {File} template - The .docx template.
+ * @returns {Promise<string[]>} Placeholder names.
+ */
+export async function readTemplatePlaceholders(template) {
+    const blocks = await getParagraphBlocks(await loadDocx(template));
+    return findPlaceholders(blocks.map((block) => block.text));
+}
+
+/**
+ * Reads a data file. CSV and TSV files name their columns in the first row;
+ * JSON files hold an array of objects whose keys are the columns. Values
+ * that are not strings are written out, null as empty text.
+ *
+ * @param {string} text - The file content.
+ * @param {string} extension - The file extension, e.g. '.csv'.
+ * @returns {MergeData} The columns and rows.
+ */
+export function parseMergeData(text, extension) {
+    if (extension === '.json') {
+        return parseJsonData(text);
+    }
+
+    const [header = [], ...lines] = extension === '.tsv' ? parseDelimited(text, '\t') : parseDelimited(text);
+    const columns = header.map((name) => name.trim());
+    const rows = lines
+        .map((cells, index) => ({
+            number: index + 2,
+            values: Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])),
+        }))
+        .filter((row) => Object.values(row.values).some((value) => value.trim()));
+
+    return { columns, rows };
+}
+
+/**
+ * Reads JSON data (see parseMergeData).
+ *
+ * @param {string} text - The file content.
+ * @returns {MergeData} The columns and rows.
+ */
+function parseJsonData(text) {
+    const items = JSON.parse(text.replace(/^\uFEFF/, ''));
+    if (!Array.isArray(items) || items.some((item) => !item || typeof item !== 'object' || Array.isArray(item))) {
+        throw new Error('JSON data must be an array of objects.');
+    }
+
+    const columns = [...new Set(items.flatMap((item) => Object.keys(item)))];
+    const rows = items.map((item, index) => ({
+        number: index + 1,
+        values: Object.fromEntries(Object.entries(item).map(([key, value]) => [key, toText(value)])),
+    }));
+
+    return { columns, rows };
+}
+
+/**
+ * Writes a JSON value as merge text.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The text.
+ */
+function toText(value) {
+    if (value === null) {
+        return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Maps each placeholder to the column of the same name, ignoring letter
+ * case, spaces and punctuation, so {{first name}} finds First_Name.
+ *
+ * @param {string[]} placeholders - Placeholder names.
+ * @param {string[]} columns - Column names.
+ * @returns {Object<string, string>} Column per placeholder; '' where none matches.
+ */
+export function suggestMapping(placeholders, columns) {
+    return Object.fromEntries(placeholders.map((placeholder) => [
+        placeholder,
+        columns.find((column) => normalizeName(column) === normalizeName(placeholder)) || '',
+    ]));
+}
+
+/**
+ * Lists the placeholders a row cannot fill: those mapped to no column, and
+ * those whose column is empty or missing in the row.
+ *
+ * @param {MergeRow} row - The row.
+ * @param {string[]} placeholders - Placeholder names.
+ * @param {Object<string, string>} mapping - Column per placeholder (see suggestMapping).
+ * @returns {string[]} The unresolved placeholders.
+ */
+export function findUnresolved(row, placeholders, mapping) {
+    return placeholders.filter((placeholder) => !(row.values[mapping[placeholder]] || '').trim());
+}
+
+/**
+ * Checks every row before generation.
+ *
+ * @param {MergeRow[]} rows - The rows.
+ * @param {string[]} placeholders - Placeholder names, of the template and the file name pattern.
+ * @param {Object<string, string>} mapping - Column per placeholder.
+ * @returns {MergeIssue[]} The rows with unresolved placeholders.
+ */
+export function checkMergeRows(rows, placeholders, mapping) {
+    return rows
+        .map((row) => ({ number: row.number, placeholders: findUnresolved(row, placeholders, mapping) }))
+        .filter((issue) => issue.placeholders.length > 0);
+}
+
+/**
+ * Builds the file name of each row's document from a pattern such as
+ * '{{name}}_offer.docx'. Characters file systems reject become '_', the
+ * .docx extension is added if the pattern lacks it, and names that repeat
+ * get a number, so no document overwrites another in the ZIP.
+ *
+ * @param {MergeRow[]} rows - The rows.
+ * @param {string} pattern - The file name pattern.
+ * @param {Object<string, string>} mapping - Column per placeholder.
+ * @returns {string[]} One file name per row.
+ */
+export function createFileNames(rows, pattern, mapping) {
+    const used = new Set();
+
+    return rows.map((row) => {
+        const filled = pattern.replace(PLACEHOLDER_PATTERN, (placeholder, name) => row.values[mapping[name]] || '');
+        let baseName = filled.replace(INVALID_FILE_NAME_PATTERN, '_').trim().replace(/[. ]+$/, '');
+        if (baseName.toLowerCase().endsWith(DOCX_EXTENSION)) {
+            baseName = baseName.slice(0, -DOCX_EXTENSION.length);
+        }
+        baseName = baseName || `document_${row.number}`;
+
+        let name = `${baseName}${DOCX_EXTENSION}`;
+        for (let copy = 2; used.has(name.toLowerCase()); copy++) {
+            name = `${baseName} (${copy})${DOCX_EXTENSION}`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+/**
+ * Generates one document per row and bundles them into a ZIP. Rows with
+ * unresolved placeholders are skipped unless isIncomplete is set; their
+ * documents then keep the placeholders that map to no column and leave
+ * empty the ones whose value is empty.
+ *
+ * @param {File} template - The .docx template.
+ * @param {object} job
+ * @param {MergeRow[]} job.rows - The rows.
+ * @param {string[]} job.placeholders - Placeholder names, of the template and the file name pattern.
+ * @param {Object<string, string>} job.mapping - Column per placeholder.
+ * @param {string} job.fileNamePattern - The file name pattern (see createFileNames).
+ * @param {boolean} [job.isIncomplete=false] - Also generate rows with unresolved placeholders.
+ * @param {function(number, number): void} [onProgress] - Called with the number of documents done and the total.
+ * @returns {Promise<{ blob: Blob, count: number }>} The ZIP and the number of documents in it.
+ */
+export async function generateMergeZip(template, { rows, placeholders, mapping, fileNamePattern, isIncomplete = false }, onProgress = () => {}) {
+    const fileNames = createFileNames(rows, fileNamePattern, mapping);
+    const jobs = rows
+        .map((row, index) => ({ row, fileName: fileNames[index] }))
+        .filter(({ row }) => isIncomplete || findUnresolved(row, placeholders, mapping).length === 0);
+    const bundle = new JSZip();
+
+    for (const [index, { row, fileName }] of jobs.entries()) {
+        const zip = await loadDocx(template);
+        await applyPairsToDocx(zip, createRowPairs(row, placeholders, mapping));
+        bundle.file(fileName, await exportDocx(zip));
+        onProgress(index + 1, jobs.length);
+    }
+
+    return {
+        blob: await bundle.generateAsync({ type: 'blob', mimeType: 'application/zip' }),
+        count: jobs.length,
+    };
+}
+
+/**
+ * Builds the pairs that fill a row's values into the template. A
+ * placeholder matches with any spaces inside its braces; one that maps to
+ * no column gets no pair.
+ *
+ * @param {MergeRow} row - The row.
+ * @param {string[]} placeholders - Placeholder names.
+ * @param {Object<string, string>} mapping - Column per placeholder.
+ * @returns {Array<{ find: string, replace: string, options: object }>} The pairs.
+ */
+function createRowPairs(row, placeholders, mapping) {
+    return placeholders
+        .filter((placeholder) => mapping[placeholder])
+        .map((placeholder) => ({
+            find: `\\{\\{\\s*${escapeRegexChars(placeholder)}\\s*\\}\\}`,
+            // Values are literal text, not replacement patterns
+            replace: (row.values[mapping[placeholder]] || '').replace(/\$/g, '$$$$'),
+            options: { isCaseSensitive: true, isWholeWord: false, isRegex: true, isPreserveCase: false },
+        }));
+}
+
+/**
+ * Reduces a placeholder or column name to a comparable form.
+ *
+ * @param {string} name - The name.
+ * @returns {string} The normalized name.
+ */
+function normalizeName(name) {
+    return name.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
@@ -0,0 +1,434 @@
+/**
+ * @module markdownProcessor
+ * Structure-aware processing of Markdown files: only prose is matched and
+ * replaced. Code blocks, inline code, front matter, HTML blocks, link
+ * targets and formatting markers are never touched.
+ * Pure functions — no DOM, no side effects.
+ */
+
+import { createTextBlock } from './structuredText.js';
+
+/** Opening or closing code fence. */
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+/** Delimiter row below a table header. */
+const TABLE_DELIMITER_PATTERN = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+/**
+ * Matches inline markup that is not prose: code spans, autolinks and HTML
+ * tags, link brackets and targets, backslash escapes (group 1 is the escaped
+ * character) and emphasis or strikethrough markers.
+ */
+const INLINE_PATTERN = /(`+)[\s\S]*?[^`]\1(?!`)|<[a-zA-Z][a-zA-Z0-9+.-]*:[^\s<>]*>|<\/?[a-zA-Z][^<>]*>|!?\[(?=(?:\\.|[^\]\\])*\][([])|\](?:\((?:[^()\s]|\([^()]*\))*(?:\s+(?:"[^"]*"|'[^']*'))?\)|\[[^\]]*\])|\\([!-/:-@[-`{-~])|\*+(?=\S)|(?<=\S)\*+|~~(?=\S)|(?<=\S)~~|(?<![\p{L}\p{N}])_+(?=\S)|(?<=\S)_+(?![\p{L}\p{N}])/gu;
+
+/**
+ * @typedef {object} MarkdownElement
+ * @property {'heading'|'paragraph'|'quote'|'item'|'table'|'code'|'rule'} type - Element type.
+ * @property {number} [level] - Heading level.
+ * @property {boolean} [isOrdered] - Whether a list item is numbered.
+ * @property {string} [prefix] - What continuation lines start with, e.g. '> '.
+ * @property {Array<{ start: number, end: number }>} [lines] - Content range of each line.
+ * @property {Array<Array<{ start: number, end: number }>>} [rows] - Cell ranges of each table row.
+ * @property {number} [start] - Start of a code element in the source.
+ * @property {number} [end] - End of a code element in the source.
+ */
+
+/**
+ * Splits a Markdown document into blocks of prose: one per paragraph,
+ * heading, list item, quote and table cell. Soft line breaks are read as '\n'.
+ *
+ * @param {string} source - The Markdown source.
+ * @returns {import('./structuredText.js').TextBlock[]} The blocks.
+ */
+export function getMarkdownBlocks(source) {
+    const lineBreak = source.includes('\r\n') ? '\r\n' : '\n';
+    const blocks = [];
+
+    const addBlock = (segments) => {
+        if (segments.some((segment) => segment.text.trim())) {
+            blocks.push(createTextBlock(`md#${blocks.length}`, 'body', segments));
+        }
+    };
+
+    for (const element of parseMarkdown(source)) {
+        if (element.type === 'table') {
+            for (const row of element.rows) {
+                row.forEach((cell) => addBlock(getInlineSegments(source, cell, { continuation: ' ', isCell: true })));
+            }
+        } else if (element.lines) {
+            addBlock(getLineSegments(source, element, lineBreak));
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Encodes new prose for a segment: Markdown characters are escaped and line
+ * breaks continue the element (e.g. with '> ' inside a quote).
+ *
+ * @param {string} text - The new text.
+ * @param {{ continuation: string, isCell?: boolean }} segment - The segment being replaced.
+ * @returns {string} Markdown source for the segment.
+ */
+export function encodeMarkdownText(text, segment) {
+    let escaped = text.replace(/[\\`*_[\]<]/g, '\\$&');
+    if (segment.isCell) {
+        escaped = escaped.replace(/\|/g, '\\|');
+    }
+    return escaped.replace(/\n/g, segment.continuation);
+}
+
+/**
+ * Renders a Markdown document as preview HTML. Code is shown but excluded
+ * from highlighting, so the highlights follow the prose blocks exactly.
+ *
+ * @param {string} source - The Markdown source.
+ * @returns {string} Preview HTML.
+ */
+export function renderMarkdownPreview(source) {
+    let html = '';
+    let openList = null;
+
+    for (const element of parseMarkdown(source)) {
+        const listTag = element.type === 'item' ? (element.isOrdered ? 'ol' : 'ul') : null;
+        if (openList && openList !== listTag) {
+            html += `</${openList}>`;
+            openList = null;
+        }
+        if (listTag && !openList) {
+            html += `<${listTag}>`;
+            openList = listTag;
+        }
+
+        switch (element.type) {
+            case 'heading':
+                html += `<h${element.level}>${renderSegments(source, element)}</h${element.level}>`;
+                break;
+            case 'paragraph':
+                html += `<p>${renderSegments(source, element)}</p>`;
+                break;
+            case 'quote':
+                html += `<blockquote><p>${renderSegments(source, element)}</p></blockquote>`;
+                break;
+            case 'item':
+                html += `<li>${renderSegments(source, element)}</li>`;
+                break;
+            case 'table':
+                html += renderTable(source, element);
+                break;
+            case 'code':
+                html += `<pre><code>${escapeHtml(source.slice(element.start, element.end))}</code></pre>`;
+                break;
+            case 'rule':
+                html += '<hr>';
+                break;
+        }
+    }
+
+    if (openList) {
+        html += `</${openList}>`;
+    }
+    return html;
+}
+
+/**
+ * Parses the block structure of a Markdown document.
+ *
+ * @param {string} source - The Markdown source.
+ * @returns {MarkdownElement[]} Elements in source order.
+ */
+function parseMarkdown(source) {
+    const lines = splitLines(source);
+    const lineText = (index) => source.slice(lines[index].start, lines[index].end);
+    const isBlank = (index) => /^\s*$/.test(lineText(index));
+    const elements = [];
+    let current = null;
+    let i = 0;
+
+    const addCode = (first, last) => {
+        elements.push({ type: 'code', start: lines[first].start, end: lines[last].end });
+        current = null;
+    };
+
+    // YAML front matter
+    if (lines.length > 0 && /^---\s*$/.test(lineText(0))) {
+        const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(lineText(index)));
+        if (end !== -1) {
+            addCode(0, end);
+            i = end + 1;
+        }
+    }
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const text = lineText(i);
+        const previous = elements[elements.length - 1];
+        let match;
+
+        if (isBlank(i)) {
+            current = null;
+            i++;
+        } else if ((match = text.match(FENCE_PATTERN))) {
+            const fence = new RegExp(`^ {0,3}${match[1][0]}{${match[1].length},}\\s*$`);
+            let end = i + 1;
+            while (end < lines.length && !fence.test(lineText(end))) {
+                end++;
+            }
+            addCode(i, Math.min(end, lines.length - 1));
+            i = end + 1;
+        } else if (!current && /^( {4}|\t)/.test(text) && previous?.type !== 'item') {
+            let last = i;
+            for (let j = i; j < lines.length && (isBlank(j) || /^( {4}|\t)/.test(lineText(j))); j++) {
+                if (!isBlank(j)) {
+                    last = j;
+                }
+            }
+            addCode(i, last);
+            i = last + 1;
+        } else if ((match = text.match(/^ {0,3}(#{1,6})(?:[ \t]+|$)/))) {
+            const start = line.start + match[0].length;
+            const closing = source.slice(start, line.end).match(/(?:^|[ \t]+)#+[ \t]*$|[ \t]+$/);
+            elements.push({ type: 'heading', level: match[1].length, prefix: '', lines: [{ start, end: line.end - (closing ? closing[0].length : 0) }] });
+            current = null;
+            i++;
+        } else if (current?.type === 'paragraph' && (match = text.match(/^ {0,3}(=+|-+)[ \t]*$/))) {
+            // Setext heading underline
+            Object.assign(current, { type: 'heading', level: match[1][0] === '=' ? 1 : 2 });
+            current = null;
+            i++;
+        } else if (/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(text)) {
+            elements.push({ type: 'rule' });
+            current = null;
+            i++;
+        } else if (!current && /^ {0,3}(?:\[[^\]]+\]:|<(?:[a-zA-Z][\w-]*(?:[\s/>]|$)|\/[a-zA-Z]|!--))/.test(text)) {
+            // Link reference definition or HTML block, up to the next blank line
+            let last = i;
+            while (last + 1 < lines.length && !isBlank(last + 1)) {
+                last++;
+            }
+            addCode(i, last);
+            i = last + 1;
+        } else if (text.includes('|') && i + 1 < lines.length && lineText(i + 1).includes('|') && TABLE_DELIMITER_PATTERN.test(lineText(i + 1))) {
+            const rows = [splitTableRow(source, line)];
+            i += 2;
+            while (i < lines.length && !isBlank(i) && lineText(i).includes('|')) {
+                rows.push(splitTableRow(source, lines[i]));
+                i++;
+            }
+            elements.push({ type: 'table', rows });
+            current = null;
+        } else if ((match = text.match(/^ {0,3}>[ \t]?/))) {
+            const content = { start: line.start + match[0].length, end: line.end };
+            if (current?.type === 'quote') {
+                current.lines.push(content);
+            } else {
+                current = { type: 'quote', prefix: '> ', lines: [content] };
+                elements.push(current);
+            }
+            i++;
+        } else if ((match = text.match(/^ {0,3}([-*+]|\d{1,9}[.)])(?:[ \t]+|$)/))) {
+            current = {
+                type: 'item',
+                isOrdered: /\d/.test(match[1]),
+                prefix: ' '.repeat(match[0].length),
+                lines: [{ start: line.start + match[0].length, end: line.end }],
+            };
+            elements.push(current);
+            i++;
+        } else {
+            const indent = text.match(/^[ \t]*/)[0];
+            const content = { start: line.start + indent.length, end: line.end };
+            if (current) {
+                current.lines.push(content);
+            } else {
+                current = { type: 'paragraph', prefix: previous?.type === 'item' ? indent : '', lines: [content] };
+                elements.push(current);
+            }
+            i++;
+        }
+    }
+
+    return elements;
+}
+
+/**
+ * Splits the source into lines, without their line break characters.
+ *
+ * @param {string} source - The source.
+ * @returns {Array<{ start: number, end: number }>} Line ranges.
+ */
+function splitLines(source) {
+    const lines = [];
+    const pattern = /\r?\n/g;
+    let start = 0;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        lines.push({ start, end: match.index });
+        start = match.index + match[0].length;
+    }
+    if (start < source.length) {
+        lines.push({ start, end: source.length });
+    }
+
+    return lines;
+}
+
+/**
+ * Splits a table row into trimmed cell ranges at unescaped pipes.
+ *
+ * @param {string} source - The source.
+ * @param {{ start: number, end: number }} line - The row's line.
+ * @returns {Array<{ start: number, end: number }>} Cell ranges.
+ */
+function splitTableRow(source, line) {
+    const text = source.slice(line.start, line.end);
+    const cells = [];
+    let cellStart = 0;
+
+    for (let i = 0; i <= text.length; i++) {
+        if (i === text.length || (text[i] === '|' && text[i - 1] !== '\\')) {
+            const raw = text.slice(cellStart, i);
+            const leading = raw.length - raw.trimStart().length;
+            const trimmed = raw.trim();
+            const isOuterEdge = !trimmed && (cellStart === 0 || i === text.length);
+
+            if (!isOuterEdge) {
+                const start = line.start + cellStart + leading;
+                cells.push({ start, end: start + trimmed.length });
+            }
+            cellStart = i + 1;
+        }
+    }
+
+    return cells;
+}
+
+/**
+ * Builds the segments of a multi-line element. The line break and prefix
+ * between two lines form a segment of their own that reads as '\n'.
+ *
+ * @param {string} source - The source.
+ * @param {MarkdownElement} element - The element.
+ * @param {string} lineBreak - The document's line break.
+ * @returns {Array<object>} Segments.
+ */
+function getLineSegments(source, element, lineBreak) {
+    const continuation = lineBreak + element.prefix;
+    const segments = [];
+
+    element.lines.forEach((line, index) => {
+        if (index > 0) {
+            segments.push({ start: element.lines[index - 1].end, end: line.start, text: '\n', continuation });
+        }
+        segments.push(...getInlineSegments(source, line, { continuation }));
+    });
+
+    return segments;
+}
+
+/**
+ * Lists the prose of one line: the text between inline markup, with
+ * backslash escapes decoded.
+ *
+ * @param {string} source - The source.
+ * @param {{ start: number, end: number }} range - The line content.
+ * @param {object} extra - Properties copied onto each segment.
+ * @returns {Array<object>} Segments.
+ */
+function getInlineSegments(source, range, extra) {
+    return tokenizeInline(source, range)
+        .filter((item) => item.type === 'text')
+        .map(({ start, end, text }) => ({ start, end, text, ...extra }));
+}
+
+/**
+ * Splits a line into prose, code and markup items.
+ *
+ * @param {string} source - The source.
+ * @param {{ start: number, end: number }} range - The line content.
+ * @returns {Array<{ type: 'text'|'code'|'markup', start: number, end: number, text: string }>} Items.
+ */
+function tokenizeInline(source, { start, end }) {
+    const text = source.slice(start, end);
+    const items = [];
+    let position = 0;
+
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+        if (match.index > position) {
+            items.push({ type: 'text', start: start + position, end: start + match.index, text: text.slice(position, match.index) });
+        }
+
+        const [markup, , escaped] = match;
+        let type = 'markup';
+        if (escaped) {
+            type = 'text';
+        } else if (markup[0] === '`' || /^<[a-zA-Z][a-zA-Z0-9+.-]*:/.test(markup)) {
+            type = 'code';
+        }
+
+        items.push({ type, start: start + match.index, end: start + match.index + markup.length, text: escaped || markup });
+        position = match.index + markup.length;
+    }
+
+    if (position < text.length) {
+        items.push({ type: 'text', start: start + position, end, text: text.slice(position) });
+    }
+
+    return items;
+}
+
+/**
+ * Renders the prose and inline code of an element; line breaks become <br>.
+ *
+ * @param {string} source - The source.
+ * @param {MarkdownElement} element - The element.
+ * @returns {string} HTML.
+ */
+function renderSegments(source, element) {
+    return element.lines.map((line) => renderInline(source, line)).join('<br>');
+}
+
+/**
+ * Renders one line of prose, showing code spans as <code>.
+ *
+ * @param {string} source - The source.
+ * @param {{ start: number, end: number }} range - The line content.
+ * @returns {string} HTML.
+ */
+function renderInline(source, range) {
+    return tokenizeInline(source, range).map((item) => {
+        if (item.type === 'code') {
+            const code = item.text.replace(/^(`+) ?([\s\S]*?) ?\1$/, '$2');
+            return `<code>${escapeHtml(code)}</code>`;
+        }
+        return item.type === 'text' ? escapeHtml(item.text) : '';
+    }).join('');
+}
+
+/**
+ * Renders a table element; the first row is the header.
+ *
+ * @param {string} source - The source.
+ * @param {MarkdownElement} element - The table element.
+ * @returns {string} HTML.
+ */
+function renderTable(source, element) {
+    const rows = element.rows.map((row, index) => {
+        const tag = index === 0 ? 'th' : 'td';
+        return `<tr>${row.map((cell) => `<${tag}>${renderInline(source, cell)}</${tag}>`).join('')}</tr>`;
+    });
+    return `<table>${rows.join('')}</table>`;
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in preview.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
@@ -0,0 +1,576 @@
+/**
+ * @module odtProcessor
+ * Handles OpenDocument Text (.odt) loading, XML-level text replacement,
+ * preview generation, and export.
+ * Text lives in <text:p> and <text:h> paragraphs of content.xml (body, notes
+ * and comments) and of the master pages in styles.xml (headers and footers).
+ */
+
+import JSZip from 'jszip';
+import { buildRegex, collectReplacements, spliceSegments } from './replacer.js';
+import { escapeXml, unescapeXml, getXmlAttribute } from './xmlUtils.js';
+
+const CONTENT_XML_PATH = 'content.xml';
+const STYLES_XML_PATH = 'styles.xml';
+const MIMETYPE_PATH = 'mimetype';
+
+const ODT_MIME_TYPE = 'application/vnd.oasis.opendocument.text';
+
+/** Splits an XML string into tags and the text between them. */
+const TAG_PATTERN = /(<[^>]*>)/;
+
+/** Elements that hold one paragraph of text. */
+const PARAGRAPH_ELEMENTS = ['text:p', 'text:h'];
+
+/**
+ * Elements whose content is not paragraph text: note numbers, annotation
+ * metadata, the text of tracked deletions and drawing titles.
+ */
+const SKIPPED_ELEMENTS = ['text:note-citation', 'text:tracked-changes', 'dc:creator', 'dc:date', 'meta:date-string', 'svg:title', 'svg:desc'];
+
+/** Elements that give the paragraphs inside them a kind other than their part's. */
+const CONTAINER_KINDS = {
+    'office:annotation': 'comments',
+    'style:header': 'header',
+    'style:header-left': 'header',
+    'style:header-first': 'header',
+    'style:footer': 'footer',
+    'style:footer-left': 'footer',
+    'style:footer-first': 'footer',
+};
+
+/** Simple element mappings used by the preview. */
+const PREVIEW_TAGS = {
+    'text:list': 'ul',
+    'text:list-item': 'li',
+    'text:list-header': 'li',
+    'table:table': 'table',
+    'table:table-row': 'tr',
+    'table:table-cell': 'td',
+};
+
+/**
+ * Loads an .odt File into a JSZip instance.
+ *
+ * @param {File} file - The .odt file to load.
+ * @returns {Promise<JSZip>} The parsed ZIP archive.
+ */
+export async function loadOdt(file) {
+    const arrayBuffer = await file.arrayBuffer();
+    return JSZip.loadAsync(arrayBuffer);
+}
+
+/**
+ * Extracts the raw XML string of the document content.
+ *
+ * @param {JSZip} zip - The loaded .odt ZIP archive.
+ * @returns {Promise<string>} The XML content of content.xml.
+ */
+export async function getContentXml(zip) {
+    const xmlFile = zip.file(CONTENT_XML_PATH);
+    if (!xmlFile) {
+        throw new Error('Invalid .odt: content.xml not found.');
+    }
+    return xmlFile.async('string');
+}
+
+/**
+ * Extracts the text of each paragraph of an ODF part, in the same order and
+ * with the same text that replacement sees. Tabs are read as '\t', line
+ * breaks as '\n' and <text:s> as the number of spaces it stands for.
+ *
+ * @param {string} xml - The part XML.
+ * @param {string|null} [defaultKind='body'] - Kind of paragraphs outside any container; null skips them.
+ * @returns {Array<{ kind: string, text: string }>} Kind and text per paragraph.
+ */
+export function getOdtParagraphTexts(xml, defaultKind = 'body') {
+    return readParagraphs(xml, defaultKind).paragraphs.map(({ kind, segments }) => ({
+        kind,
+        text: segments.map((segment) => segment.text).join(''),
+    }));
+}
+
+/**
+ * Applies a list of replacement pairs to the .odt ZIP and reports how many
+ * replacements each pair made across content.xml and styles.xml.
+ *
+ * @param {JSZip} zip - The loaded .odt ZIP archive.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own, plus isBodyOnly.
+ * @param {function(number, number): void} [onProgress] - Called with the number of parts done and the total.
+ * @returns {Promise<{ zip: JSZip, counts: number[] }>} Modified ZIP and replacement count per pair.
+ */
+export async function applyPairsToOdt(zip, pairs, defaults = {}, onProgress = () => {}) {
+    // Fail early on packages without content
+    await getContentXml(zip);
+
+    const parts = getTextParts(zip, defaults);
+    const counts = pairs.map(() => 0);
+
+    for (const [index, { path, kind }] of parts.entries()) {
+        const xml = await zip.file(path).async('string');
+        let modifiedXml = xml;
+
+        pairs.forEach((pair, i) => {
+            const replaced = replaceInOdtXml(modifiedXml, kind, pair.find, pair.replace, { ...defaults, ...pair.options });
+            modifiedXml = replaced.xml;
+            counts[i] += replaced.count;
+        });
+
+        if (modifiedXml !== xml) {
+            zip.file(path, modifiedXml);
+        }
+        onProgress(index + 1, parts.length);
+    }
+
+    return { zip, counts };
+}
+
+/**
+ * Counts the matches of each pair across the .odt paragraphs, using the
+ * same paragraph-level matching as the replacement itself.
+ *
+ * @param {JSZip} zip - The loaded .odt ZIP archive.
+ * @param {Array<{ find: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own, plus isBodyOnly.
+ * @returns {Promise<number[]>} Match count per pair.
+ */
+export async function countPairsInOdt(zip, pairs, defaults = {}) {
+    const blocks = await getOdtParagraphBlocks(zip, defaults);
+
+    return pairs.map((pair) => {
+        const regex = buildRegex(pair.find, { ...defaults, ...pair.options });
+        if (!regex) {
+            return 0;
+        }
+        return blocks.reduce((total, block) => total + collectReplacements(block.text, regex, '').length, 0);
+    });
+}
+
+/**
+ * Lists the paragraphs of content.xml and of the headers and footers in
+ * styles.xml as review blocks. Block keys combine the part path and
+ * paragraph index, as for .docx.
+ *
+ * @param {JSZip} zip - The loaded .odt ZIP archive.
+ * @param {object} [options]
+ * @param {boolean} [options.isBodyOnly=false] - Only list body paragraphs.
+ * @returns {Promise<Array<{ key: string, path: string, kind: string, text: string }>>} One block per paragraph.
+ */
+export async function getOdtParagraphBlocks(zip, options = {}) {
+    const blocks = [];
+
+    for (const { path, kind: defaultKind } of getTextParts(zip, options)) {
+        const xml = await zip.file(path).async('string');
+        getOdtParagraphTexts(xml, defaultKind).forEach(({ kind, text }, index) => {
+            if (!options.isBodyOnly || kind === 'body') {
+                blocks.push({ key: `${path}#${index}`, path, kind, text });
+            }
+        });
+    }
+
+    return blocks;
+}
+
+/**
+ * Applies one pair to the .odt ZIP, replacing only the accepted matches.
+ *
+ * @param {JSZip} zip - The loaded .odt ZIP archive.
+ * @param {{ find: string, replace: string, options?: object }} pair - The reviewed pair.
+ * @param {object} defaults - Options used where the pair does not set its own, plus isBodyOnly.
+ * @param {function(string, number): boolean} isAccepted - Called with a block key and match start.
+ * @returns {Promise<{ zip: JSZip, count: number }>} Modified ZIP and number of replacements.
+ */
+export async function applyReviewedPairToOdt(zip, pair, defaults, isAccepted) {
+    const options = { ...defaults, ...pair.options };
+    let count = 0;
+
+    for (const { path, kind } of getTextParts(zip, defaults)) {
+        const xml = await zip.file(path).async('string');
+        const replaced = replaceInOdtXml(xml, kind, pair.find, pair.replace, options,
+            (paragraphIndex, match) => isAccepted(`${path}#${paragraphIndex}`, match.start));
+
+        if (replaced.xml !== xml) {
+            zip.file(path, replaced.xml);
+        }
+        count += replaced.count;
+    }
+
+    return { zip, count };
+}
+
+/**
+ * Generates an HTML preview of the document body: headings, paragraphs,
+ * lists and tables, with bold, italic and underline from the automatic
+ * styles. Notes and comments are left out, as in the .docx preview.
+ *
+ * @param {JSZip} zip - The loaded .odt ZIP archive.
+ * @returns {Promise<string>} HTML string of the document content.
+ */
+export async function generateOdtPreview(zip) {
+    const xml = await getContentXml(zip);
+    const styles = readTextStyles(xml);
+    const skipped = [...SKIPPED_ELEMENTS, 'text:note', 'office:annotation'];
+    const open = [];
+    let html = '';
+    let skipDepth = 0;
+    let paragraphDepth = 0;
+
+    for (const token of xml.split(TAG_PATTERN)) {
+        const tag = parseTag(token);
+
+        if (!tag) {
+            if (token && paragraphDepth > 0 && skipDepth === 0) {
+                html += escapeHtml(unescapeXml(token));
+            }
+            continue;
+        }
+
+        if (skipDepth > 0 || skipped.includes(tag.name)) {
+            if (skipped.includes(tag.name) && !tag.isEmpty) {
+                skipDepth += tag.isClosing ? -1 : 1;
+            }
+            continue;
+        }
+
+        if (tag.isClosing) {
+            const index = open.map((element) => element.name).lastIndexOf(tag.name);
+            if (index !== -1) {
+                html += open.splice(index).reverse().map((element) => element.close).join('');
+            }
+            if (PARAGRAPH_ELEMENTS.includes(tag.name)) {
+                paragraphDepth--;
+            }
+            continue;
+        }
+
+        const [openHtml, closeHtml] = toPreviewTags(tag, token, styles);
+        html += openHtml;
+        if (tag.isEmpty) {
+            html += closeHtml;
+        } else {
+            open.push({ name: tag.name, close: closeHtml });
+            if (PARAGRAPH_ELEMENTS.includes(tag.name)) {
+                paragraphDepth++;
+            }
+        }
+    }
+
+    return html;
+}
+
+/**
+ * Exports the modified ZIP archive as a downloadable Blob.
+ * The package is rebuilt with the uncompressed `mimetype` entry first, as
+ * the OpenDocument format requires; everything else is deflated.
+ *
+ * @param {JSZip} zip - The ZIP archive to export.
+ * @returns {Promise<Blob>} The .odt Blob.
+ */
+export async function exportOdt(zip) {
+    const mimetypeFile = zip.file(MIMETYPE_PATH);
+    const mimetype = mimetypeFile ? await mimetypeFile.async('string') : ODT_MIME_TYPE;
+    const output = new JSZip();
+
+    output.file(MIMETYPE_PATH, mimetype, { compression: 'STORE' });
+    for (const entry of Object.values(zip.files)) {
+        if (entry.name !== MIMETYPE_PATH && !entry.dir) {
+            output.file(entry.name, await entry.async('uint8array'), { date: entry.date });
+        }
+    }
+
+    return output.generateAsync({
+        type: 'blob',
+        mimeType: mimetype,
+        compression: 'DEFLATE',
+    });
+}
+
+/**
+ * Lists the parts that hold text and the kind of their top-level paragraphs.
+ * styles.xml only contributes the paragraphs of headers and footers.
+ *
+ * @param {JSZip} zip - The loaded .odt ZIP archive.
+ * @param {object} [options]
+ * @param {boolean} [options.isBodyOnly=false] - Only return content.xml.
+ * @returns {Array<{ path: string, kind: string|null }>} Parts, content first.
+ */
+function getTextParts(zip, { isBodyOnly = false } = {}) {
+    const parts = [{ path: CONTENT_XML_PATH, kind: 'body' }];
+
+    if (!isBodyOnly && zip.file(STYLES_XML_PATH)) {
+        parts.push({ path: STYLES_XML_PATH, kind: null });
+    }
+
+    return parts.filter(({ path }) => zip.file(path));
+}
+
+/**
+ * Applies a pattern to one ODF part paragraph by paragraph and rewrites only
+ * the text tokens, spaces, tabs and line breaks whose text changed.
+ *
+ * @param {string} xml - The part XML.
+ * @param {string|null} defaultKind - Kind of paragraphs outside any container.
+ * @param {string} pattern - The search pattern.
+ * @param {string} replacement - The replacement text.
+ * @param {object} options - Replace options, plus isBodyOnly.
+ * @param {function(number, object): boolean} [shouldReplace] - Optional filter called with the paragraph index and match.
+ * @returns {{ xml: string, count: number }} Modified XML and replacement count.
+ */
+function replaceInOdtXml(xml, defaultKind, pattern, replacement, options = {}, shouldReplace = null) {
+    const regex = buildRegex(pattern, options);
+    if (!regex) {
+        return { xml, count: 0 };
+    }
+
+    const { tokens, paragraphs } = readParagraphs(xml, defaultKind);
+    let count = 0;
+
+    paragraphs.forEach(({ kind, segments }, index) => {
+        if (options.isBodyOnly && kind !== 'body') {
+            return;
+        }
+
+        const texts = segments.map((segment) => segment.text);
+        const allReplacements = collectReplacements(texts.join(''), regex, replacement, options);
+        const replacements = shouldReplace
+            ? allReplacements.filter((match) => shouldReplace(index, match))
+            : allReplacements;
+
+        if (replacements.length === 0) {
+            return;
+        }
+
+        const newTexts = spliceSegments(texts, replacements);
+        segments.forEach((segment, i) => {
+            if (newTexts[i] !== segment.text) {
+                tokens[segment.index] = toOdfContent(newTexts[i]);
+            }
+        });
+        count += replacements.length;
+    });
+
+    return { xml: count > 0 ? tokens.join('') : xml, count };
+}
+
+/**
+ * Splits a part into tokens and collects, for each paragraph, the tokens
+ * that make up its text. Paragraphs nested in another one (notes, comments,
+ * text boxes) are separate paragraphs, listed in order of their start tag.
+ *
+ * @param {string} xml - The part XML.
+ * @param {string|null} defaultKind - Kind of paragraphs outside any container; null skips them.
+ * @returns {{ tokens: string[], paragraphs: Array<{ kind: string, segments: Array<{ index: number, text: string }> }> }}
+ *   The tokens, and per paragraph its kind and the token index and text of each text segment.
+ */
+function readParagraphs(xml, defaultKind) {
+    const tokens = xml.split(TAG_PATTERN);
+    const paragraphs = [];
+    const openParagraphs = [];
+    const containers = [];
+    let skipDepth = 0;
+
+    tokens.forEach((token, index) => {
+        const tag = parseTag(token);
+        const current = openParagraphs[openParagraphs.length - 1];
+
+        if (!tag) {
+            if (token && current && skipDepth === 0) {
+                current.segments.push({ index, text: unescapeXml(token) });
+            }
+            return;
+        }
+
+        if (skipDepth > 0 || SKIPPED_ELEMENTS.includes(tag.name)) {
+            if (SKIPPED_ELEMENTS.includes(tag.name) && !tag.isEmpty) {
+                skipDepth += tag.isClosing ? -1 : 1;
+            }
+            return;
+        }
+
+        if (tag.isClosing) {
+            if (PARAGRAPH_ELEMENTS.includes(tag.name)) {
+                openParagraphs.pop();
+            } else if (containers.length > 0 && containers[containers.length - 1].name === tag.name) {
+                containers.pop();
+            }
+            return;
+        }
+
+        if (tag.name === 'text:note' || CONTAINER_KINDS[tag.name]) {
+            if (!tag.isEmpty) {
+                containers.push({ name: tag.name, kind: getContainerKind(tag.name, token) });
+            }
+        } else if (PARAGRAPH_ELEMENTS.includes(tag.name)) {
+            const kind = containers.length > 0 ? containers[containers.length - 1].kind : defaultKind;
+            const paragraph = kind ? { kind, segments: [] } : null;
+
+            if (paragraph) {
+                paragraphs.push(paragraph);
+            }
+            if (!tag.isEmpty) {
+                openParagraphs.push(paragraph);
+            }
+        } else if (current) {
+            const text = getSpecialText(tag.name, token);
+            if (text !== null) {
+                current.segments.push({ index, text });
+            }
+        }
+    });
+
+    return { tokens, paragraphs };
+}
+
+/**
+ * Returns the kind of the paragraphs inside a container element.
+ *
+ * @param {string} name - The element name.
+ * @param {string} token - The start tag.
+ * @returns {string} The paragraph kind.
+ */
+function getContainerKind(name, token) {
+    if (name === 'text:note') {
+        return getXmlAttribute(token, 'text:note-class') === 'endnote' ? 'endnotes' : 'footnotes';
+    }
+    return CONTAINER_KINDS[name];
+}
+
+/**
+ * Returns the text an empty ODF element stands for: spaces, a tab or a line break.
+ *
+ * @param {string} name - The element name.
+ * @param {string} token - The tag.
+ * @returns {string|null} The text, or null for elements that carry none.
+ */
+function getSpecialText(name, token) {
+    switch (name) {
+        case 'text:s':
+            return ' '.repeat(Math.max(1, parseInt(getXmlAttribute(token, 'text:c'), 10) || 1));
+        case 'text:tab':
+            return '\t';
+        case 'text:line-break':
+            return '\n';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Converts text back into ODF paragraph content: tabs and line breaks become
+ * elements, and runs of spaces keep their length through <text:s>.
+ *
+ * @param {string} text - The text.
+ * @returns {string} XML content.
+ */
+function toOdfContent(text) {
+    return text.split(/(\t|\n| {2,})/).map((piece) => {
+        if (piece === '\t') {
+            return '<text:tab/>';
+        }
+        if (piece === '\n') {
+            return '<text:line-break/>';
+        }
+        if (/^ {2,}$/.test(piece)) {
+            return piece.length === 2 ? ' <text:s/>' : ` <text:s text:c="${piece.length - 1}"/>`;
+        }
+        return escapeXml(piece);
+    }).join('');
+}
+
+/**
+ * Parses a token into a tag description.
+ *
+ * @param {string} token - A token from splitting on TAG_PATTERN.
+ * @returns {{ name: string, isClosing: boolean, isEmpty: boolean }|null}
+ *   The tag, or null for text, comments and processing instructions.
+ */
+function parseTag(token) {
+    const match = token.match(/^<(\/?)([\w.-]+(?::[\w.-]+)?)/);
+    if (!match) {
+        return null;
+    }
+    return { name: match[2], isClosing: match[1] === '/', isEmpty: token.endsWith('/>') };
+}
+
+/**
+ * Reads the automatic styles that make text bold, italic or underlined.
+ *
+ * @param {string} xml - The content.xml string.
+ * @returns {Map<string, string[]>} HTML tag names by style name.
+ */
+function readTextStyles(xml) {
+    const styles = new Map();
+
+    for (const [style] of xml.matchAll(/<style:style\b[^>]*>[\s\S]*?<\/style:style>/g)) {
+        const name = getXmlAttribute(style, 'style:name');
+        const properties = style.match(/<style:text-properties\b[^>]*>/);
+        if (!name || !properties) {
+            continue;
+        }
+
+        const tags = [];
+        if (getXmlAttribute(properties[0], 'fo:font-weight') === 'bold') {
+            tags.push('strong');
+        }
+        if (getXmlAttribute(properties[0], 'fo:font-style') === 'italic') {
+            tags.push('em');
+        }
+        const underline = getXmlAttribute(properties[0], 'style:text-underline-style');
+        if (underline && underline !== 'none') {
+            tags.push('u');
+        }
+
+        if (tags.length > 0) {
+            styles.set(name, tags);
+        }
+    }
+
+    return styles;
+}
+
+/**
+ * Returns the HTML that opens and closes the preview of an ODF element.
+ *
+ * @param {{ name: string }} tag - The parsed start tag.
+ * @param {string} token - The start tag.
+ * @param {Map<string, string[]>} styles - Formatting tags by style name.
+ * @returns {[string, string]} Opening and closing HTML (either may be empty).
+ */
+function toPreviewTags(tag, token, styles) {
+    const formatting = styles.get(getXmlAttribute(token, 'text:style-name')) || [];
+    const formatOpen = formatting.map((name) => `<${name}>`).join('');
+    const formatClose = [...formatting].reverse().map((name) => `</${name}>`).join('');
+
+    switch (tag.name) {
+        case 'text:h': {
+            const level = Math.min(6, Math.max(1, parseInt(getXmlAttribute(token, 'text:outline-level'), 10) || 1));
+            return [`<h${level}>${formatOpen}`, `${formatClose}</h${level}>`];
+        }
+        case 'text:p':
+            return [`<p>${formatOpen}`, `${formatClose}</p>`];
+        case 'text:span':
+            return [formatOpen, formatClose];
+        case 'text:line-break':
+            return ['<br>', ''];
+        default: {
+            const text = getSpecialText(tag.name, token);
+            if (text !== null) {
+                return [text, ''];
+            }
+            const htmlTag = PREVIEW_TAGS[tag.name];
+            return htmlTag ? [`<${htmlTag}>`, `</${htmlTag}>`] : ['', ''];
+        }
+    }
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in preview.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
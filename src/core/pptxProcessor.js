@@ -0,0 +1,503 @@
+/**
+ * @module pptxProcessor
+ * Handles PowerPoint presentation (.pptx) loading, XML-level text replacement,
+ * preview generation, and export.
+ * Text lives in the <a:t> runs of <a:p> paragraphs on the slides, their notes
+ * slides and, when asked for, the slide layouts and masters. Replacement is
+ * run-preserving, as for .docx: text outside the matches keeps its run.
+ */
+
+import JSZip from 'jszip';
+import { buildRegex, collectReplacements, spliceSegments } from './replacer.js';
+import { escapeXml, unescapeXml, getXmlAttribute, resolvePartPath } from './xmlUtils.js';
+
+const PRESENTATION_XML_PATH = 'ppt/presentation.xml';
+const PRESENTATION_RELS_PATH = 'ppt/_rels/presentation.xml.rels';
+
+const PPTX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+/** Matches one <a:p> paragraph block. */
+const PARAGRAPH_PATTERN = /<a:p>[\s\S]*?<\/a:p>/g;
+
+/**
+ * Matches the content that makes up paragraph text: a text run (run
+ * properties in group 1, text in group 2) or a line break (run properties
+ * in group 3). Fields such as slide numbers are not matched; PowerPoint
+ * fills them in itself.
+ */
+const RUN_CONTENT_PATTERN = /<a:r>\s*(<a:rPr\b[^>]*\/>|<a:rPr\b[^>]*>[\s\S]*?<\/a:rPr>)?\s*<a:t>([^<]*)<\/a:t>\s*<\/a:r>|<a:br\b[^>]*\/>|<a:br>\s*([\s\S]*?)\s*<\/a:br>/g;
+
+/** Parts of layouts and masters, which only take part when asked for. */
+const LAYOUT_PART_PATTERNS = [
+    { pattern: /^ppt\/slideLayouts\/slideLayout(\d+)\.xml$/, kind: 'layout' },
+    { pattern: /^ppt\/slideMasters\/slideMaster(\d+)\.xml$/, kind: 'master' },
+];
+
+/** Headings of the layout and master sections in the preview. */
+const LAYOUT_LABELS = { layout: 'Layout', master: 'Master' };
+
+/**
+ * @typedef {object} PptxPart
+ * @property {string} path - ZIP path of the part.
+ * @property {'body'|'notes'|'layout'|'master'} kind - 'body' for slides.
+ * @property {number} [slide] - Slide number, for slides and notes slides.
+ * @property {string} [notesPath] - Path of the slide's notes slide, if it has one.
+ * @property {number} [number] - Number in the part name, for layouts and masters.
+ */
+
+/**
+ * Loads a .pptx File into a JSZip instance.
+ *
+ * @param {File} file - The .pptx file to load.
+ * @returns {Promise<JSZip>} The parsed ZIP archive.
+ */
+export async function loadPptx(file) {
+    const arrayBuffer = await file.arrayBuffer();
+    return JSZip.loadAsync(arrayBuffer);
+}
+
+/**
+ * Applies a list of replacement pairs to the .pptx ZIP and reports how many
+ * replacements each pair made across all processed parts.
+ *
+ * @param {JSZip} zip - The loaded .pptx ZIP archive.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own, plus the part options (see getPptxParagraphBlocks).
+ * @param {function(number, number): void} [onProgress] - Called with the number of parts done and the total.
+ * @returns {Promise<{ zip: JSZip, counts: number[] }>} Modified ZIP and replacement count per pair.
+ */
+export async function applyPairsToPptx(zip, pairs, defaults = {}, onProgress = () => {}) {
+    const parts = await getTextParts(zip, defaults);
+    const counts = pairs.map(() => 0);
+
+    for (const [index, { path }] of parts.entries()) {
+        const xml = await zip.file(path).async('string');
+        let modifiedXml = xml;
+
+        pairs.forEach((pair, i) => {
+            const replaced = replaceInPptxXml(modifiedXml, pair.find, pair.replace, { ...defaults, ...pair.options });
+            modifiedXml = replaced.xml;
+            counts[i] += replaced.count;
+        });
+
+        if (modifiedXml !== xml) {
+            zip.file(path, modifiedXml);
+        }
+        onProgress(index + 1, parts.length);
+    }
+
+    return { zip, counts };
+}
+
+/**
+ * Counts the matches of each pair across the .pptx paragraphs, using the
+ * same paragraph-level matching as the replacement itself.
+ *
+ * @param {JSZip} zip - The loaded .pptx ZIP archive.
+ * @param {Array<{ find: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own, plus the part options.
+ * @returns {Promise<number[]>} Match count per pair.
+ */
+export async function countPairsInPptx(zip, pairs, defaults = {}) {
+    const blocks = await getPptxParagraphBlocks(zip, defaults);
+
+    return pairs.map((pair) => {
+        const regex = buildRegex(pair.find, { ...defaults, ...pair.options });
+        if (!regex) {
+            return 0;
+        }
+        return blocks.reduce((total, block) => total + collectReplacements(block.text, regex, '').length, 0);
+    });
+}
+
+/**
+ * Lists the paragraphs of every processed part as review blocks, slide by
+ * slide with each slide's notes after it. Block keys combine the part path
+ * and paragraph index, as for .docx.
+ *
+ * @param {JSZip} zip - The loaded .pptx ZIP archive.
+ * @param {object} [options]
+ * @param {boolean} [options.isBodyOnly=false] - Only list the slides, without notes, layouts and masters.
+ * @param {boolean} [options.isPptxLayouts=false] - Also list slide layouts and masters.
+ * @returns {Promise<Array<{ key: string, path: string, kind: string, text: string }>>} One block per paragraph.
+ */
+export async function getPptxParagraphBlocks(zip, options = {}) {
+    const blocks = [];
+
+    for (const { path, kind } of await getTextParts(zip, options)) {
+        const xml = await zip.file(path).async('string');
+        getParagraphTexts(xml).forEach((text, index) => {
+            blocks.push({ key: `${path}#${index}`, path, kind, text });
+        });
+    }
+
+    return blocks;
+}
+
+/**
+ * Applies one pair to the .pptx ZIP, replacing only the accepted matches.
+ *
+ * @param {JSZip} zip - The loaded .pptx ZIP archive.
+ * @param {{ find: string, replace: string, options?: object }} pair - The reviewed pair.
+ * @param {object} defaults - Options used where the pair does not set its own, plus the part options.
+ * @param {function(string, number): boolean} isAccepted - Called with a block key and match start.
+ * @returns {Promise<{ zip: JSZip, count: number }>} Modified ZIP and number of replacements.
+ */
+export async function applyReviewedPairToPptx(zip, pair, defaults, isAccepted) {
+    const options = { ...defaults, ...pair.options };
+    let count = 0;
+
+    for (const { path } of await getTextParts(zip, defaults)) {
+        const xml = await zip.file(path).async('string');
+        const replaced = replaceInPptxXml(xml, pair.find, pair.replace, options,
+            (paragraphIndex, match) => isAccepted(`${path}#${paragraphIndex}`, match.start));
+
+        if (replaced.xml !== xml) {
+            zip.file(path, replaced.xml);
+        }
+        count += replaced.count;
+    }
+
+    return { zip, count };
+}
+
+/**
+ * Generates an HTML preview with one section per slide: its paragraphs with
+ * bold, italic and underline, then its notes. Each slide heading carries a
+ * match count placeholder listing the slide's parts, which the document
+ * session fills in. Layouts and masters follow when they are processed.
+ *
+ * @param {JSZip} zip - The loaded .pptx ZIP archive.
+ * @param {object} [options] - See getPptxParagraphBlocks.
+ * @returns {Promise<string>} HTML string of the presentation content.
+ */
+export async function generatePptxPreview(zip, options = {}) {
+    const parts = await getTextParts(zip, options);
+    const notesParts = new Map(parts.filter((part) => part.kind === 'notes').map((part) => [part.path, part]));
+    let html = '';
+
+    for (const part of parts) {
+        if (part.kind === 'notes') {
+            continue;
+        }
+
+        const xml = await zip.file(part.path).async('string');
+        const notesPart = notesParts.get(part.notesPath);
+        const paths = notesPart ? [part.path, notesPart.path] : [part.path];
+        const title = part.kind === 'body'
+            ? `Slide ${part.slide}${isHiddenSlide(xml) ? ' (hidden)' : ''}`
+            : `${LAYOUT_LABELS[part.kind]} ${part.number}${getSlideName(xml) ? `: ${getSlideName(xml)}` : ''}`;
+
+        html += '<section class="preview-slide">';
+        html += `<h3 data-no-match>${escapeHtml(title)} <span class="preview-count" data-count-paths="${escapeHtml(paths.join(' '))}"></span></h3>`;
+        html += renderParagraphs(xml);
+
+        if (notesPart) {
+            const notesHtml = renderParagraphs(await zip.file(notesPart.path).async('string'));
+            if (notesHtml) {
+                html += `<div class="preview-notes"><h4 data-no-match>Notes</h4>${notesHtml}</div>`;
+            }
+        }
+        html += '</section>';
+    }
+
+    return html;
+}
+
+/**
+ * Exports the modified ZIP archive as a downloadable Blob.
+ *
+ * @param {JSZip} zip - The ZIP archive to export.
+ * @returns {Promise<Blob>} The .pptx Blob.
+ */
+export async function exportPptx(zip) {
+    return zip.generateAsync({
+        type: 'blob',
+        mimeType: PPTX_MIME_TYPE,
+        compression: 'DEFLATE',
+    });
+}
+
+/**
+ * Lists the parts that hold text: the slides in presentation order, each
+ * followed by its notes slide, then the layouts and masters if asked for.
+ * Slides are found through the presentation's relationships, so hidden and
+ * reordered slides keep their place.
+ *
+ * @param {JSZip} zip - The loaded .pptx ZIP archive.
+ * @param {object} [options] - See getPptxParagraphBlocks.
+ * @returns {Promise<PptxPart[]>} The parts.
+ */
+async function getTextParts(zip, { isBodyOnly = false, isPptxLayouts = false } = {}) {
+    const presentationFile = zip.file(PRESENTATION_XML_PATH);
+    if (!presentationFile) {
+        throw new Error('Invalid .pptx: ppt/presentation.xml not found.');
+    }
+
+    const presentationXml = await presentationFile.async('string');
+    const targets = await readRelationshipTargets(zip, PRESENTATION_RELS_PATH, 'ppt');
+    const parts = [];
+
+    for (const [tag] of presentationXml.matchAll(/<p:sldId\b[^>]*>/g)) {
+        const target = targets.get(getXmlAttribute(tag, 'r:id'));
+        if (!target || !zip.file(target.path)) {
+            continue;
+        }
+
+        const slide = parts.filter((part) => part.kind === 'body').length + 1;
+        const folder = target.path.slice(0, target.path.lastIndexOf('/'));
+        const fileName = target.path.slice(folder.length + 1);
+        const slideTargets = await readRelationshipTargets(zip, `${folder}/_rels/${fileName}.rels`, folder);
+        const notes = [...slideTargets.values()].find((slideTarget) => slideTarget.type === 'notesSlide' && zip.file(slideTarget.path));
+
+        parts.push({ path: target.path, kind: 'body', slide, notesPath: notes ? notes.path : undefined });
+        if (notes && !isBodyOnly) {
+            parts.push({ path: notes.path, kind: 'notes', slide });
+        }
+    }
+
+    if (isPptxLayouts && !isBodyOnly) {
+        for (const { pattern, kind } of LAYOUT_PART_PATTERNS) {
+            const layouts = Object.keys(zip.files)
+                .map((path) => ({ path, match: path.match(pattern) }))
+                .filter(({ match }) => match)
+                .map(({ path, match }) => ({ path, kind, number: Number(match[1]) }))
+                .sort((a, b) => a.number - b.number);
+            parts.push(...layouts);
+        }
+    }
+
+    return parts;
+}
+
+/**
+ * Reads the relationships of a part.
+ *
+ * @param {JSZip} zip - The loaded .pptx ZIP archive.
+ * @param {string} relsPath - Path of the relationships part.
+ * @param {string} baseDir - Folder of the source part, e.g. 'ppt'.
+ * @returns {Promise<Map<string, { type: string, path: string }>>} Internal targets by relationship id,
+ *   with the last segment of the relationship type.
+ */
+async function readRelationshipTargets(zip, relsPath, baseDir) {
+    const relsFile = zip.file(relsPath);
+    const relsXml = relsFile ? await relsFile.async('string') : '';
+    const targets = new Map();
+
+    for (const [tag] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+        const target = getXmlAttribute(tag, 'Target');
+        if (target && getXmlAttribute(tag, 'TargetMode') !== 'External') {
+            targets.set(getXmlAttribute(tag, 'Id'), {
+                type: (getXmlAttribute(tag, 'Type') || '').split('/').pop(),
+                path: resolvePartPath(baseDir, target),
+            });
+        }
+    }
+
+    return targets;
+}
+
+/**
+ * Extracts the text of each <a:p> paragraph, in the same order and with the
+ * same text that paragraph-level replacement sees.
+ *
+ * @param {string} xml - The part XML.
+ * @returns {string[]} Text per paragraph.
+ */
+function getParagraphTexts(xml) {
+    return (xml.match(PARAGRAPH_PATTERN) || []).map((paragraph) => (
+        readRunContent(paragraph).map((segment) => segment.text).join('')
+    ));
+}
+
+/**
+ * Lists the text runs and line breaks of a paragraph in document order.
+ * Breaks become '\n', so matches cannot run across them unless the
+ * pattern asks for it.
+ *
+ * @param {string} paragraphXml - The paragraph XML string.
+ * @returns {Array<{ runProperties: string, text: string, isText: boolean, start: number, end: number }>}
+ *   Segments with their offsets in the paragraph XML.
+ */
+function readRunContent(paragraphXml) {
+    const segments = [];
+
+    for (const match of paragraphXml.matchAll(RUN_CONTENT_PATTERN)) {
+        const [tag, textProperties, content, breakProperties] = match;
+        const isText = content !== undefined;
+
+        segments.push({
+            runProperties: (isText ? textProperties : breakProperties) || '',
+            text: isText ? unescapeXml(content) : '\n',
+            isText,
+            start: match.index,
+            end: match.index + tag.length,
+        });
+    }
+
+    return segments;
+}
+
+/**
+ * Applies a pattern to one part paragraph by paragraph.
+ *
+ * @param {string} xml - The part XML.
+ * @param {string} pattern - The search pattern.
+ * @param {string} replacement - The replacement text.
+ * @param {object} options - Replace options (see buildRegex).
+ * @param {function(number, object): boolean} [shouldReplace] - Optional filter called with the paragraph index and match.
+ * @returns {{ xml: string, count: number }} Modified XML and replacement count.
+ */
+function replaceInPptxXml(xml, pattern, replacement, options = {}, shouldReplace = null) {
+    const regex = buildRegex(pattern, options);
+    if (!regex) {
+        return { xml, count: 0 };
+    }
+
+    let count = 0;
+    let paragraphIndex = 0;
+
+    const result = xml.replace(PARAGRAPH_PATTERN, (paragraph) => {
+        const index = paragraphIndex++;
+        const filter = shouldReplace ? (match) => shouldReplace(index, match) : null;
+        const replaced = replaceInParagraph(paragraph, regex, replacement, filter, options);
+        count += replaced.count;
+        return replaced.xml;
+    });
+
+    return { xml: result, count };
+}
+
+/**
+ * Replaces matches within a single DrawingML paragraph (<a:p>) and writes
+ * back only the runs and breaks whose text changed, each keeping its run
+ * properties.
+ *
+ * @param {string} paragraphXml - The paragraph XML string.
+ * @param {RegExp} regex - Compiled search regex.
+ * @param {string} replacement - Replacement text.
+ * @param {function(object): boolean} [shouldReplace] - Optional filter deciding which matches to replace.
+ * @param {object} [options] - Replace options (isPreserveCase).
+ * @returns {{ xml: string, count: number }} Modified paragraph XML and replacement count.
+ */
+function replaceInParagraph(paragraphXml, regex, replacement, shouldReplace = null, options = {}) {
+    const segments = readRunContent(paragraphXml);
+    if (segments.length === 0) {
+        return { xml: paragraphXml, count: 0 };
+    }
+
+    const allReplacements = collectReplacements(segments.map((s) => s.text).join(''), regex, replacement, options);
+    const replacements = shouldReplace ? allReplacements.filter(shouldReplace) : allReplacements;
+    if (replacements.length === 0) {
+        return { xml: paragraphXml, count: 0 };
+    }
+
+    const newTexts = spliceSegments(segments.map((s) => s.text), replacements);
+    let result = paragraphXml;
+
+    // Rewrite changed segments from the end so earlier offsets stay valid
+    for (let i = segments.length - 1; i >= 0; i--) {
+        const segment = segments[i];
+        const newText = newTexts[i];
+
+        if (newText === segment.text) {
+            continue;
+        }
+
+        // An emptied run stays in place; an emptied break is removed
+        const newContent = newText.length === 0 && segment.isText
+            ? `<a:r>${segment.runProperties}<a:t></a:t></a:r>`
+            : toRunContent(newText, segment.runProperties);
+        result = result.slice(0, segment.start) + newContent + result.slice(segment.end);
+    }
+
+    return { xml: result, count: replacements.length };
+}
+
+/**
+ * Converts text back into paragraph content: '\n' becomes <a:br> and
+ * everything else goes into runs, all with the given run properties.
+ *
+ * @param {string} text - The text.
+ * @param {string} runProperties - The <a:rPr> element of the replaced run (may be empty).
+ * @returns {string} Paragraph content XML.
+ */
+function toRunContent(text, runProperties) {
+    return text.split(/(\n)/).map((piece) => {
+        if (piece === '\n') {
+            return runProperties ? `<a:br>${runProperties}</a:br>` : '<a:br/>';
+        }
+        return piece ? `<a:r>${runProperties}<a:t>${escapeXml(piece)}</a:t></a:r>` : '';
+    }).join('');
+}
+
+/**
+ * Tells whether a slide is hidden in the slide show.
+ *
+ * @param {string} xml - The slide XML.
+ * @returns {boolean} True for hidden slides.
+ */
+function isHiddenSlide(xml) {
+    const tag = xml.match(/<p:sld\b[^>]*>/);
+    return tag !== null && getXmlAttribute(tag[0], 'show') === '0';
+}
+
+/**
+ * Reads the name of a slide layout or master.
+ *
+ * @param {string} xml - The part XML.
+ * @returns {string} The name, or '' if it has none.
+ */
+function getSlideName(xml) {
+    const tag = xml.match(/<p:cSld\b[^>]*>/);
+    return tag ? unescapeXml(getXmlAttribute(tag[0], 'name') || '') : '';
+}
+
+/**
+ * Renders the non-empty paragraphs of a part, with bold, italic and
+ * underline from the run properties.
+ *
+ * @param {string} xml - The part XML.
+ * @returns {string} Preview HTML.
+ */
+function renderParagraphs(xml) {
+    return (xml.match(PARAGRAPH_PATTERN) || []).map((paragraph) => {
+        const segments = readRunContent(paragraph);
+        if (!segments.some((segment) => segment.text.trim())) {
+            return '';
+        }
+
+        const html = segments.map((segment) => {
+            if (!segment.isText) {
+                return '<br>';
+            }
+            const tags = [];
+            if (getXmlAttribute(segment.runProperties, 'b') === '1') {
+                tags.push('strong');
+            }
+            if (getXmlAttribute(segment.runProperties, 'i') === '1') {
+                tags.push('em');
+            }
+            const underline = getXmlAttribute(segment.runProperties, 'u');
+            if (underline && underline !== 'none') {
+                tags.push('u');
+            }
+            const open = tags.map((name) => `<${name}>`).join('');
+            const close = [...tags].reverse().map((name) => `</${name}>`).join('');
+            return `${open}${escapeHtml(segment.text)}${close}`;
+        }).join('');
+
+        return `<p>${html}</p>`;
+    }).join('');
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in preview.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
@@ -0,0 +1,272 @@
+/**
+ * @module redaction
+ * Ready-made detectors for personal data (email addresses, phone numbers,
+ * IBANs, national ID numbers, credit card numbers) and the masks that
+ * replace what they find. A detector is used through the normal pair
+ * options: buildRegex compiles `options.detector` into a regex that only
+ * yields matches passing the detector's check (such as the Luhn check), and
+ * collectReplacements masks each match according to `options.mask`.
+ * Pure functions — no DOM, no side effects.
+ */
+
+/** Default text of the fixed-token mask. */
+export const DEFAULT_REDACTION_TOKEN = '[REDACTED]';
+
+/** Character of the same-length mask. */
+const BLOCK_CHARACTER = '█';
+
+/** Masking styles. */
+export const MASK_STYLES = [
+    { id: 'token', label: 'Fixed token' },
+    { id: 'block', label: `Same length ${BLOCK_CHARACTER}${BLOCK_CHARACTER}${BLOCK_CHARACTER}` },
+    { id: 'pseudonym', label: 'Pseudonym' },
+];
+
+/**
+ * @typedef {object} Detector
+ * @property {string} id - Detector id, stored in pair options.
+ * @property {string} label - Name shown in the redaction panel.
+ * @property {string} pseudonym - Prefix of the pseudonyms it hands out, e.g. 'Email' for Email-1.
+ * @property {string} source - Regex source.
+ * @property {string} flags - Regex flags besides 'g'.
+ * @property {function(string): boolean} [isValid] - Check a match must pass.
+ */
+
+/**
+ * The detectors, in the order redaction applies them: numbers with a
+ * checksum go before phone numbers, so their digits are not taken for one.
+ * Number patterns do not start or end inside a longer digit sequence, so a
+ * rejected number is not matched in pieces.
+ *
+ * @type {Detector[]}
+ */
+export const DETECTORS = [
+    {
+        id: 'email',
+        label: 'Email addresses',
+        pseudonym: 'Email',
+        source: String.raw`(?<![\p{L}\p{N}._%+-])[\p{L}\p{N}._%+-]+@(?:[\p{L}\p{N}-]+\.)+\p{L}{2,}(?![\p{L}\p{N}])`,
+        flags: 'iu',
+    },
+    {
+        id: 'creditCard',
+        label: 'Credit card numbers',
+        pseudonym: 'Card',
+        source: String.raw`(?<![\d-]|\d )\d(?:[ -]?\d){12,18}(?![\d-]| \d)`,
+        flags: 'u',
+        isValid: (value) => passesLuhnCheck(value.replace(/\D/g, '')),
+    },
+    {
+        id: 'iban',
+        label: 'IBANs',
+        pseudonym: 'IBAN',
+        source: String.raw`(?<![\p{L}\p{N}])[A-Z]{2}\d{2}(?:(?: [A-Z\d]{4}){2,7}(?: [A-Z\d]{1,4})?|[A-Z\d]{11,30})(?![\p{L}\p{N}])`,
+        flags: 'u',
+        isValid: (value) => isValidIban(value.replace(/ /g, '')),
+    },
+    {
+        id: 'nationalId',
+        label: 'National IDs (US SSN, UK NINO)',
+        pseudonym: 'ID',
+        source: [
+            String.raw`(?<![\d-])(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}(?![\d-])`,
+            String.raw`(?<![\p{L}\p{N}])(?!BG|GB|KN|NK|NT|TN|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D](?![\p{L}\p{N}])`,
+        ].join('|'),
+        flags: 'u',
+    },
+    {
+        id: 'phone',
+        label: 'Phone numbers',
+        pseudonym: 'Phone',
+        source: String.raw`(?<![\p{L}\p{N}+]|\d[ .-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}(?![\p{L}\p{N}]|[ .-]\d)`,
+        flags: 'u',
+        isValid: isPlausiblePhoneNumber,
+    },
+];
+
+/**
+ * A regex that skips matches failing a check. Every search loop calls
+ * exec (as do String.prototype.replace and matchAll), so the check applies
+ * wherever the regex is used.
+ */
+class CheckedRegExp extends RegExp {
+    /**
+     * @param {string} source - Regex source.
+     * @param {string} flags - Regex flags.
+     * @param {function(string): boolean} isValid - Check a match must pass.
+     */
+    constructor(source, flags, isValid) {
+        super(source, flags);
+        this.isValid = isValid;
+    }
+
+    /**
+     * Finds the next match that passes the check.
+     *
+     * @param {string} text - The text to search.
+     * @returns {RegExpExecArray|null} The match, or null.
+     */
+    exec(text) {
+        let match;
+        while ((match = super.exec(text)) !== null && !this.isValid(match[0])) {
+            // A shorter valid match may start inside the rejected one
+            this.lastIndex = match.index + 1;
+        }
+        return match;
+    }
+}
+
+/**
+ * Returns a detector by id.
+ *
+ * @param {string} id - Detector id.
+ * @returns {Detector|null} The detector, or null if there is none with that id.
+ */
+export function getDetector(id) {
+    return DETECTORS.find((detector) => detector.id === id) || null;
+}
+
+/**
+ * Compiles a detector into a global regex.
+ *
+ * @param {string} id - Detector id.
+ * @returns {RegExp} The regex.
+ */
+export function createDetectorRegex(id) {
+    const detector = getDetector(id);
+    if (!detector) {
+        throw new Error(`Unknown detector: ${id}`);
+    }
+    const flags = `g${detector.flags}`;
+    return detector.isValid ? new CheckedRegExp(detector.source, flags, detector.isValid) : new RegExp(detector.source, flags);
+}
+
+/**
+ * Masks a detected value.
+ *
+ * @param {string} value - The matched text.
+ * @param {string} token - The expanded replacement, used by the fixed-token mask.
+ * @param {object} options
+ * @param {string} options.detector - Detector id.
+ * @param {'token'|'block'|'pseudonym'} [options.mask='token'] - Masking style.
+ * @param {Map<string, string>} [options.pseudonyms] - Pseudonyms handed out so far, by detector and value.
+ *   Shared across a document so each distinct value keeps its pseudonym.
+ * @returns {string} The masked text.
+ */
+export function maskValue(value, token, { detector, mask = 'token', pseudonyms = new Map() }) {
+    if (mask === 'block') {
+        return BLOCK_CHARACTER.repeat([...value].length);
+    }
+    if (mask !== 'pseudonym') {
+        return token;
+    }
+
+    const key = `${detector}:${normalizeValue(detector, value)}`;
+    if (!pseudonyms.has(key)) {
+        const prefix = `${detector}:`;
+        const number = [...pseudonyms.keys()].filter((existing) => existing.startsWith(prefix)).length + 1;
+        pseudonyms.set(key, `${getDetector(detector).pseudonym}-${number}`);
+    }
+    return pseudonyms.get(key);
+}
+
+/**
+ * Builds the replacement pairs for the chosen detectors, in detector order.
+ * The find text names the detector; the replace text shows the mask.
+ *
+ * @param {Array<{ detector: string, mask: 'token'|'block'|'pseudonym' }>} selections - Chosen detectors and their masks.
+ * @param {string} [token] - Text of the fixed-token mask.
+ * @returns {Array<{ find: string, replace: string, options: object }>} The pairs.
+ */
+export function createRedactionPairs(selections, token = DEFAULT_REDACTION_TOKEN) {
+    return DETECTORS
+        .map((detector) => ({ detector, selection: selections.find((item) => item.detector === detector.id) }))
+        .filter(({ selection }) => selection)
+        .map(({ detector, selection }) => ({
+            find: detector.label,
+            replace: selection.mask === 'block'
+                ? BLOCK_CHARACTER.repeat(4)
+                : selection.mask === 'pseudonym' ? `${detector.pseudonym}-N` : token,
+            options: {
+                detector: detector.id,
+                mask: selection.mask,
+                isCaseSensitive: false,
+                isWholeWord: false,
+                isRegex: false,
+                isPreserveCase: false,
+            },
+        }));
+}
+
+/**
+ * Reduces a value to what identifies it, so differently written copies of
+ * the same address or number get the same pseudonym.
+ *
+ * @param {string} detector - Detector id.
+ * @param {string} value - The matched text.
+ * @returns {string} The normalized value.
+ */
+function normalizeValue(detector, value) {
+    return detector === 'email' ? value.toLowerCase() : value.replace(/[^\p{L}\p{N}+]/gu, '').toUpperCase();
+}
+
+/**
+ * Checks a card number with the Luhn algorithm.
+ *
+ * @param {string} digits - The card number digits.
+ * @returns {boolean} True for 13 to 19 digits with a valid check digit.
+ */
+function passesLuhnCheck(digits) {
+    if (digits.length < 13 || digits.length > 19) {
+        return false;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Checks an IBAN's length and its ISO 7064 mod 97 check digits.
+ *
+ * @param {string} iban - The IBAN without spaces.
+ * @returns {boolean} True if it is valid.
+ */
+function isValidIban(iban) {
+    if (iban.length < 15 || iban.length > 34) {
+        return false;
+    }
+
+    // Move the country code and check digits to the end and turn letters into 10–35
+    const numeric = [...iban.slice(4) + iban.slice(0, 4)]
+        .map((char) => parseInt(char, 36))
+        .join('');
+
+    let remainder = 0;
+    for (const digit of numeric) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+}
+
+/**
+ * Tells whether a digit sequence is plausibly a phone number rather than a
+ * date or a short figure: 7 to 15 digits, as the international format allows.
+ *
+ * @param {string} value - The matched text.
+ * @returns {boolean} True if it may be a phone number.
+ */
+function isPlausiblePhoneNumber(value) {
+    const digitCount = value.replace(/\D/g, '').length;
+    const isDate = /^\d{4}[./-]\d{1,2}[./-]\d{1,2}$|^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}$/.test(value);
+    return digitCount >= 7 && digitCount <= 15 && !isDate;
+}
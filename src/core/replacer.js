@@ -4,6 +4,12 @@
  * Pure functions — no DOM, no side effects.
  */
 
+import { createDetectorRegex, maskValue } from './redaction.js';
+import { createLineFilter } from './scope.js';
+
+/** A word: letters, including combining marks and apostrophes. */
+const WORD_PATTERN = /\p{L}[\p{L}\p{M}']*/gu;
+
 /**
  * Builds a RegExp from the user's search pattern and options.
  *
@@ -12,9 +18,14 @@
  * @param {boolean} options.isCaseSensitive - Match case exactly.
  * @param {boolean} options.isWholeWord - Match whole words only.
  * @param {boolean} options.isRegex - Treat pattern as regex.
+ * @param {string} [options.detector] - Use this personal data detector (see redaction.js) instead of the pattern.
  * @returns {RegExp} Compiled regular expression with global flag.
  */
-export function buildRegex(pattern, { isCaseSensitive = false, isWholeWord = false, isRegex = false } = {}) {
+export function buildRegex(pattern, { isCaseSensitive = false, isWholeWord = false, isRegex = false, detector = null } = {}) {
+    if (detector) {
+        return createDetectorRegex(detector);
+    }
+
     if (!pattern) {
         return null;
     }
@@ -44,7 +55,7 @@ export function escapeRegexChars(str) {
  *
  * @param {string} text - The text to search in.
  * @param {string} pattern - The search pattern.
- * @param {object} options - See buildRegex for option details.
+ * @param {object} options - See buildRegex for option details, plus lineScope (see collectReplacements).
  * @returns {{ count: number, positions: Array<{ start: number, end: number, match: string }> }}
  */
 export function findMatches(text, pattern, options = {}) {
@@ -54,15 +65,15 @@ export function findMatches(text, pattern, options = {}) {
         return { count: 0, positions: [] };
     }
 
+    const isInScope = options.lineScope ? createLineFilter(text, options.lineScope) : null;
     const positions = [];
     let match;
 
     while ((match = regex.exec(text)) !== null) {
-        positions.push({
-            start: match.index,
-            end: match.index + match[0].length,
-            match: match[0],
-        });
+        const end = match.index + match[0].length;
+        if (!isInScope || isInScope(match.index, end)) {
+            positions.push({ start: match.index, end, match: match[0] });
+        }
 
         // Prevent infinite loops on zero-length matches
         if (match[0].length === 0) {
@@ -79,7 +90,7 @@ export function findMatches(text, pattern, options = {}) {
  * @param {string} text - The source text.
  * @param {string} pattern - The search pattern.
  * @param {string} replacement - The replacement string.
- * @param {object} options - See buildRegex for option details.
+ * @param {object} options - See buildRegex for option details, plus isPreserveCase and lineScope.
  * @returns {string} The text with all matches replaced.
  */
 export function replaceAll(text, pattern, replacement, options = {}) {
@@ -89,5 +100,281 @@ export function replaceAll(text, pattern, replacement, options = {}) {
         return text;
     }
 
+    if (options.isPreserveCase || options.detector || options.lineScope) {
+        return spliceSegments([text], collectReplacements(text, regex, replacement, options))[0];
+    }
+
     return text.replace(regex, replacement);
 }
+
+/**
+ * Applies a list of replacement pairs in order, each with its own options.
+ *
+ * @param {string} text - The source text.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own.
+ * @returns {string} The text with every pair applied.
+ */
+export function replacePairs(text, pairs, defaults = {}) {
+    return applyPairs(text, pairs, defaults).text;
+}
+
+/**
+ * Applies a list of replacement pairs in order and reports how many
+ * replacements each pair made.
+ *
+ * @param {string} text - The source text.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own.
+ * @returns {{ text: string, counts: number[] }} The new text and the replacement count per pair.
+ */
+export function applyPairs(text, pairs, defaults = {}) {
+    const counts = [];
+    let result = text;
+
+    for (const pair of pairs) {
+        const options = { ...defaults, ...pair.options };
+        counts.push(findMatches(result, pair.find, options).count);
+        result = replaceAll(result, pair.find, pair.replace, options);
+    }
+
+    return { text: result, counts };
+}
+
+/**
+ * Finds all matches of a compiled regex and expands the replacement for each,
+ * honoring the same `$&`, `$1`, `$<name>`, `` $` ``, `$'` and `$$` patterns as
+ * String.prototype.replace.
+ *
+ * @param {string} text - The text to search in.
+ * @param {RegExp} regex - Compiled regex with the global flag.
+ * @param {string} replacement - The replacement string.
+ * @param {object} [options]
+ * @param {boolean} [options.isPreserveCase] - Give each replacement the letter case of its match (see preserveCase).
+ * @param {string} [options.detector] - Mask each match as this detector's redaction options say (see maskValue).
+ * @param {import('./scope.js').LineScope} [options.lineScope] - Skip matches outside these lines of the text (see withLineScope).
+ * @returns {Array<{ start: number, end: number, match: string, replacement: string }>} Matches in order.
+ */
+export function collectReplacements(text, regex, replacement, options = {}) {
+    const { isPreserveCase = false, detector = null, lineScope = null } = options;
+    const isInScope = lineScope ? createLineFilter(text, lineScope) : null;
+    const results = [];
+    let match;
+
+    regex.lastIndex = 0;
+
+    while ((match = regex.exec(text)) !== null) {
+        if (isInScope && !isInScope(match.index, match.index + match[0].length)) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+            }
+            continue;
+        }
+
+        const expanded = expandReplacement(replacement, match, text);
+        let masked = expanded;
+        if (detector) {
+            masked = maskValue(match[0], expanded, options);
+        } else if (isPreserveCase) {
+            masked = preserveCase(expanded, match[0]);
+        }
+        results.push({
+            start: match.index,
+            end: match.index + match[0].length,
+            match: match[0],
+            replacement: masked,
+        });
+
+        // Prevent infinite loops on zero-length matches
+        if (match[0].length === 0) {
+            regex.lastIndex++;
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Expands `$` patterns in a replacement string for a single regex match.
+ *
+ * @param {string} replacement - The replacement string.
+ * @param {RegExpExecArray} match - The match returned by RegExp#exec.
+ * @param {string} text - The full text the match was found in.
+ * @returns {string} The expanded replacement.
+ */
+export function expandReplacement(replacement, match, text) {
+    if (!replacement.includes('$')) {
+        return replacement;
+    }
+
+    const groupCount = match.length - 1;
+
+    return replacement.replace(/\$(\$|&|`|'|<([^>]*)>|(\d{1,2}))/g, (token, symbol, groupName, digits) => {
+        if (symbol === '$') {
+            return '$';
+        }
+        if (symbol === '&') {
+            return match[0];
+        }
+        if (symbol === '`') {
+            return text.slice(0, match.index);
+        }
+        if (symbol === "'") {
+            return text.slice(match.index + match[0].length);
+        }
+        if (groupName !== undefined) {
+            return match.groups ? (match.groups[groupName] ?? '') : token;
+        }
+
+        // Prefer a two-digit group reference, fall back to one digit
+        let index = Number(digits);
+        let rest = '';
+        if (index > groupCount && digits.length === 2) {
+            index = Number(digits[0]);
+            rest = digits[1];
+        }
+        if (index === 0 || index > groupCount) {
+            return token;
+        }
+        return (match[index] ?? '') + rest;
+    });
+}
+
+/**
+ * Copies the letter case of a matched text onto its replacement.
+ * ALL CAPS, lowercase and Title Case carry over as a whole; any other mix
+ * is copied letter by letter when both texts have the same length, and
+ * left as typed otherwise.
+ *
+ * @param {string} replacement - The replacement text.
+ * @param {string} source - The matched text whose case to copy.
+ * @returns {string} The replacement in the case of the match.
+ */
+export function preserveCase(replacement, source) {
+    const upper = source.toUpperCase();
+    const lower = source.toLowerCase();
+
+    if (upper === lower) {
+        // No cased letters to copy from
+        return replacement;
+    }
+    if (source === upper) {
+        return replacement.toUpperCase();
+    }
+    if (source === lower) {
+        return replacement.toLowerCase();
+    }
+
+    const words = source.match(WORD_PATTERN) || [];
+    if (words.every(isCapitalized)) {
+        const lowered = replacement.toLowerCase();
+        // Title case every word only when the match itself has several words
+        return words.length > 1
+            ? lowered.replace(WORD_PATTERN, capitalize)
+            : capitalize(lowered);
+    }
+
+    const sourceChars = Array.from(source);
+    const replacementChars = Array.from(replacement);
+    if (sourceChars.length !== replacementChars.length) {
+        return replacement;
+    }
+
+    return replacementChars.map((char, i) => {
+        const sourceChar = sourceChars[i];
+        if (sourceChar !== sourceChar.toLowerCase()) {
+            return char.toUpperCase();
+        }
+        if (sourceChar !== sourceChar.toUpperCase()) {
+            return char.toLowerCase();
+        }
+        return char;
+    }).join('');
+}
+
+/**
+ * Returns whether a word starts with a capital and continues in lowercase.
+ *
+ * @param {string} word - The word.
+ * @returns {boolean} True for words like "Color".
+ */
+function isCapitalized(word) {
+    const first = word.charAt(0);
+    const rest = word.slice(1);
+    return first !== first.toLowerCase() && rest === rest.toLowerCase();
+}
+
+/**
+ * Uppercases the first letter of a string.
+ *
+ * @param {string} str - The string.
+ * @returns {string} The string with its first letter capitalized.
+ */
+function capitalize(str) {
+    return str.replace(/\p{L}/u, (letter) => letter.toUpperCase());
+}
+
+/**
+ * Keeps the matches that lie wholly within one of the ranges, such as the
+ * parts of a paragraph that have the formatting a search asks for.
+ *
+ * @param {Array<{ start: number, end: number }>} matches - Matches in a text.
+ * @param {Array<{ start: number, end: number }>|null} [ranges] - Parts of the text that can match; null for all of it.
+ * @returns {Array<{ start: number, end: number }>} The matches within the ranges.
+ */
+export function keepWithinRanges(matches, ranges = null) {
+    if (!ranges) {
+        return matches;
+    }
+    return matches.filter(({ start, end }) => ranges.some((range) => start >= range.start && end <= range.end));
+}
+
+/**
+ * Applies replacements to text that is split across several segments (such
+ * as the runs of a paragraph) without moving unmatched text between them.
+ * Text outside the matches stays in its original segment, and each
+ * replacement is placed in the segment where its match starts.
+ *
+ * @param {string[]} segments - The text of each segment, in order.
+ * @param {Array<{ start: number, end: number, replacement: string }>} replacements - Non-overlapping
+ *   replacements, sorted by position in the joined text.
+ * @returns {string[]} The new text of each segment.
+ */
+export function spliceSegments(segments, replacements) {
+    const bounds = [];
+    let offset = 0;
+
+    for (const text of segments) {
+        bounds.push({ start: offset, end: offset + text.length });
+        offset += text.length;
+    }
+
+    const fullText = segments.join('');
+    const output = segments.map(() => '');
+
+    const appendOriginal = (from, to) => {
+        bounds.forEach((bound, i) => {
+            const start = Math.max(from, bound.start);
+            const end = Math.min(to, bound.end);
+            if (start < end) {
+                output[i] += fullText.slice(start, end);
+            }
+        });
+    };
+
+    const segmentIndexAt = (position) => {
+        const index = bounds.findIndex((bound) => position >= bound.start && position < bound.end);
+        return index === -1 ? segments.length - 1 : index;
+    };
+
+    let cursor = 0;
+
+    for (const { start, end, replacement } of replacements) {
+        appendOriginal(cursor, start);
+        output[segmentIndexAt(start)] += replacement;
+        cursor = end;
+    }
+
+    appendOriginal(cursor, fullText.length);
+    return output;
+}
@@ -0,0 +1,68 @@
+/**
+ * @module review
+ * Match identities and selective replacement for interactive review.
+ * A document is seen as a list of blocks (paragraphs for .docx, the whole
+ * text for .txt); a match is identified by its block key and start offset.
+ * Pure functions — no DOM, no side effects.
+ */
+
+import { buildRegex, collectReplacements, spliceSegments, keepWithinRanges } from './replacer.js';
+
+/** Block key used for the single block of a plain text document. */
+export const TEXT_BLOCK_KEY = 'text#0';
+
+/**
+ * Builds the stable identity of a match.
+ *
+ * @param {string} blockKey - The block key, e.g. 'word/document.xml#12'.
+ * @param {number} start - Offset of the match within the block text.
+ * @returns {string} The match id.
+ */
+export function createMatchId(blockKey, start) {
+    return `${blockKey}@${start}`;
+}
+
+/**
+ * Lists the matches of one pair across all blocks, in document order.
+ * A block with ranges only matches within them.
+ *
+ * @param {Array<{ key: string, text: string, ranges?: Array<{ start: number, end: number }>|null }>} blocks - Document blocks.
+ * @param {{ find: string, replace: string, options?: object }} pair - The pair to review.
+ * @param {object} [defaults] - Options used where the pair does not set its own.
+ * @returns {Array<{ id: string, blockKey: string, start: number, end: number, match: string, replacement: string }>}
+ */
+export function findReviewMatches(blocks, pair, defaults = {}) {
+    const options = { ...defaults, ...pair.options };
+    const regex = buildRegex(pair.find, options);
+    if (!regex) {
+        return [];
+    }
+
+    return blocks.flatMap((block) => keepWithinRanges(collectReplacements(block.text, regex, pair.replace, options), block.ranges).map((item) => ({
+        ...item,
+        id: createMatchId(block.key, item.start),
+        blockKey: block.key,
+    })));
+}
+
+/**
+ * Applies one pair to plain text, replacing only the accepted matches.
+ *
+ * @param {string} text - The document text.
+ * @param {{ find: string, replace: string, options?: object }} pair - The reviewed pair.
+ * @param {object} defaults - Options used where the pair does not set its own.
+ * @param {function(string, number): boolean} isAccepted - Called with a block key and match start.
+ * @returns {{ text: string, count: number }} The new text and number of replacements.
+ */
+export function applyReviewedPairToText(text, pair, defaults, isAccepted) {
+    const options = { ...defaults, ...pair.options };
+    const regex = buildRegex(pair.find, options);
+    if (!regex) {
+        return { text, count: 0 };
+    }
+
+    const accepted = collectReplacements(text, regex, pair.replace, options)
+        .filter((item) => isAccepted(TEXT_BLOCK_KEY, item.start));
+
+    return { text: spliceSegments([text], accepted)[0], count: accepted.length };
+}
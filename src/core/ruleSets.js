@@ -0,0 +1,179 @@
+/**
+ * @module ruleSets
+ * Versioned JSON schema for named rule sets (replacement pairs plus options).
+ * Pure functions — no DOM, no side effects.
+ */
+
+/** Identifies Replacit rule set files. */
+export const RULE_SET_FORMAT = 'replacit-rule-set';
+
+/** Current rule set schema version. */
+export const RULE_SET_VERSION = 1;
+
+/** Option keys allowed on a whole rule set. */
+const GLOBAL_OPTION_KEYS = ['isCaseSensitive', 'isWholeWord', 'isRegex', 'isPreserveCase', 'isBodyOnly'];
+
+/** Option keys allowed on a single pair. */
+const PAIR_OPTION_KEYS = ['isCaseSensitive', 'isWholeWord', 'isRegex', 'isPreserveCase'];
+
+/**
+ * @typedef {object} RuleSet
+ * @property {string} format - Always RULE_SET_FORMAT.
+ * @property {number} version - Schema version.
+ * @property {string} name - Display name.
+ * @property {object} options - Global option defaults.
+ * @property {Array<{ find: string, replace: string, options: object }>} pairs - Replacement pairs.
+ */
+
+/**
+ * Creates a rule set in the current schema version.
+ *
+ * @param {string} name - Display name.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [options] - Global option defaults.
+ * @returns {RuleSet} The rule set.
+ */
+export function createRuleSet(name, pairs, options = {}) {
+    return validateRuleSet({
+        format: RULE_SET_FORMAT,
+        version: RULE_SET_VERSION,
+        name,
+        options,
+        pairs,
+    });
+}
+
+/**
+ * Validates untrusted rule set data and returns a normalized copy.
+ * Unknown option keys are rejected so typos do not silently change matching.
+ *
+ * @param {*} data - Parsed JSON data.
+ * @returns {RuleSet} The normalized rule set.
+ * @throws {Error} If the data does not match the schema.
+ */
+export function validateRuleSet(data) {
+    if (!isPlainObject(data) || data.format !== RULE_SET_FORMAT) {
+        throw new Error('Not a Replacit rule set file.');
+    }
+
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('Rule set has an invalid version.');
+    }
+
+    if (data.version > RULE_SET_VERSION) {
+        throw new Error(`Rule set version ${data.version} is newer than this app supports (${RULE_SET_VERSION}).`);
+    }
+
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+        throw new Error('Rule set needs a name.');
+    }
+
+    if (!Array.isArray(data.pairs) || data.pairs.length === 0) {
+        throw new Error('Rule set has no replacement pairs.');
+    }
+
+    const options = validateOptions(data.options ?? {}, GLOBAL_OPTION_KEYS, 'Rule set options');
+
+    const pairs = data.pairs.map((pair, i) => {
+        const label = `Pair #${i + 1}`;
+
+        if (!isPlainObject(pair)) {
+            throw new Error(`${label} is not an object.`);
+        }
+        if (typeof pair.find !== 'string' || !pair.find.trim()) {
+            throw new Error(`${label} has an empty find value.`);
+        }
+        if (typeof pair.replace !== 'string') {
+            throw new Error(`${label} has an invalid replace value.`);
+        }
+
+        const pairOptions = validateOptions(pair.options ?? {}, PAIR_OPTION_KEYS, `${label} options`);
+        const isRegex = pairOptions.isRegex ?? options.isRegex;
+
+        if (isRegex) {
+            try {
+                new RegExp(pair.find);
+            } catch {
+                throw new Error(`${label} has an invalid regular expression.`);
+            }
+        }
+
+        return { find: pair.find, replace: pair.replace, options: pairOptions };
+    });
+
+    return {
+        format: RULE_SET_FORMAT,
+        version: RULE_SET_VERSION,
+        name: data.name.trim(),
+        options,
+        pairs,
+    };
+}
+
+/**
+ * Parses and validates a rule set JSON file.
+ *
+ * @param {string} json - The file content.
+ * @returns {RuleSet} The normalized rule set.
+ * @throws {Error} If the JSON is malformed or does not match the schema.
+ */
+export function parseRuleSet(json) {
+    let data;
+
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new Error('Rule set file is not valid JSON.');
+    }
+
+    return validateRuleSet(data);
+}
+
+/**
+ * Serializes a rule set for export.
+ *
+ * @param {RuleSet} ruleSet - The rule set.
+ * @returns {string} Pretty-printed JSON.
+ */
+export function serializeRuleSet(ruleSet) {
+    return JSON.stringify(ruleSet, null, 2);
+}
+
+/**
+ * Validates an options object against the allowed boolean keys.
+ *
+ * @param {*} options - The options to check.
+ * @param {string[]} allowedKeys - Allowed option names.
+ * @param {string} label - Label used in error messages.
+ * @returns {object} A copy containing only the given keys.
+ * @throws {Error} If a key is unknown or a value is not boolean.
+ */
+function validateOptions(options, allowedKeys, label) {
+    if (!isPlainObject(options)) {
+        throw new Error(`${label} must be an object.`);
+    }
+
+    const result = {};
+
+    for (const [key, value] of Object.entries(options)) {
+        if (!allowedKeys.includes(key)) {
+            throw new Error(`${label} contain an unknown option "${key}".`);
+        }
+        if (typeof value !== 'boolean') {
+            throw new Error(`${label}: "${key}" must be true or false.`);
+        }
+        result[key] = value;
+    }
+
+    return result;
+}
+
+/**
+ * Checks for a non-null, non-array object.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for plain objects.
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,187 @@
+/**
+ * @module scope
+ * Limits matching to part of a document. In a .docx, paragraphs are
+ * selected by paragraph style, by whether they sit in a table, and by a
+ * range of paragraph numbers or bookmarks. In a plain text file, lines are
+ * selected by a range of line numbers and by a prefix.
+ * Pure functions — no DOM, no side effects.
+ */
+
+/** Style of paragraphs that do not name one. */
+export const DEFAULT_PARAGRAPH_STYLE = 'Normal';
+
+/** Matches a line of text with its line break. */
+const LINE_PATTERN = /[^\r\n]*(?:\r\n|\r|\n)|[^\r\n]+$/g;
+
+/**
+ * @typedef {object} ParagraphInfo
+ * @property {string} style - Paragraph style id (DEFAULT_PARAGRAPH_STYLE if none is set).
+ * @property {boolean} isInTable - Whether the paragraph is in a table cell.
+ * @property {string[]} bookmarkStarts - Names of the bookmarks that start in or just before it.
+ * @property {string[]} bookmarkEnds - Names of the bookmarks that end in or just after it.
+ */
+
+/**
+ * @typedef {object} LineScope
+ * @property {number|null} first - First line (1-based), or null to start at the top.
+ * @property {number|null} last - Last line, or null to run to the end.
+ * @property {string} prefix - Text the selected lines start with, after their indentation; '' for any.
+ */
+
+/**
+ * Tells whether the options limit the paragraphs of a .docx.
+ *
+ * @param {object} options
+ * @param {string[]} [options.scopeStyles] - Paragraph styles to keep (ids or names).
+ * @param {'all'|'inside'|'outside'} [options.scopeTables] - Keep paragraphs inside or outside tables.
+ * @param {string} [options.scopeFrom] - First paragraph: its number or a bookmark starting in it.
+ * @param {string} [options.scopeTo] - Last paragraph: its number or a bookmark ending in it.
+ * @returns {boolean} True if some paragraphs may be left out.
+ */
+export function hasParagraphScope({ scopeStyles = [], scopeTables = 'all', scopeFrom = '', scopeTo = '' } = {}) {
+    return scopeStyles.length > 0 || scopeTables !== 'all' || Boolean(scopeFrom) || Boolean(scopeTo);
+}
+
+/**
+ * Selects the paragraphs of one part that the scope options keep. A range
+ * counts the paragraphs of the main document from 1, as audit reports do,
+ * so with a range set no paragraph of another part is kept. A bookmark
+ * that cannot be found selects nothing.
+ *
+ * @param {ParagraphInfo[]} paragraphs - The paragraphs of the part, in order.
+ * @param {object} options - Scope options (see hasParagraphScope).
+ * @param {boolean} isBody - Whether the part is the main document.
+ * @returns {boolean[]} Per paragraph, whether it is in scope.
+ */
+export function selectParagraphs(paragraphs, { scopeStyles = [], scopeTables = 'all', scopeFrom = '', scopeTo = '' }, isBody) {
+    const styles = scopeStyles.map(normalizeStyle);
+    const hasRange = Boolean(scopeFrom || scopeTo);
+    const first = scopeFrom ? findRangeBound(paragraphs, scopeFrom, 'bookmarkStarts') : 0;
+    const last = scopeTo ? findRangeBound(paragraphs, scopeTo, 'bookmarkEnds') : paragraphs.length - 1;
+
+    return paragraphs.map((paragraph, index) => {
+        if (styles.length > 0 && !styles.includes(normalizeStyle(paragraph.style))) {
+            return false;
+        }
+        if (scopeTables !== 'all' && paragraph.isInTable !== (scopeTables === 'inside')) {
+            return false;
+        }
+        return !hasRange || (isBody && first !== -1 && last !== -1 && index >= first && index <= last);
+    });
+}
+
+/**
+ * Adds the line scope of a plain text file to the options, read from the
+ * range and prefix scope options. Replacement, counting and highlighting
+ * then skip matches outside the selected lines (see createLineFilter).
+ *
+ * @param {object} options - Replace options.
+ * @param {string} [options.scopeFrom] - First line number.
+ * @param {string} [options.scopeTo] - Last line number.
+ * @param {string} [options.scopePrefix] - Text the lines start with.
+ * @returns {object} The options, with lineScope set if some lines are left out.
+ */
+export function withLineScope(options) {
+    const { scopeFrom = '', scopeTo = '', scopePrefix = '' } = options;
+    const first = parseLineNumber(scopeFrom);
+    const last = parseLineNumber(scopeTo);
+
+    if (first === null && last === null && !scopePrefix) {
+        return options;
+    }
+    return { ...options, lineScope: { first, last, prefix: scopePrefix } };
+}
+
+/**
+ * Builds a check telling whether a match lies in the selected lines. A match
+ * is in scope when every line it touches is; a line's break belongs to it.
+ *
+ * @param {string} text - The whole text the match offsets refer to.
+ * @param {LineScope} lineScope - The selected lines.
+ * @returns {function(number, number): boolean} Called with a match's start and end offsets.
+ */
+export function createLineFilter(text, { first, last, prefix }) {
+    const lineStarts = [];
+    // Out-of-scope lines before each line, so a span of lines is checked at once
+    const outsideBefore = [0];
+
+    for (const match of text.matchAll(LINE_PATTERN)) {
+        const number = lineStarts.length + 1;
+        const isInScope = (first === null || number >= first)
+            && (last === null || number <= last)
+            && (!prefix || match[0].trimStart().startsWith(prefix));
+        lineStarts.push(match.index);
+        outsideBefore.push(outsideBefore[outsideBefore.length - 1] + (isInScope ? 0 : 1));
+    }
+
+    if (lineStarts.length === 0) {
+        return () => false;
+    }
+
+    return (start, end) => {
+        const firstLine = findLineIndex(lineStarts, start);
+        const lastLine = findLineIndex(lineStarts, Math.max(start, end - 1));
+        return outsideBefore[lastLine + 1] === outsideBefore[firstLine];
+    };
+}
+
+/**
+ * Finds the paragraph a range bound points at.
+ *
+ * @param {ParagraphInfo[]} paragraphs - The paragraphs of the main document.
+ * @param {string} bound - A paragraph number (1-based) or a bookmark name.
+ * @param {'bookmarkStarts'|'bookmarkEnds'} bookmarkKey - Which end of a bookmark marks the bound.
+ * @returns {number} Index of the paragraph, or -1 if there is no such bookmark.
+ */
+function findRangeBound(paragraphs, bound, bookmarkKey) {
+    if (/^\d+$/.test(bound)) {
+        return Number(bound) - 1;
+    }
+
+    // Word compares bookmark names without regard to case
+    const name = bound.toLowerCase();
+    return paragraphs.findIndex((paragraph) => paragraph[bookmarkKey].some((entry) => entry.toLowerCase() === name));
+}
+
+/**
+ * Reduces a style id or name to a comparable form, so "Heading 1" finds
+ * paragraphs of style Heading1.
+ *
+ * @param {string} style - Style id or name.
+ * @returns {string} The normalized style.
+ */
+function normalizeStyle(style) {
+    return style.replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * Parses a line number bound.
+ *
+ * @param {string} value - The bound as entered.
+ * @returns {number|null} The line number, or null if none is set.
+ */
+function parseLineNumber(value) {
+    return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * Finds the line an offset falls on.
+ *
+ * @param {number[]} lineStarts - Offset of each line's first character, ascending.
+ * @param {number} offset - The offset.
+ * @returns {number} Index of the line.
+ */
+function findLineIndex(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (lineStarts[middle] <= offset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+}
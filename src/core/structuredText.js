@@ -0,0 +1,154 @@
+/**
+ * @module structuredText
+ * Replacement in text formats where only the human-readable content may
+ * change (Markdown, HTML, CSV, JSON, XML). Each format's processor splits the
+ * source into blocks of segments — source ranges with their decoded text —
+ * and re-encodes the segments a replacement changes. Everything outside the
+ * segments (tags, keys, code, delimiters) is left exactly as it was.
+ * Pure functions — no DOM, no side effects.
+ */
+
+import { buildRegex, collectReplacements, spliceSegments } from './replacer.js';
+
+/**
+ * @typedef {object} TextSegment
+ * @property {number} start - Offset of the raw text in the source.
+ * @property {number} end - Offset just past the raw text.
+ * @property {string} text - The decoded text.
+ */
+
+/**
+ * @typedef {object} TextBlock
+ * @property {string} key - Stable block key, used in match ids.
+ * @property {string} kind - Block kind ('body', or e.g. 'attribute').
+ * @property {string} [path] - Where the block sits, e.g. an element or key path.
+ * @property {string} text - The decoded text of all segments.
+ * @property {TextSegment[]} segments - The segments, in source order.
+ */
+
+/**
+ * @typedef {object} TextFormat
+ * @property {function(string, object): TextBlock[]} getBlocks - Splits the source into blocks.
+ * @property {function(string, TextSegment): string} encode - Encodes new text for a segment.
+ * @property {function(string, object): string} generatePreview - Preview HTML of the source.
+ */
+
+/**
+ * Creates a block from its segments.
+ *
+ * @param {string} key - The block key.
+ * @param {string} kind - The block kind.
+ * @param {TextSegment[]} segments - The segments.
+ * @param {string} [path] - Where the block sits.
+ * @returns {TextBlock} The block.
+ */
+export function createTextBlock(key, kind, segments, path) {
+    const block = { key, kind, text: segments.map((segment) => segment.text).join(''), segments };
+    if (path !== undefined) {
+        block.path = path;
+    }
+    return block;
+}
+
+/**
+ * Counts the matches of each pair block by block, the way replacement finds them.
+ *
+ * @param {string} source - The file content.
+ * @param {TextFormat} format - The format's processor functions.
+ * @param {Array<{ find: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own, plus format options.
+ * @returns {number[]} Match count per pair.
+ */
+export function countPairsInStructuredText(source, format, pairs, defaults = {}) {
+    const blocks = format.getBlocks(source, defaults);
+
+    return pairs.map((pair) => {
+        const regex = buildRegex(pair.find, { ...defaults, ...pair.options });
+        if (!regex) {
+            return 0;
+        }
+        return blocks.reduce((total, block) => total + collectReplacements(block.text, regex, '').length, 0);
+    });
+}
+
+/**
+ * Applies a list of replacement pairs in order, each to the result of the previous one.
+ *
+ * @param {string} source - The file content.
+ * @param {TextFormat} format - The format's processor functions.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own, plus format options.
+ * @returns {{ text: string, counts: number[] }} The new content and replacement count per pair.
+ */
+export function applyPairsToStructuredText(source, format, pairs, defaults = {}) {
+    let text = source;
+    const counts = pairs.map((pair) => {
+        const result = replaceInStructuredText(text, format, pair, { ...defaults, ...pair.options });
+        text = result.text;
+        return result.count;
+    });
+
+    return { text, counts };
+}
+
+/**
+ * Applies one pair, replacing only the accepted matches.
+ *
+ * @param {string} source - The file content.
+ * @param {TextFormat} format - The format's processor functions.
+ * @param {{ find: string, replace: string, options?: object }} pair - The reviewed pair.
+ * @param {object} defaults - Options used where the pair does not set its own, plus format options.
+ * @param {function(string, number): boolean} isAccepted - Called with a block key and match start.
+ * @returns {{ text: string, count: number }} The new content and number of replacements.
+ */
+export function applyReviewedPairToStructuredText(source, format, pair, defaults, isAccepted) {
+    return replaceInStructuredText(source, format, pair, { ...defaults, ...pair.options }, isAccepted);
+}
+
+/**
+ * Replaces the matches of one pair within the blocks of the source and
+ * writes back the re-encoded segments that changed.
+ *
+ * @param {string} source - The file content.
+ * @param {TextFormat} format - The format's processor functions.
+ * @param {{ find: string, replace: string }} pair - The pair.
+ * @param {object} options - Replace options, plus format options.
+ * @param {function(string, number): boolean} [isAccepted] - Optional filter called with a block key and match start.
+ * @returns {{ text: string, count: number }} The new content and number of replacements.
+ */
+function replaceInStructuredText(source, format, pair, options, isAccepted = null) {
+    const regex = buildRegex(pair.find, options);
+    if (!regex) {
+        return { text: source, count: 0 };
+    }
+
+    const edits = [];
+    let count = 0;
+
+    for (const block of format.getBlocks(source, options)) {
+        const allReplacements = collectReplacements(block.text, regex, pair.replace, options);
+        const replacements = isAccepted
+            ? allReplacements.filter((item) => isAccepted(block.key, item.start))
+            : allReplacements;
+
+        if (replacements.length === 0) {
+            continue;
+        }
+
+        const newTexts = spliceSegments(block.segments.map((segment) => segment.text), replacements);
+        block.segments.forEach((segment, i) => {
+            if (newTexts[i] !== segment.text) {
+                edits.push({ start: segment.start, end: segment.end, text: format.encode(newTexts[i], segment) });
+            }
+        });
+        count += replacements.length;
+    }
+
+    // Apply from the end so earlier offsets stay valid
+    let text = source;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+        text = text.slice(0, edit.start) + edit.text + text.slice(edit.end);
+    }
+
+    return { text, count };
+}
@@ -0,0 +1,270 @@
+/**
+ * @module tableParser
+ * Reads mapping tables (CSV, TSV, first sheet of .xlsx) into rows of cells,
+ * and turns mapped rows into replacement pairs.
+ */
+
+import JSZip from 'jszip';
+import { unescapeXml, getXmlAttribute } from './xmlUtils.js';
+
+/** Cell values treated as "on" for per-row flag columns. */
+const TRUTHY_VALUES = ['1', 'true', 'yes', 'y', 'x', 'on'];
+
+/** Per-row flag columns that can be mapped, keyed by pair option name. */
+export const FLAG_COLUMNS = ['isCaseSensitive', 'isWholeWord', 'isRegex', 'isPreserveCase'];
+
+/**
+ * Parses delimited text (CSV or TSV) following RFC 4180 quoting rules.
+ *
+ * @param {string} text - The file content.
+ * @param {string} [delimiter] - Cell delimiter; detected from the first line if omitted.
+ * @returns {string[][]} Rows of cells. Trailing empty lines are dropped.
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    while (rows.length > 0 && rows[rows.length - 1].every((value) => value === '')) {
+        rows.pop();
+    }
+
+    return rows;
+}
+
+/**
+ * Guesses the delimiter from the first line: tab, semicolon or comma.
+ *
+ * @param {string} text - The file content.
+ * @returns {string} The delimiter character.
+ */
+export function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const counts = ['\t', ';', ','].map((delimiter) => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+    const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+    return best.count > 0 ? best.delimiter : ',';
+}
+
+/**
+ * Reads the first worksheet of an .xlsx workbook as rows of cell text.
+ * Shared strings, inline strings, numbers and booleans are supported;
+ * formulas contribute their cached value.
+ *
+ * @param {ArrayBuffer} arrayBuffer - The .xlsx file content.
+ * @returns {Promise<string[][]>} Rows of cells.
+ */
+export async function readXlsxFirstSheet(arrayBuffer) {
+    const zip = await JSZip.loadAsync(arrayBuffer);
+    const sheetPath = await getFirstSheetPath(zip);
+    const sheetFile = zip.file(sheetPath);
+
+    if (!sheetFile) {
+        throw new Error('Invalid .xlsx: first worksheet not found.');
+    }
+
+    const sharedStrings = await readSharedStrings(zip);
+    const sheetXml = await sheetFile.async('string');
+    const rows = [];
+    const rowRegex = /<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g;
+    let rowMatch;
+
+    while ((rowMatch = rowRegex.exec(sheetXml)) !== null) {
+        const rowNumber = Number(getXmlAttribute(rowMatch[0], 'r')) || rows.length + 1;
+        const cells = [];
+        const cellRegex = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+        let cellMatch;
+
+        while ((cellMatch = cellRegex.exec(rowMatch[1] || '')) !== null) {
+            const tag = `<c${cellMatch[1]}>`;
+            const reference = getXmlAttribute(tag, 'r');
+            const columnIndex = reference ? columnLettersToIndex(reference.replace(/\d+$/, '')) : cells.length;
+            cells[columnIndex] = readCellValue(getXmlAttribute(tag, 't'), cellMatch[2] || '', sharedStrings);
+        }
+
+        rows[rowNumber - 1] = Array.from(cells, (value) => value ?? '');
+    }
+
+    return Array.from(rows, (row) => row ?? []);
+}
+
+/**
+ * Builds replacement pairs from table rows using a column mapping.
+ * Rows with an empty find value or a find value already seen are flagged
+ * and left out of the pairs.
+ *
+ * @param {string[][]} rows - Table rows.
+ * @param {object} mapping
+ * @param {number} mapping.find - Column index of the find values.
+ * @param {number} mapping.replace - Column index of the replacement values.
+ * @param {boolean} [mapping.hasHeader=false] - Skip the first row.
+ * @param {Object<string, number|null>} [mapping.flags] - Column index per flag (see FLAG_COLUMNS).
+ * @returns {{ rows: Array<{ rowNumber: number, find: string, replace: string, options: object, issue: ('empty'|'duplicate'|null) }>, pairs: Array<{ find: string, replace: string, options: object }> }}
+ */
+export function buildPairsFromTable(rows, { find, replace, hasHeader = false, flags = {} }) {
+    const seen = new Set();
+    const preview = [];
+
+    rows.forEach((cells, i) => {
+        if (hasHeader && i === 0) {
+            return;
+        }
+
+        const findValue = cells[find] ?? '';
+        const options = {};
+
+        for (const key of FLAG_COLUMNS) {
+            const column = flags[key];
+            if (column !== null && column !== undefined) {
+                options[key] = TRUTHY_VALUES.includes(String(cells[column] ?? '').trim().toLowerCase());
+            }
+        }
+
+        let issue = null;
+        if (!findValue.trim()) {
+            issue = 'empty';
+        } else if (seen.has(findValue)) {
+            issue = 'duplicate';
+        }
+        seen.add(findValue);
+
+        preview.push({ rowNumber: i + 1, find: findValue, replace: cells[replace] ?? '', options, issue });
+    });
+
+    const pairs = preview
+        .filter((row) => !row.issue)
+        .map(({ find: findValue, replace: replaceValue, options }) => ({ find: findValue, replace: replaceValue, options }));
+
+    return { rows: preview, pairs };
+}
+
+/**
+ * Resolves the path of the first worksheet through the workbook relationships.
+ *
+ * @param {JSZip} zip - The workbook package.
+ * @returns {Promise<string>} ZIP path of the first worksheet.
+ */
+async function getFirstSheetPath(zip) {
+    const workbookFile = zip.file('xl/workbook.xml');
+    const relsFile = zip.file('xl/_rels/workbook.xml.rels');
+
+    if (workbookFile && relsFile) {
+        const workbookXml = await workbookFile.async('string');
+        const relsXml = await relsFile.async('string');
+        const sheetTag = workbookXml.match(/<sheet\b[^>]*>/);
+        const relationshipId = sheetTag ? getXmlAttribute(sheetTag[0], 'r:id') : null;
+        const relationships = relsXml.match(/<Relationship\b[^>]*>/g) || [];
+        const relationship = relationships.find((tag) => getXmlAttribute(tag, 'Id') === relationshipId);
+        const target = relationship ? getXmlAttribute(relationship, 'Target') : null;
+
+        if (target) {
+            return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+        }
+    }
+
+    return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Reads the shared string table, flattening rich-text runs.
+ *
+ * @param {JSZip} zip - The workbook package.
+ * @returns {Promise<string[]>} Shared strings by index.
+ */
+async function readSharedStrings(zip) {
+    const file = zip.file('xl/sharedStrings.xml');
+    if (!file) {
+        return [];
+    }
+
+    const xml = await file.async('string');
+    const items = xml.match(/<si\b[^>]*>[\s\S]*?<\/si>/g) || [];
+    return items.map(readTextElements);
+}
+
+/**
+ * Reads the value of a single cell as display text.
+ *
+ * @param {string|null} type - The cell's t attribute.
+ * @param {string} innerXml - The cell content.
+ * @param {string[]} sharedStrings - Shared string table.
+ * @returns {string} The cell text.
+ */
+function readCellValue(type, innerXml, sharedStrings) {
+    if (type === 'inlineStr') {
+        return readTextElements(innerXml);
+    }
+
+    const valueMatch = innerXml.match(/<v>([\s\S]*?)<\/v>/);
+    const value = valueMatch ? unescapeXml(valueMatch[1]) : '';
+
+    if (type === 's') {
+        return sharedStrings[Number(value)] ?? '';
+    }
+    if (type === 'b') {
+        return value === '1' ? 'TRUE' : 'FALSE';
+    }
+    return value;
+}
+
+/**
+ * Concatenates the <t> elements of a string item, skipping phonetic runs.
+ *
+ * @param {string} xml - A <si> or <is> element.
+ * @returns {string} The plain text.
+ */
+function readTextElements(xml) {
+    const withoutPhonetic = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    const texts = withoutPhonetic.match(/<t(?:\s[^>]*)?>[\s\S]*?<\/t>|<t(?:\s[^>]*)?\/>/g) || [];
+    return texts.map((tag) => unescapeXml(tag.replace(/^<t[^>]*>|<\/t>$/g, '').replace(/^<t[^>]*\/>$/, ''))).join('');
+}
+
+/**
+ * Converts spreadsheet column letters to a zero-based index (A → 0, AA → 26).
+ *
+ * @param {string} letters - Column letters.
+ * @returns {number} Zero-based column index.
+ */
+export function columnLettersToIndex(letters) {
+    let index = 0;
+    for (const char of letters.toUpperCase()) {
+        index = index * 26 + (char.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
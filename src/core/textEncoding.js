@@ -0,0 +1,248 @@
+/**
+ * @module textEncoding
+ * Character encoding and line-ending detection for text files, and the
+ * encoder that writes a text back in the encoding, byte order mark and
+ * line endings it came in (or the ones chosen for conversion).
+ * Pure functions — no DOM, no side effects.
+ */
+
+/**
+ * Encodings a text file can be read and written in. Single-byte encodings
+ * are written through a table built from the platform's decoder.
+ *
+ * @type {Array<{ id: string, label: string }>}
+ */
+export const ENCODINGS = [
+    { id: 'utf-8', label: 'UTF-8' },
+    { id: 'utf-16le', label: 'UTF-16 LE' },
+    { id: 'utf-16be', label: 'UTF-16 BE' },
+    { id: 'windows-1252', label: 'Windows-1252 (Western)' },
+    { id: 'iso-8859-15', label: 'ISO-8859-15 (Western, with €)' },
+    { id: 'windows-1250', label: 'Windows-1250 (Central European)' },
+    { id: 'windows-1251', label: 'Windows-1251 (Cyrillic)' },
+];
+
+/** Line ending sequences by style. */
+export const LINE_ENDINGS = { lf: '\n', crlf: '\r\n', cr: '\r' };
+
+/** Byte order marks by encoding. */
+const BYTE_ORDER_MARKS = {
+    'utf-8': [0xEF, 0xBB, 0xBF],
+    'utf-16le': [0xFF, 0xFE],
+    'utf-16be': [0xFE, 0xFF],
+};
+
+/** Bytes looked at when guessing UTF-16 without a byte order mark or reading a charset declaration. */
+const SNIFF_LENGTH = 1024;
+
+/** Charset declarations of XML, HTML and CSS files, with the charset name in groups 1 to 3. */
+const CHARSET_DECLARATION_PATTERN = /<\?xml[^>]*\sencoding\s*=\s*["']([\w.:-]+)|<meta\b[^>]*charset\s*=\s*["']?([\w.:-]+)|@charset\s+["']([\w.:-]+)/i;
+
+/** Character-to-byte tables of the single-byte encodings, built on first use. */
+const singleByteTables = new Map();
+
+/**
+ * @typedef {object} TextFileFormat
+ * @property {string} encoding - Encoding id (see ENCODINGS).
+ * @property {boolean} hasBom - Whether the file starts with a byte order mark.
+ * @property {'lf'|'crlf'|'cr'|'mixed'|'none'} lineEnding - Line ending style; 'mixed' and 'none' are kept as they are.
+ */
+
+/**
+ * Detects the encoding of a file from its byte order mark, from the
+ * zero bytes of BOM-less UTF-16, from a charset declaration, and from
+ * whether the bytes are valid UTF-8. Anything else is read as Windows-1252.
+ *
+ * @param {Uint8Array} bytes - The file content.
+ * @returns {{ encoding: string, hasBom: boolean }} The detected encoding.
+ */
+export function detectEncoding(bytes) {
+    for (const [encoding, mark] of Object.entries(BYTE_ORDER_MARKS)) {
+        if (startsWith(bytes, mark)) {
+            return { encoding, hasBom: true };
+        }
+    }
+
+    const utf16 = guessUtf16(bytes);
+    if (utf16) {
+        return { encoding: utf16, hasBom: false };
+    }
+
+    const declared = readDeclaredEncoding(bytes);
+    const isAscii = bytes.every((byte) => byte < 0x80);
+
+    if (!isAscii && isValidUtf8(bytes)) {
+        return { encoding: 'utf-8', hasBom: false };
+    }
+    return { encoding: declared || (isAscii ? 'utf-8' : 'windows-1252'), hasBom: false };
+}
+
+/**
+ * Decodes a file in the given encoding. A byte order mark that belongs to
+ * the encoding is dropped from the text.
+ *
+ * @param {Uint8Array} bytes - The file content.
+ * @param {string} encoding - Encoding id.
+ * @returns {{ text: string, hasBom: boolean }} The text, and whether a byte order mark was dropped.
+ */
+export function decodeText(bytes, encoding) {
+    const hasBom = Boolean(BYTE_ORDER_MARKS[encoding]) && startsWith(bytes, BYTE_ORDER_MARKS[encoding]);
+    return { text: new TextDecoder(encoding).decode(bytes), hasBom };
+}
+
+/**
+ * Tells which line endings a text uses.
+ *
+ * @param {string} text - The text.
+ * @returns {'lf'|'crlf'|'cr'|'mixed'|'none'} The style, 'mixed' if there are several, 'none' if there are no line breaks.
+ */
+export function detectLineEnding(text) {
+    const styles = new Set();
+    for (const [ending] of text.matchAll(/\r\n|\r|\n/g)) {
+        styles.add(ending === '\r\n' ? 'crlf' : ending === '\r' ? 'cr' : 'lf');
+        if (styles.size > 1) {
+            return 'mixed';
+        }
+    }
+    return styles.size === 1 ? [...styles][0] : 'none';
+}
+
+/**
+ * Encodes a text for download. Every line break is written in the given
+ * style unless it is 'mixed' or 'none', so lines added by a replacement
+ * follow the rest of the file.
+ *
+ * @param {string} text - The text.
+ * @param {TextFileFormat} format - Encoding, byte order mark and line endings to write.
+ * @returns {Uint8Array} The encoded bytes.
+ */
+export function encodeText(text, { encoding, hasBom, lineEnding }) {
+    const content = LINE_ENDINGS[lineEnding] ? text.replace(/\r\n|\r|\n/g, LINE_ENDINGS[lineEnding]) : text;
+    const mark = hasBom && BYTE_ORDER_MARKS[encoding] ? BYTE_ORDER_MARKS[encoding] : [];
+    let body;
+
+    if (encoding === 'utf-8') {
+        body = new TextEncoder().encode(content);
+    } else if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+        body = new Uint8Array(content.length * 2);
+        const view = new DataView(body.buffer);
+        for (let i = 0; i < content.length; i++) {
+            view.setUint16(i * 2, content.charCodeAt(i), encoding === 'utf-16le');
+        }
+    } else {
+        const table = getSingleByteTable(encoding);
+        body = new Uint8Array(content.length);
+        for (let i = 0; i < content.length; i++) {
+            const byte = table.get(content[i]);
+            if (byte === undefined) {
+                const label = ENCODINGS.find((entry) => entry.id === encoding)?.label || encoding;
+                throw new Error(`"${content[i]}" cannot be saved as ${label}. Choose UTF-8 to keep it.`);
+            }
+            body[i] = byte;
+        }
+    }
+
+    const bytes = new Uint8Array(mark.length + body.length);
+    bytes.set(mark);
+    bytes.set(body, mark.length);
+    return bytes;
+}
+
+/**
+ * Tells whether the bytes start with the given prefix.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @param {number[]} prefix - The prefix.
+ * @returns {boolean} True if they do.
+ */
+function startsWith(bytes, prefix) {
+    return bytes.length >= prefix.length && prefix.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Recognizes UTF-16 without a byte order mark: mostly Latin text has a zero
+ * in every other byte.
+ *
+ * @param {Uint8Array} bytes - The file content.
+ * @returns {'utf-16le'|'utf-16be'|null} The byte order, or null if it does not look like UTF-16.
+ */
+function guessUtf16(bytes) {
+    const length = Math.min(bytes.length, SNIFF_LENGTH) & ~1;
+    if (length < 4) {
+        return null;
+    }
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < length; i += 2) {
+        evenZeros += bytes[i] === 0 ? 1 : 0;
+        oddZeros += bytes[i + 1] === 0 ? 1 : 0;
+    }
+
+    const pairs = length / 2;
+    if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) {
+        return 'utf-16le';
+    }
+    if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) {
+        return 'utf-16be';
+    }
+    return null;
+}
+
+/**
+ * Reads the charset an XML declaration, HTML meta tag or CSS rule names.
+ *
+ * @param {Uint8Array} bytes - The file content.
+ * @returns {string|null} A supported encoding id, or null.
+ */
+function readDeclaredEncoding(bytes) {
+    const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, SNIFF_LENGTH));
+    const match = head.match(CHARSET_DECLARATION_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    try {
+        // The decoder resolves aliases such as 'latin1' or 'cp1252' to their canonical name
+        const encoding = new TextDecoder(match[1] || match[2] || match[3]).encoding;
+        return ENCODINGS.some((entry) => entry.id === encoding) ? encoding : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Tells whether the bytes are valid UTF-8.
+ *
+ * @param {Uint8Array} bytes - The file content.
+ * @returns {boolean} True if they decode without errors.
+ */
+function isValidUtf8(bytes) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Returns the character-to-byte table of a single-byte encoding.
+ *
+ * @param {string} encoding - Encoding id.
+ * @returns {Map<string, number>} Bytes by character.
+ */
+function getSingleByteTable(encoding) {
+    if (!singleByteTables.has(encoding)) {
+        const decoder = new TextDecoder(encoding);
+        const table = new Map();
+        for (let byte = 0; byte < 256; byte++) {
+            const char = decoder.decode(new Uint8Array([byte]));
+            if (char !== '\uFFFD' && !table.has(char)) {
+                table.set(char, byte);
+            }
+        }
+        singleByteTables.set(encoding, table);
+    }
+    return singleByteTables.get(encoding);
+}
@@ -3,27 +3,41 @@
  * Plain text file reading, replacing, and exporting.
  */
 
+import { detectEncoding, decodeText, detectLineEnding, encodeText } from './textEncoding.js';
+
 /**
- * Reads a .txt File object as a UTF-8 string.
+ * Reads a text File, detecting its encoding, byte order mark and line
+ * endings unless an encoding is given.
  *
  * @param {File} file - The text file to read.
- * @returns {Promise<string>} The file content as a string.
+ * @param {string|null} [encoding] - Encoding id that overrides detection.
+ * @returns {Promise<{ text: string, format: import('./textEncoding.js').TextFileFormat, detectedEncoding: string }>}
+ *   The file content, the format it was read in, and the encoding detection found.
  */
-export function loadTxt(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = () => reject(new Error('Failed to read text file.'));
-        reader.readAsText(file, 'UTF-8');
-    });
+export async function loadTxt(file, encoding = null) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const detected = detectEncoding(bytes);
+    const decoded = decodeText(bytes, encoding || detected.encoding);
+
+    return {
+        text: decoded.text,
+        format: {
+            encoding: encoding || detected.encoding,
+            hasBom: decoded.hasBom,
+            lineEnding: detectLineEnding(decoded.text),
+        },
+        detectedEncoding: detected.encoding,
+    };
 }
 
 /**
  * Exports a text string as a downloadable Blob.
  *
  * @param {string} text - The text content.
+ * @param {import('./textEncoding.js').TextFileFormat} [format] - Encoding, byte order mark and line endings; UTF-8 without a BOM by default.
  * @returns {Blob} A Blob of type text/plain.
  */
-export function exportTxt(text) {
-    return new Blob([text], { type: 'text/plain;charset=utf-8' });
+export function exportTxt(text, format = {}) {
+    const { encoding = 'utf-8', hasBom = false, lineEnding = 'mixed' } = format;
+    return new Blob([encodeText(text, { encoding, hasBom, lineEnding })], { type: `text/plain;charset=${encoding}` });
 }
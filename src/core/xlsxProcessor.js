@@ -0,0 +1,684 @@
+/**
+ * @module xlsxProcessor
+ * Handles Excel workbook (.xlsx) loading, XML-level text replacement,
+ * preview generation, and export.
+ * Cell text lives in xl/sharedStrings.xml (plain or rich-text runs) and in
+ * inline strings of the worksheets. Formulas and numbers are only touched
+ * when asked for. Matching is cell by cell: a shared string used by cells
+ * in and out of scope is copied, so only the cells in scope change.
+ */
+
+import JSZip from 'jszip';
+import { buildRegex, collectReplacements, spliceSegments } from './replacer.js';
+import { escapeXml, unescapeXml, getXmlAttribute } from './xmlUtils.js';
+import { columnLettersToIndex } from './tableParser.js';
+
+const WORKBOOK_XML_PATH = 'xl/workbook.xml';
+const WORKBOOK_RELS_PATH = 'xl/_rels/workbook.xml.rels';
+const SHARED_STRINGS_PATH = 'xl/sharedStrings.xml';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/** Rows shown per sheet in the preview. */
+const PREVIEW_ROW_LIMIT = 1000;
+
+/** Matches one cell: attributes in group 1, content (if any) in group 2. */
+const CELL_PATTERN = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+
+/** Matches one shared string item: content in group 1. */
+const SHARED_STRING_PATTERN = /<si>([\s\S]*?)<\/si>|<si\/>/g;
+
+/**
+ * Matches the text elements of a rich-text string. Phonetic runs (<rPh>)
+ * are matched whole so their reading hints are skipped.
+ */
+const RICH_TEXT_PATTERN = /<rPh\b[\s\S]*?<\/rPh>|<t(\s[^>]*)?>([^<]*)<\/t>|<t(\s[^>]*)?\/>/g;
+
+/** A value Excel reads as a number. */
+const NUMBER_PATTERN = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+/**
+ * @typedef {object} XlsxCell
+ * @property {string} ref - Cell reference, e.g. 'B12'.
+ * @property {string} column - Column letters, e.g. 'B'.
+ * @property {number} row - Row number.
+ * @property {number} start - Offset of the cell XML in the sheet.
+ * @property {number} end - Offset just past the cell XML.
+ * @property {string} xml - The cell XML.
+ * @property {string} attrs - The cell's attribute string.
+ * @property {'shared'|'inline'|'formula'|'number'|'other'} type - What the cell holds.
+ * @property {number} [sharedIndex] - Shared string index, for 'shared' cells.
+ * @property {string} [formula] - Decoded formula, for 'formula' cells.
+ * @property {string} [value] - Cached or literal value.
+ * @property {string} [inlineXml] - Content of the <is> element, for 'inline' cells.
+ */
+
+/**
+ * Loads an .xlsx File into a JSZip instance.
+ *
+ * @param {File} file - The .xlsx file to load.
+ * @returns {Promise<JSZip>} The parsed ZIP archive.
+ */
+export async function loadXlsx(file) {
+    const arrayBuffer = await file.arrayBuffer();
+    return JSZip.loadAsync(arrayBuffer);
+}
+
+/**
+ * Applies a list of replacement pairs in order and reports how many cells
+ * each pair changed how often.
+ *
+ * @param {JSZip} zip - The loaded .xlsx ZIP archive.
+ * @param {Array<{ find: string, replace: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own, plus the scope options (see getXlsxCellBlocks).
+ * @param {function(number, number): void} [onProgress] - Called with the number of pairs done and the total.
+ * @returns {Promise<{ zip: JSZip, counts: number[] }>} Modified ZIP and replacement count per pair.
+ */
+export async function applyPairsToXlsx(zip, pairs, defaults = {}, onProgress = () => {}) {
+    const counts = [];
+
+    for (const [index, pair] of pairs.entries()) {
+        counts.push(await replaceInXlsx(zip, pair, { ...defaults, ...pair.options }));
+        onProgress(index + 1, pairs.length);
+    }
+
+    return { zip, counts };
+}
+
+/**
+ * Counts the matches of each pair cell by cell, the way replacement finds them.
+ *
+ * @param {JSZip} zip - The loaded .xlsx ZIP archive.
+ * @param {Array<{ find: string, options?: object }>} pairs - Replacement pairs.
+ * @param {object} [defaults] - Options used where a pair does not set its own, plus the scope options.
+ * @returns {Promise<number[]>} Match count per pair.
+ */
+export async function countPairsInXlsx(zip, pairs, defaults = {}) {
+    const blocks = await getXlsxCellBlocks(zip, defaults);
+
+    return pairs.map((pair) => {
+        const regex = buildRegex(pair.find, { ...defaults, ...pair.options });
+        if (!regex) {
+            return 0;
+        }
+        return blocks.reduce((total, block) => total + collectReplacements(block.text, regex, '').length, 0);
+    });
+}
+
+/**
+ * Lists the cells in scope as review blocks, sheet by sheet in workbook
+ * order. Block keys combine the worksheet path and the cell reference.
+ *
+ * @param {JSZip} zip - The loaded .xlsx ZIP archive.
+ * @param {object} [options]
+ * @param {string[]} [options.xlsxSheets] - Sheet names to match in (case-insensitive); empty for all.
+ * @param {string[]} [options.xlsxColumns] - Column letters or ranges such as 'B:D'; empty for all.
+ * @param {boolean} [options.isXlsxInlineStrings=false] - Also match inline strings in the worksheets.
+ * @param {boolean} [options.isXlsxFormulas=false] - Also match formula text.
+ * @param {boolean} [options.isXlsxNumbers=false] - Also match numeric values.
+ * @returns {Promise<Array<{ key: string, path: string, kind: string, text: string }>>} One block per cell.
+ */
+export async function getXlsxCellBlocks(zip, options = {}) {
+    const workbook = await readWorkbook(zip);
+    const blocks = [];
+
+    for (const sheet of workbook.sheets) {
+        for (const cell of readCells(sheet.xml)) {
+            const text = getMatchableText(cell, workbook, options);
+            if (text !== null && isInScope(sheet.name, cell.column, options)) {
+                blocks.push({ key: `${sheet.path}#${cell.ref}`, path: sheet.path, kind: 'body', text });
+            }
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Applies one pair, replacing only the accepted matches.
+ *
+ * @param {JSZip} zip - The loaded .xlsx ZIP archive.
+ * @param {{ find: string, replace: string, options?: object }} pair - The reviewed pair.
+ * @param {object} defaults - Options used where the pair does not set its own, plus the scope options.
+ * @param {function(string, number): boolean} isAccepted - Called with a block key and match start.
+ * @returns {Promise<{ zip: JSZip, count: number }>} Modified ZIP and number of replacements.
+ */
+export async function applyReviewedPairToXlsx(zip, pair, defaults, isAccepted) {
+    const count = await replaceInXlsx(zip, pair, { ...defaults, ...pair.options }, isAccepted);
+    return { zip, count };
+}
+
+/**
+ * Generates an HTML preview with one table per sheet. Cells outside the
+ * scope, numbers and formula results are shown but not highlighted unless
+ * the options include them.
+ *
+ * @param {JSZip} zip - The loaded .xlsx ZIP archive.
+ * @param {object} [options] - See getXlsxCellBlocks.
+ * @returns {Promise<string>} HTML string of the workbook content.
+ */
+export async function generateXlsxPreview(zip, options = {}) {
+    const workbook = await readWorkbook(zip);
+    let html = '';
+
+    for (const sheet of workbook.sheets) {
+        const rows = new Map();
+        const columns = new Set();
+
+        for (const cell of readCells(sheet.xml)) {
+            if (!rows.has(cell.row)) {
+                rows.set(cell.row, new Map());
+            }
+            rows.get(cell.row).set(cell.column, cell);
+            columns.add(cell.column);
+        }
+
+        const columnList = [...columns].sort((a, b) => columnLettersToIndex(a) - columnLettersToIndex(b));
+        const rowList = [...rows.keys()].sort((a, b) => a - b);
+
+        html += `<h3 data-no-match>${escapeHtml(sheet.name)}</h3>`;
+        html += '<table class="preview-table"><tr><th data-no-match></th>';
+        html += columnList.map((column) => `<th data-no-match>${column}</th>`).join('');
+        html += '</tr>';
+
+        for (const row of rowList.slice(0, PREVIEW_ROW_LIMIT)) {
+            html += `<tr><th data-no-match>${row}</th>`;
+            for (const column of columnList) {
+                const cell = rows.get(row).get(column);
+                html += cell ? renderPreviewCell(cell, sheet, workbook, options) : '<td data-no-match></td>';
+            }
+            html += '</tr>';
+        }
+
+        if (rowList.length > PREVIEW_ROW_LIMIT) {
+            const more = rowList.length - PREVIEW_ROW_LIMIT;
+            html += `<tr><td data-no-match colspan="${columnList.length + 1}">… ${more} more row${more !== 1 ? 's' : ''}</td></tr>`;
+        }
+        html += '</table>';
+    }
+
+    return html;
+}
+
+/**
+ * Exports the modified ZIP archive as a downloadable Blob.
+ *
+ * @param {JSZip} zip - The ZIP archive to export.
+ * @returns {Promise<Blob>} The .xlsx Blob.
+ */
+export async function exportXlsx(zip) {
+    return zip.generateAsync({
+        type: 'blob',
+        mimeType: XLSX_MIME_TYPE,
+        compression: 'DEFLATE',
+    });
+}
+
+/**
+ * Replaces the matches of one pair in every cell in scope and writes back
+ * the shared strings, worksheets and, after formula changes, the workbook.
+ *
+ * @param {JSZip} zip - The loaded .xlsx ZIP archive.
+ * @param {{ find: string, replace: string }} pair - The pair.
+ * @param {object} options - Replace and scope options.
+ * @param {function(string, number): boolean} [isAccepted] - Optional filter called with a block key and match start.
+ * @returns {Promise<number>} Number of replacements made.
+ */
+async function replaceInXlsx(zip, pair, options, isAccepted = null) {
+    const regex = buildRegex(pair.find, options);
+    if (!regex) {
+        return 0;
+    }
+
+    const workbook = await readWorkbook(zip);
+    const sharedItems = workbook.sharedStrings ? workbook.sharedStrings.items : [];
+    const sharedUsers = new Map();
+    const sharedChanges = new Map();
+    const cellEdits = new Map(workbook.sheets.map((sheet) => [sheet.path, []]));
+    let isFormulaChanged = false;
+    let count = 0;
+
+    for (const sheet of workbook.sheets) {
+        for (const cell of readCells(sheet.xml)) {
+            if (cell.type === 'shared') {
+                sharedUsers.set(cell.sharedIndex, (sharedUsers.get(cell.sharedIndex) || 0) + 1);
+            }
+            if (getMatchableText(cell, workbook, options) === null || !isInScope(sheet.name, cell.column, options)) {
+                continue;
+            }
+
+            const key = `${sheet.path}#${cell.ref}`;
+            const filter = isAccepted ? (match) => isAccepted(key, match.start) : null;
+
+            if (cell.type === 'shared' || cell.type === 'inline') {
+                const source = cell.type === 'shared' ? sharedItems[cell.sharedIndex].content : cell.inlineXml;
+                const replaced = replaceInRichText(source, regex, pair.replace, options, filter);
+                if (replaced.count === 0) {
+                    continue;
+                }
+                count += replaced.count;
+
+                if (cell.type === 'inline') {
+                    cellEdits.get(sheet.path).push({ cell, xml: cell.xml.replace(`<is>${cell.inlineXml}</is>`, () => `<is>${replaced.xml}</is>`) });
+                } else {
+                    // Group the cells by the new content of their shared string
+                    const variants = sharedChanges.get(cell.sharedIndex) || new Map();
+                    variants.set(replaced.xml, [...(variants.get(replaced.xml) || []), { sheet, cell }]);
+                    sharedChanges.set(cell.sharedIndex, variants);
+                }
+            } else {
+                const text = cell.type === 'formula' ? cell.formula : cell.value;
+                const replaced = replaceInPlainText(text, regex, pair.replace, options, filter);
+                if (replaced.count === 0) {
+                    continue;
+                }
+                count += replaced.count;
+
+                if (cell.type === 'formula') {
+                    isFormulaChanged = true;
+                    cellEdits.get(sheet.path).push({ cell, xml: withFormula(cell, replaced.text) });
+                } else {
+                    cellEdits.get(sheet.path).push({ cell, xml: withValue(cell, replaced.text) });
+                }
+            }
+        }
+    }
+
+    // A shared string changes in place only if all its cells change alike;
+    // otherwise each changed variant becomes a new item for its cells.
+    const newItems = sharedItems.map((item) => item.content);
+    for (const [index, variants] of sharedChanges) {
+        const changedCount = [...variants.values()].reduce((total, cells) => total + cells.length, 0);
+
+        if (variants.size === 1 && changedCount === sharedUsers.get(index)) {
+            newItems[index] = [...variants.keys()][0];
+            continue;
+        }
+        for (const [content, cells] of variants) {
+            newItems.push(content);
+            for (const { sheet, cell } of cells) {
+                cellEdits.get(sheet.path).push({ cell, xml: cell.xml.replace(/<v>[^<]*<\/v>/, `<v>${newItems.length - 1}</v>`) });
+            }
+        }
+    }
+
+    if (sharedChanges.size > 0) {
+        zip.file(SHARED_STRINGS_PATH, writeSharedStrings(workbook.sharedStrings, newItems));
+    }
+
+    for (const sheet of workbook.sheets) {
+        const edits = cellEdits.get(sheet.path).sort((a, b) => b.cell.start - a.cell.start);
+        if (edits.length === 0) {
+            continue;
+        }
+        let xml = sheet.xml;
+        for (const { cell, xml: cellXml } of edits) {
+            xml = xml.slice(0, cell.start) + cellXml + xml.slice(cell.end);
+        }
+        zip.file(sheet.path, xml);
+    }
+
+    if (isFormulaChanged) {
+        zip.file(WORKBOOK_XML_PATH, withFullCalcOnLoad(await zip.file(WORKBOOK_XML_PATH).async('string')));
+    }
+
+    return count;
+}
+
+/**
+ * Reads the sheets (in workbook order) and the shared strings of a workbook.
+ *
+ * @param {JSZip} zip - The loaded .xlsx ZIP archive.
+ * @returns {Promise<{ sheets: Array<{ name: string, path: string, xml: string }>, sharedStrings: { xml: string, items: Array<{ start: number, end: number, content: string }> }|null }>}
+ *   The workbook content.
+ */
+async function readWorkbook(zip) {
+    const workbookFile = zip.file(WORKBOOK_XML_PATH);
+    if (!workbookFile) {
+        throw new Error('Invalid .xlsx: xl/workbook.xml not found.');
+    }
+
+    const workbookXml = await workbookFile.async('string');
+    const relsFile = zip.file(WORKBOOK_RELS_PATH);
+    const relsXml = relsFile ? await relsFile.async('string') : '';
+
+    const targets = new Map();
+    for (const [tag] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+        targets.set(getXmlAttribute(tag, 'Id'), getXmlAttribute(tag, 'Target'));
+    }
+
+    const sheets = [];
+    for (const [tag] of workbookXml.matchAll(/<sheet\b[^>]*>/g)) {
+        const target = targets.get(getXmlAttribute(tag, 'r:id'));
+        if (!target) {
+            continue;
+        }
+        const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        const file = zip.file(path);
+        if (file) {
+            sheets.push({ name: unescapeXml(getXmlAttribute(tag, 'name') || path), path, xml: await file.async('string') });
+        }
+    }
+
+    const sharedFile = zip.file(SHARED_STRINGS_PATH);
+    let sharedStrings = null;
+    if (sharedFile) {
+        const xml = await sharedFile.async('string');
+        const items = [...xml.matchAll(SHARED_STRING_PATTERN)].map((match) => ({
+            start: match.index,
+            end: match.index + match[0].length,
+            content: match[1] || '',
+        }));
+        sharedStrings = { xml, items };
+    }
+
+    return { sheets, sharedStrings };
+}
+
+/**
+ * Lists the cells of a worksheet with what they hold.
+ *
+ * @param {string} xml - The worksheet XML.
+ * @returns {XlsxCell[]} Cells in document order.
+ */
+function readCells(xml) {
+    const cells = [];
+    let previous = { column: '', row: 0 };
+
+    for (const match of xml.matchAll(CELL_PATTERN)) {
+        const [cellXml, attrs, content = ''] = match;
+        const ref = getXmlAttribute(cellXml.slice(0, attrs.length + 2), 'r');
+        const parsed = ref ? ref.match(/^([A-Z]+)(\d+)$/) : null;
+        const column = parsed ? parsed[1] : indexToColumnLetters(columnLettersToIndex(previous.column) + 1);
+        const row = parsed ? Number(parsed[2]) : previous.row || 1;
+        const type = getXmlAttribute(cellXml.slice(0, attrs.length + 2), 't');
+
+        const cell = { ref: `${column}${row}`, column, row, start: match.index, end: match.index + cellXml.length, xml: cellXml, attrs, type: 'other' };
+        const formula = content.match(/<f\b[^>]*>([\s\S]*?)<\/f>/);
+        const value = content.match(/<v>([\s\S]*?)<\/v>/);
+        const inline = content.match(/<is>([\s\S]*?)<\/is>/);
+
+        if (formula) {
+            Object.assign(cell, { type: 'formula', formula: unescapeXml(formula[1]), value: value ? unescapeXml(value[1]) : '' });
+        } else if (/<f\b/.test(content)) {
+            // Shares the formula of another cell; only its cached result is here
+            cell.value = value ? unescapeXml(value[1]) : '';
+        } else if (type === 's' && value) {
+            Object.assign(cell, { type: 'shared', sharedIndex: Number(value[1]) });
+        } else if (type === 'inlineStr' && inline) {
+            Object.assign(cell, { type: 'inline', inlineXml: inline[1] });
+        } else if ((!type || type === 'n') && value) {
+            Object.assign(cell, { type: 'number', value: value[1] });
+        } else if (value) {
+            cell.value = unescapeXml(value[1]);
+        }
+
+        cells.push(cell);
+        previous = cell;
+    }
+
+    return cells;
+}
+
+/**
+ * Returns the text of a cell that the options allow to match, or null.
+ *
+ * @param {XlsxCell} cell - The cell.
+ * @param {{ sharedStrings: object|null }} workbook - The workbook content.
+ * @param {object} options - See getXlsxCellBlocks.
+ * @returns {string|null} The matchable text.
+ */
+function getMatchableText(cell, workbook, options) {
+    switch (cell.type) {
+        case 'shared': {
+            const item = workbook.sharedStrings?.items[cell.sharedIndex];
+            return item ? readRichText(item.content) : null;
+        }
+        case 'inline':
+            return options.isXlsxInlineStrings ? readRichText(cell.inlineXml) : null;
+        case 'formula':
+            return options.isXlsxFormulas ? cell.formula : null;
+        case 'number':
+            return options.isXlsxNumbers ? cell.value : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Checks a cell against the sheet and column scope.
+ *
+ * @param {string} sheetName - The cell's sheet.
+ * @param {string} column - The cell's column letters.
+ * @param {object} options - See getXlsxCellBlocks.
+ * @returns {boolean} True if the cell is in scope.
+ */
+function isInScope(sheetName, column, { xlsxSheets = [], xlsxColumns = [] } = {}) {
+    if (xlsxSheets.length > 0 && !xlsxSheets.some((name) => name.toLowerCase() === sheetName.toLowerCase())) {
+        return false;
+    }
+    if (xlsxColumns.length === 0) {
+        return true;
+    }
+
+    const index = columnLettersToIndex(column);
+    return xlsxColumns.some((entry) => {
+        const [first, last = first] = entry.split(':').map((letters) => columnLettersToIndex(letters.trim()));
+        return index >= first && index <= last;
+    });
+}
+
+/**
+ * Reads the text of a rich-text string (<si> or <is> content), skipping
+ * phonetic runs.
+ *
+ * @param {string} xml - The string's content XML.
+ * @returns {string} The text.
+ */
+function readRichText(xml) {
+    return readRichTextSegments(xml).map((segment) => segment.text).join('');
+}
+
+/**
+ * Lists the <t> elements of a rich-text string with their offsets.
+ *
+ * @param {string} xml - The string's content XML.
+ * @returns {Array<{ attrs: string, text: string, start: number, end: number }>} Segments.
+ */
+function readRichTextSegments(xml) {
+    const segments = [];
+
+    for (const match of xml.matchAll(RICH_TEXT_PATTERN)) {
+        if (match[0].startsWith('<rPh')) {
+            continue;
+        }
+        segments.push({
+            attrs: match[1] ?? match[3] ?? '',
+            text: unescapeXml(match[2] ?? ''),
+            start: match.index,
+            end: match.index + match[0].length,
+        });
+    }
+
+    return segments;
+}
+
+/**
+ * Replaces matches in a rich-text string, keeping each run's formatting:
+ * only the <t> elements whose text changed are rewritten.
+ *
+ * @param {string} xml - The string's content XML.
+ * @param {RegExp} regex - Compiled search regex.
+ * @param {string} replacement - Replacement text.
+ * @param {object} options - Replace options (isPreserveCase).
+ * @param {function(object): boolean} [shouldReplace] - Optional filter deciding which matches to replace.
+ * @returns {{ xml: string, count: number }} Modified XML and replacement count.
+ */
+function replaceInRichText(xml, regex, replacement, options, shouldReplace = null) {
+    const segments = readRichTextSegments(xml);
+    const allReplacements = collectReplacements(segments.map((segment) => segment.text).join(''), regex, replacement, options);
+    const replacements = shouldReplace ? allReplacements.filter(shouldReplace) : allReplacements;
+
+    if (replacements.length === 0) {
+        return { xml, count: 0 };
+    }
+
+    const newTexts = spliceSegments(segments.map((segment) => segment.text), replacements);
+    let result = xml;
+
+    for (let i = segments.length - 1; i >= 0; i--) {
+        const segment = segments[i];
+        if (newTexts[i] === segment.text) {
+            continue;
+        }
+        const attrs = /^\s|\s$/.test(newTexts[i]) && !/xml:space=/.test(segment.attrs)
+            ? `${segment.attrs} xml:space="preserve"`
+            : segment.attrs;
+        result = result.slice(0, segment.start) + `<t${attrs}>${escapeXml(newTexts[i])}</t>` + result.slice(segment.end);
+    }
+
+    return { xml: result, count: replacements.length };
+}
+
+/**
+ * Replaces matches in a plain string such as a formula or number.
+ *
+ * @param {string} text - The text.
+ * @param {RegExp} regex - Compiled search regex.
+ * @param {string} replacement - Replacement text.
+ * @param {object} options - Replace options (isPreserveCase).
+ * @param {function(object): boolean} [shouldReplace] - Optional filter deciding which matches to replace.
+ * @returns {{ text: string, count: number }} New text and replacement count.
+ */
+function replaceInPlainText(text, regex, replacement, options, shouldReplace = null) {
+    const allReplacements = collectReplacements(text, regex, replacement, options);
+    const replacements = shouldReplace ? allReplacements.filter(shouldReplace) : allReplacements;
+
+    if (replacements.length === 0) {
+        return { text, count: 0 };
+    }
+    return { text: spliceSegments([text], replacements)[0], count: replacements.length };
+}
+
+/**
+ * Returns the cell XML with a new formula. The cached result is dropped so
+ * Excel recalculates it.
+ *
+ * @param {XlsxCell} cell - The formula cell.
+ * @param {string} formula - The new formula.
+ * @returns {string} The cell XML.
+ */
+function withFormula(cell, formula) {
+    return cell.xml
+        .replace(/(<f\b[^>]*>)[\s\S]*?(<\/f>)/, (match, open, close) => `${open}${escapeXml(formula)}${close}`)
+        .replace(/<v>[\s\S]*?<\/v>/, '');
+}
+
+/**
+ * Returns the cell XML with a new value. A value that is no longer a number
+ * turns the cell into an inline string.
+ *
+ * @param {XlsxCell} cell - The number cell.
+ * @param {string} value - The new value.
+ * @returns {string} The cell XML.
+ */
+function withValue(cell, value) {
+    if (NUMBER_PATTERN.test(value)) {
+        return cell.xml.replace(/<v>[\s\S]*?<\/v>/, `<v>${value}</v>`);
+    }
+
+    const attrs = cell.attrs.replace(/\st="[^"]*"/, '');
+    return `<c${attrs} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Writes the shared string table with new item contents; items beyond the
+ * original ones are appended.
+ *
+ * @param {{ xml: string, items: Array<{ start: number, end: number, content: string }> }} sharedStrings - The original table.
+ * @param {string[]} contents - Content of every item, old and new.
+ * @returns {string} The new sharedStrings.xml.
+ */
+function writeSharedStrings(sharedStrings, contents) {
+    let xml = sharedStrings.xml;
+    const appended = contents.slice(sharedStrings.items.length).map((content) => `<si>${content}</si>`).join('');
+
+    if (appended) {
+        xml = xml.replace(/<\/sst>\s*$/, `${appended}</sst>`)
+            .replace(/(<sst\b[^>]*\suniqueCount=")\d+"/, `$1${contents.length}"`);
+    }
+
+    for (let i = sharedStrings.items.length - 1; i >= 0; i--) {
+        const item = sharedStrings.items[i];
+        if (contents[i] !== item.content) {
+            xml = xml.slice(0, item.start) + `<si>${contents[i]}</si>` + xml.slice(item.end);
+        }
+    }
+
+    return xml;
+}
+
+/**
+ * Asks Excel to recalculate every formula when the workbook is opened.
+ *
+ * @param {string} xml - The workbook XML.
+ * @returns {string} The updated workbook XML.
+ */
+function withFullCalcOnLoad(xml) {
+    if (/<calcPr\b[^>]*fullCalcOnLoad=/.test(xml)) {
+        return xml.replace(/(<calcPr\b[^>]*fullCalcOnLoad=")[^"]*"/, '$11"');
+    }
+    if (/<calcPr\b/.test(xml)) {
+        return xml.replace(/<calcPr\b/, '<calcPr fullCalcOnLoad="1"');
+    }
+    return xml.replace(/(<\/definedNames>|<\/sheets>)/, '$1<calcPr fullCalcOnLoad="1"/>');
+}
+
+/**
+ * Renders one preview cell. Formulas in scope are shown as `=formula`.
+ *
+ * @param {XlsxCell} cell - The cell.
+ * @param {{ name: string }} sheet - The cell's sheet.
+ * @param {object} workbook - The workbook content.
+ * @param {object} options - See getXlsxCellBlocks.
+ * @returns {string} A <td> element.
+ */
+function renderPreviewCell(cell, sheet, workbook, options) {
+    const text = getMatchableText(cell, workbook, options);
+
+    if (text === null || !isInScope(sheet.name, cell.column, options)) {
+        let shown = cell.value ?? '';
+        if (cell.type === 'shared' || cell.type === 'inline') {
+            shown = getMatchableText(cell, workbook, { isXlsxInlineStrings: true }) ?? '';
+        }
+        return `<td data-no-match>${escapeHtml(shown)}</td>`;
+    }
+
+    const prefix = cell.type === 'formula' ? '<span data-no-match>=</span>' : '';
+    return `<td>${prefix}${escapeHtml(text)}</td>`;
+}
+
+/**
+ * Converts a zero-based column index to spreadsheet column letters (0 → A, 26 → AA).
+ *
+ * @param {number} index - Zero-based column index.
+ * @returns {string} Column letters.
+ */
+function indexToColumnLetters(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in preview.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
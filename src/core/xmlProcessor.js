@@ -0,0 +1,123 @@
+/**
+ * @module xmlProcessor
+ * Structure-aware processing of generic .xml files: only text content,
+ * CDATA sections and optionally chosen attribute values are matched and
+ * replaced. Element names, comments and declarations are never touched.
+ * Pure functions — no DOM, no side effects.
+ */
+
+import { tokenizeMarkup, readAttributes, escapeXml, unescapeXml } from './xmlUtils.js';
+import { createTextBlock } from './structuredText.js';
+
+/**
+ * Splits an XML document into blocks of text. Mixed content such as
+ * `<p>Hello <b>world</b></p>` forms one block; a block ends at
+ * whitespace-only text or when the element it started in closes.
+ * Chosen attribute values follow as blocks of kind 'attribute'.
+ *
+ * @param {string} source - The XML source.
+ * @param {object} [options]
+ * @param {string[]} [options.attributeNames] - Attributes whose values are matched too.
+ * @returns {import('./structuredText.js').TextBlock[]} The blocks.
+ */
+export function getXmlBlocks(source, { attributeNames = [] } = {}) {
+    const blocks = [];
+    const attributeBlocks = [];
+    const elements = [];
+    let segments = [];
+    let blockDepth = 0;
+    let blockPath = '';
+
+    const flush = () => {
+        if (segments.some((segment) => segment.text.trim())) {
+            blocks.push(createTextBlock(`xml#${blocks.length}`, 'body', segments, blockPath));
+        }
+        segments = [];
+    };
+
+    const addSegment = (segment) => {
+        if (segments.length === 0) {
+            blockDepth = elements.length;
+            blockPath = elements.join('/');
+        }
+        segments.push(segment);
+    };
+
+    for (const token of tokenizeMarkup(source)) {
+        if (token.type === 'text') {
+            const raw = source.slice(token.start, token.end);
+            if (raw.trim()) {
+                addSegment({ start: token.start, end: token.end, text: unescapeXml(raw) });
+            } else {
+                flush();
+            }
+        } else if (token.type === 'cdata') {
+            const start = token.start + '<![CDATA['.length;
+            const end = Math.max(start, token.end - ']]>'.length);
+            addSegment({ start, end, text: source.slice(start, end), isCdata: true });
+        } else if (token.type === 'tag' && token.isClosing) {
+            elements.pop();
+            if (elements.length < blockDepth) {
+                flush();
+            }
+        } else if (token.type === 'tag') {
+            for (const attribute of readAttributes(source, token)) {
+                if (attributeNames.includes(attribute.name) && attribute.value.trim()) {
+                    const segment = {
+                        start: attribute.valueStart,
+                        end: attribute.valueEnd,
+                        text: unescapeXml(attribute.value),
+                        quote: attribute.quote,
+                    };
+                    attributeBlocks.push(createTextBlock(`attribute#${attributeBlocks.length}`, 'attribute', [segment], `${token.name} ${attribute.name}`));
+                }
+            }
+            if (!token.isEmpty) {
+                elements.push(token.name);
+            }
+        }
+    }
+    flush();
+
+    return [...blocks, ...attributeBlocks];
+}
+
+/**
+ * Encodes new text for a text node, CDATA section or attribute value.
+ *
+ * @param {string} text - The new text.
+ * @param {{ isCdata?: boolean }} segment - The segment being replaced.
+ * @returns {string} XML source for the segment.
+ */
+export function encodeXmlText(text, segment) {
+    if (segment.isCdata) {
+        return text.replace(/]]>/g, ']]]]><![CDATA[>');
+    }
+    return escapeXml(text);
+}
+
+/**
+ * Renders the text of an XML document as a table of element paths and
+ * their text, followed by the chosen attribute values.
+ *
+ * @param {string} source - The XML source.
+ * @param {object} [options] - See getXmlBlocks.
+ * @returns {string} Preview HTML.
+ */
+export function renderXmlPreview(source, options = {}) {
+    const rows = getXmlBlocks(source, options).map((block) => (
+        `<tr><td class="preview-path" data-no-match>${escapeHtml(block.path)}</td><td>${escapeHtml(block.text)}</td></tr>`
+    ));
+    return `<table class="preview-table">${rows.join('')}</table>`;
+}
+
+/**
+ * Escapes HTML special characters to prevent XSS in preview.
+ *
+ * @param {string} str - Raw string.
+ * @returns {string} Escaped string.
+ */
+function escapeHtml(str) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return str.replace(/[&<>"']/g, (char) => map[char]);
+}
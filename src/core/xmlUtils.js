@@ -0,0 +1,181 @@
+/**
+ * @module xmlUtils
+ * Small string helpers for working with XML text and tags.
+ * Pure functions — no DOM, no side effects.
+ */
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+/**
+ * Escapes text for use as XML character data or an attribute value.
+ *
+ * @param {string} str - Raw text.
+ * @returns {string} Escaped text.
+ */
+export function escapeXml(str) {
+    return str.replace(/[&<>"']/g, (char) => XML_ESCAPES[char]);
+}
+
+/**
+ * Decodes the predefined XML entities and numeric character references.
+ *
+ * @param {string} str - Escaped XML text.
+ * @returns {string} Decoded text.
+ */
+export function unescapeXml(str) {
+    if (!str.includes('&')) {
+        return str;
+    }
+
+    return str.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, (entity, name) => {
+        if (name[0] === '#') {
+            const codePoint = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(codePoint);
+        }
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name];
+    });
+}
+
+/**
+ * Reads an attribute value from a single XML start tag.
+ *
+ * @param {string} tag - The start tag, e.g. '<Override PartName="..." />'.
+ * @param {string} name - The attribute name.
+ * @returns {string|null} The attribute value, or null if absent.
+ */
+export function getXmlAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+/**
+ * Resolves a relationship target against the folder of its source part.
+ *
+ * @param {string} baseDir - Folder of the source part, e.g. 'word'.
+ * @param {string} target - The relationship target, e.g. 'header1.xml' or '/word/header1.xml'.
+ * @returns {string} ZIP-relative path, e.g. 'word/header1.xml'.
+ */
+export function resolvePartPath(baseDir, target) {
+    if (target.startsWith('/')) {
+        return target.slice(1);
+    }
+
+    const segments = baseDir ? baseDir.split('/') : [];
+    for (const segment of target.split('/')) {
+        if (segment === '..') {
+            segments.pop();
+        } else if (segment && segment !== '.') {
+            segments.push(segment);
+        }
+    }
+    return segments.join('/');
+}
+
+/**
+ * Matches one markup token: a comment, CDATA section, declaration or
+ * processing instruction, or a start/end tag whose quoted attribute values
+ * may contain '>'.
+ */
+const MARKUP_TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<[?!][^>]*>|<\/?[A-Za-z_][\w:.-]*(?:\s+[^\s=/>"'<]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/g;
+
+/** HTML elements whose content is raw text rather than markup. */
+const RAW_TEXT_ELEMENTS = ['script', 'style'];
+
+/**
+ * @typedef {object} MarkupToken
+ * @property {'text'|'tag'|'comment'|'cdata'|'declaration'|'raw'} type - Token type.
+ * @property {number} start - Offset of the token in the source.
+ * @property {number} end - Offset just past the token.
+ * @property {string} [name] - Element name of a tag (lowercased for HTML).
+ * @property {boolean} [isClosing] - Whether the tag is an end tag.
+ * @property {boolean} [isEmpty] - Whether the tag closes itself (`<br/>`).
+ */
+
+/**
+ * Splits HTML or XML source into tags, text and other markup tokens,
+ * keeping source offsets. In HTML, the content of <script> and <style> is
+ * returned as one 'raw' token.
+ *
+ * @param {string} source - The markup.
+ * @param {object} [options]
+ * @param {boolean} [options.isHtml=false] - Apply HTML parsing rules.
+ * @returns {MarkupToken[]} Tokens in source order.
+ */
+export function tokenizeMarkup(source, { isHtml = false } = {}) {
+    const tokens = [];
+    const pattern = new RegExp(MARKUP_TOKEN_PATTERN.source, 'g');
+    let position = 0;
+    let match;
+
+    const pushText = (end) => {
+        if (end > position) {
+            tokens.push({ type: 'text', start: position, end });
+        }
+    };
+
+    while ((match = pattern.exec(source)) !== null) {
+        const markup = match[0];
+        const start = match.index;
+        const end = start + markup.length;
+        pushText(start);
+
+        if (markup.startsWith('<!--')) {
+            tokens.push({ type: 'comment', start, end });
+        } else if (markup.startsWith('<![CDATA[')) {
+            tokens.push({ type: 'cdata', start, end });
+        } else if (markup[1] === '!' || markup[1] === '?') {
+            tokens.push({ type: 'declaration', start, end });
+        } else {
+            const rawName = markup.match(/^<\/?([^\s/>]+)/)[1];
+            const name = isHtml ? rawName.toLowerCase() : rawName;
+            const tag = { type: 'tag', start, end, name, isClosing: markup[1] === '/', isEmpty: markup.endsWith('/>') };
+            tokens.push(tag);
+
+            if (isHtml && !tag.isClosing && !tag.isEmpty && RAW_TEXT_ELEMENTS.includes(name)) {
+                const closeIndex = source.toLowerCase().indexOf(`</${name}`, end);
+                const rawEnd = closeIndex === -1 ? source.length : closeIndex;
+                if (rawEnd > end) {
+                    tokens.push({ type: 'raw', start: end, end: rawEnd });
+                }
+                pattern.lastIndex = rawEnd;
+                position = rawEnd;
+                continue;
+            }
+        }
+
+        position = end;
+    }
+
+    pushText(source.length);
+    return tokens;
+}
+
+/**
+ * Lists the attributes of a start tag with the source offsets of their values.
+ *
+ * @param {string} source - The markup.
+ * @param {MarkupToken} tag - A 'tag' token from tokenizeMarkup.
+ * @returns {Array<{ name: string, value: string, valueStart: number, valueEnd: number, quote: string }>}
+ *   Attributes with a value, in source order. `value` is still escaped.
+ */
+export function readAttributes(source, tag) {
+    const markup = source.slice(tag.start, tag.end);
+    const nameEnd = markup.match(/^<\/?[^\s/>]+/)[0].length;
+    const pattern = /\s([^\s=/>"'<]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    const attributes = [];
+    let match;
+
+    pattern.lastIndex = nameEnd;
+    while ((match = pattern.exec(markup)) !== null) {
+        const value = match[2] ?? match[3] ?? match[4];
+        if (value === undefined) {
+            continue;
+        }
+
+        const quote = match[2] !== undefined ? '"' : match[3] !== undefined ? "'" : '';
+        const valueEnd = tag.start + match.index + match[0].length - quote.length;
+        attributes.push({ name: match[1], value, valueStart: valueEnd - value.length, valueEnd, quote });
+    }
+
+    return attributes;
+}
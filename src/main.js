@@ -2,64 +2,146 @@
  * @module main
  * Application entry point.
  * Initializes components, manages state, and wires event flow.
+ * Document work runs in workers/documentWorker.js; this module only keeps
+ * what the UI needs and renders the results.
  */
 
 import './style.css';
 
-import { initFileUpload, showFileInfo, resetFileUpload } from './components/FileUpload.js';
-import { initFindReplace, showFindReplaceSection, hideFindReplaceSection, getOptions, setButtonStates } from './components/FindReplace.js';
-import { initReplacementList, getPairs, resetReplacementList } from './components/ReplacementList.js';
-import { renderTextPreview, renderHtmlPreview, renderEmptyState } from './components/Preview.js';
-import { updateMatchCount, hideMatchInfo } from './components/MatchInfo.js';
+import { initFileUpload, showFileInfo, resetFileUpload, showTextFileInfo, setEncodingEnabled, getTextConversion } from './components/FileUpload.js';
+import { initFindReplace, showFindReplaceSection, hideFindReplaceSection, getOptions, setOptions, setButtonStates, setPackageOptionsVisible, getReportFormat } from './components/FindReplace.js';
+import { initFormatOptions, getFormatOptions, setFormatOptionsVisible } from './components/FormatOptions.js';
+import { initReplacementList, getPairs, resetReplacementList, syncPairDefaults, setPairs, setPairMatchCounts } from './components/ReplacementList.js';
+import { renderPreview, renderEmptyState } from './components/Preview.js';
+import { renderBatchResults } from './components/BatchResults.js';
+import { initPresetPanel } from './components/PresetPanel.js';
+import { initMappingImport } from './components/MappingImport.js';
+import { initMailMerge, setMailMergeAvailable } from './components/MailMerge.js';
+import { initRedactionPanel, getRedactionPairs, setRedactionMatchCounts } from './components/RedactionPanel.js';
+import { initReviewPanel, startReview, isReviewActive, cancelReview } from './components/ReviewPanel.js';
+import { initDiffView, renderDiff, getActiveView, setViewTabsVisible } from './components/DiffView.js';
+import { initHistoryPanel, renderHistory } from './components/HistoryPanel.js';
+import { showProgress, hideProgress } from './components/ProgressIndicator.js';
+import { updateMatchInfo, hideMatchInfo } from './components/MatchInfo.js';
 import { initThemeToggle } from './components/ThemeToggle.js';
-import { getFileExtension } from './utils/fileHelpers.js';
+import { getFileType, isPackage } from './utils/fileHelpers.js';
 import { downloadFile } from './utils/download.js';
-import { loadDocx, getDocumentXml, extractTextFromXml, replaceInDocx, generateHtmlPreview, exportDocx } from './core/docxProcessor.js';
-import { loadTxt, exportTxt } from './core/txtProcessor.js';
-import { replaceAll } from './core/replacer.js';
+import { debounce } from './utils/debounce.js';
+import { createWorkerClient, isCancelledError } from './utils/workerClient.js';
+import { describePairs } from './core/history.js';
+
+/** Quiet period after the last keystroke before the preview is searched. */
+const SEARCH_DEBOUNCE_MS = 150;
+
+/** Client for the worker that holds the open document. */
+const documentWorker = createWorkerClient(
+    new Worker(new URL('./workers/documentWorker.js', import.meta.url), { type: 'module' }),
+);
 
 // ── App State ──────────────────────────────────────────────────
 const state = {
     /** @type {File|null} */
     currentFile: null,
-    /** @type {'docx'|'txt'|null} */
+    /** @type {string|null} - File type of the open document (e.g. 'docx', 'md'), or 'batch' */
     fileType: null,
-    /** @type {string} - Original text content (for .txt) */
-    originalText: '',
-    /** @type {string} - Current working text (for .txt) */
-    currentText: '',
-    /** @type {Object|null} - Original ZIP (for .docx) */
-    originalZip: null,
-    /** @type {Object|null} - Current working ZIP (for .docx) */
-    currentZip: null,
-    /** @type {string} - HTML preview (for .docx) */
-    previewHtml: '',
-    /** @type {string|null} - Previous state for undo */
-    undoText: null,
-    /** @type {Object|null} - Previous ZIP for undo */
-    undoZip: null,
+    /** @type {Array<{ path: string, file: File, isSupported: boolean }>} - Files in batch mode */
+    batchEntries: [],
+    /** @type {Array<object>} - Per-file results of the last batch run */
+    batchResults: [],
+    /** @type {string} - Download name for the batch ZIP */
+    batchName: '',
+    /** @type {Map<string, string>} - Kind of each header, footer, notes or comments diff group */
+    partKinds: new Map(),
+    /** @type {import('./core/documentSession.js').HistorySummary} - Steps applied in the worker */
+    history: { entries: [], position: 0 },
     /** @type {boolean} - Whether a replacement has been applied */
     hasReplaced: false,
+    /** @type {boolean} - Whether the worker holds an audit report of a Replace All or dry run */
+    hasReport: false,
+    /** @type {number} - Matches of the first pair found by the last preview search */
+    matchCount: 0,
+    /** @type {boolean} - Whether a document operation is running */
+    isBusy: false,
+};
+
+/** Headings for document part kinds in the diff view. */
+const PART_KIND_LABELS = {
+    header: 'Header',
+    footer: 'Footer',
+    footnotes: 'Footnotes',
+    endnotes: 'Endnotes',
+    comments: 'Comments',
+    notes: 'Speaker notes',
+    layout: 'Slide layout',
+    master: 'Slide master',
+    properties: 'Document properties',
+    links: 'Link targets',
 };
 
+/** Searches the preview once typing has paused. */
+const schedulePreviewUpdate = debounce(updatePreview, SEARCH_DEBOUNCE_MS);
+
 // ── Initialize ─────────────────────────────────────────────────
 document.addEventListener('DOMContentLoaded', () => {
     initThemeToggle();
 
     initFileUpload({
         onFileSelected: handleFileSelected,
-        onError: showToast,
+        onBatchSelected: handleBatchSelected,
+        onError: (message) => showToast(message, 'error'),
+        onEncodingChange: handleEncodingChange,
     });
 
     initFindReplace({
         onReplaceAll: handleReplaceAll,
+        onReview: handleReview,
         onUndo: handleUndo,
+        onRedo: handleRedo,
         onDownload: handleDownload,
-        onOptionsChange: handleInputChange,
+        onDryRun: handleDryRun,
+        onReport: handleReportDownload,
+        onOptionsChange: handleOptionsChange,
+    });
+
+    initFormatOptions({
+        onChange: handleInputChange,
     });
 
     initReplacementList({
         onInputChange: handleInputChange,
+        getDefaultOptions: getOptions,
+    });
+
+    initRedactionPanel({
+        onChange: handleInputChange,
+    });
+
+    initReviewPanel();
+
+    initHistoryPanel({
+        onJump: moveToHistoryPosition,
+    });
+
+    initDiffView({
+        onViewChange: handleInputChange,
+        onSettingsChange: renderDiffView,
+    });
+
+    initPresetPanel({
+        getCurrentRules: () => ({ pairs: getPairs(), options: getOptions() }),
+        onApply: handleApplyRuleSet,
+        onMessage: showToast,
+    });
+
+    initMappingImport({
+        onImport: (pairs, append) => setPairs(append ? [...getPairs(), ...pairs] : pairs, handleInputChange),
+        onMessage: showToast,
+    });
+
+    initMailMerge({
+        onReadTemplate: () => runDocumentTask('templatePlaceholders', { template: state.currentFile }),
+        onGenerate: handleMailMerge,
+        onMessage: showToast,
     });
 
     document.getElementById('file-remove').addEventListener('click', handleFileRemove);
@@ -74,21 +156,25 @@ document.addEventListener('DOMContentLoaded', () => {
  */
 async function handleFileSelected(file) {
     try {
+        cancelReview();
+        documentWorker.cancelChannel('search');
+
         state.currentFile = file;
-        const ext = getFileExtension(file);
-        state.fileType = ext === '.docx' ? 'docx' : 'txt';
+        state.fileType = getFileType(file);
 
         showFileInfo(file.name);
         showFindReplaceSection();
+        setPackageOptionsVisible(isPackage(file));
+        setFormatOptionsVisible(state.fileType);
+        setMailMergeAvailable(state.fileType === 'docx');
+        setViewTabsVisible(true);
+        resetHistory();
 
-        if (state.fileType === 'txt') {
-            await loadTextFile(file);
-        } else {
-            await loadDocxFile(file);
-        }
+        const { parts, textFile } = await runDocumentTask('open', { file });
+        state.partKinds = new Map(parts.map((part) => [part.group, part.kind]));
+        showTextFileInfo(textFile);
 
-        resetUndoState();
-        handleInputChange();
+        await updatePreview();
         showToast('File loaded successfully!', 'success');
     } catch (error) {
         console.error('Error loading file:', error);
@@ -97,86 +183,283 @@ async function handleFileSelected(file) {
 }
 
 /**
- * Loads and previews a .txt file.
+ * Rereads the open text file in another encoding. Only offered while the
+ * document is unchanged, so no edits are lost.
  *
- * @param {File} file - The .txt file.
+ * @param {string|null} encoding - The encoding, or null for the detected one.
  */
-async function loadTextFile(file) {
-    state.originalText = await loadTxt(file);
-    state.currentText = state.originalText;
+async function handleEncodingChange(encoding) {
+    try {
+        cancelReview();
+        documentWorker.cancelChannel('search');
+        resetHistory();
+
+        const { textFile } = await runDocumentTask('open', { file: state.currentFile, encoding });
+        showTextFileInfo(textFile);
+        await updatePreview();
+    } catch (error) {
+        console.error('Error rereading file:', error);
+        showToast('Could not read the file in that encoding.', 'error');
+    }
 }
 
 /**
- * Loads and previews a .docx file.
+ * Starts batch mode for several files or .zip archives.
  *
- * @param {File} file - The .docx file.
+ * @param {File[]} files - The uploaded files.
  */
-async function loadDocxFile(file) {
-    state.originalZip = await loadDocx(file);
-    // Clone the zip for working copy
-    const arrayBuffer = await file.arrayBuffer();
-    state.currentZip = await loadDocx(file);
-    state.previewHtml = await generateHtmlPreview(arrayBuffer);
-
-    // Also extract text for matching purposes
-    const xml = await getDocumentXml(state.originalZip);
-    state.originalText = extractTextFromXml(xml);
-    state.currentText = state.originalText;
+async function handleBatchSelected(files) {
+    try {
+        const entries = await runDocumentTask('expandBatch', { files });
+        const supportedCount = entries.filter((entry) => entry.isSupported).length;
+
+        if (supportedCount === 0) {
+            showToast('No supported files found in the upload.', 'error');
+            return;
+        }
+
+        cancelReview();
+        documentWorker.cancelChannel('search');
+        documentWorker.request('close').catch(() => {});
+
+        state.currentFile = null;
+        state.fileType = 'batch';
+        state.batchEntries = entries;
+        state.batchResults = [];
+        state.batchName = files.length === 1 ? files[0].name.replace(/\.zip$/i, '') : 'replacit_batch';
+
+        showFileInfo(`${supportedCount} file${supportedCount > 1 ? 's' : ''} (batch)`);
+        showTextFileInfo(null);
+        showFindReplaceSection();
+        setPackageOptionsVisible(true);
+        setFormatOptionsVisible('batch');
+        setMailMergeAvailable(false);
+        setViewTabsVisible(false);
+
+        resetHistory();
+        renderBatchResults(state.batchEntries);
+        handleInputChange();
+        showToast('Batch loaded successfully!', 'success');
+    } catch (error) {
+        console.error('Error loading batch:', error);
+        showToast('Failed to read the uploaded files. Please try again.', 'error');
+    }
 }
 
 /**
  * Removes the current file and resets everything.
  */
 function handleFileRemove() {
+    cancelReview();
+    schedulePreviewUpdate.cancel();
+    documentWorker.cancelChannel('search');
+    documentWorker.cancelChannel('diff');
+    documentWorker.request('close').catch(() => {});
+
     state.currentFile = null;
     state.fileType = null;
-    state.originalText = '';
-    state.currentText = '';
-    state.originalZip = null;
-    state.currentZip = null;
-    state.previewHtml = '';
-
-    resetUndoState();
+    state.batchEntries = [];
+    state.batchResults = [];
+    state.batchName = '';
+    state.partKinds = new Map();
+    state.matchCount = 0;
+
+    resetHistory();
+    setViewTabsVisible(false);
     resetFileUpload();
     hideFindReplaceSection();
+    setFormatOptionsVisible(null);
+    setMailMergeAvailable(false);
     renderEmptyState();
     hideMatchInfo();
     resetReplacementList(handleInputChange);
+    setRedactionMatchCounts([]);
+    setButtonStates({ canReplace: false, canUndo: false, canDownload: false });
+}
+
+/**
+ * Loads a saved or imported rule set into the editor.
+ *
+ * @param {import('./core/ruleSets.js').RuleSet} ruleSet - The rule set to apply.
+ */
+function handleApplyRuleSet(ruleSet) {
+    setOptions(ruleSet.options);
+    syncPairDefaults(getOptions());
+    setPairs(ruleSet.pairs, handleInputChange);
+}
+
+// ── Worker Tasks ───────────────────────────────────────────────
+
+/**
+ * Runs a document task in the worker, showing its progress and disabling
+ * the action buttons until it finishes.
+ *
+ * @param {string} type - Task type (see workers/documentWorker.js).
+ * @param {object} [payload] - Task arguments.
+ * @param {function(object): void} [onProgress] - Also called on each progress report.
+ * @returns {Promise<*>} The task result.
+ */
+async function runDocumentTask(type, payload = {}, onProgress = () => {}) {
+    state.isBusy = true;
     setButtonStates({ canReplace: false, canUndo: false, canDownload: false });
+    showProgress('Working…');
+
+    try {
+        return await documentWorker.request(type, payload, {
+            onProgress: (progress) => {
+                showProgress(progress.label, progress.value);
+                onProgress(progress);
+            },
+        });
+    } finally {
+        state.isBusy = false;
+        hideProgress();
+        updateButtonStates();
+    }
+}
+
+/**
+ * Enables the action buttons that apply to the current state.
+ * Nothing changes while a task or a review is running.
+ */
+function updateButtonStates() {
+    if (!state.fileType || state.isBusy || isReviewActive()) {
+        return;
+    }
+
+    if (state.fileType === 'batch') {
+        setButtonStates({
+            canReplace: getAllPairs().length > 0,
+            canReview: false,
+            canUndo: state.hasReplaced,
+            canDownload: state.hasReplaced,
+        });
+        return;
+    }
+
+    setButtonStates({
+        canReplace: getAllPairs().length > 0 && state.matchCount > 0,
+        canUndo: state.history.position > 0,
+        canRedo: state.history.position < state.history.entries.length,
+        canDownload: state.hasReplaced,
+        canDryRun: getAllPairs().length > 0,
+        canReport: state.hasReport,
+    });
 }
 
 // ── Preview & Matching ─────────────────────────────────────────
 
+/**
+ * Returns the global options together with the format options, as sent to
+ * the worker with every search, replacement and review.
+ *
+ * @returns {object} Options used where a pair sets none.
+ */
+function getDocumentOptions() {
+    const options = { ...getOptions(), ...getFormatOptions() };
+
+    // Personal data in headers, notes or properties leaks as easily as in the body
+    if (getRedactionPairs().length > 0) {
+        options.isBodyOnly = false;
+    }
+    return options;
+}
+
+/**
+ * Returns the user's pairs followed by the redaction pairs, which run last
+ * so they also mask what the user's replacements bring in.
+ *
+ * @returns {Array<{ find: string, replace: string, options: object }>} All pairs to apply.
+ */
+function getAllPairs() {
+    return [...getPairs(), ...getRedactionPairs()];
+}
+
+/**
+ * Called when a global option toggle changes.
+ * Pushes the new defaults to pairs that have not been customized.
+ */
+function handleOptionsChange() {
+    syncPairDefaults(getOptions());
+    handleInputChange();
+}
+
 /**
  * Called whenever find/replace inputs or options change.
- * Updates the preview with highlighted matches.
+ * Schedules a preview search; a search still pending from an earlier
+ * keystroke is dropped.
  */
 function handleInputChange() {
-    if (!state.currentFile) {
+    if (!state.fileType || isReviewActive()) {
         return;
     }
 
-    const pairs = getPairs();
-    const options = getOptions();
-    const hasPatterns = pairs.length > 0;
+    if (state.fileType === 'batch') {
+        hideMatchInfo();
+        setPairMatchCounts([]);
+        setRedactionMatchCounts([]);
+        updateButtonStates();
+        return;
+    }
 
-    // Use the first pair's pattern for live preview highlighting
-    const firstPattern = hasPatterns ? pairs[0].find : '';
+    schedulePreviewUpdate();
+}
 
-    let matchCount = 0;
+/**
+ * Searches the document in the worker and renders the preview with the
+ * matches of every pair highlighted, plus the per-pair match counts.
+ */
+async function updatePreview() {
+    schedulePreviewUpdate.cancel();
 
-    if (state.fileType === 'txt') {
-        matchCount = renderTextPreview(state.currentText, firstPattern, options);
-    } else {
-        matchCount = renderHtmlPreview(state.previewHtml, firstPattern, options);
+    if (!state.fileType || state.fileType === 'batch' || isReviewActive()) {
+        return;
     }
 
-    updateMatchCount(matchCount);
-    setButtonStates({
-        canReplace: hasPatterns && matchCount > 0,
-        canUndo: state.hasReplaced,
-        canDownload: state.hasReplaced,
-    });
+    const pairs = getAllPairs();
+    const listCount = getPairs().length;
+
+    try {
+        const { html, counts, overlaps } = await documentWorker.request('search', { pairs, defaults: getDocumentOptions() }, { channel: 'search' });
+
+        if (!state.fileType || state.fileType === 'batch' || isReviewActive()) {
+            return;
+        }
+
+        renderPreview(html);
+        updateMatchInfo(pairs, counts, overlaps);
+        setPairMatchCounts(counts.slice(0, listCount), overlaps);
+        setRedactionMatchCounts(counts.slice(listCount), listCount);
+        state.matchCount = counts.reduce((total, count) => total + count, 0);
+        updateButtonStates();
+
+        if (getActiveView() === 'diff') {
+            await renderDiffView();
+        }
+    } catch (error) {
+        if (!isCancelledError(error)) {
+            console.error('Error updating preview:', error);
+            showToast('Could not update the preview.', 'error');
+        }
+    }
+}
+
+// ── Diff ───────────────────────────────────────────────────────
+
+/**
+ * Renders the before/after comparison of the current document.
+ * The worker recomputes the diff only when the document text has changed.
+ */
+async function renderDiffView() {
+    try {
+        const rows = await documentWorker.request('diff', {}, { channel: 'diff' });
+        renderDiff(rows, (group) => PART_KIND_LABELS[state.partKinds.get(group)] || group);
+    } catch (error) {
+        if (!isCancelledError(error)) {
+            console.error('Error computing diff:', error);
+            showToast('Could not compare the document versions.', 'error');
+        }
+    }
 }
 
 // ── Replace All ────────────────────────────────────────────────
@@ -186,107 +469,211 @@ function handleInputChange() {
  */
 async function handleReplaceAll() {
     try {
-        const pairs = getPairs();
-        const options = getOptions();
+        const pairs = getAllPairs();
+        const options = getDocumentOptions();
 
         if (pairs.length === 0) {
             return;
         }
 
-        // Save undo state
-        state.undoText = state.currentText;
-        state.undoZip = state.currentZip;
-
-        if (state.fileType === 'txt') {
-            await applyTextReplacements(pairs, options);
-        } else {
-            await applyDocxReplacements(pairs, options);
+        if (state.fileType === 'batch') {
+            await applyBatchReplacements(pairs, options);
+            return;
         }
 
-        state.hasReplaced = true;
-        handleInputChange();
+        const { count, history } = await runDocumentTask('replace', { pairs, defaults: options });
+        state.hasReport = true;
+        applyHistoryState(history);
+        await updatePreview();
 
-        const totalPairs = pairs.length;
-        showToast(`Replaced ${totalPairs} pattern${totalPairs > 1 ? 's' : ''} successfully!`, 'success');
+        showToast(`Replaced ${count} match${count !== 1 ? 'es' : ''} successfully!`, 'success');
     } catch (error) {
         console.error('Error during replacement:', error);
         showToast('Replacement failed. Please try again.', 'error');
+        handleInputChange();
     }
 }
 
 /**
- * Applies replacements to a .txt document.
- *
- * @param {Array<{ find: string, replace: string }>} pairs - Replacement pairs.
- * @param {object} options - Replace options.
+ * Lists the replacements Replace All would make in an audit report,
+ * without changing the document.
  */
-async function applyTextReplacements(pairs, options) {
-    let text = state.currentText;
+async function handleDryRun() {
+    const pairs = getAllPairs();
 
-    for (const pair of pairs) {
-        text = replaceAll(text, pair.find, pair.replace, options);
+    if (pairs.length === 0 || state.fileType === 'batch') {
+        return;
     }
 
-    state.currentText = text;
+    try {
+        const { count } = await runDocumentTask('dryRun', { pairs, defaults: getDocumentOptions() });
+        state.hasReport = true;
+        updateButtonStates();
+        showToast(`Dry run: ${count} replacement${count !== 1 ? 's' : ''} would be made. Download the report to see them.`, 'success');
+    } catch (error) {
+        console.error('Error during dry run:', error);
+        showToast('Dry run failed. Please try again.', 'error');
+    }
 }
 
 /**
- * Applies replacements to a .docx document.
+ * Runs the replacement pairs over every file in the batch.
+ * Always starts from the uploaded files, so running it again is safe.
  *
- * @param {Array<{ find: string, replace: string }>} pairs - Replacement pairs.
- * @param {object} options - Replace options.
+ * @param {Array<{ find: string, replace: string, options: object }>} pairs - Replacement pairs.
+ * @param {object} options - Global options, used where a pair sets none.
  */
-async function applyDocxReplacements(pairs, options) {
-    // Reload the current zip from the file to get a fresh copy
-    let zip = state.currentZip;
+async function applyBatchReplacements(pairs, options) {
+    const results = [];
+    renderBatchResults(state.batchEntries, results);
+
+    state.batchResults = await runDocumentTask('batch', { entries: state.batchEntries, pairs, defaults: options }, ({ data }) => {
+        results[data.index] = data.result;
+        renderBatchResults(state.batchEntries, results);
+    });
 
-    for (const pair of pairs) {
-        zip = await replaceInDocx(zip, pair.find, pair.replace, options);
+    state.hasReplaced = true;
+    handleInputChange();
+
+    const failedCount = state.batchResults.filter((result) => result.status === 'error').length;
+    const doneCount = state.batchResults.filter((result) => result.status === 'done').length;
+
+    if (failedCount > 0) {
+        showToast(`Processed ${doneCount} file${doneCount !== 1 ? 's' : ''}, ${failedCount} failed.`, 'warning');
+    } else {
+        showToast(`Processed ${doneCount} file${doneCount !== 1 ? 's' : ''} successfully!`, 'success');
     }
+}
+
+// ── Review ─────────────────────────────────────────────────────
 
-    state.currentZip = zip;
+/**
+ * Starts an interactive review of the current pairs.
+ * The whole review session becomes a single history step.
+ */
+async function handleReview() {
+    const pairs = getAllPairs();
+    const options = getDocumentOptions();
 
-    // Regenerate preview from modified zip
-    const blob = await exportDocx(zip);
-    const arrayBuffer = await blob.arrayBuffer();
-    state.previewHtml = await generateHtmlPreview(arrayBuffer);
+    if (pairs.length === 0 || state.fileType === 'batch') {
+        return;
+    }
 
-    // Update text for matching
-    const xml = await getDocumentXml(zip);
-    state.currentText = extractTextFromXml(xml);
+    schedulePreviewUpdate.cancel();
+    documentWorker.cancelChannel('search');
+    setButtonStates({ canReplace: false, canUndo: false, canDownload: false });
+    setViewTabsVisible(false);
+
+    try {
+        await documentWorker.request('beginChange');
+
+        await startReview(pairs, {
+            getMatches: (pair) => documentWorker.request('reviewMatches', { pair, defaults: options }),
+            applyPair: (pair, acceptedIds) => documentWorker.request('applyReviewed', { pair, defaults: options, acceptedIds }),
+            onFinish: async (count) => {
+                const history = await documentWorker.request('commitChange', { label: describePairs('Review', pairs), count });
+                applyHistoryState(history);
+                setViewTabsVisible(true);
+                await updatePreview();
+                showToast(`Review finished: ${count} replacement${count !== 1 ? 's' : ''} made.`, 'success');
+            },
+        });
+    } catch (error) {
+        console.error('Error during review:', error);
+        cancelReview();
+        setViewTabsVisible(true);
+        handleInputChange();
+        showToast('Review failed. Please try again.', 'error');
+    }
 }
 
-// ── Undo ───────────────────────────────────────────────────────
+// ── Undo / Redo ────────────────────────────────────────────────
 
 /**
- * Reverts the last replacement operation.
+ * Reverts the last applied step.
  */
 async function handleUndo() {
-    if (!state.hasReplaced) {
+    if (state.fileType === 'batch') {
+        if (!state.hasReplaced) {
+            return;
+        }
+        state.batchResults = [];
+        renderBatchResults(state.batchEntries);
+        resetHistory();
+        handleInputChange();
+        showToast('Undo successful!', 'success');
+        return;
+    }
+
+    if (state.history.position === 0) {
         return;
     }
 
-    state.currentText = state.undoText || state.originalText;
-    state.currentZip = state.undoZip || state.originalZip;
+    if (await moveToHistoryPosition(state.history.position - 1)) {
+        showToast('Undo successful!', 'success');
+    }
+}
 
-    if (state.fileType === 'docx' && state.currentZip) {
-        const blob = await exportDocx(state.currentZip);
-        const arrayBuffer = await blob.arrayBuffer();
-        state.previewHtml = await generateHtmlPreview(arrayBuffer);
+/**
+ * Re-applies the last undone step.
+ */
+async function handleRedo() {
+    if (state.history.position >= state.history.entries.length) {
+        return;
     }
 
-    resetUndoState();
-    handleInputChange();
-    showToast('Undo successful!', 'success');
+    if (await moveToHistoryPosition(state.history.position + 1)) {
+        showToast('Redo successful!', 'success');
+    }
+}
+
+/**
+ * Undoes or redoes steps until `position` steps are applied.
+ *
+ * @param {number} position - Target number of applied steps (0 = original document).
+ * @returns {Promise<boolean>} Whether the document was moved to that step.
+ */
+async function moveToHistoryPosition(position) {
+    if (isReviewActive() || state.isBusy || position === state.history.position) {
+        return false;
+    }
+
+    try {
+        applyHistoryState(await runDocumentTask('moveHistory', { position }));
+        await updatePreview();
+        return true;
+    } catch (error) {
+        console.error('Error while moving through history:', error);
+        showToast('Could not restore that step.', 'error');
+        handleInputChange();
+        return false;
+    }
+}
+
+/**
+ * Stores the history reported by the worker and renders it.
+ *
+ * @param {import('./core/documentSession.js').HistorySummary} history - The history.
+ */
+function applyHistoryState(history) {
+    state.history = history;
+    if (history.entries.length > 0) {
+        state.hasReplaced = true;
+    }
+    renderHistory(history.entries, history.position);
+    setEncodingEnabled(history.entries.length === 0);
 }
 
 /**
- * Resets the undo state.
+ * Clears the undo/redo history and forgets the audit report, which the
+ * worker drops with the document.
  */
-function resetUndoState() {
-    state.undoText = null;
-    state.undoZip = null;
+function resetHistory() {
+    state.history = { entries: [], position: 0 };
     state.hasReplaced = false;
+    state.hasReport = false;
+    renderHistory(state.history.entries, state.history.position);
+    setEncodingEnabled(true);
 }
 
 // ── Download ───────────────────────────────────────────────────
@@ -296,28 +683,73 @@ function resetUndoState() {
  */
 async function handleDownload() {
     try {
-        const originalName = state.currentFile.name;
-        const dotIndex = originalName.lastIndexOf('.');
-        const baseName = dotIndex > 0 ? originalName.slice(0, dotIndex) : originalName;
-        const extension = dotIndex > 0 ? originalName.slice(dotIndex) : '';
+        if (state.fileType === 'batch') {
+            const blob = await runDocumentTask('exportBatch', { results: state.batchResults });
+            downloadFile(blob, `${state.batchName}_replaced.zip`);
+            showToast('Download started!', 'success');
+            return;
+        }
+
+        const { baseName, extension } = splitFileName(state.currentFile.name);
         const downloadName = `${baseName}_replaced${extension}`;
 
-        let blob;
-
-        if (state.fileType === 'txt') {
-            blob = exportTxt(state.currentText);
-        } else {
-            blob = await exportDocx(state.currentZip);
-        }
+        const blob = await runDocumentTask('export', { conversion: getTextConversion() });
 
         downloadFile(blob, downloadName);
         showToast('Download started!', 'success');
     } catch (error) {
         console.error('Download error:', error);
-        showToast('Download failed. Please try again.', 'error');
+        showToast(error.message ? `Download failed: ${error.message}` : 'Download failed. Please try again.', 'error');
+    }
+}
+
+/**
+ * Generates one document per data row from the uploaded template and
+ * downloads them as one ZIP.
+ *
+ * @param {object} job - The merge job (see core/mailMerge.js generateMergeZip).
+ */
+async function handleMailMerge(job) {
+    try {
+        const { blob, count } = await runDocumentTask('merge', { template: state.currentFile, job });
+        downloadFile(blob, `${splitFileName(state.currentFile.name).baseName}_merged.zip`);
+        showToast(`Generated ${count} document${count !== 1 ? 's' : ''}.`, 'success');
+    } catch (error) {
+        console.error('Mail merge error:', error);
+        showToast(error.message ? `Mail merge failed: ${error.message}` : 'Mail merge failed. Please try again.', 'error');
     }
 }
 
+/**
+ * Downloads the audit report of the last Replace All or dry run in the
+ * chosen format.
+ */
+async function handleReportDownload() {
+    try {
+        const format = getReportFormat();
+        const blob = await runDocumentTask('report', { format });
+        downloadFile(blob, `${splitFileName(state.currentFile.name).baseName}_report.${format}`);
+        showToast('Report download started!', 'success');
+    } catch (error) {
+        console.error('Report error:', error);
+        showToast(error.message ? `Report failed: ${error.message}` : 'Report failed. Please try again.', 'error');
+    }
+}
+
+/**
+ * Splits a file name into its base name and extension.
+ *
+ * @param {string} fileName - The file name.
+ * @returns {{ baseName: string, extension: string }} The name without extension, and the extension with its dot (or '').
+ */
+function splitFileName(fileName) {
+    const dotIndex = fileName.lastIndexOf('.');
+    return {
+        baseName: dotIndex > 0 ? fileName.slice(0, dotIndex) : fileName,
+        extension: dotIndex > 0 ? fileName.slice(dotIndex) : '',
+    };
+}
+
 // ── Toast ──────────────────────────────────────────────────────
 
 /** @type {number|null} - Active toast timeout */
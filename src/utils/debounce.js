@@ -0,0 +1,31 @@
+/**
+ * @module debounce
+ * Delays a function until calls to it have stopped for a while.
+ */
+
+/**
+ * Creates a debounced version of `fn`. Only the last call within `delay`
+ * milliseconds runs; `cancel()` drops a pending call.
+ *
+ * @param {function(...*): void} fn - The function to debounce.
+ * @param {number} delay - Quiet period in milliseconds.
+ * @returns {function(...*): void & { cancel: function(): void }} The debounced function.
+ */
+export function debounce(fn, delay) {
+    let timer = null;
+
+    const debounced = (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            fn(...args);
+        }, delay);
+    };
+
+    debounced.cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+    };
+
+    return debounced;
+}
@@ -4,7 +4,13 @@
  */
 
 /** Supported file extensions */
-export const SUPPORTED_EXTENSIONS = ['.docx', '.txt'];
+export const SUPPORTED_EXTENSIONS = ['.docx', '.odt', '.xlsx', '.pptx', '.txt', '.md', '.markdown', '.html', '.htm', '.csv', '.json', '.xml'];
+
+/** Extensions of ZIP-based documents with several text parts */
+export const PACKAGE_EXTENSIONS = ['.docx', '.odt', '.pptx'];
+
+/** Archive extension accepted for batch uploads */
+export const ARCHIVE_EXTENSION = '.zip';
 
 /** Maximum file size in MB */
 export const MAX_FILE_SIZE_MB = 50;
@@ -24,6 +30,17 @@ export function getFileExtension(file) {
     return name.slice(dotIndex).toLowerCase();
 }
 
+/**
+ * Returns the document type of a file: its extension without the dot,
+ * e.g. 'docx', 'odt', 'txt' or 'md'.
+ *
+ * @param {File} file - The file to inspect.
+ * @returns {string} The file type.
+ */
+export function getFileType(file) {
+    return getFileExtension(file).slice(1);
+}
+
 /**
  * Checks whether a file has a supported extension.
  *
@@ -34,6 +51,27 @@ export function isSupported(file) {
     return SUPPORTED_EXTENSIONS.includes(getFileExtension(file));
 }
 
+/**
+ * Checks whether a file is a ZIP-based document with several text parts
+ * (.docx, .odt), as opposed to a text file.
+ *
+ * @param {File} file - The file to inspect.
+ * @returns {boolean} True if the file is a package.
+ */
+export function isPackage(file) {
+    return PACKAGE_EXTENSIONS.includes(getFileExtension(file));
+}
+
+/**
+ * Checks whether a file is a .zip archive of documents (batch upload).
+ *
+ * @param {File} file - The file to inspect.
+ * @returns {boolean} True if the file is a .zip archive.
+ */
+export function isArchive(file) {
+    return getFileExtension(file) === ARCHIVE_EXTENSION;
+}
+
 /**
  * Checks whether a file is within the allowed size limit.
  *
@@ -0,0 +1,68 @@
+/**
+ * @module presetStorage
+ * Persists named rule sets in localStorage.
+ */
+
+import { validateRuleSet } from '../core/ruleSets.js';
+
+const PRESETS_KEY = 'replacit-presets';
+
+/**
+ * Reads all saved rule sets, dropping any entry that no longer validates.
+ *
+ * @returns {Array<import('../core/ruleSets.js').RuleSet>} Saved rule sets sorted by name.
+ */
+export function listPresets() {
+    let stored;
+
+    try {
+        stored = JSON.parse(localStorage.getItem(PRESETS_KEY) || '[]');
+    } catch {
+        return [];
+    }
+
+    if (!Array.isArray(stored)) {
+        return [];
+    }
+
+    return stored
+        .flatMap((item) => {
+            try {
+                return [validateRuleSet(item)];
+            } catch {
+                return [];
+            }
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Finds a saved rule set by name.
+ *
+ * @param {string} name - The rule set name.
+ * @returns {import('../core/ruleSets.js').RuleSet|null} The rule set, or null if not found.
+ */
+export function getPreset(name) {
+    return listPresets().find((preset) => preset.name === name) || null;
+}
+
+/**
+ * Saves a rule set, replacing any existing one with the same name.
+ *
+ * @param {import('../core/ruleSets.js').RuleSet} ruleSet - The rule set to save.
+ */
+export function savePreset(ruleSet) {
+    const presets = listPresets().filter((preset) => preset.name !== ruleSet.name);
+    presets.push(ruleSet);
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+}
+
+/**
+ * Deletes a saved rule set.
+ *
+ * @param {string} name - The rule set name.
+ */
+export function deletePreset(name) {
+    const presets = listPresets().filter((preset) => preset.name !== name);
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+}
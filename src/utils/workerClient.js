@@ -0,0 +1,133 @@
+/**
+ * @module workerClient
+ * Promise-based requests to a Web Worker that speaks the protocol of
+ * workers/documentWorker.js, with progress callbacks and cancellation.
+ */
+
+/** Name given to errors of cancelled requests. */
+const CANCELLED_ERROR_NAME = 'CancelledError';
+
+/**
+ * @typedef {object} RequestOptions
+ * @property {function({ label: string, value: number, data?: object }): void} [onProgress] - Called on progress reports.
+ * @property {string} [channel] - Requests on the same channel replace each other:
+ *   sending a new one cancels the previous one if it has not finished.
+ */
+
+/**
+ * Wraps a worker in a request/response client.
+ *
+ * @param {Worker} worker - The worker.
+ * @returns {{ request: function(string, object=, RequestOptions=): Promise<*>, cancelChannel: function(string): void }}
+ *   `request` sends a task and resolves with its result; `cancelChannel`
+ *   cancels the pending request of a channel.
+ */
+export function createWorkerClient(worker) {
+    let nextId = 1;
+    const pending = new Map();
+    const channels = new Map();
+
+    worker.addEventListener('message', (event) => {
+        const { id, status, progress, result, message } = event.data;
+        const request = pending.get(id);
+        if (!request) {
+            return;
+        }
+
+        if (status === 'progress') {
+            request.onProgress(progress);
+            return;
+        }
+
+        settle(id);
+        if (status === 'done') {
+            request.resolve(result);
+        } else if (status === 'cancelled') {
+            request.reject(createCancelledError());
+        } else {
+            request.reject(new Error(message));
+        }
+    });
+
+    worker.addEventListener('error', (event) => {
+        for (const [id, request] of pending) {
+            settle(id);
+            request.reject(new Error(event.message || 'The document worker stopped unexpectedly.'));
+        }
+    });
+
+    /**
+     * Forgets a request once it has finished or been cancelled.
+     *
+     * @param {number} id - Request id.
+     */
+    function settle(id) {
+        const request = pending.get(id);
+        pending.delete(id);
+        if (request?.channel && channels.get(request.channel) === id) {
+            channels.delete(request.channel);
+        }
+    }
+
+    /**
+     * Cancels a pending request. Its promise rejects right away; the worker
+     * skips the task if it has not started and drops its result otherwise.
+     *
+     * @param {number} id - Request id.
+     */
+    function cancel(id) {
+        const request = pending.get(id);
+        if (!request) {
+            return;
+        }
+
+        settle(id);
+        worker.postMessage({ id, type: 'cancel' });
+        request.reject(createCancelledError());
+    }
+
+    return {
+        request(type, payload = {}, { onProgress = () => {}, channel = null } = {}) {
+            if (channel && channels.has(channel)) {
+                cancel(channels.get(channel));
+            }
+
+            const id = nextId++;
+            if (channel) {
+                channels.set(channel, id);
+            }
+
+            return new Promise((resolve, reject) => {
+                pending.set(id, { resolve, reject, onProgress, channel });
+                worker.postMessage({ id, type, payload });
+            });
+        },
+
+        cancelChannel(channel) {
+            if (channels.has(channel)) {
+                cancel(channels.get(channel));
+            }
+        },
+    };
+}
+
+/**
+ * Returns whether an error comes from a cancelled request.
+ *
+ * @param {Error} error - The error.
+ * @returns {boolean} True for cancellations.
+ */
+export function isCancelledError(error) {
+    return error?.name === CANCELLED_ERROR_NAME;
+}
+
+/**
+ * Creates the error used to reject cancelled requests.
+ *
+ * @returns {Error} The error.
+ */
+function createCancelledError() {
+    const error = new Error('Request cancelled.');
+    error.name = CANCELLED_ERROR_NAME;
+    return error;
+}
@@ -0,0 +1,102 @@
+/**
+ * @module documentWorker
+ * Web Worker that owns the open document and runs every heavy operation:
+ * loading, matching, replacement, preview generation, diffing, batch runs
+ * and mail merges.
+ *
+ * Messages in:  { id, type, payload } to run a task, { id, type: 'cancel' } to drop one.
+ * Messages out: { id, status: 'progress', progress } while running, then
+ *               { id, status: 'done', result }, { id, status: 'error', message }
+ *               or { id, status: 'cancelled' }.
+ *
+ * Tasks run one at a time in arrival order, so a search never sees a
+ * half-applied replacement. A task cancelled while still queued is skipped.
+ */
+
+import {
+    createSession, openDocument, closeDocument, searchDocument, replaceInDocument, findDocumentReviewMatches,
+    beginChange, applyReviewedPair, commitChange, moveHistory, diffDocument, exportDocument,
+    dryRunDocument, exportReport,
+} from '../core/documentSession.js';
+import { expandBatchInput, processBatch, exportBatchZip } from '../core/batchProcessor.js';
+import { readTemplatePlaceholders, generateMergeZip } from '../core/mailMerge.js';
+
+/** @type {import('../core/documentSession.js').DocumentSession} */
+const session = createSession();
+
+/** @type {Set<number>} - Ids of tasks cancelled before they finished */
+const cancelledIds = new Set();
+
+/** @type {Promise<void>} - Tail of the task queue */
+let queue = Promise.resolve();
+
+/**
+ * Task handlers by message type. Each receives the payload and a progress
+ * reporter, and returns (or resolves to) a structured-cloneable result.
+ */
+const TASKS = {
+    open: ({ file, encoding }, progress) => openDocument(session, file, { encoding }, progress),
+    close: () => closeDocument(session),
+    search: ({ pairs, defaults }) => searchDocument(session, pairs, defaults),
+    replace: ({ pairs, defaults }, progress) => replaceInDocument(session, pairs, defaults, progress),
+    dryRun: ({ pairs, defaults }) => dryRunDocument(session, pairs, defaults),
+    reviewMatches: ({ pair, defaults }) => findDocumentReviewMatches(session, pair, defaults),
+    beginChange: () => beginChange(session),
+    applyReviewed: ({ pair, defaults, acceptedIds }) => applyReviewedPair(session, pair, defaults, acceptedIds),
+    commitChange: ({ label, count }) => commitChange(session, label, count),
+    moveHistory: ({ position }) => moveHistory(session, position),
+    diff: () => diffDocument(session),
+    export: ({ conversion }) => exportDocument(session, conversion),
+    report: ({ format }) => exportReport(session, format),
+    expandBatch: ({ files }) => expandBatchInput(files),
+    batch: ({ entries, pairs, defaults }, progress) => processBatch(entries, pairs, defaults, (result, index) => {
+        progress(`Processed ${index + 1} of ${entries.length}`, (index + 1) / entries.length, { result, index });
+    }),
+    exportBatch: ({ results }) => exportBatchZip(results),
+    templatePlaceholders: ({ template }) => readTemplatePlaceholders(template),
+    merge: ({ template, job }, progress) => generateMergeZip(template, job, (done, total) => {
+        progress(`Generated ${done} of ${total}`, done / total);
+    }),
+};
+
+self.addEventListener('message', (event) => {
+    const { id, type, payload } = event.data;
+
+    if (type === 'cancel') {
+        cancelledIds.add(id);
+        return;
+    }
+
+    queue = queue.then(() => runTask(id, type, payload));
+});
+
+/**
+ * Runs one task and posts its outcome.
+ *
+ * @param {number} id - Request id.
+ * @param {string} type - Task type (a key of TASKS).
+ * @param {object} [payload] - Task arguments.
+ */
+async function runTask(id, type, payload = {}) {
+    if (cancelledIds.delete(id)) {
+        self.postMessage({ id, status: 'cancelled' });
+        return;
+    }
+
+    const progress = (label, value, data) => {
+        self.postMessage({ id, status: 'progress', progress: { label, value, data } });
+    };
+
+    try {
+        const handler = TASKS[type];
+        if (!handler) {
+            throw new Error(`Unknown task: ${type}`);
+        }
+
+        const result = await handler(payload, progress);
+        self.postMessage(cancelledIds.delete(id) ? { id, status: 'cancelled' } : { id, status: 'done', result });
+    } catch (error) {
+        cancelledIds.delete(id);
+        self.postMessage({ id, status: 'error', message: error.message || 'Task failed.' });
+    }
+}